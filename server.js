@@ -2,9 +2,52 @@ import express from 'express';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
+import { randomUUID } from 'crypto';
+import { MitmAttack } from './server/mitm.js';
+import { CaKeystore } from './server/keystore.js';
+import { RevocationList } from './server/revocations.js';
+import { Mailboxes, DEFAULT_DEVICE_ID } from './server/mailbox.js';
+import { PrekeyStore, OPK_LOW_THRESHOLD, takeMemberBundle } from './server/prekeys.js';
+import { AccountStore } from './server/accounts.js';
+import { RoomAccess, ROLE_OWNER, ROLE_INSTRUCTOR, INVITE_ROLES, memberError } from './server/roomAccess.js';
+import { RateLimiter, TokenBucket, STRIKE_LIMIT, payloadSize, limitsFromEnv } from './server/rateLimit.js';
+import { validatePayload } from './server/schemas.js';
+import { publicUserView, isAccessKey, authorizeSealedSend } from './server/unidentifiedAccess.js';
+import { mailboxRecipients, messagesViewFor, messageDeliveries } from './server/routing.js';
+import { REPLAY_CHECKS } from './src/crypto/ReplayProtection.js';
+import { SenderCertificate } from './src/crypto/SenderCertificate.js';
+import { encodeCertificate } from './src/crypto/CertificateCodec.js';
+import {
+  SEALED_SENDER_V1,
+  SEALED_SENDER_V2,
+  SUPPORTED_SEALED_VERSIONS,
+  sliceMultiRecipientEnvelope
+} from './src/crypto/SealedSenderVersions.js';
+import { createIdentityChallenge } from './src/crypto/IdentityProof.js';
+import {
+  INVALID_PAYLOAD,
+  UNAUTHORIZED,
+  ROOM_NOT_FOUND,
+  USER_NOT_FOUND,
+  USER_OFFLINE,
+  CONFLICT,
+  RATE_LIMITED,
+  PAYLOAD_TOO_LARGE,
+  ROOM_LIMIT,
+  errorReply
+} from './src/utils/ErrorCodes.js';
+import { createStorage, retentionFromEnv, pruneMessages, pruneAttacks, isRoomExpired } from './server/storage/index.js';
+import { createBroker, createBrokerAdapter } from './server/broker/index.js';
+import { RoomSync } from './server/roomSync.js';
+import { StoreSync } from './server/storeSync.js';
+import { TreeKemGroup } from './server/treekem.js';
 
 const app = express();
 app.use(cors());
+app.use(express.json({ limit: '16kb' }));
+
+// Limites anti-abus (voir server/rateLimit.js et la section LIMITES ANTI-ABUS)
+const abuseLimits = limitsFromEnv();
 
 const server = createServer(app);
 const io = new Server(server, {
@@ -18,58 +61,595 @@ const io = new Server(server, {
     credentials: true
   },
   pingTimeout: 60000,
-  pingInterval: 25000
+  pingInterval: 25000,
+  maxHttpBufferSize: 2 * abuseLimits.maxPayloadBytes // paquet entier : charge utile + enveloppe
 });
 
-// Stockage des rooms
+// Stockage des rooms (état vivant ; la partie persistante est recopiée dans `storage`)
 const rooms = new Map();
 
-// Stockage des sessions de typing
+// Stockage des sessions de typing : roomId -> Map(username -> minuteur d'expiration)
 const typingUsers = new Map();
+const TYPING_TIMEOUT = 5000;
+
+function stopTyping(roomId, username) {
+  const typing = typingUsers.get(roomId);
+  if (!typing?.has(username)) return;
+  clearTimeout(typing.get(username));
+  typing.delete(username);
+  if (typing.size === 0) typingUsers.delete(roomId);
+}
 
-// ===================== CA (certificats Sealed Sender) =====================
-// ✅ globalThis.crypto pour compatibilité Node.js 18+ sur Render
-const subtle = globalThis.crypto.subtle;
+// ===================== STOCKAGE PERSISTANT =====================
+// Membres, contrôle d'accès, messages chiffrés, boîtes aux lettres et journal d'attaques sont recopiés
+// dans le backend choisi (voir server/storage) puis rechargés au démarrage. Sessions,
+// bundles X3DH et MITM en cours restent en mémoire : les clients les republient en
+// se reconnectant.
+const retention = retentionFromEnv();
+let storage = null;
+
+function createRoomState({
+  createdAt = Date.now(),
+  realAttacks = false,
+  observerBroadcast = false,
+  users = [],
+  messages = [],
+  mailboxes = {},
+  attacks = [],
+  access = null
+} = {}) {
+  return {
+    users,
+    access: RoomAccess.fromJSON(access), // propriétaire, instructeurs, mot de passe, invitations
+    messages,
+    mailboxes: Mailboxes.fromJSON(mailboxes, messages), // file d'attente par appareil destinataire
+    attacks,
+    sessions: new Map(),
+    prekeys: new PrekeyStore(), // bundles X3DH publics (server/prekeys.js)
+    realAttacks,
+    observerBroadcast, // copies expurgées des messages des autres (vue de la classe)
+    mitm: null, // { attack: MitmAttack, record }
+    replayInjections: new Map(), // id du message rejoué -> id de l'attaque
+    createdAt
+  };
+}
+
+function roomSnapshot(room) {
+  return {
+    createdAt: room.createdAt,
+    realAttacks: room.realAttacks,
+    observerBroadcast: room.observerBroadcast,
+    users: room.users,
+    mailboxes: room.mailboxes.toJSON(),
+    attacks: room.attacks,
+    access: room.access.toJSON()
+  };
+}
+
+function persistRoom(roomId, room) {
+  storage.saveRoom(roomId, roomSnapshot(room));
+  roomSync.shareRoom(roomId, roomParts(room));
+}
+
+function recordMessage(roomId, room, message) {
+  room.messages.push(message);
+  if (room.messages.length > retention.maxMessages) {
+    room.messages = room.messages.slice(-retention.maxMessages);
+  }
+  storage.appendMessage(roomId, message);
+  roomSync.shareMessage(roomId, message);
+
+  // Déposé jusqu'à l'acquittement de chaque appareil destinataire
+  const recipients = mailboxRecipients(room, message);
+  room.mailboxes.enqueue(message, recipients);
+  const offline = recipients.filter(username => !room.users.find(u => u.username === username)?.online);
+  if (offline.length > 0) {
+    console.log(`📭 ${message.id} en attente pour ${offline.join(', ')} (hors ligne)`);
+  }
+  persistRoom(roomId, room);
+}
+
+async function restoreRooms() {
+  // D'autres instances tiennent déjà la séance : l'état du broker fait foi
+  const shared = await roomSync.loadRooms();
+  if (shared.length > 0) {
+    for (const { roomId, parts, messages } of shared) {
+      const room = createRoomState({ messages });
+      applyRoomParts(room, parts);
+      rooms.set(roomId, room);
+    }
+    console.log(`🔗 Broker ${broker.name}: ${rooms.size} room(s) reprise(s) des autres instances`);
+    return;
+  }
+
+  for (const record of await storage.loadRooms()) {
+    rooms.set(record.roomId, createRoomState({
+      ...record,
+      // Personne n'est connecté après un redémarrage, et plus aucune attaque ne tourne
+      users: record.users.map(user => ({ ...user, online: false })),
+      attacks: record.attacks.map(attack => attack.status === 'active' ? { ...attack, status: 'stopped' } : attack)
+    }));
+  }
+  console.log(`💾 Stockage ${storage.name}: ${rooms.size} room(s) restaurée(s)`);
+
+  for (const [roomId, room] of rooms) {
+    room.messages.forEach(message => roomSync.shareMessage(roomId, message));
+    roomSync.shareRoom(roomId, roomParts(room));
+  }
+}
+
+function deleteRoom(roomId) {
+  rooms.delete(roomId);
+  storage.deleteRoom(roomId);
+  roomSync.dropRoom(roomId);
+}
+
+// ===================== RÉPARTITION (PLUSIEURS INSTANCES) =====================
+// Voir server/broker, server/roomSync.js et server/storeSync.js. Les diffusions
+// Socket.IO (messages, frappe, événements de room) passent par l'adaptateur du
+// broker ; l'état des rooms et les comptes sont répliqués par parties, clés CA et
+// CRL en entier. Restent propres à chaque instance : MITM et rejeux en cours, groupes
+// TreeKEM, sessions historiques (init-session), minuteurs de frappe et compteurs
+// anti-abus.
+let broker = null;
+let roomSync = null;
+const instanceId = randomUUID();
+
+// Comptes, clés CA et CRL : la version du broker remplace celle du disque
+async function syncServerStores() {
+  // Sans secret commun, un jeton émis ici serait refusé par les autres instances
+  if (broker.name !== 'memory' && !accounts.secretConfigured) {
+    throw new Error('SESSION_SECRET requis avec plusieurs instances (même valeur sur chacune)');
+  }
+  const storeSync = await new StoreSync({ broker, instanceId }).start();
+  await storeSync.attachRecords('accounts', accounts);
+  await storeSync.attach('revocations', revocationList);
+  // Rotation faite ailleurs : ses clients ont déjà reçu trust-roots-changed
+  await storeSync.attach('ca-keys', caKeystore, () => {
+    serverSigningPublicKeyJWK = caKeystore.resolve(caKeystore.activeKey.keyId);
+  });
+  serverSigningPublicKeyJWK = caKeystore.resolve(caKeystore.activeKey.keyId);
+}
+
+function roomParts(room) {
+  const mailboxes = room.mailboxes.toJSON();
+  const parts = {
+    meta: {
+      createdAt: room.createdAt,
+      realAttacks: room.realAttacks,
+      observerBroadcast: room.observerBroadcast,
+      attacks: room.attacks,
+      access: room.access.toJSON()
+    }
+  };
+  for (const user of room.users) {
+    parts[`member:${user.username}`] = { user, mailbox: mailboxes[user.username] || {} };
+  }
+  // Parti mais encore attendu par des messages : sa boîte aux lettres reste partagée
+  for (const [username, mailbox] of Object.entries(mailboxes)) {
+    parts[`member:${username}`] ??= { user: null, mailbox };
+  }
+  return parts;
+}
+
+// Applique des parties reçues (null : partie supprimée) par-dessus l'état local
+function applyRoomParts(room, parts) {
+  if (parts.meta) {
+    Object.assign(room, {
+      createdAt: parts.meta.createdAt,
+      realAttacks: parts.meta.realAttacks,
+      observerBroadcast: parts.meta.observerBroadcast,
+      attacks: parts.meta.attacks,
+      access: RoomAccess.fromJSON(parts.meta.access)
+    });
+  }
+
+  if (Object.keys(parts).some(name => name.startsWith('member:'))) {
+    const members = Object.entries({ ...roomParts(room), ...parts })
+      .filter(([name, part]) => name.startsWith('member:') && part)
+      .map(([name, part]) => [name.slice('member:'.length), part]);
+    room.users = members.map(([, part]) => part.user).filter(Boolean).sort((a, b) => a.joinedAt - b.joinedAt);
+    room.mailboxes = Mailboxes.fromJSON(
+      Object.fromEntries(members.map(([username, part]) => [username, part.mailbox])),
+      room.messages
+    );
+  }
 
-let serverSigningKeyPair;
-let serverSigningPublicKeyJWK;
+  for (const [name, bundle] of Object.entries(parts)) {
+    if (!name.startsWith('prekeys:')) continue;
+    const username = name.slice('prekeys:'.length);
+    room.prekeys.restore(username, bundle);
+  }
+}
+
+// Modification faite par une autre instance : les clients ont déjà été prévenus
+// par l'adaptateur, il ne reste qu'à tenir la Map locale à jour
+async function applyRemoteUpdate({ type, roomId, parts, message }) {
+  if (type === 'drop') {
+    rooms.delete(roomId);
+    return;
+  }
+  // Room inconnue ici : seule sa création (qui partage toujours `meta`) l'ouvre
+  if (!rooms.has(roomId)) {
+    if (!parts?.meta) return;
+    rooms.set(roomId, createRoomState());
+  }
+  const room = rooms.get(roomId);
+
+  switch (type) {
+    case 'message':
+      room.messages.push(message);
+      if (room.messages.length > retention.maxMessages) {
+        room.messages = room.messages.slice(-retention.maxMessages);
+      }
+      break;
+    case 'reset':
+      if (room.mitm) await stopMitm(room, roomId);
+      room.messages = [];
+      room.replayInjections.clear();
+      applyRoomParts(room, parts);
+      break;
+    default:
+      applyRoomParts(room, parts);
+  }
+}
+
+// ===================== ROUTAGE CIBLÉ =====================
+// Destinataires en entier, autres membres en copie expurgée en mode observateurs
+// (voir server/routing.js)
+function routeMessage(room, message, senderSocket) {
+  senderSocket.emit('new-message', message);
+  for (const { socketId, view } of messageDeliveries(room, message, senderSocket.id)) {
+    io.to(socketId).emit('new-message', view);
+  }
+}
+
+// ===================== CA (certificats Sealed Sender) =====================
+// Clé de signature persistée (voir server/keystore.js) : les certificats émis
+// survivent aux redémarrages, et la rotation garde l'ancienne clé de confiance
+// le temps que ses certificats expirent.
+// Certificats de courte durée, renouvelés par les clients sur la socket : un
+// appareil compromis révoqué ne garde pas longtemps un certificat utilisable.
+const CERTIFICATE_VALIDITY_HOURS = Number(process.env.CERTIFICATE_VALIDITY_HOURS) || 4;
+const SENDER_DEVICE_ID = 1; // un seul appareil par membre dans la simulation
+
+let caKeystore;
+let revocationList;
+let accounts;
+let serverSigningPublicKeyJWK; // clé active, conservée pour les anciens clients
 
 async function initServerKeys() {
   try {
-    serverSigningKeyPair = await subtle.generateKey(
-      { name: 'ECDSA', namedCurve: 'P-256' },
-      true,
-      ['sign', 'verify']
-    );
-    serverSigningPublicKeyJWK = await subtle.exportKey('jwk', serverSigningKeyPair.publicKey);
-    console.log('✅ Clés serveur générées avec succès');
+    const keyDirectory = process.env.STORAGE_DIR || './data';
+    caKeystore = await new CaKeystore({
+      file: process.env.CA_KEYSTORE_PATH || `${keyDirectory}/ca-keys.json`,
+      rotationDays: Number(process.env.CA_ROTATION_DAYS) || 30,
+      certificateValidityHours: CERTIFICATE_VALIDITY_HOURS
+    }).load();
+    revocationList = await new RevocationList({
+      file: `${keyDirectory}/revocations.json`,
+      certificateValidity: CERTIFICATE_VALIDITY_HOURS * 60 * 60 * 1000
+    }).load();
+    accounts = await new AccountStore({
+      file: `${keyDirectory}/accounts.json`,
+      sessionTtlHours: Number(process.env.SESSION_TTL_HOURS) || 12,
+      secret: process.env.SESSION_SECRET
+    }).load();
+    serverSigningPublicKeyJWK = caKeystore.resolve(caKeystore.activeKey.keyId);
   } catch (error) {
-    console.error('❌ Erreur lors de la génération des clés:', error);
+    console.error('❌ Erreur lors du chargement des clés CA:', error);
     throw error;
   }
 }
 
-async function issueSenderCertificate(userId, senderKeyJWK, validityDays = 7) {
-  const validUntil = new Date();
-  validUntil.setDate(validUntil.getDate() + validityDays);
+// Nouvelle clé active : annoncée à tous les clients connectés
+async function onTrustRootsChanged() {
+  serverSigningPublicKeyJWK = caKeystore.resolve(caKeystore.activeKey.keyId);
+  io.emit('trust-roots-changed', {
+    trustRoots: caKeystore.trustRoots(),
+    serverSigningPublicKey: serverSigningPublicKeyJWK
+  });
+}
 
-  const certData = {
-    userId,
-    senderKey: senderKeyJWK,
-    validUntil: validUntil.toISOString()
-  };
+// CRL signée par la clé CA active
+function publishRevocations() {
+  return revocationList.publish(bytes => caKeystore.sign(bytes));
+}
 
-  const certBytes = new TextEncoder().encode(JSON.stringify(certData));
-  const signature = await subtle.sign(
-    { name: 'ECDSA', hash: 'SHA-256' },
-    serverSigningKeyPair.privateKey,
-    certBytes
-  );
+// UUID d'expéditeur dérivé du nom du compte (unique sur le relais, voir
+// server/accounts.js) : stable d'un redémarrage et d'une room à l'autre (format UUIDv8, RFC 9562)
+async function senderUuidFor(username) {
+  const hash = new Uint8Array(await globalThis.crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(`securechat-sender:${username}`)
+  ));
+  const bytes = hash.slice(0, 16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x80;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
 
-  return {
-    ...certData,
-    signature: Array.from(new Uint8Array(signature))
-  };
+// Encodage binaire canonique (voir src/crypto/CertificateCodec.js) : l'émission
+// sert aussi à la révocation, le keyId désigne la seule racine qui peut le vérifier
+async function issueSenderCertificate(userId, senderKeyJWK, validityHours = CERTIFICATE_VALIDITY_HOURS) {
+  const issuedAt = Date.now();
+  const encoded = encodeCertificate({
+    senderUuid: await senderUuidFor(userId),
+    deviceId: SENDER_DEVICE_ID,
+    senderName: userId,
+    identityKey: senderKeyJWK,
+    issuedAt,
+    expiresAt: issuedAt + validityHours * 60 * 60 * 1000,
+    keyId: caKeystore.activeKey.keyId
+  });
+
+  const { signature } = await caKeystore.sign(encoded);
+  return SenderCertificate.wrap(encoded, signature);
+}
+
+// Versions de scellement qu'un membre sait ouvrir (src/crypto/SealedSenderVersions.js).
+// Un ancien client n'annonce rien : V1 seulement. La V2 exige une clé Curve25519.
+function sealedSenderCapabilities(sealingKey, sealedVersions) {
+  const validKey = Array.isArray(sealingKey) && sealingKey.length === 32
+    && sealingKey.every(byte => Number.isInteger(byte) && byte >= 0 && byte <= 255);
+  const versions = Array.isArray(sealedVersions)
+    ? SUPPORTED_SEALED_VERSIONS.filter(version => sealedVersions.includes(version))
+    : [SEALED_SENDER_V1];
+
+  return validKey
+    ? { sealingKey, sealedVersions: versions }
+    : { sealingKey: null, sealedVersions: versions.filter(version => version !== SEALED_SENDER_V2) };
+}
+
+// ===================== X3DH (SERVEUR DE PREKEYS) =====================
+// Stock de clés publiques par room (voir server/prekeys.js), partagé entre instances
+function sharePrekeys(roomId, room, username) {
+  roomSync.sharePart(roomId, `prekeys:${username}`, room.prekeys.get(username));
+}
+
+function notifyPrekeysLow(room, username) {
+  const remaining = room.prekeys.lowStock(username);
+  const owner = room.users.find(u => u.username === username);
+  if (remaining === null || !owner) return;
+
+  io.to(owner.id).emit('prekeys-low', { remaining, threshold: OPK_LOW_THRESHOLD });
+}
+
+// ===================== TREEKEM (RELAIS ORDONNÉ DES COMMITS) =====================
+// Le serveur ne lit pas les secrets des commits : il impose un ordre total par groupe
+// et ne suit que l'occupation des feuilles (voir server/treekem.js). Un commit n'est
+// accepté que s'il part de l'epoch courante ; le perdant d'une course entre deux
+// commits concurrents doit se resynchroniser puis recommencer. Un groupe par room,
+// réservé à ses membres.
+const treeKemGroups = new Map(); // roomId -> TreeKemGroup
+
+function getTreeKemGroup(roomId) {
+  if (!treeKemGroups.has(roomId)) {
+    treeKemGroups.set(roomId, new TreeKemGroup());
+  }
+  return treeKemGroups.get(roomId);
+}
+
+// ===================== ATTAQUES RÉELLES (INTERRUPTEUR ADMIN) =====================
+// Par défaut une attaque n'est qu'une animation. Avec le jeton admin, une room peut
+// passer en mode "attaques réelles" : le bouton MITM fait alors substituer les clés
+// et relire le trafic par ce serveur (voir server/mitm.js).
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+// Fiches des membres telles que le relais les présente à `viewer`
+async function usersViewFor(room, viewer) {
+  const users = room.mitm ? await room.mitm.attack.disguiseUsers(viewer, room.users) : room.users;
+  return users.map(publicUserView);
+}
+
+// Diffuse la fiche de `user` aux autres membres, chacun recevant sa propre vue
+async function broadcastUserJoined(socket, room, roomId, user) {
+  if (!room.mitm) {
+    socket.to(roomId).emit('user-joined', {
+      user: publicUserView(user),
+      users: room.users.map(publicUserView),
+      serverSigningPublicKey: serverSigningPublicKeyJWK
+    });
+    return;
+  }
+
+  for (const member of room.users) {
+    if (!member.online || member.id === socket.id) continue;
+    io.to(member.id).emit('user-joined', {
+      user: publicUserView(await room.mitm.attack.disguiseUser(member.username, user)),
+      users: await usersViewFor(room, member.username),
+      serverSigningPublicKey: serverSigningPublicKeyJWK
+    });
+  }
+}
+
+// Nouvelle vue des clés de la cible poussée à toute la room (début/fin d'attaque)
+async function pushTargetView(room, roomId, target) {
+  const targetUser = room.users.find(u => u.username === target);
+  if (!targetUser) return;
+
+  for (const member of room.users) {
+    if (!member.online) continue;
+    io.to(member.id).emit('user-joined', {
+      user: publicUserView(room.mitm ? await room.mitm.attack.disguiseUser(member.username, targetUser) : targetUser),
+      users: await usersViewFor(room, member.username),
+      serverSigningPublicKey: serverSigningPublicKeyJWK
+    });
+  }
+}
+
+async function stopMitm(room, roomId) {
+  const { attack, record } = room.mitm;
+  attack.stop();
+  room.mitm = null;
+  record.status = 'stopped';
+  persistRoom(roomId, room);
+
+  io.to(roomId).emit('attack-stopped', record);
+  await pushTargetView(room, roomId, record.target);
+  console.log(`✅ MITM réel arrêté sur ${record.target} (${record.intercepted.length} interception(s))`);
+}
+
+// Message scellé pour un contact usurpé : lu puis re-scellé, sinon transmis tel quel
+// (le scellement cache l'expéditeur dans l'enveloppe, pas la socket d'émission)
+async function relayThroughMitm(room, roomId, from, to, sealedMessage, kind) {
+  const recipient = room.users.find(u => u.username === to);
+  if (!room.mitm?.attack.intercepts(from, to) || !recipient) return sealedMessage;
+
+  try {
+    const { sealedMessage: resealed, senderId, plaintext } = await room.mitm.attack.relaySealed(
+      to,
+      sealedMessage,
+      recipient,
+      () => {
+        const bundle = room.prekeys.take(to);
+        notifyPrekeysLow(room, to);
+        return bundle;
+      }
+    );
+
+    if (kind === 'sender-key' && plaintext) {
+      await room.mitm.attack.stealSenderKey(senderId, JSON.parse(plaintext));
+    }
+    reportInterception(room, roomId, { kind, from: senderId, to, plaintext });
+    return resealed;
+  } catch (error) {
+    // Scellé pour la vraie clé (fiche obtenue avant l'attaque) : hors de portée
+    console.log(`⚠️ MITM: message pour ${to} non interceptable (${error.message})`);
+    return sealedMessage;
+  }
+}
+
+// Tranche d'un message de groupe scellé : lue (si la sender key a été volée) puis
+// re-scellée pour la vraie clé, sinon transmise telle quelle
+async function relaySliceThroughMitm(room, from, to, slice) {
+  const recipient = room.users.find(u => u.username === to);
+  if (!room.mitm?.attack.intercepts(from, to) || !recipient) return { slice, plaintext: null };
+
+  try {
+    const { sealedMessage, plaintext } = await room.mitm.attack.relayMultiSealed(to, slice, recipient);
+    return { slice: sealedMessage, plaintext };
+  } catch (error) {
+    console.log(`⚠️ MITM: tranche de groupe pour ${to} non interceptable (${error.message})`);
+    return { slice, plaintext: null };
+  }
+}
+
+function reportInterception(room, roomId, interception) {
+  const { record } = room.mitm;
+  const entry = { ...interception, timestamp: Date.now() };
+  record.intercepted.push(entry);
+  persistRoom(roomId, room);
+  io.to(roomId).emit('attack-intercepted', { attackId: record.id, ...entry });
+  console.log(`🕵️ MITM: ${entry.kind} ${entry.from} -> ${entry.to} lu par le relais`);
+}
+
+// ===================== REJEU =====================
+// Le relais ré-émet à la cible des messages déjà stockés (copies à nouvel ID).
+// L'horodatage du relais peut être conservé, rafraîchi (rejeu "déguisé" en message
+// frais) ou projeté dans le futur ; celui du ratchet, chiffré et authentifié, ne
+// peut pas l'être. Les clients signalent chaque rejeu bloqué et la vérification
+// responsable.
+const REPLAY_MAX_MESSAGES = 20;
+const REPLAY_TIMESTAMP_MODES = ['original', 'fresh', 'future'];
+const REPLAY_FUTURE_OFFSET = 10 * 60 * 1000;
+
+function replayTimestamp(timestamp, mode) {
+  if (mode === 'fresh') return Date.now();
+  if (mode === 'future') return Date.now() + REPLAY_FUTURE_OFFSET;
+  return timestamp;
+}
+
+function injectReplays(room, attack) {
+  const target = room.users.find(u => u.username === attack.target);
+  if (!target?.online) return;
+
+  const replayable = room.messages
+    .filter(m => (m.sealed && m.to === attack.target) || (m.group && m.from !== attack.target))
+    .slice(-REPLAY_MAX_MESSAGES);
+
+  for (const original of replayable) {
+    const replay = {
+      ...original,
+      id: `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      timestamp: replayTimestamp(original.timestamp, attack.timestampMode)
+    };
+    room.replayInjections.set(replay.id, attack.id);
+    attack.replayed++;
+    io.to(target.id).emit('new-message', replay);
+  }
+}
+
+// ===================== ACCÈS AUX ROOMS (PROPRIÉTAIRE, INSTRUCTEURS) =====================
+// Voir server/roomAccess.js. Une room n'existe que si un membre connecté l'a créée ;
+// son propriétaire et ses instructeurs sont seuls à pouvoir lancer des attaques,
+// exclure, verrouiller ou remettre la room à zéro.
+
+// @returns {{error: string, code: string}|null}
+function instructorError(room, roomId, username) {
+  if (!room) return errorReply(ROOM_NOT_FOUND, `Room ${roomId} introuvable`);
+  if (!room.access.isInstructor(username)) return errorReply(UNAUTHORIZED, 'Réservé au propriétaire et aux instructeurs de la room');
+  return null;
+}
+
+function broadcastAccess(roomId, room) {
+  io.to(roomId).emit('room-access-changed', room.access.publicView());
+}
+
+// Membre exclu : fiche, boîtes aux lettres et bundle X3DH retirés
+function removeMember(room, username) {
+  room.users = room.users.filter(u => u.username !== username);
+  room.mailboxes.removeUser(username);
+  room.prekeys.delete(username);
+}
+
+// Remise à zéro de la séance : messages, attaques et files vidés, membres et clés conservés
+async function resetRoom(roomId, room) {
+  if (room.mitm) await stopMitm(room, roomId);
+  room.messages = [];
+  room.attacks = [];
+  room.mailboxes.clear();
+  room.replayInjections.clear();
+  storage.resetRoom(roomId, roomSnapshot(room));
+  roomSync.shareReset(roomId, roomParts(room));
+}
+
+// ===================== LIMITES ANTI-ABUS =====================
+// Un onglet qui s'emballe (boucle d'envoi, reconnexions en rafale) est freiné par
+// des seaux à jetons par socket et par IP, puis déconnecté s'il insiste : le reste
+// de la classe garde l'instance. Les charges chiffrées sont plafonnées en taille.
+const socketLimiter = new RateLimiter();
+const ipLimiter = new RateLimiter({ scale: abuseLimits.ipFactor });
+const PAYLOAD_FIELDS = ['encryptedData', 'sealedMessage', 'groupMessage', 'multiSealed'];
+const OVERSIZED_PAYLOAD_STRIKES = 5;
+
+// Derrière le proxy de Render (TRUST_PROXY=1), l'IP du client est dans X-Forwarded-For
+function clientAddress({ headers, address }) {
+  const forwarded = abuseLimits.trustProxy && headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : address;
+}
+
+function checkRate(socketId, ip, event) {
+  const bySocket = socketLimiter.consume(socketId, event);
+  if (!bySocket.allowed) return bySocket;
+  return ipLimiter.consume(ip, event);
+}
+
+function oversizedField(payload) {
+  if (!payload || typeof payload !== 'object') return null;
+  return PAYLOAD_FIELDS.find(field => payloadSize(payload[field]) > abuseLimits.maxPayloadBytes) || null;
+}
+
+// Inscription et connexion : limitées par IP (devinette de mots de passe)
+function authRateLimit(req, res, next) {
+  const limited = ipLimiter.consume(clientAddress({ headers: req.headers, address: req.socket.remoteAddress }), 'auth');
+  if (!limited.allowed) {
+    res.set('Retry-After', String(Math.ceil(limited.retryAfterMs / 1000)));
+    res.status(429).json({ ...errorReply(RATE_LIMITED, 'Trop de tentatives : réessayez plus tard'), retryAfterMs: limited.retryAfterMs });
+    return;
+  }
+  next();
 }
 
 // ===================== ROUTES =====================
@@ -77,123 +657,527 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     rooms: rooms.size,
+    storage: storage?.name,
+    broker: broker?.name,
+    instance: instanceId,
     sealedSender: {
-      serverSigningPublicKeyJWK
+      serverSigningPublicKeyJWK,
+      trustRoots: caKeystore?.trustRoots()
     },
     timestamp: new Date().toISOString()
   });
 });
 
+// Racines de confiance de la CA (clé active + clés retirées encore valides)
+app.get('/ca/trust-roots', (req, res) => {
+  res.json(caKeystore.trustRoots());
+});
+
+// Liste de révocation signée (appareils déclarés compromis)
+app.get('/ca/revocations', async (req, res) => {
+  res.json(await publishRevocations());
+});
+
+// Comptes : inscription puis connexion, chacune renvoie un jeton de session
+app.post('/auth/register', authRateLimit, async (req, res) => {
+  const { username, password } = req.body || {};
+  try {
+    await accounts.register(username, password);
+  } catch (error) {
+    const taken = accounts.has(username);
+    res.status(taken ? 409 : 400).json(errorReply(taken ? CONFLICT : INVALID_PAYLOAD, error.message));
+    return;
+  }
+  res.status(201).json(accounts.issueToken(username));
+});
+
+// Même refus pour un nom inconnu et un mauvais mot de passe
+app.post('/auth/login', authRateLimit, async (req, res) => {
+  const { username, password } = req.body || {};
+  if (!await accounts.authenticate(username, password)) {
+    console.log(`⛔ Connexion refusée pour ${username}`);
+    res.status(401).json(errorReply(UNAUTHORIZED, 'Nom ou mot de passe invalide'));
+    return;
+  }
+  res.json(accounts.issueToken(username));
+});
+
 // ===================== SOCKET.IO =====================
+// Poignée de main : le jeton de session fixe le nom du membre pour toute la
+// connexion. Sans jeton, la socket reste anonyme et ne peut rejoindre aucune room.
+const IDENTITY_CHALLENGE_TTL = 60 * 1000;
+
+// Refus de poignée de main : le client reçoit `code` dans `connect_error.data`
+function handshakeError(code, message) {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+}
+
+// Reconnexions en rafale depuis une même adresse
+io.use((socket, next) => {
+  const limited = ipLimiter.consume(clientAddress(socket.handshake), 'connection');
+  if (!limited.allowed) {
+    next(handshakeError(RATE_LIMITED, 'Trop de connexions depuis cette adresse : réessayez plus tard'));
+    return;
+  }
+  next();
+});
+
+io.use((socket, next) => {
+  const token = socket.handshake.auth?.token;
+  if (!token) {
+    socket.data.username = null;
+    next();
+    return;
+  }
+
+  const username = accounts.verifyToken(token);
+  if (!username) {
+    next(handshakeError(UNAUTHORIZED, 'Jeton de session invalide ou expiré'));
+    return;
+  }
+  socket.data.username = username;
+  next();
+});
+
+// Le nom annoncé doit être celui de la session
+function sessionError(socket, username) {
+  if (!socket.data.username) return 'Session requise : connectez-vous avec votre mot de passe';
+  if (username !== socket.data.username) return `Session ouverte pour ${socket.data.username}, pas pour ${username}`;
+  return null;
+}
+
 io.on('connection', (socket) => {
-  console.log('✅ Utilisateur connecté:', socket.id);
+  console.log('✅ Utilisateur connecté:', socket.id, socket.data.username ? `(${socket.data.username})` : '(anonyme)');
 
   let currentRoom = null;
   let currentUsername = null;
+  let currentDeviceId = DEFAULT_DEVICE_ID;
+  let identityChallenge = null; // { challenge, ephemeralPrivateKey, expiresAt } à usage unique
 
-  // Rejoindre une simulation
-  socket.on('join-simulation', async ({ roomId, username, publicKey, publicKeyFingerprint, identityKey }) => {
-    console.log(`👤 ${username} rejoint la room ${roomId}`);
+  const clientIp = clientAddress(socket.handshake);
+  const strikes = new TokenBucket(STRIKE_LIMIT);
 
-    if (currentRoom) {
-      socket.leave(currentRoom);
+  // Refus typé : par l'ack s'il y en a un, sinon par l'événement `event-error`
+  // (voir src/utils/ErrorCodes.js)
+  const fail = (event, callback, code, message) => {
+    if (typeof callback === 'function') {
+      callback(errorReply(code, message));
+    } else {
+      socket.emit('event-error', { event, ...errorReply(code, message) });
     }
+  };
 
-    currentRoom = roomId;
-    currentUsername = username;
+  // Événements émis depuis une room : seuls ses membres présents (ni partis ni exclus)
+  // passent. Renvoie la room, ou null une fois le refus envoyé (voir server/roomAccess.js)
+  const memberRoom = (event, roomId, callback) => {
+    const room = rooms.get(roomId);
+    const denied = memberError(room, roomId, { currentRoom, username: currentUsername });
+    if (denied) {
+      console.log(`⛔ ${event} refusé (${currentUsername || 'anonyme'} -> ${roomId}): ${denied.error}`);
+      fail(event, callback, denied.code, denied.error);
+      return null;
+    }
+    return room;
+  };
 
-    if (!rooms.has(roomId)) {
-      rooms.set(roomId, {
-        users: [],
-        messages: [],
-        attacks: [],
-        sessions: new Map(),
-        createdAt: Date.now()
+  // Refus structuré (ack + `abuse-error`) ; trop de refus rapprochés et la socket est coupée
+  const rejectPacket = ({ event, code, message, retryAfterMs, ack, cost = 1 }) => {
+    const disconnected = !strikes.take(cost);
+    ack?.(errorReply(code, message));
+    socket.emit('abuse-error', { code, event, message, retryAfterMs, disconnected });
+    if (disconnected) {
+      console.log(`🚫 ${currentUsername || 'anonyme'} (${clientIp}) déconnecté : trop de refus (${code} sur ${event})`);
+      socket.disconnect(true);
+    }
+  };
+
+  socket.use((packet, next) => {
+    const [event, payload] = packet;
+    const last = packet[packet.length - 1];
+    const ack = typeof last === 'function' ? last : null;
+
+    const rate = checkRate(socket.id, clientIp, event);
+    if (!rate.allowed) {
+      rejectPacket({
+        event,
+        code: RATE_LIMITED,
+        message: `Trop d'événements ${event} : réessayez dans ${Math.ceil(rate.retryAfterMs / 1000)} s`,
+        retryAfterMs: rate.retryAfterMs,
+        ack
+      });
+      return;
+    }
+
+    const field = oversizedField(payload);
+    if (field) {
+      rejectPacket({
+        event,
+        code: PAYLOAD_TOO_LARGE,
+        message: `${field} dépasse ${abuseLimits.maxPayloadBytes} octets`,
+        ack,
+        cost: OVERSIZED_PAYLOAD_STRIKES
       });
-      console.log(`📦 Nouvelle room créée: ${roomId}`);
+      return;
+    }
+
+    // Charge utile conforme au schéma de l'événement (server/schemas.js)
+    const violation = validatePayload(event, payload);
+    if (violation) {
+      console.log(`⛔ ${event} refusé (${currentUsername || 'anonyme'}): ${violation}`);
+      fail(event, ack, INVALID_PAYLOAD, violation);
+      return;
+    }
+    next();
+  });
+
+  // Créer une room : le membre connecté en devient propriétaire
+  socket.on('create-room', async ({ roomId, password, inviteOnly }, callback) => {
+    if (!socket.data.username) {
+      fail('create-room', callback, UNAUTHORIZED, 'Session requise : connectez-vous avec votre mot de passe');
+      return;
+    }
+    if (!roomId.trim()) {
+      fail('create-room', callback, INVALID_PAYLOAD, 'Identifiant de room invalide (1 à 64 caractères)');
+      return;
+    }
+    if (rooms.has(roomId)) {
+      fail('create-room', callback, CONFLICT, `La room ${roomId} existe déjà : rejoignez-la`);
+      return;
+    }
+    if (rooms.size >= abuseLimits.maxRooms) {
+      console.log(`🚫 Room ${roomId} refusée : ${rooms.size} rooms ouvertes (MAX_ROOMS)`);
+      fail('create-room', callback, ROOM_LIMIT, `Le serveur a atteint sa limite de ${abuseLimits.maxRooms} rooms`);
+      return;
+    }
+    const owned = [...rooms.values()].filter(r => r.access.owner === socket.data.username).length;
+    if (owned >= abuseLimits.maxRoomsPerOwner) {
+      fail('create-room', callback, ROOM_LIMIT, `Vous possédez déjà ${owned} room(s) (limite ${abuseLimits.maxRoomsPerOwner})`);
+      return;
+    }
+
+    let access;
+    try {
+      access = await RoomAccess.create({ owner: socket.data.username, password, inviteOnly });
+    } catch (error) {
+      fail('create-room', callback, INVALID_PAYLOAD, error.message);
+      return;
+    }
+    // Créée entre-temps par quelqu'un d'autre (hachage du mot de passe en cours)
+    if (rooms.has(roomId)) {
+      fail('create-room', callback, CONFLICT, `La room ${roomId} existe déjà : rejoignez-la`);
+      return;
+    }
+
+    const room = createRoomState();
+    room.access = access;
+    rooms.set(roomId, room);
+    persistRoom(roomId, room);
+
+    const mode = access.password ? 'mot de passe' : access.inviteOnly ? 'sur invitation' : 'ouverte';
+    console.log(`📦 Nouvelle room créée: ${roomId} par ${socket.data.username} (${mode})`);
+    callback?.({ created: true, access: access.publicView() });
+  });
+
+  // Rejoindre une simulation
+  socket.on('join-simulation', async ({
+    roomId,
+    username,
+    publicKey,
+    publicKeyFingerprint,
+    sealingKey,
+    sealedVersions,
+    accessKey,
+    unrestrictedAccess,
+    identityKey,
+    deviceId,
+    roomPassword,
+    invite,
+    proof
+  }, callback) => {
+    const refuse = (code, reason) => {
+      console.log(`⛔ Join refusé (${username}): ${reason}`);
+      fail('join-simulation', callback, code, reason);
+    };
+
+    const authError = sessionError(socket, username);
+    if (authError) {
+      refuse(UNAUTHORIZED, authError);
+      return;
     }
 
     const room = rooms.get(roomId);
+    if (!room) {
+      refuse(ROOM_NOT_FOUND, `Room ${roomId} introuvable : créez-la d'abord`);
+      return;
+    }
+
+    // Room d'avant le contrôle d'accès : le premier membre à la rejoindre en devient propriétaire
+    let accessChanged = false;
+    if (!room.access.owner) {
+      room.access.owner = username;
+      accessChanged = true;
+      console.log(`👑 ${username} propriétaire de ${roomId} (room sans propriétaire)`);
+    }
+
+    // Clé d'identité déjà liée au compte dans cette room : le jeton ne suffit pas,
+    // il faut prouver la posséder (défi `rejoin-challenge`) pour rejoindre et relier
+    const pendingChallenge = identityChallenge;
+    identityChallenge = null;
+    const proven = await accounts.verifyIdentity(username, roomId, pendingChallenge, proof);
+    if (accounts.identityKeyOf(username, roomId) && !proven) {
+      refuse(UNAUTHORIZED, 'Preuve de possession de la clé d\'identité liée au compte requise');
+      return;
+    }
+
+    const roleBefore = room.access.roleOf(username);
+    const admission = await room.access.admit({
+      roomId,
+      username,
+      // Seul un membre qui a prouvé son identité est dispensé de mot de passe et d'invitation
+      member: proven && room.users.some(u => u.username === username),
+      password: roomPassword,
+      invite
+    });
+    if (admission.error) {
+      refuse(UNAUTHORIZED, admission.error);
+      return;
+    }
+    accessChanged = accessChanged || admission.role !== roleBefore;
+    console.log(`👤 ${username} rejoint la room ${roomId} (${admission.role})`);
 
-    // Certificat Sealed Sender signé par le serveur
+    if (currentRoom) {
+      socket.leave(currentRoom);
+    }
+
+    currentRoom = roomId;
+    currentUsername = username;
+    currentDeviceId = Number.isInteger(deviceId) && deviceId > 0 ? deviceId : DEFAULT_DEVICE_ID;
+
+    // Certificat Sealed Sender signé par le serveur (jamais pour une clé révoquée)
     let certificate = null;
     try {
-      if (identityKey) {
+      if (identityKey && revocationList.isKeyRevoked(username, identityKey)) {
+        console.log(`⛔ Clé d'identité révoquée pour ${username} : pas de certificat`);
+        socket.emit('certificate-refused', { reason: 'Clé d\'identité révoquée : générez de nouvelles clés' });
+      } else if (identityKey) {
         certificate = await issueSenderCertificate(username, identityKey);
       }
     } catch (e) {
       console.error('❌ Erreur émission certificat:', e);
     }
+    // Nouvelles clés : la prochaine reconnexion devra prouver la possession de celle-ci
+    await accounts.bindIdentityKey(username, roomId, identityKey);
 
     const user = {
       id: socket.id,
       username,
       publicKey,
       publicKeyFingerprint,
+      ...sealedSenderCapabilities(sealingKey, sealedVersions),
+      accessKey: isAccessKey(accessKey) ? accessKey : null,
+      unrestrictedAccess: !!unrestrictedAccess,
       identityKey,
       certificate,
+      online: true,
       joinedAt: Date.now()
     };
 
     const existingUserIndex = room.users.findIndex(u => u.username === username);
     if (existingUserIndex !== -1) {
-      room.users[existingUserIndex].id = socket.id;
+      // Nouvelles clés à chaque join : la fiche doit refléter l'identité courante
+      room.users[existingUserIndex] = {
+        ...room.users[existingUserIndex],
+        ...user,
+        joinedAt: room.users[existingUserIndex].joinedAt
+      };
       console.log(`🔄 ${username} reconnecté`);
     } else {
       room.users.push(user);
     }
+    room.mailboxes.registerDevice(username, currentDeviceId);
+    persistRoom(roomId, room);
 
     socket.join(roomId);
 
+    // Journal de la room (vue de la classe) + ce qui attend cet appareil
     socket.emit('room-state', {
-      messages: room.messages,
+      messages: messagesViewFor(room, username),
+      pending: room.mailboxes.pending(username, currentDeviceId),
       attacks: room.attacks,
-      users: room.users,
-      serverSigningPublicKey: serverSigningPublicKeyJWK
+      users: await usersViewFor(room, username),
+      serverSigningPublicKey: serverSigningPublicKeyJWK,
+      trustRoots: caKeystore.trustRoots(),
+      revocations: await publishRevocations(),
+      realAttacks: room.realAttacks,
+      observerBroadcast: room.observerBroadcast,
+      access: room.access.publicView()
     });
 
-    socket.to(roomId).emit('user-joined', {
-      user,
-      users: room.users,
-      serverSigningPublicKey: serverSigningPublicKeyJWK
-    });
+    await broadcastUserJoined(socket, room, roomId, user);
+    if (accessChanged) broadcastAccess(roomId, room);
 
     console.log(`📊 Room ${roomId}: ${room.users.length} utilisateur(s)`);
+    callback?.({ joined: true, role: admission.role });
+  });
+
+  // Défi d'identité (join sur une room déjà liée, reconnexion) : clé éphémère + nonce,
+  // valable une fois et une minute
+  socket.on('rejoin-challenge', async (_, callback) => {
+    if (!socket.data.username) {
+      fail('rejoin-challenge', callback, UNAUTHORIZED, 'Session requise : connectez-vous avec votre mot de passe');
+      return;
+    }
+    const { challenge, ephemeralPrivateKey } = await createIdentityChallenge();
+    identityChallenge = { challenge, ephemeralPrivateKey, expiresAt: Date.now() + IDENTITY_CHALLENGE_TTL };
+    callback?.({ challenge });
   });
 
-  // Reconnexion automatique
-  socket.on('rejoin-simulation', ({ roomId, username }) => {
+  // Reconnexion automatique : session + preuve de possession de la clé d'identité liée au compte
+  // Le client garde son historique : on ne lui renvoie que sa boîte aux lettres
+  socket.on('rejoin-simulation', async ({ roomId, username, deviceId, proof }, callback) => {
     console.log(`🔄 Tentative de reconnexion: ${username} -> ${roomId}`);
 
+    const refuse = (code, reason) => {
+      console.log(`⛔ Reconnexion refusée (${username}): ${reason}`);
+      fail('rejoin-simulation', callback, code, reason);
+    };
+
+    const authError = sessionError(socket, username);
+    if (authError) {
+      refuse(UNAUTHORIZED, authError);
+      return;
+    }
+
+    const pendingChallenge = identityChallenge;
+    identityChallenge = null;
+    if (!pendingChallenge || pendingChallenge.expiresAt < Date.now()) {
+      refuse(UNAUTHORIZED, 'Défi de reconnexion absent ou expiré');
+      return;
+    }
+
+    if (!await accounts.verifyIdentity(username, roomId, pendingChallenge, proof)) {
+      refuse(UNAUTHORIZED, 'Preuve de possession de la clé d\'identité invalide');
+      return;
+    }
+
     if (rooms.has(roomId)) {
       const room = rooms.get(roomId);
       const user = room.users.find(u => u.username === username);
 
       if (user) {
         user.id = socket.id;
+        user.online = true;
+        persistRoom(roomId, room);
         currentRoom = roomId;
         currentUsername = username;
+        currentDeviceId = Number.isInteger(deviceId) && deviceId > 0 ? deviceId : DEFAULT_DEVICE_ID;
+        room.mailboxes.registerDevice(username, currentDeviceId);
 
         socket.join(roomId);
 
+        const pending = room.mailboxes.pending(username, currentDeviceId);
         socket.emit('room-state', {
-          messages: room.messages,
+          pending,
           attacks: room.attacks,
-          users: room.users
+          users: await usersViewFor(room, username),
+          serverSigningPublicKey: serverSigningPublicKeyJWK,
+          trustRoots: caKeystore.trustRoots(),
+          revocations: await publishRevocations(),
+          realAttacks: room.realAttacks,
+          observerBroadcast: room.observerBroadcast,
+          access: room.access.publicView()
         });
 
-        console.log(`✅ ${username} reconnecté à ${roomId}`);
+        await broadcastUserJoined(socket, room, roomId, user);
+
+        notifyPrekeysLow(room, username);
+
+        console.log(`✅ ${username} reconnecté à ${roomId} (${pending.length} message(s) en attente)`);
+        callback?.({ joined: true });
+        return;
       }
     }
+    fail('rejoin-simulation', callback, rooms.has(roomId) ? USER_NOT_FOUND : ROOM_NOT_FOUND,
+      `${username} n'est plus membre de ${roomId} : rejoignez la room`);
+  });
+
+  // Publication du bundle X3DH (IK + SPK + lot d'OPK)
+  socket.on('publish-prekeys', ({ roomId, bundle }, callback) => {
+    const room = memberRoom('publish-prekeys', roomId, callback);
+    if (!room) return;
+
+    room.prekeys.publish(currentUsername, bundle);
+    sharePrekeys(roomId, room, currentUsername);
+    console.log(`🔑 Bundle X3DH publié par ${currentUsername} (${bundle.oneTimePreKeys?.length || 0} OPK)`);
+    callback?.({ published: true });
+
+    notifyPrekeysLow(room, currentUsername);
+  });
+
+  // Rotation de la SPK (les anciennes restent valides côté client pendant la fenêtre de grâce)
+  socket.on('update-signed-prekey', ({ roomId, signedPreKey }, callback) => {
+    const room = memberRoom('update-signed-prekey', roomId, callback);
+    if (!room) return;
+
+    if (!room.prekeys.updateSignedPreKey(currentUsername, signedPreKey)) {
+      fail('update-signed-prekey', callback, USER_NOT_FOUND, 'Aucun bundle X3DH publié : publiez d\'abord vos prekeys');
+      return;
+    }
+    sharePrekeys(roomId, room, currentUsername);
+    console.log(`🔄 SPK de ${currentUsername} renouvelée (id ${signedPreKey.id})`);
+    callback?.({ updated: true });
+  });
+
+  // Réapprovisionnement des OPK
+  socket.on('upload-one-time-prekeys', ({ roomId, oneTimePreKeys }, callback) => {
+    const room = memberRoom('upload-one-time-prekeys', roomId, callback);
+    if (!room) return;
+
+    const bundle = room.prekeys.addOneTimePreKeys(currentUsername, oneTimePreKeys);
+    if (!bundle) {
+      fail('upload-one-time-prekeys', callback, USER_NOT_FOUND, 'Aucun bundle X3DH publié : publiez d\'abord vos prekeys');
+      return;
+    }
+    sharePrekeys(roomId, room, currentUsername);
+    console.log(`🔑 ${currentUsername}: ${bundle.oneTimePreKeys.length} OPK disponibles`);
+    callback?.({ available: bundle.oneTimePreKeys.length });
+  });
+
+  // Récupération d'un bundle pour ouvrir une session X3DH (consomme une OPK)
+  // Réservée aux membres de la room : un anonyme ne peut pas vider le stock d'OPK
+  socket.on('fetch-prekey-bundle', async ({ roomId, username }, callback) => {
+    if (typeof callback !== 'function') return;
+
+    const room = memberRoom('fetch-prekey-bundle', roomId, callback);
+    if (!room) return;
+
+    if (room.mitm?.attack.intercepts(currentUsername, username) && room.prekeys.has(username)) {
+      console.log(`🕵️ MITM: bundle X3DH forgé de ${username} remis à ${currentUsername}`);
+      callback({ bundle: await room.mitm.attack.takeBundle(username) });
+      return;
+    }
+
+    const { bundle, error, code } = takeMemberBundle(room, username);
+    if (error) {
+      fail('fetch-prekey-bundle', callback, code, error);
+      return;
+    }
+    sharePrekeys(roomId, room, username);
+
+    console.log(`📦 Bundle X3DH de ${username} remis à ${currentUsername} (OPK: ${bundle.oneTimePreKeys[0]?.id ?? 'aucune'})`);
+    callback({ bundle });
+
+    notifyPrekeysLow(room, username);
   });
 
   // Initialisation de session chiffrée
-  socket.on('init-session', ({ roomId, recipientId, sessionData }) => {
+  socket.on('init-session', ({ roomId, recipientId, sessionData }, callback) => {
     console.log(`🔐 Initialisation session: ${socket.id} -> ${recipientId}`);
 
-    if (!rooms.has(roomId)) return;
-
-    const room = rooms.get(roomId);
+    const room = memberRoom('init-session', roomId, callback);
+    if (!room) return;
 
     if (!room.sessions.has(recipientId)) {
       room.sessions.set(recipientId, new Map());
@@ -207,88 +1191,272 @@ io.on('connection', (socket) => {
   });
 
   // Envoyer un message chiffré standard
-  socket.on('send-encrypted-message', ({ roomId, from, to, encryptedData }) => {
-    console.log(`📨 Message: ${from} -> ${to}`);
+  // L'expéditeur est le membre authentifié de la socket (session + join), pas un champ du client
+  socket.on('send-encrypted-message', ({ roomId, to, encryptedData }, callback) => {
+    const room = memberRoom('send-encrypted-message', roomId, callback);
+    if (!room) return;
+    console.log(`📨 Message: ${currentUsername} -> ${to}`);
 
-    if (!rooms.has(roomId)) {
-      console.log(`❌ Room ${roomId} n'existe pas`);
+    const message = {
+      id: `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      from: currentUsername,
+      to,
+      encryptedData,
+      timestamp: Date.now()
+    };
+
+    recordMessage(roomId, room, message);
+
+    routeMessage(room, message, socket);
+    callback?.({ id: message.id });
+  });
+
+  // Envoyer un message Sealed (serveur ne voit pas l'expéditeur, seulement la version)
+  // Jeton de remise du destinataire : contrôle sans identifier l'expéditeur ;
+  // sans jeton, l'envoi est identifié (expéditeur connu du serveur)
+  socket.on('send-sealed-message', async ({ roomId, to, sealedMessage, accessKey }, callback) => {
+    const room = memberRoom('send-sealed-message', roomId, callback);
+    if (!room) return;
+
+    const recipient = room.users.find(u => u.username === to);
+    if (!recipient) {
+      fail('send-sealed-message', callback, USER_NOT_FOUND, `Destinataire inconnu : ${to}`);
       return;
     }
 
-    const room = rooms.get(roomId);
+    const access = authorizeSealedSend([recipient], accessKey, currentUsername);
+    if (access.error) {
+      console.log(`⛔ Message SEALED refusé -> ${to}: ${access.error}`);
+      fail('send-sealed-message', callback, access.code, access.error);
+      return;
+    }
+    console.log(`📨 Message SEALED v${sealedMessage?.version ?? 1}: ${access.identified ? currentUsername : '???'} -> ${to}`);
 
     const message = {
       id: `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      from,
+      from: access.identified ? currentUsername : null,
       to,
-      encryptedData,
+      sealed: true,
+      identified: access.identified,
+      sealedMessage: await relayThroughMitm(room, roomId, currentUsername, to, sealedMessage, 'message'),
       timestamp: Date.now()
     };
 
-    room.messages.push(message);
-    if (room.messages.length > 1000) {
-      room.messages = room.messages.slice(-1000);
+    recordMessage(roomId, room, message);
+
+    routeMessage(room, message, socket);
+    callback?.({ id: message.id, identified: access.identified });
+  });
+
+  // Distribution d'une sender key (scellée, via la session pairwise) : routée au seul destinataire, non stockée
+  socket.on('send-sender-key', async ({ roomId, to, sealedMessage, accessKey }, callback) => {
+    const room = memberRoom('send-sender-key', roomId, callback);
+    if (!room) return;
+
+    const recipient = room.users.find(u => u.username === to);
+    if (!recipient) {
+      fail('send-sender-key', callback, USER_NOT_FOUND, `Destinataire inconnu : ${to}`);
+      return;
+    }
+    if (!recipient.online) {
+      console.log(`⚠️ ${to} hors ligne, sender key non remise`);
+      fail('send-sender-key', callback, USER_OFFLINE, `${to} hors ligne, sender key non remise`);
+      return;
+    }
+
+    const access = authorizeSealedSend([recipient], accessKey, currentUsername);
+    if (access.error) {
+      console.log(`⛔ Sender key SEALED refusée -> ${to}: ${access.error}`);
+      fail('send-sender-key', callback, access.code, access.error);
+      return;
     }
+    console.log(`🔑 Sender key SEALED: ${access.identified ? currentUsername : '???'} -> ${to}`);
 
-    io.to(roomId).emit('new-message', message);
+    io.to(recipient.id).emit('sender-key', {
+      sealedMessage: await relayThroughMitm(room, roomId, currentUsername, to, sealedMessage, 'sender-key'),
+      from: access.identified ? currentUsername : null
+    });
+    callback?.({ identified: access.identified });
   });
 
-  // Envoyer un message Sealed (serveur ne voit pas l'expéditeur)
-  socket.on('send-sealed-message', ({ roomId, to, sealedMessage }) => {
-    console.log(`📨 Message SEALED: ??? -> ${to}`);
+  // Comparateur : accusé de réception EN CLAIR. Le relais apprend qui a reçu ou lu
+  // quel message, et quand ; les vrais accusés sont des messages scellés ordinaires
+  socket.on('plaintext-receipt', ({ roomId, to, receiptType, messageIds }, callback) => {
+    const room = memberRoom('plaintext-receipt', roomId, callback);
+    if (!room) return;
 
-    if (!rooms.has(roomId)) {
-      console.log(`❌ Room ${roomId} n'existe pas`);
+    const recipient = room.users.find(u => u.username === to);
+    if (!recipient) {
+      fail('plaintext-receipt', callback, USER_NOT_FOUND, `Destinataire inconnu : ${to}`);
       return;
     }
 
-    const room = rooms.get(roomId);
+    console.log(`🧾 Accusé EN CLAIR: ${currentUsername} ${receiptType === 'read' ? 'a lu' : 'a reçu'} ${messageIds.join(', ')} de ${to} à ${new Date().toLocaleTimeString()}`);
+    if (recipient.online) {
+      io.to(recipient.id).emit('receipt', { from: currentUsername, receiptType, messageIds });
+    }
+  });
+
+  // Message de groupe (Sender Keys) : UN chiffré diffusé à toute la room
+  socket.on('send-group-message', async ({ roomId, groupMessage }, callback) => {
+    console.log(`📢 Message GROUPE: ${currentUsername} -> ${roomId}`);
+
+    const room = memberRoom('send-group-message', roomId, callback);
+    if (!room) return;
+
+    // Sender key volée pendant un MITM : le relais lit aussi le groupe
+    const stolenPlaintext = await room.mitm?.attack.readGroupMessage(currentUsername, groupMessage);
+    if (stolenPlaintext != null) {
+      reportInterception(room, roomId, { kind: 'groupe', from: currentUsername, to: 'groupe', plaintext: stolenPlaintext });
+    }
 
     const message = {
       id: `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      from: null,
-      to,
-      sealed: true,
-      sealedMessage,
+      from: currentUsername,
+      to: 'groupe',
+      group: true,
+      groupMessage,
       timestamp: Date.now()
     };
 
-    room.messages.push(message);
-    if (room.messages.length > 1000) {
-      room.messages = room.messages.slice(-1000);
-    }
+    recordMessage(roomId, room, message);
 
-    io.to(roomId).emit('new-message', message);
+    routeMessage(room, message, socket);
+    callback?.({ id: message.id });
   });
 
-  // Indicateur de frappe
-  socket.on('user-typing', ({ roomId, username }) => {
-    if (!typingUsers.has(roomId)) {
-      typingUsers.set(roomId, new Set());
+  // Message de groupe scellé une seule fois pour N membres : le relais découpe une
+  // tranche par destinataire (clé de message enveloppée + chiffré commun) sans
+  // apprendre l'expéditeur
+  socket.on('send-multi-sealed-message', async ({ roomId, multiSealed, accessKey }, callback) => {
+    const room = memberRoom('send-multi-sealed-message', roomId, callback);
+    if (!room) return;
+
+    const recipients = multiSealed.recipients.map(({ to }) => room.users.find(u => u.username === to));
+    const unknown = multiSealed.recipients.find((_, i) => !recipients[i]);
+    if (unknown) {
+      fail('send-multi-sealed-message', callback, USER_NOT_FOUND, `Destinataire inconnu : ${unknown.to}`);
+      return;
     }
-    typingUsers.get(roomId).add(username);
-    socket.to(roomId).emit('user-typing', { username });
 
-    setTimeout(() => {
-      if (typingUsers.has(roomId)) {
-        typingUsers.get(roomId).delete(username);
+    const access = authorizeSealedSend(recipients, accessKey, currentUsername);
+    if (access.error) {
+      console.log(`⛔ Message GROUPE SEALED refusé: ${access.error}`);
+      fail('send-multi-sealed-message', callback, access.code, access.error);
+      return;
+    }
+    const fanoutId = `fanout-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    let stolenPlaintext = null;
+    let delivered = 0;
+
+    for (const { to } of multiSealed.recipients) {
+      let slice;
+      try {
+        slice = sliceMultiRecipientEnvelope(multiSealed, to);
+      } catch (error) {
+        console.log(`⚠️ Tranche pour ${to} invalide: ${error.message}`);
+        continue;
       }
-    }, 5000);
+      const relayed = await relaySliceThroughMitm(room, currentUsername, to, slice);
+      stolenPlaintext ??= relayed.plaintext;
+
+      const message = {
+        id: `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        from: access.identified ? currentUsername : null,
+        to,
+        sealed: true,
+        identified: access.identified,
+        group: true,
+        fanoutId,
+        sealedMessage: relayed.slice,
+        timestamp: Date.now()
+      };
+      recordMessage(roomId, room, message);
+      routeMessage(room, message, socket);
+      delivered++;
+    }
+
+    if (stolenPlaintext != null) {
+      reportInterception(room, roomId, { kind: 'groupe', from: currentUsername, to: 'groupe', plaintext: stolenPlaintext });
+    }
+    console.log(`📢 Message GROUPE SEALED v${multiSealed.version}: ${access.identified ? currentUsername : '???'} -> ${delivered} tranche(s)`);
+    callback?.({ fanoutId, delivered, identified: access.identified });
   });
 
-  socket.on('stop-typing', ({ roomId, username }) => {
-    if (typingUsers.has(roomId)) {
-      typingUsers.get(roomId).delete(username);
+  // Accusé de remise d'un appareil : le message quitte sa boîte aux lettres
+  socket.on('ack-message', ({ roomId, messageId }, callback) => {
+    const room = memberRoom('ack-message', roomId, callback);
+    if (!room) return;
+
+    const acknowledged = room.mailboxes.acknowledge(currentUsername, currentDeviceId, messageId);
+    if (acknowledged) {
+      persistRoom(roomId, room);
+      console.log(`📬 ${messageId} remis à ${currentUsername}#${currentDeviceId}`);
     }
+    callback?.({ acknowledged });
   });
 
-  // Lancer une attaque
-  socket.on('launch-attack', ({ roomId, attackType, target }) => {
-    console.log(`⚠️ Attaque ${attackType} sur ${target} dans ${roomId}`);
+  // TreeKEM : abonnement au flux de commits d'un groupe (+ historique pour rattrapage)
+  socket.on('treekem-join', ({ roomId }, callback) => {
+    if (!memberRoom('treekem-join', roomId, callback)) return;
+
+    const group = getTreeKemGroup(roomId);
+    socket.join(`treekem:${roomId}`);
+    callback?.({ epoch: group.epoch, log: group.log });
+  });
 
-    if (!rooms.has(roomId)) return;
+  // TreeKEM : commit (propositions + chemin) et Welcome des membres ajoutés
+  socket.on('treekem-commit', ({ roomId, commit, welcomes = [] }, callback) => {
+    if (!memberRoom('treekem-commit', roomId, callback)) return;
+    if (!socket.rooms.has(`treekem:${roomId}`)) {
+      fail('treekem-commit', callback, UNAUTHORIZED, 'Abonnez-vous au groupe (treekem-join) avant de committer');
+      return;
+    }
+
+    const group = getTreeKemGroup(roomId);
+    const result = group.commit(commit, welcomes);
+    if (result.error) {
+      console.log(`⛔ Commit TreeKEM refusé (${roomId}, ${currentUsername}): ${result.error}`);
+      // L'epoch courante accompagne le refus : le client se resynchronise
+      if (typeof callback === 'function') callback(result);
+      else fail('treekem-commit', callback, result.code, result.error);
+      return;
+    }
+
+    console.log(`🌳 Commit TreeKEM ${roomId}: epoch ${group.epoch} (${commit.proposals?.length || 0} proposition(s))`);
+    callback?.({ accepted: true, epoch: group.epoch });
+    socket.to(`treekem:${roomId}`).emit('treekem-commit', result.entry);
+  });
+
+  // Indicateur de frappe
+  // Un seul minuteur par membre : chaque frappe repousse l'expiration au lieu d'en créer un
+  socket.on('user-typing', ({ roomId }) => {
+    const username = currentUsername;
+    if (!username || roomId !== currentRoom) return;
+
+    const typing = typingUsers.get(roomId) || new Map();
+    typingUsers.set(roomId, typing);
+    clearTimeout(typing.get(username));
+    typing.set(username, setTimeout(() => stopTyping(roomId, username), TYPING_TIMEOUT));
+    socket.to(roomId).emit('user-typing', { username });
+  });
+
+  socket.on('stop-typing', ({ roomId }) => {
+    stopTyping(roomId, currentUsername);
+  });
 
+  // Lancer une attaque (propriétaire et instructeurs seulement)
+  socket.on('launch-attack', async ({ roomId, attackType, target, options = {} }, callback) => {
     const room = rooms.get(roomId);
+    const accessError = instructorError(room, roomId, currentUsername);
+    if (accessError) {
+      console.log(`⛔ Attaque refusée (${currentUsername}): ${accessError.error}`);
+      fail('launch-attack', callback, accessError.code, accessError.error);
+      return;
+    }
+    console.log(`⚠️ Attaque ${attackType} sur ${target} dans ${roomId}`);
+
+    const real = attackType === 'MITM' && room.realAttacks;
 
     const attack = {
       id: `attack-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
@@ -296,16 +1464,371 @@ io.on('connection', (socket) => {
       target,
       launchedBy: currentUsername,
       status: 'active',
+      real,
       timestamp: Date.now()
     };
 
-    room.attacks.push(attack);
+    room.attacks = pruneAttacks([...room.attacks, attack], retention);
+    persistRoom(roomId, room);
+
+    // MITM réel : actif jusqu'à son arrêt explicite (une seule cible à la fois)
+    if (real) {
+      if (room.mitm) await stopMitm(room, roomId);
+
+      attack.intercepted = [];
+      room.mitm = {
+        attack: new MitmAttack({
+          target,
+          issueCertificate: issueSenderCertificate,
+          resolveTrustRoot: (keyId) => caKeystore.resolve(keyId)
+        }),
+        record: attack
+      };
+      io.to(roomId).emit('attack-launched', attack);
+      await pushTargetView(room, roomId, target);
+      console.log(`🕵️ MITM réel lancé sur ${target}`);
+      callback?.({ attackId: attack.id });
+      return;
+    }
+
+    if (attackType === 'replay') {
+      Object.assign(attack, {
+        timestampMode: REPLAY_TIMESTAMP_MODES.includes(options.timestampMode) ? options.timestampMode : 'original',
+        replayed: 0,
+        blocked: 0,
+        detections: Object.fromEntries(REPLAY_CHECKS.map(check => [check, 0]))
+      });
+    }
+
     io.to(roomId).emit('attack-launched', attack);
 
+    if (attackType === 'replay') {
+      injectReplays(room, attack);
+      persistRoom(roomId, room);
+      io.to(roomId).emit('attack-updated', attack);
+      console.log(`🔁 ${attack.replayed} message(s) rejoué(s) vers ${target} (horodatage: ${attack.timestampMode})`);
+    }
+
     setTimeout(() => {
       attack.status = 'stopped';
+      if (rooms.get(roomId) === room) persistRoom(roomId, room);
       io.to(roomId).emit('attack-stopped', attack);
     }, 30000);
+    callback?.({ attackId: attack.id });
+  });
+
+  // Rejeu bloqué côté client : attribué à l'attaque qui l'a injecté (une fois par message)
+  socket.on('replay-detected', ({ roomId, messageId, check }, callback) => {
+    const room = memberRoom('replay-detected', roomId, callback);
+    if (!room) return;
+
+    const attackId = room.replayInjections.get(messageId);
+    const attack = room.attacks.find(a => a.id === attackId);
+    if (!attack || attack.target !== currentUsername) return;
+
+    room.replayInjections.delete(messageId);
+    attack.blocked++;
+    attack.detections[check]++;
+    persistRoom(roomId, room);
+    console.log(`🛡️ Rejeu bloqué par ${currentUsername} (${check})`);
+    io.to(roomId).emit('attack-updated', attack);
+  });
+
+  socket.on('stop-attack', async ({ roomId, attackId }, callback) => {
+    const room = rooms.get(roomId);
+    const accessError = instructorError(room, roomId, currentUsername);
+    if (accessError) {
+      fail('stop-attack', callback, accessError.code, accessError.error);
+      return;
+    }
+    if (room.mitm?.record.id === attackId) {
+      await stopMitm(room, roomId);
+    }
+    callback?.({ stopped: attackId });
+  });
+
+  // Instructeur : exclure un membre (il ne pourra revenir qu'une fois réadmis)
+  socket.on('instructor-kick', async ({ roomId, username: target }, callback) => {
+    const room = rooms.get(roomId);
+    const accessError = instructorError(room, roomId, currentUsername);
+    if (accessError) {
+      fail('instructor-kick', callback, accessError.code, accessError.error);
+      return;
+    }
+    if (target === room.access.owner || target === currentUsername) {
+      fail('instructor-kick', callback, UNAUTHORIZED, 'Le propriétaire ne peut pas être exclu, ni vous-même');
+      return;
+    }
+    if (room.access.roleOf(target) === ROLE_INSTRUCTOR && room.access.roleOf(currentUsername) !== ROLE_OWNER) {
+      fail('instructor-kick', callback, UNAUTHORIZED, 'Seul le propriétaire peut exclure un instructeur');
+      return;
+    }
+    const user = room.users.find(u => u.username === target);
+    if (!user) {
+      fail('instructor-kick', callback, USER_NOT_FOUND, `Membre ${target} introuvable`);
+      return;
+    }
+
+    room.access.banned.add(target);
+    room.access.setInstructor(target, false);
+    removeMember(room, target);
+    if (room.mitm?.record.target === target) await stopMitm(room, roomId);
+    persistRoom(roomId, room);
+    sharePrekeys(roomId, room, target);
+
+    // Sa socket est coupée (sur n'importe quelle instance) : plus rien ne lui est
+    // diffusé et elle perd sa room courante ; revenir exige un nouveau join
+    io.to(user.id).emit('kicked', { roomId, by: currentUsername });
+    io.in(user.id).disconnectSockets(true);
+    io.to(roomId).emit('user-kicked', { username: target, by: currentUsername });
+    broadcastAccess(roomId, room);
+
+    console.log(`🚪 ${target} exclu de ${roomId} par ${currentUsername}`);
+    callback?.({ kicked: target });
+  });
+
+  socket.on('instructor-unban', ({ roomId, username: target }, callback) => {
+    const room = rooms.get(roomId);
+    const accessError = instructorError(room, roomId, currentUsername);
+    if (accessError) {
+      fail('instructor-unban', callback, accessError.code, accessError.error);
+      return;
+    }
+
+    room.access.banned.delete(target);
+    persistRoom(roomId, room);
+    broadcastAccess(roomId, room);
+    console.log(`↩️ ${target} réadmis dans ${roomId} par ${currentUsername}`);
+    callback?.({ unbanned: target });
+  });
+
+  // Instructeur : plus aucun nouveau membre (les membres actuels restent et se reconnectent)
+  socket.on('instructor-lock', ({ roomId, locked }, callback) => {
+    const room = rooms.get(roomId);
+    const accessError = instructorError(room, roomId, currentUsername);
+    if (accessError) {
+      fail('instructor-lock', callback, accessError.code, accessError.error);
+      return;
+    }
+
+    room.access.locked = !!locked;
+    persistRoom(roomId, room);
+    broadcastAccess(roomId, room);
+    console.log(`${room.access.locked ? '🔒' : '🔓'} Room ${roomId} ${room.access.locked ? 'verrouillée' : 'déverrouillée'} par ${currentUsername}`);
+    callback?.({ locked: room.access.locked });
+  });
+
+  // Propriétaire : nommer ou retirer un instructeur
+  socket.on('instructor-set-role', ({ roomId, username: target, instructor }, callback) => {
+    const room = rooms.get(roomId);
+    if (!room) {
+      fail('instructor-set-role', callback, ROOM_NOT_FOUND, `Room ${roomId} introuvable`);
+      return;
+    }
+    if (room.access.roleOf(currentUsername) !== ROLE_OWNER) {
+      fail('instructor-set-role', callback, UNAUTHORIZED, 'Seul le propriétaire de la room nomme les instructeurs');
+      return;
+    }
+    if (target === currentUsername || !room.users.some(u => u.username === target)) {
+      fail('instructor-set-role', callback, USER_NOT_FOUND, `Membre ${target} introuvable`);
+      return;
+    }
+
+    room.access.setInstructor(target, !!instructor);
+    persistRoom(roomId, room);
+    broadcastAccess(roomId, room);
+    console.log(`🎓 ${target} ${instructor ? 'nommé instructeur' : 'n\'est plus instructeur'} de ${roomId}`);
+    callback?.({ role: room.access.roleOf(target) });
+  });
+
+  // Invitation signée (seul le propriétaire invite des instructeurs)
+  socket.on('instructor-create-invite', ({ roomId, role, ttlHours }, callback) => {
+    const room = rooms.get(roomId);
+    const accessError = instructorError(room, roomId, currentUsername);
+    if (accessError) {
+      fail('instructor-create-invite', callback, accessError.code, accessError.error);
+      return;
+    }
+    if (role === ROLE_INSTRUCTOR && room.access.roleOf(currentUsername) !== ROLE_OWNER) {
+      fail('instructor-create-invite', callback, UNAUTHORIZED, 'Seul le propriétaire invite des instructeurs');
+      return;
+    }
+    if (role !== undefined && !INVITE_ROLES.includes(role)) {
+      fail('instructor-create-invite', callback, INVALID_PAYLOAD, `Rôle d'invitation inconnu : ${role}`);
+      return;
+    }
+
+    const invite = room.access.issueInvite(roomId, { role, ttlHours });
+    console.log(`✉️ Invitation ${invite.role} pour ${roomId} émise par ${currentUsername}`);
+    callback?.(invite);
+  });
+
+  socket.on('instructor-revoke-invites', ({ roomId }, callback) => {
+    const room = rooms.get(roomId);
+    const accessError = instructorError(room, roomId, currentUsername);
+    if (accessError) {
+      fail('instructor-revoke-invites', callback, accessError.code, accessError.error);
+      return;
+    }
+
+    room.access.revokeInvites();
+    persistRoom(roomId, room);
+    console.log(`✉️ Invitations de ${roomId} révoquées par ${currentUsername}`);
+    callback?.({ revoked: true });
+  });
+
+  // Instructeur : remise à zéro de la séance
+  socket.on('instructor-reset', async ({ roomId }, callback) => {
+    const room = rooms.get(roomId);
+    const accessError = instructorError(room, roomId, currentUsername);
+    if (accessError) {
+      fail('instructor-reset', callback, accessError.code, accessError.error);
+      return;
+    }
+
+    await resetRoom(roomId, room);
+    io.to(roomId).emit('room-reset', { by: currentUsername });
+    console.log(`🧹 Room ${roomId} remise à zéro par ${currentUsername}`);
+    callback?.({ reset: true });
+  });
+
+  // Interrupteur admin : autorise les attaques réelles dans une room
+  socket.on('admin-set-real-attacks', async ({ roomId, enabled, adminToken }, callback) => {
+    if (!ADMIN_TOKEN) {
+      fail('admin-set-real-attacks', callback, UNAUTHORIZED, 'Interrupteur admin désactivé (ADMIN_TOKEN non défini sur le serveur)');
+      return;
+    }
+    if (adminToken !== ADMIN_TOKEN) {
+      console.log(`⛔ Jeton admin invalide (${currentUsername})`);
+      fail('admin-set-real-attacks', callback, UNAUTHORIZED, 'Jeton admin invalide');
+      return;
+    }
+    if (!rooms.has(roomId)) {
+      fail('admin-set-real-attacks', callback, ROOM_NOT_FOUND, `Room ${roomId} introuvable`);
+      return;
+    }
+
+    const room = rooms.get(roomId);
+    room.realAttacks = !!enabled;
+    if (!room.realAttacks && room.mitm) await stopMitm(room, roomId);
+    persistRoom(roomId, room);
+
+    console.log(`🛠️ Attaques réelles ${room.realAttacks ? 'activées' : 'désactivées'} dans ${roomId}`);
+    io.to(roomId).emit('real-attacks-changed', { enabled: room.realAttacks });
+    callback?.({ enabled: room.realAttacks });
+  });
+
+  // Interrupteur admin : copies expurgées des messages des autres pour toute la room
+  socket.on('admin-set-observer-broadcast', ({ roomId, enabled, adminToken }, callback) => {
+    if (!ADMIN_TOKEN) {
+      fail('admin-set-observer-broadcast', callback, UNAUTHORIZED, 'Interrupteur admin désactivé (ADMIN_TOKEN non défini sur le serveur)');
+      return;
+    }
+    if (adminToken !== ADMIN_TOKEN) {
+      console.log(`⛔ Jeton admin invalide (${currentUsername})`);
+      fail('admin-set-observer-broadcast', callback, UNAUTHORIZED, 'Jeton admin invalide');
+      return;
+    }
+    if (!rooms.has(roomId)) {
+      fail('admin-set-observer-broadcast', callback, ROOM_NOT_FOUND, `Room ${roomId} introuvable`);
+      return;
+    }
+
+    const room = rooms.get(roomId);
+    room.observerBroadcast = !!enabled;
+    persistRoom(roomId, room);
+
+    console.log(`🛠️ Mode observateurs ${room.observerBroadcast ? 'activé' : 'désactivé'} dans ${roomId}`);
+    io.to(roomId).emit('observer-broadcast-changed', { enabled: room.observerBroadcast });
+    callback?.({ enabled: room.observerBroadcast });
+  });
+
+  // Racines de confiance à jour (certificat signé par une clé encore inconnue du client)
+  socket.on('get-trust-roots', (callback) => {
+    callback?.(caKeystore.trustRoots());
+  });
+
+  socket.on('get-revocations', async (callback) => {
+    callback?.(await publishRevocations());
+  });
+
+  // Nouvelle clé d'accès (clé de profil renouvelée : jetons des contacts révoqués)
+  // et/ou envois non identifiés acceptés de tous
+  socket.on('update-unidentified-access', ({ roomId, accessKey, unrestrictedAccess }, callback) => {
+    const room = memberRoom('update-unidentified-access', roomId, callback);
+    if (!room) return;
+    const user = room.users.find(u => u.username === currentUsername);
+    if (accessKey !== undefined && !isAccessKey(accessKey)) {
+      fail('update-unidentified-access', callback, INVALID_PAYLOAD, 'Clé d\'accès invalide');
+      return;
+    }
+
+    if (accessKey !== undefined) user.accessKey = accessKey;
+    if (unrestrictedAccess !== undefined) user.unrestrictedAccess = !!unrestrictedAccess;
+    persistRoom(roomId, room);
+
+    io.to(roomId).emit('unidentified-access-changed', {
+      username: currentUsername,
+      unrestrictedAccess: user.unrestrictedAccess
+    });
+    console.log(`🎟️ Accès non identifié de ${currentUsername} mis à jour${user.unrestrictedAccess ? ' (ouvert à tous)' : ''}`);
+    callback?.({ unrestrictedAccess: user.unrestrictedAccess });
+  });
+
+  // Renouvellement du certificat court (même clé d'identité, tant qu'elle n'est pas révoquée)
+  socket.on('renew-certificate', async ({ roomId }, callback) => {
+    const room = memberRoom('renew-certificate', roomId, callback);
+    if (!room) return;
+    const user = room.users.find(u => u.username === currentUsername);
+    if (!user.identityKey) {
+      fail('renew-certificate', callback, USER_NOT_FOUND, 'Aucune clé d\'identité annoncée au join');
+      return;
+    }
+    if (revocationList.isKeyRevoked(currentUsername, user.identityKey)) {
+      fail('renew-certificate', callback, UNAUTHORIZED, 'Clé d\'identité révoquée : générez de nouvelles clés');
+      return;
+    }
+
+    user.certificate = await issueSenderCertificate(currentUsername, user.identityKey);
+    persistRoom(roomId, room);
+    console.log(`📜 Certificat de ${currentUsername} renouvelé (jusqu'au ${SenderCertificate.decode(user.certificate).validUntil})`);
+    callback?.({ certificate: user.certificate });
+  });
+
+  // Appareil compromis : révocation par le membre lui-même, ou par l'admin pour un autre
+  socket.on('revoke-certificates', async ({ roomId, username: target = currentUsername, adminToken, reason }, callback) => {
+    const room = memberRoom('revoke-certificates', roomId, callback);
+    if (!room) return;
+    if (target !== currentUsername && (!ADMIN_TOKEN || adminToken !== ADMIN_TOKEN)) {
+      fail('revoke-certificates', callback, UNAUTHORIZED, 'Seul l\'admin peut révoquer les certificats d\'un autre membre');
+      return;
+    }
+
+    const user = room.users.find(u => u.username === target);
+    if (!user) {
+      fail('revoke-certificates', callback, USER_NOT_FOUND, `Membre ${target} introuvable`);
+      return;
+    }
+
+    await revocationList.revoke(target, user.identityKey, reason || 'appareil compromis');
+    user.certificate = null;
+    persistRoom(roomId, room);
+
+    io.emit('revocations-changed', { revocations: await publishRevocations(), username: target });
+    callback?.({ revoked: target });
+  });
+
+  // Rotation anticipée de la clé CA (même jeton que l'interrupteur d'attaques)
+  socket.on('admin-rotate-ca', async ({ adminToken }, callback) => {
+    if (!ADMIN_TOKEN || adminToken !== ADMIN_TOKEN) {
+      console.log(`⛔ Rotation CA refusée (${currentUsername})`);
+      fail('admin-rotate-ca', callback, UNAUTHORIZED, ADMIN_TOKEN ? 'Jeton admin invalide' : 'Rotation désactivée (ADMIN_TOKEN non défini sur le serveur)');
+      return;
+    }
+
+    const keyId = await caKeystore.rotate();
+    await onTrustRootsChanged();
+    callback?.({ keyId });
   });
 
   // Déconnexion
@@ -316,31 +1839,17 @@ io.on('connection', (socket) => {
       const room = rooms.get(currentRoom);
       const user = room.users.find(u => u.id === socket.id);
 
+      // Absent, pas parti : sa fiche, son bundle X3DH et ses boîtes aux lettres restent
+      // jusqu'à son exclusion ou l'expiration de la room, on peut toujours lui écrire
       if (user) {
+        user.online = false;
+        persistRoom(currentRoom, room);
         socket.to(currentRoom).emit('user-left', { username: user.username });
-
-        setTimeout(() => {
-          if (rooms.has(currentRoom)) {
-            const roomNow = rooms.get(currentRoom);
-            const userIndex = roomNow.users.findIndex(u => u.username === user.username);
-
-            if (userIndex !== -1 && roomNow.users[userIndex].id === socket.id) {
-              roomNow.users.splice(userIndex, 1);
-              console.log(`🗑️ ${user.username} supprimé après timeout`);
-
-              if (roomNow.users.length === 0) {
-                rooms.delete(currentRoom);
-                console.log(`🗑️ Room ${currentRoom} supprimée (vide)`);
-              }
-            }
-          }
-        }, 5 * 60 * 1000);
       }
     }
 
-    if (currentRoom && typingUsers.has(currentRoom)) {
-      typingUsers.get(currentRoom).delete(currentUsername);
-    }
+    if (currentRoom) stopTyping(currentRoom, currentUsername);
+    socketLimiter.forget(socket.id);
   });
 
   socket.on('error', (error) => {
@@ -349,20 +1858,39 @@ io.on('connection', (socket) => {
 });
 
 // ===================== NETTOYAGE PÉRIODIQUE =====================
-setInterval(() => {
+setInterval(async () => {
   const now = Date.now();
   const maxAge = 24 * 60 * 60 * 1000;
 
   for (const [roomId, room] of rooms.entries()) {
-    const lastActivity = room.messages.length > 0
-      ? room.messages[room.messages.length - 1].timestamp
-      : room.createdAt;
+    if (isRoomExpired(room, retention, now)) {
+      deleteRoom(roomId);
+      console.log(`🗑️ Room ${roomId} supprimée (inactive depuis > ${retention.roomMaxAge / 3600000}h)`);
+      continue;
+    }
 
-    if (now - lastActivity > maxAge) {
-      rooms.delete(roomId);
-      console.log(`🗑️ Room ${roomId} supprimée (inactive depuis > 24h)`);
+    // Élagage par âge et par taille, appliqué de la même façon par le backend et le broker
+    const kept = pruneMessages(room.messages, retention, now);
+    const keptIds = new Set(kept.map(message => message.id));
+    roomSync.forgetMessages(roomId, room.messages.filter(message => !keptIds.has(message.id)).map(message => message.id));
+    room.messages = kept;
+    room.mailboxes.prune(retention.messageMaxAge, now);
+  }
+  storage.prune(now);
+  socketLimiter.prune(now);
+  ipLimiter.prune(now);
+
+  for (const [roomId, group] of treeKemGroups.entries()) {
+    if (now - group.updatedAt > maxAge) {
+      treeKemGroups.delete(roomId);
+      console.log(`🗑️ Groupe TreeKEM ${roomId} supprimé (inactif depuis > 24h)`);
     }
   }
+
+  // Rotation planifiée de la clé CA
+  if (await caKeystore.rotateIfDue(now)) {
+    await onTrustRootsChanged();
+  }
 }, 60 * 60 * 1000);
 
 // ===================== DÉMARRAGE =====================
@@ -371,6 +1899,14 @@ async function startServer() {
     console.log('⏳ Initialisation du serveur...');
     await initServerKeys();
 
+    storage = await createStorage();
+    broker = await createBroker();
+    await syncServerStores();
+    roomSync = await new RoomSync({ broker, instanceId }).start(applyRemoteUpdate);
+    io.adapter(createBrokerAdapter(broker));
+    await io.of('/').adapter.ready;
+    await restoreRooms();
+
     const PORT = process.env.PORT || 10000;
 
     server.listen(PORT, '0.0.0.0', () => {
@@ -395,4 +1931,12 @@ process.on('uncaughtException', (error) => {
 
 process.on('unhandledRejection', (reason) => {
   console.error('❌ Promesse rejetée non gérée:', reason);
+});
+
+// Render envoie SIGTERM avant chaque redémarrage : on vide la file d'écriture
+process.on('SIGTERM', async () => {
+  console.log('🛑 Arrêt demandé, écriture du stockage...');
+  await storage?.close();
+  await broker?.close();
+  process.exit(0);
 });
\ No newline at end of file
@@ -0,0 +1,232 @@
+/**
+ * Comptes des membres et jetons de session du relais
+ *
+ * Inscription légère : nom + mot de passe (scrypt, sel aléatoire). Une
+ * connexion réussie donne un jeton de session signé (HMAC-SHA256, secret du
+ * serveur) que la poignée de main Socket.IO vérifie : le nom utilisé dans la
+ * room est celui du jeton, plus celui que le client annonce.
+ *
+ * Dans chaque room, le compte est lié à la clé d'identité de son premier join
+ * (le client garde une identité par room). Ensuite, join comme reconnexion
+ * (`rejoin-simulation`) doivent prouver la possession de cette clé (voir
+ * src/crypto/IdentityProof.js) ; seule cette preuve autorise à la remplacer.
+ * Un jeton volé ne suffit donc ni à reprendre la place d'un membre ni à lier
+ * la clé du voleur.
+ *
+ * Le secret de signature vient de SESSION_SECRET, le même sur chaque instance ;
+ * à défaut (instance seule), il est tiré au hasard et gardé dans le fichier.
+ * Il ne circule jamais par le broker : seuls les comptes modifiés y sont partagés.
+ *
+ * Fichier JSON en 0600 : comptes (jamais de mot de passe en clair) et, s'il n'est
+ * pas configuré, le secret.
+ */
+
+import { readFile, writeFile, mkdir, rename } from 'fs/promises';
+import { randomBytes, scrypt, createHmac, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import path from 'path';
+import { verifyIdentityProof } from '../src/crypto/IdentityProof.js';
+
+const scryptAsync = promisify(scrypt);
+
+const HOUR = 60 * 60 * 1000;
+const PASSWORD_MIN_LENGTH = 8;
+const HASH_LENGTH = 32;
+const USERNAME_PATTERN = /^[\p{L}\p{N}_.-]{1,32}$/u;
+// Sel des connexions à un compte inconnu : même coût scrypt que pour un vrai compte
+const DUMMY_SALT = randomBytes(16).toString('hex');
+
+const toBase64Url = (value) => Buffer.from(value).toString('base64url');
+
+export class AccountStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Chemin du fichier JSON
+   * @param {number} options.sessionTtlHours - Durée de validité d'un jeton de session
+   * @param {string} [options.secret] - Secret des jetons de session (SESSION_SECRET)
+   */
+  constructor({ file, sessionTtlHours = 12, secret = null }) {
+    this.file = file;
+    this.sessionTtl = sessionTtlHours * HOUR;
+    this.secret = secret || null;
+    this.secretConfigured = !!secret;
+    this.accounts = new Map(); // username -> { salt, hash, identityKeys: { roomId: JWK }, createdAt }
+    this.onSave = null; // ({ username: compte }) => partage avec les autres instances (server/storeSync.js)
+  }
+
+  async load() {
+    try {
+      const stored = JSON.parse(await readFile(this.file, 'utf8'));
+      if (!this.secretConfigured) this.secret = stored.secret;
+      this.accounts = new Map(Object.entries(stored.accounts || {}));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (!this.secret) {
+      this.secret = randomBytes(32).toString('hex');
+      await this.save();
+    }
+    console.log(`👤 ${this.accounts.size} compte(s) chargé(s)`);
+    return this;
+  }
+
+  /**
+   * Comptes partagés par une autre instance (null : compte supprimé) ; les autres
+   * comptes, dont ceux créés ici au même moment, sont gardés
+   */
+  async restoreRecords(records) {
+    for (const [username, account] of Object.entries(records)) {
+      if (account) this.accounts.set(username, account);
+      else this.accounts.delete(username);
+    }
+  }
+
+  // Comptes seuls, sans le secret : ce qui est partagé entre instances
+  toRecords() {
+    return Object.fromEntries(this.accounts);
+  }
+
+  toJSON() {
+    return {
+      ...(this.secretConfigured ? {} : { secret: this.secret }),
+      accounts: this.toRecords()
+    };
+  }
+
+  /**
+   * @param {string[]} [changed] - Comptes modifiés, partagés avec les autres instances
+   */
+  async save(changed = []) {
+    await mkdir(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    await writeFile(tmp, JSON.stringify(this.toJSON(), null, 2), { mode: 0o600 });
+    await rename(tmp, this.file);
+    if (changed.length > 0) {
+      await this.onSave?.(Object.fromEntries(changed.map(username => [username, this.accounts.get(username) || null])));
+    }
+  }
+
+  has(username) {
+    return this.accounts.has(username);
+  }
+
+  async hashPassword(password, salt) {
+    return (await scryptAsync(password, Buffer.from(salt, 'hex'), HASH_LENGTH)).toString('hex');
+  }
+
+  async register(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      throw new Error('Nom invalide (1 à 32 lettres, chiffres, . _ ou -)');
+    }
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+      throw new Error(`Mot de passe trop court (${PASSWORD_MIN_LENGTH} caractères minimum)`);
+    }
+    if (this.accounts.has(username)) {
+      throw new Error(`Le nom ${username} est déjà pris`);
+    }
+
+    const salt = randomBytes(16).toString('hex');
+    const hash = await this.hashPassword(password, salt);
+    // Inscrit entre-temps (hachage en cours) : le premier garde le nom
+    if (this.accounts.has(username)) {
+      throw new Error(`Le nom ${username} est déjà pris`);
+    }
+    this.accounts.set(username, {
+      salt,
+      hash,
+      identityKeys: {},
+      createdAt: Date.now()
+    });
+    await this.save([username]);
+    console.log(`👤 Compte ${username} créé`);
+  }
+
+  /**
+   * Nom inconnu et mauvais mot de passe coûtent le même scrypt : le temps de
+   * réponse ne dit pas quels noms ont un compte
+   *
+   * @returns {Promise<boolean>}
+   */
+  async authenticate(username, password) {
+    if (typeof password !== 'string') return false;
+    const account = this.accounts.get(username);
+
+    const hash = Buffer.from(await this.hashPassword(password, account?.salt || DUMMY_SALT), 'hex');
+    return !!account && timingSafeEqual(hash, Buffer.from(account.hash, 'hex'));
+  }
+
+  sign(payload) {
+    return createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Jeton de session : base64url(JSON { sub, iat, exp }) . base64url(HMAC)
+   *
+   * @returns {{token: string, expiresAt: number}}
+   */
+  issueToken(username) {
+    const issuedAt = Date.now();
+    const expiresAt = issuedAt + this.sessionTtl;
+    const payload = toBase64Url(JSON.stringify({ sub: username, iat: issuedAt, exp: expiresAt }));
+    return { token: `${payload}.${this.sign(payload)}`, expiresAt };
+  }
+
+  /**
+   * @returns {string|null} Nom du membre si le jeton est intact, non expiré et son compte existe
+   */
+  verifyToken(token) {
+    if (typeof token !== 'string') return null;
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(this.sign(payload));
+    const presented = Buffer.from(signature);
+    if (expected.length !== presented.length || !timingSafeEqual(expected, presented)) return null;
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+    if (!(claims.exp > Date.now()) || !this.accounts.has(claims.sub)) return null;
+    return claims.sub;
+  }
+
+  /**
+   * Lie le compte à la clé d'identité annoncée au join dans cette room. À n'appeler
+   * qu'après verifyIdentity() quand une clé y est déjà liée.
+   */
+  async bindIdentityKey(username, roomId, identityKey) {
+    const account = this.accounts.get(username);
+    if (!account) return;
+    account.identityKeys = account.identityKeys || {};
+    if (identityKey) {
+      account.identityKeys[roomId] = identityKey;
+    } else {
+      delete account.identityKeys[roomId];
+    }
+    await this.save([username]);
+  }
+
+  identityKeyOf(username, roomId) {
+    return this.accounts.get(username)?.identityKeys?.[roomId] || null;
+  }
+
+  /**
+   * Preuve de possession de la clé liée au compte dans cette room
+   *
+   * @param {Object|null} challenge - Défi du serveur { challenge, ephemeralPrivateKey, expiresAt }
+   * @returns {Promise<boolean>} false sans clé liée, sans défi valide ou si la preuve échoue
+   */
+  async verifyIdentity(username, roomId, challenge, proof) {
+    const identityKey = this.identityKeyOf(username, roomId);
+    if (!identityKey || !challenge || challenge.expiresAt < Date.now()) return false;
+    return verifyIdentityProof(
+      challenge.ephemeralPrivateKey, identityKey, challenge.challenge, { roomId, username }, proof
+    ).catch(() => false);
+  }
+}
+
+export default AccountStore;
@@ -0,0 +1,168 @@
+import { mkdtemp, rm, readFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AccountStore } from './accounts.js';
+import { createIdentityChallenge, proveIdentity, verifyIdentityProof } from '../src/crypto/IdentityProof.js';
+import { generateECDHKeyPair, exportPublicKey } from '../src/crypto/Primitives.js';
+
+describe('AccountStore', () => {
+  let directory;
+  let file;
+  let accounts;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(os.tmpdir(), 'relay-accounts-'));
+    file = path.join(directory, 'accounts.json');
+    accounts = await new AccountStore({ file }).load();
+  });
+
+  afterEach(() => rm(directory, { recursive: true, force: true }));
+
+  test('inscription puis connexion ; mot de passe jamais écrit en clair', async () => {
+    await accounts.register('alice', 'correct horse');
+
+    expect(await accounts.authenticate('alice', 'correct horse')).toBe(true);
+    expect(await accounts.authenticate('alice', 'mauvais mot')).toBe(false);
+    expect(await accounts.authenticate('bob', 'correct horse')).toBe(false);
+    expect(await readFile(file, 'utf8')).not.toContain('correct horse');
+  });
+
+  test('nom inconnu : refusé après le même scrypt qu\'un mauvais mot de passe', async () => {
+    await accounts.register('alice', 'correct horse');
+    const hashed = [];
+    const hashPassword = accounts.hashPassword.bind(accounts);
+    accounts.hashPassword = (password, salt) => {
+      hashed.push(salt);
+      return hashPassword(password, salt);
+    };
+
+    expect(await accounts.authenticate('inconnu', 'correct horse')).toBe(false);
+    expect(await accounts.authenticate('alice', 'mauvais mot')).toBe(false);
+    expect(hashed).toHaveLength(2);
+  });
+
+  test('nom invalide, mot de passe trop court ou nom déjà pris : refusés', async () => {
+    await accounts.register('alice', 'correct horse');
+
+    await expect(accounts.register('a b', 'correct horse')).rejects.toThrow('Nom invalide');
+    await expect(accounts.register('bob', 'court')).rejects.toThrow('Mot de passe trop court');
+    await expect(accounts.register('alice', 'autre secret')).rejects.toThrow('déjà pris');
+  });
+
+  test('deux inscriptions simultanées du même nom : une seule aboutit', async () => {
+    const results = await Promise.allSettled([
+      accounts.register('alice', 'correct horse'),
+      accounts.register('alice', 'autre secret')
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.message).toContain('déjà pris');
+    expect([await accounts.authenticate('alice', 'correct horse'), await accounts.authenticate('alice', 'autre secret')].sort())
+      .toEqual([false, true]);
+  });
+
+  test('jeton de session : nom du compte ; falsifié, expiré ou d\'un autre serveur : rejeté', async () => {
+    await accounts.register('alice', 'correct horse');
+    const { token } = accounts.issueToken('alice');
+    const [payload, signature] = token.split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({ sub: 'bob', iat: Date.now(), exp: Date.now() + 1000 })).toString('base64url');
+
+    expect(accounts.verifyToken(token)).toBe('alice');
+    expect(accounts.verifyToken(`${forgedPayload}.${signature}`)).toBeNull();
+    expect(accounts.verifyToken(`${payload}.`)).toBeNull();
+
+    const expired = await new AccountStore({ file, sessionTtlHours: 0 }).load();
+    expect(expired.verifyToken(expired.issueToken('alice').token)).toBeNull();
+
+    const otherServer = await new AccountStore({ file: path.join(directory, 'autre.json') }).load();
+    expect(otherServer.verifyToken(token)).toBeNull();
+  });
+
+  test('secret et comptes rechargés : les jetons émis restent valides après redémarrage', async () => {
+    await accounts.register('alice', 'correct horse');
+    const { token } = accounts.issueToken('alice');
+
+    expect((await new AccountStore({ file }).load()).verifyToken(token)).toBe('alice');
+  });
+
+  test('SESSION_SECRET : jetons valides sur chaque instance, secret jamais écrit ni partagé', async () => {
+    const secret = 'secret-de-configuration';
+    const instanceA = await new AccountStore({ file, secret }).load();
+    const instanceB = await new AccountStore({ file: path.join(directory, 'autre.json'), secret }).load();
+    const shared = [];
+    instanceA.onSave = (records) => shared.push(records);
+
+    await instanceA.register('bob', 'correct horse');
+    await instanceA.register('carol', 'correct horse');
+    await instanceB.restoreRecords(shared[0]);
+
+    expect(shared.map(Object.keys)).toEqual([['bob'], ['carol']]);
+    expect(JSON.stringify(shared)).not.toContain(secret);
+    expect(await readFile(file, 'utf8')).not.toContain(secret);
+    expect(instanceB.verifyToken(instanceA.issueToken('bob').token)).toBe('bob');
+    expect(instanceB.verifyToken(instanceA.issueToken('carol').token)).toBeNull();
+  });
+
+  describe('clé d\'identité liée par room', () => {
+    const serverChallenge = async () => ({ ...await createIdentityChallenge(), expiresAt: Date.now() + 60 * 1000 });
+    let alice;
+    let identityKey;
+
+    beforeEach(async () => {
+      await accounts.register('alice', 'correct horse');
+      alice = await generateECDHKeyPair();
+      identityKey = await exportPublicKey(alice.publicKey);
+      await accounts.bindIdentityKey('alice', 'salle', identityKey);
+    });
+
+    test('la clé liée prouvée autorise le join ; autre room : rien à prouver', async () => {
+      const challenge = await serverChallenge();
+      const proof = await proveIdentity(alice.privateKey, challenge.challenge, { roomId: 'salle', username: 'alice' });
+
+      expect(await accounts.verifyIdentity('alice', 'salle', challenge, proof)).toBe(true);
+      expect(accounts.identityKeyOf('alice', 'autre')).toBeNull();
+    });
+
+    test('jeton volé : sans preuve, avec la clé du voleur ou un défi expiré, rien n\'est prouvé', async () => {
+      const challenge = await serverChallenge();
+      const thief = await generateECDHKeyPair();
+      const proof = await proveIdentity(alice.privateKey, challenge.challenge, { roomId: 'salle', username: 'alice' });
+
+      expect(await accounts.verifyIdentity('alice', 'salle', challenge, undefined)).toBe(false);
+      expect(await accounts.verifyIdentity('alice', 'salle', challenge,
+        await proveIdentity(thief.privateKey, challenge.challenge, { roomId: 'salle', username: 'alice' }))).toBe(false);
+      expect(await accounts.verifyIdentity('alice', 'salle', { ...challenge, expiresAt: Date.now() - 1 }, proof)).toBe(false);
+      expect(accounts.identityKeyOf('alice', 'salle')).toEqual(identityKey);
+    });
+  });
+});
+
+describe('Preuve de possession de la clé d\'identité', () => {
+  const binding = { roomId: 'salle', username: 'alice' };
+  let alice;
+  let identityKey;
+
+  beforeAll(async () => {
+    alice = await generateECDHKeyPair();
+    identityKey = await exportPublicKey(alice.publicKey);
+  });
+
+  test('la clé liée au compte prouve la reconnexion', async () => {
+    const { challenge, ephemeralPrivateKey } = await createIdentityChallenge();
+    const proof = await proveIdentity(alice.privateKey, challenge, binding);
+
+    expect(await verifyIdentityProof(ephemeralPrivateKey, identityKey, challenge, binding, proof)).toBe(true);
+  });
+
+  test('jeton volé sans la clé, preuve rejouée ailleurs ou sur un autre défi : refusé', async () => {
+    const { challenge, ephemeralPrivateKey } = await createIdentityChallenge();
+    const thief = await generateECDHKeyPair();
+    const proof = await proveIdentity(alice.privateKey, challenge, binding);
+    const next = await createIdentityChallenge();
+
+    expect(await verifyIdentityProof(ephemeralPrivateKey, identityKey, challenge, binding,
+      await proveIdentity(thief.privateKey, challenge, binding))).toBe(false);
+    expect(await verifyIdentityProof(ephemeralPrivateKey, identityKey, challenge, { ...binding, roomId: 'autre' }, proof)).toBe(false);
+    expect(await verifyIdentityProof(next.ephemeralPrivateKey, identityKey, next.challenge, binding, proof)).toBe(false);
+  });
+});
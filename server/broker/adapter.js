@@ -0,0 +1,73 @@
+/**
+ * Adaptateur Socket.IO branché sur le broker
+ *
+ * Avec lui, `io.to(room).emit(...)` atteint aussi les sockets connectées aux
+ * autres instances : chaque diffusion (messages, frappe, événements de room) est
+ * publiée sur le broker puis rejouée localement par les autres instances. Les
+ * requêtes qui attendent des réponses (fetchSockets, serverSideEmit) s'appuient
+ * sur les battements de cœur de ClusterAdapterWithHeartbeat (socket.io-adapter).
+ * Les paquets sont sérialisés en JSON : les charges du relais le sont déjà.
+ *
+ * Socket.IO appelle init() sans en attendre le résultat ni signaler ses erreurs :
+ * le relais attend `adapter.ready` avant d'écouter (abonnements en place).
+ */
+
+import { ClusterAdapterWithHeartbeat } from 'socket.io-adapter';
+
+const CHANNEL_PREFIX = 'relay:socket.io';
+
+export class BrokerAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, broker, options = {}) {
+    super(nsp, options);
+    this.broker = broker;
+    this.channel = `${CHANNEL_PREFIX}#${nsp.name}#`;
+    this.responseChannel = `${this.channel}${this.uid}#`;
+
+    this.handleMessage = (raw) => this.onMessage(JSON.parse(raw));
+    this.handleResponse = (raw) => this.onResponse(JSON.parse(raw));
+    this.ready = null;
+  }
+
+  // Abonnements d'abord : le premier battement de cœur appelle des réponses
+  init() {
+    this.ready = Promise.all([
+      this.broker.subscribe(this.channel, this.handleMessage),
+      this.broker.subscribe(this.responseChannel, this.handleResponse)
+    ]).then(() => super.init()).catch(error => {
+      console.error(`❌ Adaptateur du namespace ${this.nsp.name} non abonné au broker:`, error);
+      throw error;
+    });
+    return this.ready;
+  }
+
+  async doPublish(message) {
+    await this.broker.publish(this.channel, JSON.stringify(message));
+    return ''; // pas d'offset : pas de reprise d'état de connexion
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.broker.publish(`${this.channel}${requesterUid}#`, JSON.stringify(response));
+  }
+
+  close() {
+    super.close();
+    this.broker.unsubscribe(this.channel, this.handleMessage);
+    this.broker.unsubscribe(this.responseChannel, this.handleResponse);
+  }
+}
+
+/**
+ * Classe d'adaptateur à passer à `io.adapter(...)`
+ *
+ * @param {Object} broker - Voir server/broker/index.js
+ * @param {Object} [options] - heartbeatInterval, heartbeatTimeout (ms)
+ */
+export function createBrokerAdapter(broker, options = {}) {
+  return class extends BrokerAdapter {
+    constructor(nsp) {
+      super(nsp, broker, options);
+    }
+  };
+}
+
+export default createBrokerAdapter;
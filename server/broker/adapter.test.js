@@ -0,0 +1,121 @@
+import { createServer } from 'http';
+import { once } from 'events';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { createBrokerAdapter } from './adapter.js';
+import { RedisBroker } from './redis.js';
+import { FakeRedisServer } from './fakeRedis.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Deux relais (ou plus) derrière un même Redis factice : chaque client rejoint la room
+// `salle` à sa connexion, sur l'instance à laquelle il est relié
+describe('adaptateur Socket.IO du broker', () => {
+  let redis;
+  let relays;
+  let clients;
+
+  const startRelay = async () => {
+    const broker = await new RedisBroker({ client: redis.connect() }).init();
+    const httpServer = createServer();
+    const io = new Server(httpServer);
+    io.adapter(createBrokerAdapter(broker, { heartbeatInterval: 100, heartbeatTimeout: 300 }));
+    await io.of('/').adapter.ready;
+    io.on('connection', socket => socket.join('salle'));
+    httpServer.listen(0);
+    await once(httpServer, 'listening');
+
+    const relay = { io, broker, port: httpServer.address().port };
+    relays.push(relay);
+    return relay;
+  };
+
+  const stopRelay = async (relay) => {
+    relays = relays.filter(r => r !== relay);
+    await relay.io.close();
+    await relay.broker.close();
+  };
+
+  const connectTo = async ({ port }) => {
+    const client = connect(`http://localhost:${port}`, { transports: ['websocket'], reconnection: false });
+    clients.push(client);
+    await once(client, 'connect');
+    return client;
+  };
+
+  beforeEach(() => {
+    redis = new FakeRedisServer();
+    relays = [];
+    clients = [];
+  });
+
+  afterEach(async () => {
+    clients.forEach(client => client.close());
+    await Promise.all(relays.map(relay => relay.io.close().then(() => relay.broker.close())));
+  });
+
+  test('une diffusion faite sur une instance atteint les clients de l\'autre', async () => {
+    const a = await startRelay();
+    const b = await startRelay();
+    const alice = await connectTo(a);
+    const bob = await connectTo(b);
+
+    const received = Promise.all([once(alice, 'new-message'), once(bob, 'new-message')]);
+    a.io.to('salle').emit('new-message', { id: 'm1' });
+
+    expect(await received).toEqual([[{ id: 'm1' }], [{ id: 'm1' }]]);
+  });
+
+  test('les membres de la room sont vus et retirés depuis n\'importe quelle instance', async () => {
+    const a = await startRelay();
+    const b = await startRelay();
+    await connectTo(a);
+    const bob = await connectTo(b);
+    await sleep(200); // battements de cœur : chaque instance connaît l'autre
+
+    expect((await a.io.in('salle').fetchSockets()).map(s => s.id).sort())
+      .toEqual([...a.io.of('/').sockets.keys(), bob.id].sort());
+
+    // Exclusion décidée sur A d'un client relié à B
+    const kicked = once(bob, 'disconnect');
+    a.io.in(bob.id).disconnectSockets(true);
+    expect(await kicked).toEqual(['io server disconnect']);
+    expect(await b.io.in('salle').fetchSockets()).toHaveLength(1);
+  });
+
+  test('une instance qui s\'arrête : les autres continuent de diffuser entre elles', async () => {
+    const a = await startRelay();
+    const b = await startRelay();
+    const alice = await connectTo(a);
+    const bob = await connectTo(b);
+    await sleep(200);
+
+    const aliceDropped = once(alice, 'disconnect');
+    await stopRelay(a);
+    await aliceDropped;
+
+    const c = await startRelay();
+    const carol = await connectTo(c);
+    await sleep(200);
+
+    const received = Promise.all([once(bob, 'new-message'), once(carol, 'new-message')]);
+    b.io.to('salle').emit('new-message', { id: 'm2' });
+    expect(await received).toEqual([[{ id: 'm2' }], [{ id: 'm2' }]]);
+
+    // Plus de réponse attendue de A : la requête aboutit sans attendre son délai
+    expect((await c.io.in('salle').fetchSockets()).map(s => s.id).sort()).toEqual([bob.id, carol.id].sort());
+  });
+
+  test('abonnement refusé par le broker : `ready` échoue au lieu d\'une instance sourde', async () => {
+    const broker = await new RedisBroker({ client: redis.connect() }).init();
+    broker.subscribe = async () => {
+      throw new Error('connexion perdue');
+    };
+    const io = new Server(createServer());
+
+    io.adapter(createBrokerAdapter(broker));
+    await expect(io.of('/').adapter.ready).rejects.toThrow('connexion perdue');
+    await io.close();
+    await broker.close();
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Redis factice en mémoire : le sous-ensemble d'ioredis utilisé par RedisBroker
+ *
+ * Remplaçant local du vrai serveur : REDIS_URL=memory:// fait tourner le backend
+ * Redis sans réseau, et plusieurs relais d'un même processus peuvent partager un
+ * même FakeRedisServer. Comme Redis, une connexion abonnée refuse les autres
+ * commandes, et les valeurs des hashes sont des chaînes. Aucune persistance.
+ */
+
+import { EventEmitter } from 'events';
+
+export class FakeRedisServer {
+  constructor() {
+    this.hashes = new Map(); // clé -> Map(champ -> chaîne)
+    this.subscribers = new Map(); // canal -> Set(FakeRedis)
+  }
+
+  connect() {
+    return new FakeRedis(this);
+  }
+}
+
+export class FakeRedis extends EventEmitter {
+  constructor(server = new FakeRedisServer()) {
+    super();
+    this.server = server;
+    this.channels = new Set();
+    this.closed = false;
+  }
+
+  duplicate() {
+    return new FakeRedis(this.server);
+  }
+
+  command(name) {
+    if (this.closed) throw new Error('Connection is closed.');
+    if (this.channels.size > 0 && !['subscribe', 'unsubscribe', 'quit'].includes(name)) {
+      throw new Error(`ERR Connection in subscriber mode, only (P)SUBSCRIBE / (P)UNSUBSCRIBE / PING / QUIT allowed (${name})`);
+    }
+  }
+
+  // Chaque abonné reçoit les messages au tour suivant, dans l'ordre de publication
+  async publish(channel, message) {
+    this.command('publish');
+    const receivers = [...(this.server.subscribers.get(channel) || [])];
+    for (const receiver of receivers) {
+      setImmediate(() => {
+        if (receiver.channels.has(channel)) receiver.emit('message', channel, String(message));
+      });
+    }
+    return receivers.length;
+  }
+
+  async subscribe(...channels) {
+    this.command('subscribe');
+    for (const channel of channels) {
+      if (!this.server.subscribers.has(channel)) this.server.subscribers.set(channel, new Set());
+      this.server.subscribers.get(channel).add(this);
+      this.channels.add(channel);
+    }
+    return this.channels.size;
+  }
+
+  async unsubscribe(...channels) {
+    this.command('unsubscribe');
+    for (const channel of channels.length > 0 ? channels : [...this.channels]) {
+      this.server.subscribers.get(channel)?.delete(this);
+      this.channels.delete(channel);
+    }
+    return this.channels.size;
+  }
+
+  async hset(key, field, value) {
+    this.command('hset');
+    if (!this.server.hashes.has(key)) this.server.hashes.set(key, new Map());
+    const hash = this.server.hashes.get(key);
+    const added = hash.has(field) ? 0 : 1;
+    hash.set(field, String(value));
+    return added;
+  }
+
+  async hgetall(key) {
+    this.command('hgetall');
+    return Object.fromEntries(this.server.hashes.get(key) || []);
+  }
+
+  async hdel(key, ...fields) {
+    this.command('hdel');
+    const hash = this.server.hashes.get(key);
+    if (!hash) return 0;
+    const removed = fields.filter(field => hash.delete(field)).length;
+    if (hash.size === 0) this.server.hashes.delete(key);
+    return removed;
+  }
+
+  async del(...keys) {
+    this.command('del');
+    return keys.filter(key => this.server.hashes.delete(key)).length;
+  }
+
+  async quit() {
+    this.command('quit');
+    for (const channel of this.channels) this.server.subscribers.get(channel)?.delete(this);
+    this.channels.clear();
+    this.closed = true;
+    return 'OK';
+  }
+}
+
+export default FakeRedis;
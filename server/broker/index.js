@@ -0,0 +1,46 @@
+/**
+ * Broker du relais : canaux de publication et état partagé entre instances
+ *
+ * Le backend est choisi par BROKER_BACKEND :
+ * - memory (défaut) : une seule instance, rien ne sort du processus
+ * - redis : plusieurs instances reliées par REDIS_URL (défaut redis://localhost:6379) ;
+ *   REDIS_URL=memory:// utilise un Redis factice en mémoire, partagé par les relais
+ *   d'un même processus : de quoi essayer la répartition sans serveur Redis
+ *
+ * Tous les backends exposent la même interface asynchrone : init, publish,
+ * subscribe, unsubscribe, readState, writeState, deleteState, close. Messages et
+ * valeurs d'état sont des chaînes (JSON côté appelant).
+ */
+
+import { MemoryBroker } from './memory.js';
+import { RedisBroker } from './redis.js';
+import { FakeRedisServer } from './fakeRedis.js';
+
+export { createBrokerAdapter } from './adapter.js';
+export { FakeRedis, FakeRedisServer } from './fakeRedis.js';
+
+export const FAKE_REDIS_URL = 'memory://';
+
+// Partagé par tous les relais lancés dans ce processus
+const localRedis = new FakeRedisServer();
+
+async function connectRedis(url = 'redis://localhost:6379') {
+  if (url === FAKE_REDIS_URL) return localRedis.connect();
+
+  // Chargé à la demande : une instance seule n'a pas besoin d'ioredis
+  const { default: Redis } = await import('ioredis');
+  return new Redis(url);
+}
+
+export async function createBroker(env = process.env) {
+  const backend = env.BROKER_BACKEND || 'memory';
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryBroker().init();
+    case 'redis':
+      return new RedisBroker({ client: await connectRedis(env.REDIS_URL) }).init();
+    default:
+      throw new Error(`Backend de broker inconnu : ${backend} (memory ou redis)`);
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Broker mémoire : tout le relais tient dans un seul processus
+ *
+ * Publications et état partagé ne quittent pas le processus. C'est le défaut
+ * (une instance pour une classe) ; plusieurs relais créés dans le même processus
+ * peuvent aussi partager la même instance, pour essayer la répartition sans Redis.
+ */
+
+import { EventEmitter } from 'events';
+
+export class MemoryBroker {
+  constructor() {
+    this.name = 'memory';
+    this.channels = new EventEmitter();
+    this.channels.setMaxListeners(0); // un abonné par namespace et par instance
+    this.state = new Map(); // clé -> Map(champ -> valeur)
+  }
+
+  async init() {
+    return this;
+  }
+
+  // Remis au tour suivant de la boucle, dans l'ordre d'émission (comme un vrai broker)
+  async publish(channel, message) {
+    setImmediate(() => this.channels.emit(channel, message));
+  }
+
+  async subscribe(channel, handler) {
+    this.channels.on(channel, handler);
+  }
+
+  async unsubscribe(channel, handler) {
+    this.channels.off(channel, handler);
+  }
+
+  async readState(key) {
+    return Object.fromEntries(this.state.get(key) || []);
+  }
+
+  async writeState(key, field, value) {
+    if (!this.state.has(key)) this.state.set(key, new Map());
+    this.state.get(key).set(field, value);
+  }
+
+  // Sans `field` : toute la clé
+  async deleteState(key, field) {
+    if (field === undefined) {
+      this.state.delete(key);
+      return;
+    }
+    this.state.get(key)?.delete(field);
+    if (this.state.get(key)?.size === 0) this.state.delete(key);
+  }
+
+  async close() {
+    this.channels.removeAllListeners();
+  }
+}
+
+export default MemoryBroker;
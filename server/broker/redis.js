@@ -0,0 +1,75 @@
+/**
+ * Broker Redis : plusieurs instances du relais derrière un répartiteur de charge
+ *
+ * Publications sur les canaux Redis (PUBLISH / SUBSCRIBE), état partagé dans des
+ * hashes (HSET, HGETALL, HDEL, DEL). Le client suit l'API d'ioredis. Une connexion
+ * abonnée n'accepte plus d'autres commandes : les abonnements passent par une
+ * seconde connexion, ouverte avec duplicate().
+ */
+
+export class RedisBroker {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client - Client compatible ioredis (ou FakeRedis)
+   */
+  constructor({ client }) {
+    this.name = 'redis';
+    this.client = client;
+    this.subscriber = null;
+    this.handlers = new Map(); // canal -> Set(handler)
+  }
+
+  async init() {
+    this.subscriber = this.client.duplicate();
+    this.subscriber.on('message', (channel, message) => {
+      for (const handler of this.handlers.get(channel) || []) handler(message);
+    });
+    return this;
+  }
+
+  async publish(channel, message) {
+    await this.client.publish(channel, message);
+  }
+
+  async subscribe(channel, handler) {
+    if (!this.handlers.has(channel)) {
+      this.handlers.set(channel, new Set());
+      await this.subscriber.subscribe(channel);
+    }
+    this.handlers.get(channel).add(handler);
+  }
+
+  async unsubscribe(channel, handler) {
+    const handlers = this.handlers.get(channel);
+    if (!handlers) return;
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      this.handlers.delete(channel);
+      await this.subscriber.unsubscribe(channel);
+    }
+  }
+
+  async readState(key) {
+    return await this.client.hgetall(key) || {};
+  }
+
+  async writeState(key, field, value) {
+    await this.client.hset(key, field, value);
+  }
+
+  // Sans `field` : toute la clé
+  async deleteState(key, field) {
+    if (field === undefined) {
+      await this.client.del(key);
+    } else {
+      await this.client.hdel(key, field);
+    }
+  }
+
+  async close() {
+    await this.subscriber?.quit();
+    await this.client.quit();
+  }
+}
+
+export default RedisBroker;
@@ -0,0 +1,179 @@
+/**
+ * Keystore de l'autorité de certification Sealed Sender
+ *
+ * La clé de signature ECDSA P-256 est conservée sur disque (JWK, fichier en
+ * 0600) : un redémarrage ne rend plus invalides les certificats déjà distribués.
+ *
+ * Rotation planifiée avec chevauchement :
+ * - une seule clé active signe les nouveaux certificats
+ * - à la rotation, l'ancienne clé est retirée mais reste une racine de confiance
+ *   jusqu'à l'expiration du dernier certificat qu'elle a pu signer
+ * - chaque certificat porte le keyId de la clé qui l'a signé
+ */
+
+import { readFile, writeFile, mkdir, rename } from 'fs/promises';
+import path from 'path';
+import { computeKeyId } from '../src/crypto/CertificateCodec.js';
+
+const subtle = globalThis.crypto.subtle;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const SIGNING_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+
+export class CaKeystore {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Chemin du keystore JSON
+   * @param {number} options.rotationDays - Durée de service d'une clé avant rotation
+   * @param {number} options.certificateValidityHours - Validité maximale d'un certificat émis
+   */
+  constructor({ file, rotationDays = 30, certificateValidityHours = 4 }) {
+    this.file = file;
+    this.rotationPeriod = rotationDays * DAY;
+    this.overlap = certificateValidityHours * HOUR;
+    this.keys = []; // { keyId, privateKey, publicKey, publicKeyJWK, privateKeyJWK, createdAt, retiredAt, notAfter }
+    this.onSave = null; // (données) => partage avec les autres instances (server/storeSync.js)
+  }
+
+  get activeKey() {
+    return this.keys.find(key => !key.retiredAt) || null;
+  }
+
+  async load() {
+    let stored = [];
+    try {
+      stored = JSON.parse(await readFile(this.file, 'utf8')).keys || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    await this.restore({ keys: stored });
+
+    if (this.activeKey) {
+      console.log(`🔐 Clé CA ${this.activeKey.keyId} rechargée (${this.keys.length} racine(s) de confiance)`);
+      if (this.keys.length !== stored.length) await this.save();
+    } else {
+      await this.rotate();
+    }
+    return this;
+  }
+
+  /**
+   * Remplace les clés en mémoire par celles de `toJSON()` (clés expirées écartées)
+   */
+  async restore({ keys = [] }) {
+    const now = Date.now();
+    const restored = [];
+    for (const entry of keys) {
+      if (entry.notAfter && entry.notAfter <= now) continue; // plus aucun certificat valide
+      restored.push({
+        ...entry,
+        privateKey: await subtle.importKey('jwk', entry.privateKeyJWK, SIGNING_ALGORITHM, true, ['sign']),
+        publicKey: await subtle.importKey('jwk', entry.publicKeyJWK, SIGNING_ALGORITHM, true, ['verify'])
+      });
+    }
+    this.keys = restored;
+  }
+
+  toJSON() {
+    return {
+      keys: this.keys.map(({ keyId, publicKeyJWK, privateKeyJWK, createdAt, retiredAt, notAfter }) =>
+        ({ keyId, publicKeyJWK, privateKeyJWK, createdAt, retiredAt, notAfter }))
+    };
+  }
+
+  async save() {
+    await mkdir(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    await writeFile(tmp, JSON.stringify(this.toJSON(), null, 2), { mode: 0o600 });
+    await rename(tmp, this.file);
+    await this.onSave?.(this.toJSON());
+  }
+
+  /**
+   * Nouvelle clé active ; la précédente reste vérifiable pendant `overlap`
+   *
+   * @returns {Promise<string>} keyId de la nouvelle clé
+   */
+  async rotate() {
+    const now = Date.now();
+    const previous = this.activeKey;
+    if (previous) {
+      previous.retiredAt = now;
+      previous.notAfter = now + this.overlap;
+    }
+
+    const keyPair = await subtle.generateKey(SIGNING_ALGORITHM, true, ['sign', 'verify']);
+    const publicKeyJWK = await subtle.exportKey('jwk', keyPair.publicKey);
+    const key = {
+      keyId: await computeKeyId(publicKeyJWK),
+      privateKey: keyPair.privateKey,
+      publicKey: keyPair.publicKey,
+      publicKeyJWK,
+      privateKeyJWK: await subtle.exportKey('jwk', keyPair.privateKey),
+      createdAt: now,
+      retiredAt: null,
+      notAfter: null
+    };
+
+    this.keys = [key, ...this.keys.filter(k => !k.notAfter || k.notAfter > now)];
+    await this.save();
+
+    console.log(previous
+      ? `🔄 Rotation CA: ${previous.keyId} -> ${key.keyId} (ancienne clé acceptée jusqu'au ${new Date(previous.notAfter).toISOString()})`
+      : `✅ Clé CA ${key.keyId} générée`);
+    return key.keyId;
+  }
+
+  /**
+   * Rotation planifiée si la clé active a fait son temps (et purge des clés expirées)
+   *
+   * @returns {Promise<boolean>} true si la liste des racines a changé
+   */
+  async rotateIfDue(now = Date.now()) {
+    if (now - this.activeKey.createdAt >= this.rotationPeriod) {
+      await this.rotate();
+      return true;
+    }
+
+    const before = this.keys.length;
+    this.keys = this.keys.filter(k => !k.notAfter || k.notAfter > now);
+    if (this.keys.length === before) return false;
+    await this.save();
+    return true;
+  }
+
+  async sign(bytes) {
+    const { keyId, privateKey } = this.activeKey;
+    const signature = await subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, privateKey, bytes);
+    return { keyId, signature: Array.from(new Uint8Array(signature)) };
+  }
+
+  /**
+   * Clé publique (JWK) d'une racine encore de confiance, ou null
+   */
+  resolve(keyId) {
+    const key = this.keys.find(k => k.keyId === keyId);
+    if (!key || (key.notAfter && key.notAfter <= Date.now())) return null;
+    return key.publicKeyJWK;
+  }
+
+  /**
+   * Racines de confiance publiées aux clients
+   */
+  trustRoots() {
+    return {
+      activeKeyId: this.activeKey.keyId,
+      keys: this.keys.map(({ keyId, publicKeyJWK, createdAt, retiredAt, notAfter }) => ({
+        keyId,
+        publicKey: publicKeyJWK,
+        createdAt,
+        retiredAt,
+        notAfter
+      }))
+    };
+  }
+}
+
+export default CaKeystore;
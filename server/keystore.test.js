@@ -0,0 +1,61 @@
+import { mkdtemp, rm, stat } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CaKeystore } from './keystore.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const subtle = globalThis.crypto.subtle;
+
+async function verifies(publicKeyJWK, { signature }, bytes) {
+  const key = await subtle.importKey('jwk', publicKeyJWK, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+  return subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, new Uint8Array(signature), bytes);
+}
+
+describe('CaKeystore', () => {
+  let directory;
+  let file;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(os.tmpdir(), 'relay-keystore-'));
+    file = path.join(directory, 'ca', 'keystore.json');
+  });
+
+  afterEach(() => rm(directory, { recursive: true, force: true }));
+
+  test('la clé CA survit au redémarrage, fichier lisible du seul relais', async () => {
+    const first = await new CaKeystore({ file }).load();
+    const signed = await first.sign(new Uint8Array([1, 2, 3]));
+
+    const restarted = await new CaKeystore({ file }).load();
+    expect(restarted.activeKey.keyId).toBe(first.activeKey.keyId);
+    expect(await verifies(restarted.resolve(signed.keyId), signed, new Uint8Array([1, 2, 3]))).toBe(true);
+    expect((await stat(file)).mode & 0o777).toBe(0o600);
+  });
+
+  test('rotation : l\'ancienne clé reste racine de confiance le temps du chevauchement', async () => {
+    const keystore = await new CaKeystore({ file, rotationDays: 30, certificateValidityHours: 4 }).load();
+    const oldKeyId = keystore.activeKey.keyId;
+    const createdAt = keystore.activeKey.createdAt;
+
+    expect(await keystore.rotateIfDue(createdAt + DAY)).toBe(false);
+    expect(await keystore.rotateIfDue(createdAt + 30 * DAY)).toBe(true);
+
+    const { activeKeyId, keys } = keystore.trustRoots();
+    expect(activeKeyId).not.toBe(oldKeyId);
+    expect(keys.map(k => k.keyId)).toEqual([activeKeyId, oldKeyId]);
+    expect(keystore.resolve(oldKeyId)).not.toBeNull();
+
+    const { notAfter } = keys[1];
+    expect(await keystore.rotateIfDue(notAfter + 1)).toBe(true);
+    expect(keystore.trustRoots().keys.map(k => k.keyId)).toEqual([activeKeyId]);
+  });
+
+  test('une clé dont le chevauchement est écoulé n\'est plus résolue ni rechargée', async () => {
+    const keystore = await new CaKeystore({ file, certificateValidityHours: 0 }).load();
+    const oldKeyId = keystore.activeKey.keyId;
+    await keystore.rotate();
+
+    expect(keystore.resolve(oldKeyId)).toBeNull();
+    expect((await new CaKeystore({ file }).load()).keys).toHaveLength(1);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Boîtes aux lettres du relais : une file par appareil destinataire
+ *
+ * Chaque message adressé à un membre est déposé dans la file de chacun de ses
+ * appareils connus. Il y reste jusqu'à ce que l'appareil l'acquitte
+ * (`ack-message`), puis il en est retiré. Un appareil qui se reconnecte ne
+ * reçoit que ce qui l'attend encore, et un premier contact X3DH peut être
+ * envoyé à un membre hors ligne : il le trouvera à son retour.
+ *
+ * Les files ne contiennent que des chiffrés (les mêmes que le journal de la
+ * room). Elles sont persistées sous forme d'identifiants de messages, résolus
+ * au redémarrage dans les messages rechargés.
+ */
+
+export const DEFAULT_DEVICE_ID = 1;
+const MAX_PENDING_PER_DEVICE = 500;
+
+export class Mailboxes {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxPending] - Messages en attente par appareil (les plus anciens partent)
+   */
+  constructor({ maxPending = MAX_PENDING_PER_DEVICE } = {}) {
+    this.maxPending = maxPending;
+    this.devices = new Map(); // username -> Map(deviceId -> messages en attente)
+  }
+
+  /**
+   * Déclare un appareil du membre (sa file existante est conservée)
+   */
+  registerDevice(username, deviceId = DEFAULT_DEVICE_ID) {
+    if (!this.devices.has(username)) this.devices.set(username, new Map());
+    const devices = this.devices.get(username);
+    if (!devices.has(deviceId)) devices.set(deviceId, []);
+    return devices.get(deviceId);
+  }
+
+  /**
+   * Dépose `message` dans la file de chaque appareil de chaque destinataire
+   *
+   * @param {Object} message
+   * @param {string[]} recipients - Noms des membres destinataires
+   * @returns {Array<{username: string, deviceId: number}>} Files alimentées
+   */
+  enqueue(message, recipients) {
+    const queued = [];
+    for (const username of recipients) {
+      if (!this.devices.has(username)) this.registerDevice(username);
+
+      for (const [deviceId, queue] of this.devices.get(username)) {
+        queue.push(message);
+        if (queue.length > this.maxPending) {
+          queue.splice(0, queue.length - this.maxPending);
+          console.log(`⚠️ Boîte de ${username}#${deviceId} pleine : messages les plus anciens abandonnés`);
+        }
+        queued.push({ username, deviceId });
+      }
+    }
+    return queued;
+  }
+
+  /**
+   * Messages en attente pour un appareil, du plus ancien au plus récent
+   */
+  pending(username, deviceId = DEFAULT_DEVICE_ID) {
+    return [...(this.devices.get(username)?.get(deviceId) || [])];
+  }
+
+  /**
+   * Retire un message acquitté de la file de l'appareil
+   *
+   * @returns {boolean} false si le message n'était pas (ou plus) en attente
+   */
+  acknowledge(username, deviceId, messageId) {
+    const queue = this.devices.get(username)?.get(deviceId);
+    const index = queue?.findIndex(message => message.id === messageId) ?? -1;
+    if (index === -1) return false;
+
+    queue.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Abandonne les messages plus anciens que `maxAge` (même rétention que le journal)
+   */
+  prune(maxAge, now = Date.now()) {
+    for (const devices of this.devices.values()) {
+      for (const [deviceId, queue] of devices) {
+        devices.set(deviceId, queue.filter(message => now - message.timestamp <= maxAge));
+      }
+    }
+  }
+
+  /**
+   * Membre exclu : ses files disparaissent avec lui
+   */
+  removeUser(username) {
+    this.devices.delete(username);
+  }
+
+  /**
+   * Remise à zéro de la room : files vidées, appareils connus conservés
+   */
+  clear() {
+    for (const devices of this.devices.values()) {
+      for (const deviceId of devices.keys()) devices.set(deviceId, []);
+    }
+  }
+
+  isEmpty() {
+    for (const devices of this.devices.values()) {
+      for (const queue of devices.values()) {
+        if (queue.length > 0) return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Forme persistée : { username: { deviceId: [messageId] } }
+   */
+  toJSON() {
+    const json = {};
+    for (const [username, devices] of this.devices) {
+      json[username] = {};
+      for (const [deviceId, queue] of devices) {
+        json[username][deviceId] = queue.map(message => message.id);
+      }
+    }
+    return json;
+  }
+
+  /**
+   * Reconstruit les files à partir des messages rechargés (ceux élagués par la
+   * rétention sont perdus)
+   */
+  static fromJSON(json = {}, messages = []) {
+    const mailboxes = new Mailboxes();
+    const byId = new Map(messages.map(message => [message.id, message]));
+
+    for (const [username, devices] of Object.entries(json)) {
+      for (const [deviceId, ids] of Object.entries(devices)) {
+        const queue = mailboxes.registerDevice(username, Number(deviceId));
+        queue.push(...ids.map(id => byId.get(id)).filter(Boolean));
+      }
+    }
+    return mailboxes;
+  }
+}
+
+export default Mailboxes;
@@ -0,0 +1,74 @@
+import { Mailboxes, DEFAULT_DEVICE_ID } from './mailbox.js';
+import { DEFAULT_RETENTION } from './storage/retention.js';
+
+const MINUTE = 60 * 1000;
+const message = (id, timestamp = Date.now()) => ({ id, timestamp });
+
+describe('Mailboxes', () => {
+  test('chaque appareil du destinataire reçoit le message, puis l\'acquitte séparément', () => {
+    const mailboxes = new Mailboxes();
+    mailboxes.registerDevice('bob', 1);
+    mailboxes.registerDevice('bob', 2);
+
+    expect(mailboxes.enqueue(message('m1'), ['bob'])).toEqual([
+      { username: 'bob', deviceId: 1 },
+      { username: 'bob', deviceId: 2 }
+    ]);
+    expect(mailboxes.acknowledge('bob', 1, 'm1')).toBe(true);
+    expect(mailboxes.acknowledge('bob', 1, 'm1')).toBe(false);
+    expect(mailboxes.pending('bob', 1)).toEqual([]);
+    expect(mailboxes.pending('bob', 2).map(m => m.id)).toEqual(['m1']);
+  });
+
+  test('un membre hors ligne bien au-delà de 5 minutes reçoit toujours : le message attend son retour', () => {
+    const now = Date.now();
+    const mailboxes = new Mailboxes();
+    mailboxes.registerDevice('bob');
+
+    // bob se déconnecte ; un message arrive une heure plus tard, l'élagage périodique passe
+    mailboxes.enqueue(message('m1', now + 60 * MINUTE), ['bob']);
+    mailboxes.prune(DEFAULT_RETENTION.messageMaxAge, now + 65 * MINUTE);
+
+    expect(mailboxes.pending('bob', DEFAULT_DEVICE_ID).map(m => m.id)).toEqual(['m1']);
+    expect(mailboxes.isEmpty()).toBe(false);
+  });
+
+  test('l\'élagage n\'abandonne que les messages plus vieux que la rétention', () => {
+    const now = Date.now();
+    const mailboxes = new Mailboxes();
+    mailboxes.enqueue(message('ancien', now - DEFAULT_RETENTION.messageMaxAge - 1), ['bob']);
+    mailboxes.enqueue(message('récent', now), ['bob']);
+
+    mailboxes.prune(DEFAULT_RETENTION.messageMaxAge, now);
+    expect(mailboxes.pending('bob').map(m => m.id)).toEqual(['récent']);
+  });
+
+  test('file pleine : les plus anciens partent', () => {
+    const mailboxes = new Mailboxes({ maxPending: 2 });
+    ['m1', 'm2', 'm3'].forEach(id => mailboxes.enqueue(message(id), ['bob']));
+
+    expect(mailboxes.pending('bob').map(m => m.id)).toEqual(['m2', 'm3']);
+  });
+
+  test('persistance par identifiants, résolus dans les messages rechargés', () => {
+    const mailboxes = new Mailboxes();
+    const kept = message('m1');
+    mailboxes.enqueue(kept, ['bob']);
+    mailboxes.enqueue(message('élagué'), ['bob']);
+
+    const restored = Mailboxes.fromJSON(JSON.parse(JSON.stringify(mailboxes.toJSON())), [kept]);
+    expect(restored.pending('bob')).toEqual([kept]);
+  });
+
+  test('membre exclu : ses files disparaissent ; remise à zéro : files vidées, appareils gardés', () => {
+    const mailboxes = new Mailboxes();
+    mailboxes.enqueue(message('m1'), ['alice', 'bob']);
+
+    mailboxes.removeUser('bob');
+    expect(mailboxes.toJSON()).toEqual({ alice: { [DEFAULT_DEVICE_ID]: ['m1'] } });
+
+    mailboxes.clear();
+    expect(mailboxes.isEmpty()).toBe(true);
+    expect(mailboxes.toJSON()).toEqual({ alice: { [DEFAULT_DEVICE_ID]: [] } });
+  });
+});
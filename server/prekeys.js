@@ -0,0 +1,128 @@
+/**
+ * Serveur de prekeys X3DH d'une room
+ *
+ * Le relais ne conserve que des clés PUBLIQUES : identité (IK), prekey signée
+ * (SPK) et prekeys à usage unique (OPK). Chaque bundle distribué consomme une
+ * OPK, ce qui permet d'ouvrir une session même lorsque le destinataire est hors
+ * ligne. Stock épuisé : le bundle part sans OPK (X3DH à trois DH), et le
+ * propriétaire est invité à réapprovisionner (`prekeys-low`).
+ */
+
+import { USER_NOT_FOUND, errorReply } from '../src/utils/ErrorCodes.js';
+
+export const OPK_LOW_THRESHOLD = 5;
+export const OPK_MAX_STORED = 100;
+
+export class PrekeyStore {
+  constructor() {
+    this.bundles = new Map(); // username -> { identityKey, signedPreKey, oneTimePreKeys, updatedAt }
+  }
+
+  /**
+   * Bundle complet publié au join (remplace le précédent)
+   */
+  publish(username, { identityKey, signedPreKey, oneTimePreKeys = [] }) {
+    const bundle = {
+      identityKey,
+      signedPreKey,
+      oneTimePreKeys: oneTimePreKeys.slice(0, OPK_MAX_STORED),
+      updatedAt: Date.now()
+    };
+    this.bundles.set(username, bundle);
+    return bundle;
+  }
+
+  /**
+   * Rotation de la SPK (les anciennes restent valides côté client pendant la fenêtre de grâce)
+   *
+   * @returns {Object|null} null sans bundle publié
+   */
+  updateSignedPreKey(username, signedPreKey) {
+    const bundle = this.bundles.get(username);
+    if (!bundle) return null;
+
+    bundle.signedPreKey = signedPreKey;
+    bundle.updatedAt = Date.now();
+    return bundle;
+  }
+
+  /**
+   * Réapprovisionnement : les identifiants déjà en stock sont ignorés
+   *
+   * @returns {Object|null} null sans bundle publié
+   */
+  addOneTimePreKeys(username, oneTimePreKeys) {
+    const bundle = this.bundles.get(username);
+    if (!bundle) return null;
+
+    const knownIds = new Set(bundle.oneTimePreKeys.map(opk => opk.id));
+    for (const opk of oneTimePreKeys) {
+      if (bundle.oneTimePreKeys.length >= OPK_MAX_STORED) break;
+      if (!knownIds.has(opk.id)) {
+        bundle.oneTimePreKeys.push(opk);
+        knownIds.add(opk.id);
+      }
+    }
+    bundle.updatedAt = Date.now();
+    return bundle;
+  }
+
+  /**
+   * Bundle contenant AU PLUS une OPK, retirée du stock (usage unique)
+   *
+   * @returns {Object|null} null sans bundle publié
+   */
+  take(username) {
+    const bundle = this.bundles.get(username);
+    if (!bundle) return null;
+
+    const opk = bundle.oneTimePreKeys.shift();
+    return {
+      identityKey: bundle.identityKey,
+      signedPreKey: bundle.signedPreKey,
+      oneTimePreKeys: opk ? [opk] : []
+    };
+  }
+
+  /**
+   * @returns {number|null} OPK restantes si le stock est sous le seuil, sinon null
+   */
+  lowStock(username) {
+    const remaining = this.bundles.get(username)?.oneTimePreKeys.length;
+    return remaining !== undefined && remaining < OPK_LOW_THRESHOLD ? remaining : null;
+  }
+
+  has(username) {
+    return this.bundles.has(username);
+  }
+
+  get(username) {
+    return this.bundles.get(username) ?? null;
+  }
+
+  /**
+   * Bundle partagé par une autre instance (null : retiré)
+   */
+  restore(username, bundle) {
+    if (bundle) this.bundles.set(username, bundle);
+    else this.bundles.delete(username);
+  }
+
+  delete(username) {
+    this.bundles.delete(username);
+  }
+}
+
+/**
+ * Bundle de `username` pour ouvrir une session : seulement s'il est membre de la
+ * room (un membre exclu n'est plus joignable) et a publié ses prekeys
+ *
+ * @returns {{bundle: Object}|{error: string, code: string}}
+ */
+export function takeMemberBundle(room, username) {
+  const bundle = room.users.some(u => u.username === username) ? room.prekeys.take(username) : null;
+  if (!bundle) return errorReply(USER_NOT_FOUND, `Aucun bundle X3DH publié pour ${username}`);
+  return { bundle };
+}
+
+export default PrekeyStore;
@@ -0,0 +1,68 @@
+import { PrekeyStore, OPK_MAX_STORED, takeMemberBundle } from './prekeys.js';
+import { USER_NOT_FOUND } from '../src/utils/ErrorCodes.js';
+
+const opks = (...ids) => ids.map(id => ({ id, publicKey: { kty: 'EC', x: `x${id}` } }));
+const bundle = (oneTimePreKeys = opks(1, 2)) => ({
+  identityKey: { kty: 'EC', x: 'ik' },
+  signedPreKey: { id: 1, publicKey: { kty: 'EC', x: 'spk' }, signature: [1, 2] },
+  oneTimePreKeys
+});
+
+describe('PrekeyStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new PrekeyStore();
+    store.publish('bob', bundle());
+  });
+
+  test('chaque OPK n\'est remise qu\'une fois, puis bundle sans OPK', () => {
+    const handed = [1, 2, 3].map(() => store.take('bob').oneTimePreKeys.map(opk => opk.id));
+
+    expect(handed).toEqual([[1], [2], []]);
+    expect(store.take('bob').signedPreKey.id).toBe(1);
+  });
+
+  test('réapprovisionnement : identifiants déjà en stock ignorés, stock plafonné', () => {
+    store.addOneTimePreKeys('bob', opks(2, 3));
+    expect(store.get('bob').oneTimePreKeys.map(opk => opk.id)).toEqual([1, 2, 3]);
+
+    store.addOneTimePreKeys('bob', opks(...Array.from({ length: 2 * OPK_MAX_STORED }, (_, i) => 10 + i)));
+    expect(store.get('bob').oneTimePreKeys).toHaveLength(OPK_MAX_STORED);
+  });
+
+  test('rotation de SPK et réapprovisionnement sans bundle publié : rien n\'est créé', () => {
+    expect(store.updateSignedPreKey('bob', { id: 2 }).signedPreKey.id).toBe(2);
+    expect(store.updateSignedPreKey('carol', { id: 2 })).toBeNull();
+    expect(store.addOneTimePreKeys('carol', opks(1))).toBeNull();
+    expect(store.has('carol')).toBe(false);
+  });
+
+  test('stock bas signalé sous le seuil', () => {
+    expect(store.lowStock('bob')).toBe(2);
+    store.addOneTimePreKeys('bob', opks(3, 4, 5, 6));
+    expect(store.lowStock('bob')).toBeNull();
+    expect(store.lowStock('carol')).toBeNull();
+  });
+});
+
+describe('takeMemberBundle', () => {
+  const roomWith = (...usernames) => ({ users: usernames.map(username => ({ username })), prekeys: new PrekeyStore() });
+
+  test('bundle d\'un membre de la room, avec une OPK consommée', () => {
+    const room = roomWith('alice', 'bob');
+    room.prekeys.publish('bob', bundle());
+
+    expect(takeMemberBundle(room, 'bob').bundle.oneTimePreKeys).toEqual(opks(1));
+    expect(room.prekeys.get('bob').oneTimePreKeys).toEqual(opks(2));
+  });
+
+  test('bundle absent ou membre sorti de la room : USER_NOT_FOUND, stock intact', () => {
+    const room = roomWith('alice');
+    room.prekeys.publish('bob', bundle());
+
+    expect(takeMemberBundle(room, 'carol').code).toBe(USER_NOT_FOUND);
+    expect(takeMemberBundle(room, 'bob')).toEqual({ code: USER_NOT_FOUND, error: 'Aucun bundle X3DH publié pour bob' });
+    expect(room.prekeys.get('bob').oneTimePreKeys).toHaveLength(2);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Limites anti-abus du relais : seaux à jetons par socket et par IP
+ *
+ * Chaque type d'événement a son seau (capacité = rafale tolérée, recharge =
+ * débit soutenu). Un seau vide fait refuser l'événement. Les seaux par IP
+ * sont plus larges, d'un facteur `RATE_LIMIT_IP_FACTOR` : une classe entière
+ * partage souvent la même IP derrière le NAT de l'établissement.
+ *
+ * Les refus s'accumulent dans un seau de "fautes" : un onglet qui insiste
+ * est déconnecté plutôt que d'épuiser l'instance pour toute la classe.
+ */
+
+const SECOND = 1000;
+
+// { capacity, refillPerSecond } par événement (par socket)
+export const DEFAULT_EVENT_LIMITS = {
+  connection: { capacity: 10, refillPerSecond: 0.5 },
+  auth: { capacity: 10, refillPerSecond: 0.1 },
+  'create-room': { capacity: 3, refillPerSecond: 0.05 },
+  'join-simulation': { capacity: 5, refillPerSecond: 0.2 },
+  'rejoin-challenge': { capacity: 5, refillPerSecond: 0.2 },
+  'rejoin-simulation': { capacity: 5, refillPerSecond: 0.2 },
+  'send-encrypted-message': { capacity: 20, refillPerSecond: 5 },
+  'send-sealed-message': { capacity: 20, refillPerSecond: 5 },
+  'send-sender-key': { capacity: 50, refillPerSecond: 10 },
+  'send-group-message': { capacity: 20, refillPerSecond: 5 },
+  'send-multi-sealed-message': { capacity: 20, refillPerSecond: 5 },
+  'plaintext-receipt': { capacity: 30, refillPerSecond: 10 },
+  'fetch-prekey-bundle': { capacity: 30, refillPerSecond: 5 },
+  'user-typing': { capacity: 5, refillPerSecond: 1 },
+  'launch-attack': { capacity: 3, refillPerSecond: 0.1 },
+  default: { capacity: 60, refillPerSecond: 20 }
+};
+
+// Refus tolérés avant déconnexion (une faute pardonnée toutes les 10 s)
+export const STRIKE_LIMIT = { capacity: 20, refillPerSecond: 0.1 };
+
+export class TokenBucket {
+  /**
+   * @param {Object} limit
+   * @param {number} limit.capacity - Jetons au plus (rafale)
+   * @param {number} limit.refillPerSecond - Jetons rendus par seconde
+   */
+  constructor({ capacity, refillPerSecond }, now = Date.now()) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = now;
+  }
+
+  refill(now = Date.now()) {
+    const elapsed = Math.max(0, now - this.updatedAt) / SECOND;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  /**
+   * @returns {boolean} false si le seau n'a plus assez de jetons (rien n'est consommé)
+   */
+  take(cost = 1, now = Date.now()) {
+    this.refill(now);
+    if (this.tokens < cost) return false;
+    this.tokens -= cost;
+    return true;
+  }
+
+  // Attente avant que `cost` jetons soient de nouveau disponibles
+  retryAfter(cost = 1) {
+    return Math.ceil(Math.max(0, cost - this.tokens) / this.refillPerSecond * SECOND);
+  }
+
+  isFull(now = Date.now()) {
+    this.refill(now);
+    return this.tokens >= this.capacity;
+  }
+}
+
+export class RateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.limits] - Limites par événement (voir DEFAULT_EVENT_LIMITS)
+   * @param {number} [options.scale] - Multiplie capacités et recharges (seaux par IP)
+   */
+  constructor({ limits = DEFAULT_EVENT_LIMITS, scale = 1 } = {}) {
+    this.limits = limits;
+    this.scale = scale;
+    this.buckets = new Map(); // clé (socket ou IP) -> Map(événement -> TokenBucket)
+  }
+
+  limitFor(event) {
+    const { capacity, refillPerSecond } = this.limits[event] || this.limits.default;
+    return { capacity: capacity * this.scale, refillPerSecond: refillPerSecond * this.scale };
+  }
+
+  /**
+   * @returns {{allowed: true}|{allowed: false, retryAfterMs: number}}
+   */
+  consume(key, event, now = Date.now()) {
+    if (!this.buckets.has(key)) this.buckets.set(key, new Map());
+    const buckets = this.buckets.get(key);
+    if (!buckets.has(event)) buckets.set(event, new TokenBucket(this.limitFor(event), now));
+
+    const bucket = buckets.get(event);
+    if (bucket.take(1, now)) return { allowed: true };
+    return { allowed: false, retryAfterMs: bucket.retryAfter() };
+  }
+
+  forget(key) {
+    this.buckets.delete(key);
+  }
+
+  // Oublie les clés dont tous les seaux sont pleins (inactives)
+  prune(now = Date.now()) {
+    for (const [key, buckets] of this.buckets) {
+      if ([...buckets.values()].every(bucket => bucket.isFull(now))) this.buckets.delete(key);
+    }
+  }
+}
+
+/**
+ * Taille sérialisée d'une charge utile (octets UTF-8 de son JSON)
+ */
+export function payloadSize(value) {
+  if (value === undefined) return 0;
+  return Buffer.byteLength(JSON.stringify(value) ?? '', 'utf8');
+}
+
+export function limitsFromEnv(env = process.env) {
+  return {
+    ipFactor: Number(env.RATE_LIMIT_IP_FACTOR) || 10,
+    maxPayloadBytes: Number(env.MAX_PAYLOAD_BYTES) || 64 * 1024,
+    maxRooms: Number(env.MAX_ROOMS) || 100,
+    maxRoomsPerOwner: Number(env.MAX_ROOMS_PER_OWNER) || 3,
+    trustProxy: env.TRUST_PROXY === '1'
+  };
+}
+
+export default RateLimiter;
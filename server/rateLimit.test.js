@@ -0,0 +1,75 @@
+import { TokenBucket, RateLimiter, STRIKE_LIMIT, payloadSize, limitsFromEnv } from './rateLimit.js';
+
+const t0 = 1700000000000;
+
+describe('TokenBucket', () => {
+  test('rafale jusqu\'à la capacité, puis recharge au débit soutenu', () => {
+    const bucket = new TokenBucket({ capacity: 3, refillPerSecond: 2 }, t0);
+
+    expect([1, 2, 3, 4].map(() => bucket.take(1, t0))).toEqual([true, true, true, false]);
+    expect(bucket.retryAfter()).toBe(500);
+    expect(bucket.take(1, t0 + 500)).toBe(true);
+    expect(bucket.take(1, t0 + 500)).toBe(false);
+  });
+
+  test('la recharge ne dépasse jamais la capacité', () => {
+    const bucket = new TokenBucket({ capacity: 2, refillPerSecond: 10 }, t0);
+    bucket.take(1, t0);
+
+    expect(bucket.isFull(t0 + 60 * 1000)).toBe(true);
+    expect(bucket.tokens).toBe(2);
+  });
+
+  test('fautes : un client qui insiste atteint la limite de déconnexion', () => {
+    const strikes = new TokenBucket(STRIKE_LIMIT, t0);
+    const counted = Array.from({ length: STRIKE_LIMIT.capacity + 1 }, () => strikes.take(1, t0));
+
+    expect(counted.filter(Boolean)).toHaveLength(STRIKE_LIMIT.capacity);
+    expect(counted.at(-1)).toBe(false);
+  });
+});
+
+describe('RateLimiter', () => {
+  const limits = {
+    'send-sealed-message': { capacity: 2, refillPerSecond: 1 },
+    default: { capacity: 5, refillPerSecond: 1 }
+  };
+
+  test('un seau par socket et par événement', () => {
+    const limiter = new RateLimiter({ limits });
+
+    expect(limiter.consume('s1', 'send-sealed-message', t0).allowed).toBe(true);
+    expect(limiter.consume('s1', 'send-sealed-message', t0).allowed).toBe(true);
+    expect(limiter.consume('s1', 'send-sealed-message', t0)).toEqual({ allowed: false, retryAfterMs: 1000 });
+    expect(limiter.consume('s2', 'send-sealed-message', t0).allowed).toBe(true);
+    expect(limiter.consume('s1', 'user-typing', t0).allowed).toBe(true);
+  });
+
+  test('seaux par IP élargis d\'un facteur (NAT de l\'établissement)', () => {
+    const perIp = new RateLimiter({ limits, scale: 10 });
+    const allowed = Array.from({ length: 25 }, () => perIp.consume('10.0.0.1', 'send-sealed-message', t0).allowed);
+
+    expect(allowed.filter(Boolean)).toHaveLength(20);
+  });
+
+  test('les clés inactives sont oubliées, les autres gardent leur état', () => {
+    const limiter = new RateLimiter({ limits });
+    limiter.consume('inactive', 'send-sealed-message', t0);
+    limiter.consume('active', 'send-sealed-message', t0 + 10 * 1000);
+
+    limiter.prune(t0 + 10 * 1000);
+    expect([...limiter.buckets.keys()]).toEqual(['active']);
+  });
+});
+
+describe('payloads et environnement', () => {
+  test('taille en octets UTF-8 du JSON', () => {
+    expect(payloadSize({ a: 'é' })).toBe(Buffer.byteLength('{"a":"é"}'));
+    expect(payloadSize(undefined)).toBe(0);
+  });
+
+  test('limites lues dans l\'environnement, défauts sinon', () => {
+    expect(limitsFromEnv({ MAX_ROOMS: '5', TRUST_PROXY: '1' })).toMatchObject({ maxRooms: 5, trustProxy: true, maxPayloadBytes: 64 * 1024 });
+    expect(limitsFromEnv({}).trustProxy).toBe(false);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Liste de révocation des certificats expéditeur (CRL)
+ *
+ * Appareil compromis : tous les certificats émis pour ce membre jusqu'à la
+ * révocation sont refusés, et sa clé d'identité ne peut plus être recertifiée
+ * (il doit se réinscrire avec de nouvelles clés).
+ *
+ * La liste est signée par la CA (même keyId que les certificats), sur son
+ * encodage canonique (CertificateCodec.encodeRevocationList) : un relais ne
+ * peut ni en retirer une entrée ni en inventer une sans la clé de signature.
+ * Une entrée quitte la CRL publiée quand le dernier certificat qu'elle vise a
+ * expiré, mais la clé reste bloquée côté serveur.
+ */
+
+import { readFile, writeFile, mkdir, rename } from 'fs/promises';
+import path from 'path';
+import { encodeRevocationList } from '../src/crypto/CertificateCodec.js';
+
+const sameKey = (a, b) => !!a && !!b && a.x === b.x && a.y === b.y;
+
+export class RevocationList {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Chemin du fichier JSON
+   * @param {number} options.certificateValidity - Validité maximale d'un certificat (ms)
+   */
+  constructor({ file, certificateValidity }) {
+    this.file = file;
+    this.certificateValidity = certificateValidity;
+    this.entries = []; // { userId, senderKey, revokedAt, reason, expiresAt }
+    this.onSave = null; // (données) => partage avec les autres instances (server/storeSync.js)
+  }
+
+  async load() {
+    try {
+      this.entries = JSON.parse(await readFile(this.file, 'utf8')).entries || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return this;
+  }
+
+  async restore({ entries = [] }) {
+    this.entries = entries;
+  }
+
+  toJSON() {
+    return { entries: this.entries };
+  }
+
+  async save() {
+    await mkdir(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    await writeFile(tmp, JSON.stringify(this.toJSON(), null, 2));
+    await rename(tmp, this.file);
+    await this.onSave?.(this.toJSON());
+  }
+
+  /**
+   * Révoque les certificats de `userId` émis jusqu'à maintenant, et sa clé d'identité
+   */
+  async revoke(userId, senderKey, reason) {
+    const revokedAt = Date.now();
+    this.entries.push({
+      userId,
+      senderKey: senderKey || null,
+      revokedAt,
+      reason,
+      expiresAt: revokedAt + this.certificateValidity
+    });
+    await this.save();
+    console.log(`📵 Certificats de ${userId} révoqués (${reason})`);
+  }
+
+  /**
+   * Cette clé d'identité a-t-elle été déclarée compromise ?
+   */
+  isKeyRevoked(userId, senderKey) {
+    return this.entries.some(entry => entry.userId === userId && sameKey(entry.senderKey, senderKey));
+  }
+
+  /**
+   * CRL signée publiée aux clients
+   *
+   * @param {Function} sign - bytes => { keyId, signature } (clé CA active)
+   */
+  async publish(sign) {
+    const now = Date.now();
+    const crl = {
+      issuedAt: now,
+      entries: this.entries
+        .filter(entry => entry.expiresAt > now)
+        .map(({ userId, senderKey, revokedAt, reason }) => ({ userId, senderKey, revokedAt, reason }))
+    };
+    const { keyId, signature } = await sign(encodeRevocationList(crl));
+    return { ...crl, keyId, signature };
+  }
+}
+
+export default RevocationList;
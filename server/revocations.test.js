@@ -0,0 +1,78 @@
+import { mkdtemp, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { RevocationList } from './revocations.js';
+import { CaKeystore } from './keystore.js';
+import { verifyRevocationList, isCertificateRevoked } from '../src/crypto/SenderCertificate.js';
+import { generateECDHKeyPair, exportPublicKey } from '../src/crypto/Primitives.js';
+
+const HOUR = 60 * 60 * 1000;
+let compromisedKey;
+let freshKey;
+
+// Champs décodés d'un certificat (SenderCertificate.decode)
+const certificate = (senderKey, issuedAt) => ({ userId: 'bob', senderKey, issuedAt: new Date(issuedAt).toISOString() });
+
+describe('RevocationList', () => {
+  let directory;
+  let keystore;
+  let revocations;
+
+  beforeAll(async () => {
+    compromisedKey = await exportPublicKey((await generateECDHKeyPair()).publicKey);
+    freshKey = await exportPublicKey((await generateECDHKeyPair()).publicKey);
+  });
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(os.tmpdir(), 'relay-crl-'));
+    keystore = await new CaKeystore({ file: path.join(directory, 'keystore.json') }).load();
+    revocations = await new RevocationList({ file: path.join(directory, 'crl.json'), certificateValidity: 4 * HOUR }).load();
+  });
+
+  afterEach(() => rm(directory, { recursive: true, force: true }));
+
+  test('CRL signée : certificats antérieurs et clé compromise refusés, nouvelle clé acceptée', async () => {
+    const issuedBefore = Date.now() - HOUR;
+    await revocations.revoke('bob', compromisedKey, 'appareil perdu');
+    const crl = await verifyRevocationList(await revocations.publish(bytes => keystore.sign(bytes)), keyId => keystore.resolve(keyId));
+
+    expect(isCertificateRevoked(crl, certificate(freshKey, issuedBefore))).toBe(true);
+    expect(isCertificateRevoked(crl, certificate(compromisedKey, Date.now() + HOUR))).toBe(true);
+    expect(isCertificateRevoked(crl, certificate(freshKey, Date.now() + HOUR))).toBe(false);
+    expect(isCertificateRevoked(crl, { ...certificate(compromisedKey, issuedBefore), userId: 'alice' })).toBe(false);
+  });
+
+  test('un relais qui retire une entrée ou signe avec une autre clé est démasqué', async () => {
+    await revocations.revoke('bob', compromisedKey, 'appareil perdu');
+    const crl = await revocations.publish(bytes => keystore.sign(bytes));
+
+    await expect(verifyRevocationList({ ...crl, entries: [] }, keyId => keystore.resolve(keyId)))
+      .rejects.toThrow('Invalid revocation list signature');
+    await expect(verifyRevocationList({ ...crl, keyId: 'inconnue' }, keyId => keystore.resolve(keyId)))
+      .rejects.toThrow('unknown CA key');
+  });
+
+  test('CRL plus ancienne que celle déjà adoptée refusée (rejeu d\'avant la révocation)', async () => {
+    const resolve = keyId => keystore.resolve(keyId);
+    const sign = bytes => keystore.sign(bytes);
+    const before = await revocations.publish(sign);
+    await new Promise(done => setTimeout(done, 5));
+    await revocations.revoke('bob', compromisedKey, 'appareil perdu');
+    const current = await verifyRevocationList(await revocations.publish(sign), resolve);
+
+    await expect(verifyRevocationList(before, resolve, { current })).rejects.toThrow('rollback');
+    expect((await verifyRevocationList(await revocations.publish(sign), resolve, { current })).entries).toHaveLength(1);
+  });
+
+  test('l\'entrée quitte la CRL publiée à expiration, la clé reste bloquée et persistée', async () => {
+    const expiring = await new RevocationList({ file: path.join(directory, 'crl.json'), certificateValidity: 0 }).load();
+    await expiring.revoke('bob', compromisedKey, 'appareil perdu');
+
+    expect((await expiring.publish(bytes => keystore.sign(bytes))).entries).toEqual([]);
+    expect(expiring.isKeyRevoked('bob', compromisedKey)).toBe(true);
+    expect(expiring.isKeyRevoked('bob', freshKey)).toBe(false);
+
+    const reloaded = await new RevocationList({ file: path.join(directory, 'crl.json'), certificateValidity: 0 }).load();
+    expect(reloaded.isKeyRevoked('bob', compromisedKey)).toBe(true);
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Contrôle d'accès d'une room : propriétaire, instructeurs, mot de passe, invitations
+ *
+ * Une room est créée explicitement (`create-room`) par un membre connecté, qui en
+ * devient propriétaire. Elle peut être :
+ * - ouverte : quiconque connaît son identifiant la rejoint
+ * - protégée par mot de passe (scrypt, sel aléatoire ; jamais stocké en clair)
+ * - sur invitation seule
+ * Une invitation est un jeton signé (HMAC-SHA256) avec le secret de la room :
+ * base64url(JSON { room, role, exp }) . signature. Elle dispense du mot de passe,
+ * et renouveler le secret révoque toutes les invitations émises.
+ *
+ * Propriétaire et instructeurs pilotent la séance : exclusion, verrouillage,
+ * attaques, remise à zéro. Seul le propriétaire nomme les instructeurs.
+ * Une room verrouillée n'accepte plus de nouveaux membres ; un membre exclu ne
+ * peut plus revenir tant qu'il n'est pas réadmis.
+ */
+
+import { randomBytes, scrypt, createHmac, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { UNAUTHORIZED, ROOM_NOT_FOUND, errorReply } from '../src/utils/ErrorCodes.js';
+
+const scryptAsync = promisify(scrypt);
+
+const HOUR = 60 * 60 * 1000;
+const HASH_LENGTH = 32;
+const PASSWORD_MIN_LENGTH = 4;
+const DEFAULT_INVITE_TTL_HOURS = 24;
+const MAX_INVITE_TTL_HOURS = 7 * 24;
+
+export const ROLE_OWNER = 'owner';
+export const ROLE_INSTRUCTOR = 'instructor';
+export const ROLE_MEMBER = 'member';
+export const INVITE_ROLES = [ROLE_MEMBER, ROLE_INSTRUCTOR];
+
+const toBase64Url = (value) => Buffer.from(value).toString('base64url');
+
+async function hashPassword(password, salt) {
+  return (await scryptAsync(password, Buffer.from(salt, 'hex'), HASH_LENGTH)).toString('hex');
+}
+
+export class RoomAccess {
+  /**
+   * @param {Object} [state] - Forme persistée (voir toJSON)
+   */
+  constructor({
+    owner = null,
+    instructors = [],
+    password = null,
+    inviteOnly = false,
+    locked = false,
+    banned = [],
+    inviteSecret = randomBytes(32).toString('hex')
+  } = {}) {
+    this.owner = owner;
+    this.instructors = new Set(instructors);
+    this.password = password; // { salt, hash } ou null
+    this.inviteOnly = inviteOnly;
+    this.locked = locked;
+    this.banned = new Set(banned);
+    this.inviteSecret = inviteSecret;
+  }
+
+  /**
+   * Nouvelle room : le créateur en est propriétaire
+   *
+   * @param {Object} options
+   * @param {string} options.owner - Nom du créateur (celui de sa session)
+   * @param {string} [options.password] - Mot de passe de la room (optionnel)
+   * @param {boolean} [options.inviteOnly] - Sans mot de passe, n'entrer que sur invitation
+   */
+  static async create({ owner, password, inviteOnly = false }) {
+    const access = new RoomAccess({ owner, inviteOnly: !!inviteOnly });
+    if (password) await access.setPassword(password);
+    return access;
+  }
+
+  async setPassword(password) {
+    if (!password) {
+      this.password = null;
+      return;
+    }
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+      throw new Error(`Mot de passe de room trop court (${PASSWORD_MIN_LENGTH} caractères minimum)`);
+    }
+    const salt = randomBytes(16).toString('hex');
+    this.password = { salt, hash: await hashPassword(password, salt) };
+  }
+
+  async checkPassword(password) {
+    if (!this.password || typeof password !== 'string') return false;
+    const hash = Buffer.from(await hashPassword(password, this.password.salt), 'hex');
+    return timingSafeEqual(hash, Buffer.from(this.password.hash, 'hex'));
+  }
+
+  roleOf(username) {
+    if (username && username === this.owner) return ROLE_OWNER;
+    if (this.instructors.has(username)) return ROLE_INSTRUCTOR;
+    return ROLE_MEMBER;
+  }
+
+  isInstructor(username) {
+    return this.roleOf(username) !== ROLE_MEMBER;
+  }
+
+  setInstructor(username, enabled) {
+    if (enabled) this.instructors.add(username);
+    else this.instructors.delete(username);
+  }
+
+  sign(payload) {
+    return createHmac('sha256', this.inviteSecret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Invitation signée pour `roomId`
+   *
+   * @param {string} roomId
+   * @param {Object} [options]
+   * @param {string} [options.role] - ROLE_MEMBER ou ROLE_INSTRUCTOR
+   * @param {number} [options.ttlHours] - Durée de validité (7 jours au plus)
+   * @returns {{token: string, role: string, expiresAt: number}}
+   */
+  issueInvite(roomId, { role = ROLE_MEMBER, ttlHours = DEFAULT_INVITE_TTL_HOURS } = {}) {
+    if (!INVITE_ROLES.includes(role)) {
+      throw new Error(`Rôle d'invitation inconnu : ${role}`);
+    }
+    const hours = Math.min(Math.max(Number(ttlHours) || DEFAULT_INVITE_TTL_HOURS, 1), MAX_INVITE_TTL_HOURS);
+    const expiresAt = Date.now() + hours * HOUR;
+    const payload = toBase64Url(JSON.stringify({ room: roomId, role, exp: expiresAt }));
+    return { token: `${payload}.${this.sign(payload)}`, role, expiresAt };
+  }
+
+  /**
+   * @returns {{role: string}|null} Rôle accordé si l'invitation est intacte, non expirée et pour cette room
+   */
+  verifyInvite(roomId, token) {
+    if (typeof token !== 'string') return null;
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(this.sign(payload));
+    const presented = Buffer.from(signature);
+    if (expected.length !== presented.length || !timingSafeEqual(expected, presented)) return null;
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+    if (claims.room !== roomId || !(claims.exp > Date.now()) || !INVITE_ROLES.includes(claims.role)) return null;
+    return { role: claims.role };
+  }
+
+  // Nouveau secret : toutes les invitations déjà émises sont refusées
+  revokeInvites() {
+    this.inviteSecret = randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Décide de l'entrée de `username` dans la room
+   *
+   * @param {Object} request
+   * @param {string} request.roomId
+   * @param {string} request.username
+   * @param {boolean} request.member - Déjà membre (nouvelles clés, même place)
+   * @param {string} [request.password]
+   * @param {string} [request.invite]
+   * @returns {Promise<{role: string}|{error: string}>}
+   */
+  async admit({ roomId, username, member, password, invite }) {
+    if (this.banned.has(username)) {
+      return { error: `${username} a été exclu de ${roomId}` };
+    }
+    if (this.isInstructor(username) || member) {
+      return { role: this.roleOf(username) };
+    }
+    if (this.locked) {
+      return { error: `Room ${roomId} verrouillée par l'instructeur` };
+    }
+
+    if (invite) {
+      const granted = this.verifyInvite(roomId, invite);
+      if (!granted) return { error: 'Invitation invalide ou expirée' };
+      if (granted.role === ROLE_INSTRUCTOR) this.setInstructor(username, true);
+      return { role: this.roleOf(username) };
+    }
+    if (this.password) {
+      return await this.checkPassword(password)
+        ? { role: ROLE_MEMBER }
+        : { error: password ? 'Mot de passe de la room invalide' : 'Mot de passe de la room requis' };
+    }
+    if (this.inviteOnly) {
+      return { error: `Room ${roomId} sur invitation seulement` };
+    }
+    return { role: ROLE_MEMBER };
+  }
+
+  /**
+   * Vue diffusée aux membres (ni secret ni empreinte du mot de passe)
+   */
+  publicView() {
+    return {
+      owner: this.owner,
+      instructors: [...this.instructors],
+      passwordProtected: !!this.password,
+      inviteOnly: this.inviteOnly,
+      locked: this.locked,
+      banned: [...this.banned]
+    };
+  }
+
+  toJSON() {
+    return {
+      owner: this.owner,
+      instructors: [...this.instructors],
+      password: this.password,
+      inviteOnly: this.inviteOnly,
+      locked: this.locked,
+      banned: [...this.banned],
+      inviteSecret: this.inviteSecret
+    };
+  }
+
+  static fromJSON(json) {
+    return new RoomAccess(json || {});
+  }
+}
+
+/**
+ * Contrôle commun aux événements émis depuis une room (messages, prekeys) : la
+ * socket doit avoir rejoint cette room-ci, y figurer encore et ne pas en être exclue
+ *
+ * @param {Object|undefined} room - Room du relais ({ users, access })
+ * @param {string} roomId - Room visée par l'événement
+ * @param {Object} socketState
+ * @param {string|null} socketState.currentRoom - Room rejointe par la socket
+ * @param {string|null} socketState.username - Membre authentifié de la socket
+ * @returns {{error: string, code: string}|null}
+ */
+export function memberError(room, roomId, { currentRoom, username }) {
+  if (!room) return errorReply(ROOM_NOT_FOUND, `Room ${roomId} introuvable`);
+  if (!username || roomId !== currentRoom) return errorReply(UNAUTHORIZED, `Rejoignez ${roomId} avant d'y envoyer quoi que ce soit`);
+  if (room.access.banned.has(username)) return errorReply(UNAUTHORIZED, `${username} a été exclu de ${roomId}`);
+  if (!room.users.some(u => u.username === username)) return errorReply(UNAUTHORIZED, `${username} n'est plus membre de ${roomId}`);
+  return null;
+}
+
+export default RoomAccess;
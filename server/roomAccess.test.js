@@ -0,0 +1,74 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { RoomAccess, ROLE_INSTRUCTOR, ROLE_MEMBER, memberError } from './roomAccess.js';
+import { UNAUTHORIZED, ROOM_NOT_FOUND } from '../src/utils/ErrorCodes.js';
+
+const roomWith = (usernames, access = new RoomAccess({ owner: 'alice' })) => ({
+  users: usernames.map(username => ({ username })),
+  access
+});
+
+describe('memberError', () => {
+  const room = roomWith(['alice', 'bob']);
+
+  test('un membre présent dans sa room passe', () => {
+    expect(memberError(room, 'salle', { currentRoom: 'salle', username: 'bob' })).toBeNull();
+  });
+
+  test('room inconnue', () => {
+    expect(memberError(undefined, 'salle', { currentRoom: 'salle', username: 'bob' }).code).toBe(ROOM_NOT_FOUND);
+  });
+
+  test('socket qui n\'a rejoint aucune room, ou une autre', () => {
+    expect(memberError(room, 'salle', { currentRoom: null, username: null }).code).toBe(UNAUTHORIZED);
+    expect(memberError(room, 'salle', { currentRoom: 'autre', username: 'bob' }).code).toBe(UNAUTHORIZED);
+  });
+
+  test('membre retiré de la room (exclu puis socket restée ouverte)', () => {
+    expect(memberError(roomWith(['alice']), 'salle', { currentRoom: 'salle', username: 'bob' }).code).toBe(UNAUTHORIZED);
+  });
+
+  test('membre banni, même s\'il figure encore dans la liste', () => {
+    const access = new RoomAccess({ owner: 'alice', banned: ['bob'] });
+    const denied = memberError(roomWith(['alice', 'bob'], access), 'salle', { currentRoom: 'salle', username: 'bob' });
+    expect(denied).toEqual({ code: UNAUTHORIZED, error: 'bob a été exclu de salle' });
+  });
+
+  test('chaque événement réservé aux membres passe par memberRoom (server.js)', async () => {
+    const source = await readFile(path.resolve(process.cwd(), '..', 'server.js'), 'utf8');
+    const guarded = new Set([...source.matchAll(/memberRoom\('([^']+)'/g)].map(match => match[1]));
+    const memberEvents = [
+      'publish-prekeys', 'update-signed-prekey', 'upload-one-time-prekeys', 'fetch-prekey-bundle',
+      'init-session', 'send-encrypted-message', 'send-sealed-message', 'send-multi-sealed-message',
+      'send-group-message', 'send-sender-key', 'plaintext-receipt', 'ack-message', 'replay-detected',
+      'treekem-join', 'treekem-commit', 'update-unidentified-access', 'renew-certificate', 'revoke-certificates'
+    ];
+
+    expect(memberEvents.filter(event => !guarded.has(event))).toEqual([]);
+  });
+});
+
+describe('RoomAccess', () => {
+  test('mot de passe vérifié, jamais stocké en clair', async () => {
+    const access = await RoomAccess.create({ owner: 'alice', password: 'secret' });
+    expect(JSON.stringify(access.toJSON())).not.toContain('"secret"');
+    expect((await access.admit({ roomId: 'salle', username: 'bob', member: false, password: 'faux' })).error).toBeDefined();
+    expect(await access.admit({ roomId: 'salle', username: 'bob', member: false, password: 'secret' })).toEqual({ role: ROLE_MEMBER });
+  });
+
+  test('invitation signée : rôle accordé, refusée pour une autre room ou après révocation', async () => {
+    const access = await RoomAccess.create({ owner: 'alice', inviteOnly: true });
+    const { token } = access.issueInvite('salle', { role: ROLE_INSTRUCTOR });
+
+    expect(access.verifyInvite('autre', token)).toBeNull();
+    expect(await access.admit({ roomId: 'salle', username: 'bob', member: false, invite: token })).toEqual({ role: ROLE_INSTRUCTOR });
+
+    access.revokeInvites();
+    expect(access.verifyInvite('salle', token)).toBeNull();
+  });
+
+  test('un membre exclu ne revient pas, même déjà membre', async () => {
+    const access = new RoomAccess({ owner: 'alice', banned: ['bob'] });
+    expect((await access.admit({ roomId: 'salle', username: 'bob', member: true })).error).toMatch(/exclu/);
+  });
+});
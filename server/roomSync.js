@@ -0,0 +1,168 @@
+/**
+ * Réplication des rooms entre instances du relais (voir server/broker)
+ *
+ * Chaque instance garde ses rooms dans sa propre Map ; ce qu'elle y change est
+ * publié sur le broker et appliqué par les autres. Une room est découpée en
+ * parties indépendantes :
+ * - `meta` : contrôle d'accès, journal d'attaques, interrupteurs admin
+ * - `member:<nom>` : fiche du membre et sa boîte aux lettres
+ * - `prekeys:<nom>` : son bundle X3DH
+ * Seules les parties modifiées circulent, et la dernière écriture d'une MÊME partie
+ * l'emporte : deux élèves qui rejoignent en même temps sur deux instances ne
+ * s'écrasent pas.
+ *
+ * Le broker conserve aussi la dernière version de chaque partie et les messages
+ * chiffrés : une instance qui démarre reprend la séance en cours.
+ */
+
+import { randomUUID } from 'crypto';
+
+export const ROOMS_CHANNEL = 'relay:rooms';
+const ROOM_INDEX = 'relay:room-index'; // roomId -> date de création
+const partsKey = (roomId) => `relay:room:${roomId}`;
+const messagesKey = (roomId) => `relay:messages:${roomId}`;
+
+const parseValues = (hash) =>
+  Object.fromEntries(Object.entries(hash).map(([field, value]) => [field, JSON.parse(value)]));
+
+export class RoomSync {
+  /**
+   * @param {Object} options
+   * @param {Object} options.broker - Voir server/broker/index.js
+   * @param {string} [options.instanceId] - Identifiant de cette instance
+   */
+  constructor({ broker, instanceId = randomUUID() }) {
+    this.broker = broker;
+    this.instanceId = instanceId;
+    this.shared = new Map(); // roomId -> Map(partie -> JSON déjà partagé)
+  }
+
+  /**
+   * @param {Function} onUpdate - Appelée pour chaque modification venue d'une autre instance :
+   *   { type: 'parts', roomId, parts } | { type: 'message', roomId, message }
+   *   | { type: 'reset', roomId, parts } | { type: 'drop', roomId }
+   */
+  async start(onUpdate) {
+    await this.broker.subscribe(ROOMS_CHANNEL, (raw) => {
+      const update = JSON.parse(raw);
+      if (update.origin === this.instanceId) return;
+
+      if (update.type === 'drop') this.shared.delete(update.roomId);
+      if (update.parts) this.remember(update.roomId, update.parts);
+      Promise.resolve(onUpdate(update)).catch(error => {
+        console.error(`❌ Mise à jour de ${update.roomId} non appliquée:`, error);
+      });
+    });
+    return this;
+  }
+
+  remember(roomId, parts) {
+    if (!this.shared.has(roomId)) this.shared.set(roomId, new Map());
+    const shared = this.shared.get(roomId);
+    for (const [name, value] of Object.entries(parts)) {
+      if (value === null) shared.delete(name);
+      else shared.set(name, JSON.stringify(value));
+    }
+  }
+
+  // Publication d'abord (l'ordre des publications est celui des appels), état ensuite
+  run(update, writes = []) {
+    const published = this.broker.publish(ROOMS_CHANNEL, JSON.stringify({ origin: this.instanceId, ...update }));
+    return Promise.all([published, ...writes.map(write => write())]).catch(error => {
+      console.error('❌ Erreur broker:', error);
+    });
+  }
+
+  // Parties qui diffèrent de la dernière version partagée (null : partie supprimée)
+  changedParts(roomId, parts) {
+    const shared = this.shared.get(roomId) || new Map();
+    return Object.fromEntries(Object.entries(parts).filter(([name, value]) =>
+      (shared.get(name) ?? null) !== (value === null ? null : JSON.stringify(value))
+    ));
+  }
+
+  partWrites(roomId, parts) {
+    return Object.entries(parts).map(([name, value]) => () => (value === null
+      ? this.broker.deleteState(partsKey(roomId), name)
+      : this.broker.writeState(partsKey(roomId), name, JSON.stringify(value))));
+  }
+
+  /**
+   * Partage l'état de la room : `meta` et toutes les parties `member:` (celles qui
+   * n'y figurent plus sont supprimées ; les bundles X3DH ne sont pas concernés)
+   */
+  shareRoom(roomId, parts) {
+    const removed = [...(this.shared.get(roomId)?.keys() || [])]
+      .filter(name => name.startsWith('member:') && !(name in parts));
+    const changed = this.changedParts(roomId, {
+      ...parts,
+      ...Object.fromEntries(removed.map(name => [name, null]))
+    });
+    if (Object.keys(changed).length === 0) return null;
+
+    const isNew = !this.shared.has(roomId);
+    this.remember(roomId, changed);
+    const writes = this.partWrites(roomId, changed);
+    if (isNew) writes.push(() => this.broker.writeState(ROOM_INDEX, roomId, String(parts.meta?.createdAt ?? Date.now())));
+    return this.run({ type: 'parts', roomId, parts: changed }, writes);
+  }
+
+  // Une seule partie (bundle X3DH) ; null la supprime
+  sharePart(roomId, name, value) {
+    const changed = this.changedParts(roomId, { [name]: value });
+    if (Object.keys(changed).length === 0) return null;
+
+    this.remember(roomId, changed);
+    return this.run({ type: 'parts', roomId, parts: changed }, this.partWrites(roomId, changed));
+  }
+
+  shareMessage(roomId, message) {
+    return this.run({ type: 'message', roomId, message }, [
+      () => this.broker.writeState(messagesKey(roomId), message.id, JSON.stringify(message))
+    ]);
+  }
+
+  // Remise à zéro : messages effacés partout, nouvel état des parties
+  shareReset(roomId, parts) {
+    this.remember(roomId, parts);
+    return this.run({ type: 'reset', roomId, parts }, [
+      () => this.broker.deleteState(messagesKey(roomId)),
+      ...this.partWrites(roomId, parts)
+    ]);
+  }
+
+  // Élagage : chaque instance applique la même rétention, rien n'est publié
+  forgetMessages(roomId, messageIds) {
+    return Promise.all(messageIds.map(id => this.broker.deleteState(messagesKey(roomId), id))).catch(error => {
+      console.error('❌ Erreur broker:', error);
+    });
+  }
+
+  dropRoom(roomId) {
+    this.shared.delete(roomId);
+    return this.run({ type: 'drop', roomId }, [
+      () => this.broker.deleteState(ROOM_INDEX, roomId),
+      () => this.broker.deleteState(partsKey(roomId)),
+      () => this.broker.deleteState(messagesKey(roomId))
+    ]);
+  }
+
+  /**
+   * Rooms conservées par le broker (vide au premier démarrage de la classe)
+   *
+   * @returns {Promise<Array<{roomId: string, parts: Object, messages: Array}>>}
+   */
+  async loadRooms() {
+    const index = await this.broker.readState(ROOM_INDEX);
+
+    return Promise.all(Object.keys(index).map(async (roomId) => {
+      const parts = parseValues(await this.broker.readState(partsKey(roomId)));
+      const messages = Object.values(parseValues(await this.broker.readState(messagesKey(roomId))))
+        .sort((a, b) => a.timestamp - b.timestamp);
+      this.remember(roomId, parts);
+      return { roomId, parts, messages };
+    }));
+  }
+}
+
+export default RoomSync;
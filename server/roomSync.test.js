@@ -0,0 +1,138 @@
+import { RoomSync } from './roomSync.js';
+import { RedisBroker } from './broker/redis.js';
+import { FakeRedisServer } from './broker/fakeRedis.js';
+
+// Les abonnés du Redis factice sont servis au tour suivant de la boucle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const member = (username, joinedAt) => ({ user: { username, online: true, joinedAt }, mailbox: {} });
+
+describe('RoomSync sur un même FakeRedisServer', () => {
+  let redis;
+  let instances;
+
+  // Une instance du relais : son broker, sa RoomSync et les mises à jour reçues
+  const startInstance = async (instanceId) => {
+    const broker = await new RedisBroker({ client: redis.connect() }).init();
+    const updates = [];
+    const sync = await new RoomSync({ broker, instanceId }).start(update => updates.push(update));
+    const instance = { broker, sync, updates };
+    instances.push(instance);
+    return instance;
+  };
+
+  beforeEach(() => {
+    redis = new FakeRedisServer();
+    instances = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(instances.filter(i => !i.closed).map(i => i.broker.close()));
+  });
+
+  test('création et arrivée d\'un membre : l\'autre instance reçoit la room, puis la seule partie modifiée', async () => {
+    const a = await startInstance('a');
+    const b = await startInstance('b');
+
+    await a.sync.shareRoom('salle', { meta: { createdAt: 1 }, 'member:alice': member('alice', 1) });
+    await flush();
+    expect(a.updates).toEqual([]);
+    expect(b.updates).toEqual([{
+      origin: 'a',
+      type: 'parts',
+      roomId: 'salle',
+      parts: { meta: { createdAt: 1 }, 'member:alice': member('alice', 1) }
+    }]);
+
+    // bob rejoint sur B : B connaît déjà alice, seule sa fiche circule
+    await b.sync.shareRoom('salle', {
+      meta: { createdAt: 1 },
+      'member:alice': member('alice', 1),
+      'member:bob': member('bob', 2)
+    });
+    await flush();
+    expect(a.updates.map(u => u.parts)).toEqual([{ 'member:bob': member('bob', 2) }]);
+  });
+
+  test('un membre retiré disparaît aussi de l\'autre instance', async () => {
+    const a = await startInstance('a');
+    const b = await startInstance('b');
+
+    await a.sync.shareRoom('salle', {
+      meta: { createdAt: 1 },
+      'member:alice': member('alice', 1),
+      'member:bob': member('bob', 2)
+    });
+    await flush();
+    await b.sync.shareRoom('salle', { meta: { createdAt: 1 }, 'member:alice': member('alice', 1) });
+    await flush();
+
+    expect(a.updates.map(u => u.parts)).toEqual([{ 'member:bob': null }]);
+  });
+
+  test('messages et bundles X3DH : diffusés et conservés pour une instance qui démarre', async () => {
+    const a = await startInstance('a');
+    const b = await startInstance('b');
+
+    await a.sync.shareRoom('salle', { meta: { createdAt: 1 }, 'member:alice': member('alice', 1) });
+    await a.sync.sharePart('salle', 'prekeys:alice', { identityKey: 'ik' });
+    await a.sync.shareMessage('salle', { id: 'm2', timestamp: 20 });
+    await a.sync.shareMessage('salle', { id: 'm1', timestamp: 10 });
+    await flush();
+
+    expect(b.updates.filter(u => u.type === 'message').map(u => u.message.id)).toEqual(['m2', 'm1']);
+
+    const [restored] = await (await startInstance('c')).sync.loadRooms();
+    expect(restored.roomId).toBe('salle');
+    expect(Object.keys(restored.parts).sort()).toEqual(['member:alice', 'meta', 'prekeys:alice']);
+    expect(restored.messages.map(m => m.id)).toEqual(['m1', 'm2']);
+  });
+
+  test('une instance qui s\'en va : les autres continuent, une nouvelle reprend la séance', async () => {
+    const a = await startInstance('a');
+    const b = await startInstance('b');
+
+    await a.sync.shareRoom('salle', { meta: { createdAt: 1 }, 'member:alice': member('alice', 1) });
+    await flush();
+    await b.sync.shareRoom('salle', {
+      meta: { createdAt: 1 },
+      'member:alice': member('alice', 1),
+      'member:bob': member('bob', 2)
+    });
+    await flush();
+
+    await a.broker.close();
+    a.closed = true;
+    const receivedByA = a.updates.length;
+
+    // Remplaçante : même état que B, y compris ce que A avait publié
+    const c = await startInstance('c');
+    const [restored] = await c.sync.loadRooms();
+    expect(Object.keys(restored.parts).filter(name => name.startsWith('member:')).sort())
+      .toEqual(['member:alice', 'member:bob']);
+
+    await b.sync.shareMessage('salle', { id: 'm1', timestamp: 1 });
+    await c.sync.shareRoom('salle', { ...restored.parts, 'member:carol': member('carol', 3) });
+    await flush();
+    expect(c.updates.map(u => u.type)).toEqual(['message']);
+    expect(b.updates.map(u => u.parts)).toContainEqual({ 'member:carol': member('carol', 3) });
+    expect(a.updates).toHaveLength(receivedByA);
+  });
+
+  test('remise à zéro et suppression d\'une room', async () => {
+    const a = await startInstance('a');
+    const b = await startInstance('b');
+
+    await a.sync.shareRoom('salle', { meta: { createdAt: 1 } });
+    await a.sync.shareMessage('salle', { id: 'm1', timestamp: 1 });
+    await a.sync.shareReset('salle', { meta: { createdAt: 1, attacks: [] } });
+    await flush();
+    expect(b.updates.map(u => u.type)).toEqual(['parts', 'message', 'reset']);
+    expect((await b.sync.loadRooms())[0].messages).toEqual([]);
+
+    await a.sync.dropRoom('salle');
+    await flush();
+    expect(b.updates.at(-1)).toEqual({ origin: 'a', type: 'drop', roomId: 'salle' });
+    expect(await b.sync.loadRooms()).toEqual([]);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Routage ciblé des messages d'une room
+ *
+ * Un message n'est remis qu'aux sockets de ses destinataires, et renvoyé à la
+ * socket qui l'a émis. En mode observateurs (interrupteur admin), les autres
+ * membres en reçoivent une copie expurgée : les métadonnées que voit le relais,
+ * sans le chiffré. Le journal renvoyé au join suit la même règle.
+ */
+
+// Destinataire d'un message : son `to`, ou tout autre membre pour un message de
+// groupe diffusé en un seul chiffré
+export function isAddressedTo(message, username) {
+  return message.to === username || (message.group && !message.sealed && message.from !== username);
+}
+
+export function mailboxRecipients(room, message) {
+  return room.users.filter(u => isAddressedTo(message, u.username)).map(u => u.username);
+}
+
+export function redactedCopy(message) {
+  const { encryptedData, sealedMessage, groupMessage, ...metadata } = message;
+  return {
+    ...metadata,
+    redacted: true,
+    size: JSON.stringify(encryptedData ?? sealedMessage ?? groupMessage ?? null).length
+  };
+}
+
+/**
+ * Ce que `username` reçoit de `message`
+ *
+ * @returns {Object|null} Le message, sa copie expurgée (mode observateurs) ou null
+ */
+export function messageViewFor(room, message, username) {
+  if (message.from === username || isAddressedTo(message, username)) return message;
+  return room.observerBroadcast ? redactedCopy(message) : null;
+}
+
+export function messagesViewFor(room, username) {
+  return room.messages.map(message => messageViewFor(room, message, username)).filter(Boolean);
+}
+
+/**
+ * Remises d'un nouveau message aux autres sockets en ligne de la room
+ * (la socket émettrice reçoit le message complet à part)
+ *
+ * @returns {Array<{socketId: string, view: Object}>}
+ */
+export function messageDeliveries(room, message, senderSocketId) {
+  const deliveries = [];
+  for (const member of room.users) {
+    if (!member.online || member.id === senderSocketId) continue;
+    const view = messageViewFor(room, message, member.username);
+    if (view) deliveries.push({ socketId: member.id, view });
+  }
+  return deliveries;
+}
@@ -0,0 +1,45 @@
+import { mailboxRecipients, messagesViewFor, messageDeliveries } from './routing.js';
+
+const online = (username) => ({ id: `socket-${username}`, username, online: true });
+
+const roomWith = ({ observerBroadcast = false, messages = [] } = {}) => ({
+  users: [online('alice'), online('bob'), online('carol'), { ...online('dave'), online: false }],
+  observerBroadcast,
+  messages
+});
+
+const sealed = { id: 'm1', from: 'alice', to: 'bob', sealedMessage: { version: 2, sealed: [1, 2, 3] }, timestamp: 1 };
+const group = { id: 'g1', from: 'alice', group: true, groupMessage: { ciphertext: [4, 5] }, timestamp: 2 };
+
+const viewsOf = (deliveries) => Object.fromEntries(deliveries.map(({ socketId, view }) => [socketId, view]));
+
+describe('routage ciblé', () => {
+  test('seul le destinataire reçoit le message, l\'émetteur est servi à part', () => {
+    const deliveries = messageDeliveries(roomWith(), sealed, 'socket-alice');
+
+    expect(deliveries).toEqual([{ socketId: 'socket-bob', view: sealed }]);
+  });
+
+  test('mode observateurs : les autres ne reçoivent que les métadonnées, jamais le chiffré', () => {
+    const views = viewsOf(messageDeliveries(roomWith({ observerBroadcast: true }), sealed, 'socket-alice'));
+
+    expect(views['socket-bob']).toBe(sealed);
+    expect(views['socket-carol']).toEqual({ id: 'm1', from: 'alice', to: 'bob', timestamp: 1, redacted: true, size: JSON.stringify(sealed.sealedMessage).length });
+    expect(views['socket-carol']).not.toHaveProperty('sealedMessage');
+    expect(views).not.toHaveProperty('socket-dave');
+  });
+
+  test('message de groupe en un seul chiffré : chaque autre membre le reçoit en entier', () => {
+    const views = viewsOf(messageDeliveries(roomWith(), group, 'socket-alice'));
+
+    expect(Object.keys(views)).toEqual(['socket-bob', 'socket-carol']);
+    expect(views['socket-carol'].groupMessage).toEqual(group.groupMessage);
+    expect(mailboxRecipients(roomWith(), group)).toEqual(['bob', 'carol', 'dave']);
+  });
+
+  test('journal au join : mêmes règles que le routage en direct', () => {
+    expect(messagesViewFor(roomWith({ messages: [sealed] }), 'carol')).toEqual([]);
+    expect(messagesViewFor(roomWith({ messages: [sealed] }), 'alice')).toEqual([sealed]);
+    expect(messagesViewFor(roomWith({ observerBroadcast: true, messages: [sealed] }), 'carol')[0].redacted).toBe(true);
+  });
+});
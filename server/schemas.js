@@ -0,0 +1,212 @@
+/**
+ * Schémas des événements Socket.IO reçus par le relais
+ *
+ * Chaque événement déclare la forme de sa charge utile ; le middleware de
+ * server.js la vérifie avant d'appeler le handler. Une charge non conforme est
+ * refusée avec le code INVALID_PAYLOAD au lieu de faire échouer le handler en
+ * silence (ou planter sur une déstructuration).
+ *
+ * Les blobs chiffrés (enveloppes scellées, messages de groupe, commits TreeKEM)
+ * restent opaques : seul leur type est vérifié, leur taille est plafonnée par
+ * les limites anti-abus (rateLimit.js). Les champs inconnus sont tolérés.
+ */
+
+import { REPLAY_CHECKS } from '../src/crypto/ReplayProtection.js';
+import { RECEIPT_TYPES } from '../src/crypto/MessageContent.js';
+
+// Règles : { type, optional, ...contraintes }
+const string = (options = {}) => ({ type: 'string', max: 256, ...options });
+const integer = (options = {}) => ({ type: 'integer', ...options });
+const number = (options = {}) => ({ type: 'number', ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const object = (fields = null, options = {}) => ({ type: 'object', fields, ...options });
+const array = (items, options = {}) => ({ type: 'array', items, max: 100, ...options });
+const optional = (rule) => ({ ...rule, optional: true });
+
+const roomId = string({ max: 64 });
+const username = string({ max: 32 });
+const messageId = string({ max: 64 });
+const accessKey = optional(string({ max: 64 }));
+const adminToken = optional(string({ min: 0 })); // champ laissé vide côté client
+const ecPublicKey = object({ kty: string({ max: 8 }), crv: string({ max: 16 }), x: string(), y: string() });
+const oneTimePreKey = object({ id: integer({ min: 0 }), publicKey: ecPublicKey });
+const signedPreKey = object({ id: integer({ min: 0 }), publicKey: ecPublicKey });
+const sealedMessage = object();
+
+export const EVENT_SCHEMAS = {
+  'create-room': object({
+    roomId,
+    password: optional(string({ max: 128 })),
+    inviteOnly: optional(boolean())
+  }),
+  'join-simulation': object({
+    roomId,
+    username,
+    publicKey: optional(object()),
+    publicKeyFingerprint: optional(string()),
+    sealingKey: optional(array(integer({ min: 0, max: 255 }), { max: 64 })),
+    sealedVersions: optional(array(integer({ min: 1 }), { max: 8 })),
+    accessKey,
+    unrestrictedAccess: optional(boolean()),
+    identityKey: optional(ecPublicKey),
+    deviceId: optional(integer({ min: 1 })),
+    roomPassword: optional(string({ max: 128 })),
+    invite: optional(string({ max: 1024 })),
+    proof: optional(string({ max: 128 }))
+  }),
+  'rejoin-challenge': optional(object()),
+  'rejoin-simulation': object({
+    roomId,
+    username,
+    deviceId: optional(integer({ min: 1 })),
+    proof: string({ max: 128 })
+  }),
+  'publish-prekeys': object({
+    roomId,
+    bundle: object({
+      identityKey: ecPublicKey,
+      signedPreKey,
+      oneTimePreKeys: optional(array(oneTimePreKey))
+    })
+  }),
+  'update-signed-prekey': object({ roomId, signedPreKey }),
+  'upload-one-time-prekeys': object({ roomId, oneTimePreKeys: array(oneTimePreKey) }),
+  'fetch-prekey-bundle': object({ roomId, username }),
+  'init-session': object({ roomId, recipientId: string({ max: 64 }), sessionData: object() }),
+  // Expéditeur : le membre de la session, jamais un champ fourni par le client
+  'send-encrypted-message': object({ roomId, to: username, encryptedData: object() }),
+  'send-sealed-message': object({ roomId, to: username, sealedMessage, accessKey }),
+  'send-sender-key': object({ roomId, to: username, sealedMessage, accessKey }),
+  'plaintext-receipt': object({
+    roomId,
+    to: username,
+    receiptType: string({ enum: RECEIPT_TYPES }),
+    messageIds: array(messageId)
+  }),
+  'send-group-message': object({ roomId, groupMessage: object() }),
+  'send-multi-sealed-message': object({
+    roomId,
+    multiSealed: object({
+      version: integer({ min: 1 }),
+      recipients: array(object({ to: username }), { min: 1 })
+    }),
+    accessKey
+  }),
+  'ack-message': object({ roomId, messageId }),
+  'treekem-join': object({ roomId }),
+  'treekem-commit': object({
+    roomId,
+    commit: object({
+      epoch: integer({ min: 0 }),
+      committer: integer({ min: 0 }),
+      committerId: string({ max: 64 }),
+      proposals: array(object())
+    }),
+    welcomes: optional(array(object()))
+  }),
+  'user-typing': object({ roomId, username: optional(username) }),
+  'stop-typing': object({ roomId, username: optional(username) }),
+  'launch-attack': object({
+    roomId,
+    attackType: string({ enum: ['MITM', 'replay'] }),
+    target: username,
+    options: optional(object({ timestampMode: optional(string({ max: 16 })) }))
+  }),
+  'replay-detected': object({ roomId, messageId, check: string({ enum: REPLAY_CHECKS }) }),
+  'stop-attack': object({ roomId, attackId: string({ max: 64 }) }),
+  'instructor-kick': object({ roomId, username }),
+  'instructor-unban': object({ roomId, username }),
+  'instructor-lock': object({ roomId, locked: boolean() }),
+  'instructor-set-role': object({ roomId, username, instructor: boolean() }),
+  'instructor-create-invite': object({
+    roomId,
+    role: optional(string({ max: 16 })),
+    ttlHours: optional(number({ min: 1 }))
+  }),
+  'instructor-revoke-invites': object({ roomId }),
+  'instructor-reset': object({ roomId }),
+  'admin-set-real-attacks': object({ roomId, enabled: boolean(), adminToken }),
+  'admin-set-observer-broadcast': object({ roomId, enabled: boolean(), adminToken }),
+  'get-trust-roots': null, // seulement un ack
+  'get-revocations': null,
+  'update-unidentified-access': object({
+    roomId,
+    accessKey,
+    unrestrictedAccess: optional(boolean())
+  }),
+  'renew-certificate': object({ roomId }),
+  'revoke-certificates': object({
+    roomId,
+    username: optional(username),
+    adminToken,
+    reason: optional(string({ max: 200 }))
+  }),
+  'admin-rotate-ca': object({ adminToken })
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * @returns {string|null} Première violation trouvée (chemin + raison), ou null
+ */
+export function validate(rule, value, path = 'payload') {
+  if (value === undefined) {
+    return rule.optional ? null : `${path} manquant`;
+  }
+
+  const actual = typeOf(value);
+  const matches = rule.type === actual || (rule.type === 'number' && actual === 'integer');
+  if (!matches) return `${path} : ${rule.type} attendu (${actual} reçu)`;
+
+  switch (rule.type) {
+    case 'string':
+      if (value.length < (rule.min ?? 1)) return `${path} vide`;
+      if (value.length > rule.max) return `${path} trop long (${rule.max} caractères au plus)`;
+      if (rule.enum && !rule.enum.includes(value)) return `${path} : valeur inconnue ${value}`;
+      return null;
+    case 'integer':
+    case 'number':
+      if (rule.min !== undefined && value < rule.min) return `${path} : ${rule.min} au moins`;
+      if (rule.max !== undefined && value > rule.max) return `${path} : ${rule.max} au plus`;
+      return null;
+    case 'array': {
+      if (value.length < (rule.min ?? 0)) return `${path} : ${rule.min} élément(s) au moins`;
+      if (value.length > rule.max) return `${path} : ${rule.max} éléments au plus`;
+      for (let i = 0; i < value.length; i++) {
+        const violation = validate(rule.items, value[i], `${path}[${i}]`);
+        if (violation) return violation;
+      }
+      return null;
+    }
+    case 'object':
+      for (const [field, fieldRule] of Object.entries(rule.fields || {})) {
+        const violation = validate(fieldRule, value[field], `${path}.${field}`);
+        if (violation) return violation;
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Vérifie la charge utile d'un événement entrant
+ *
+ * @param {string} event
+ * @param {*} payload - Premier argument du paquet (l'ack éventuel en est exclu)
+ * @returns {string|null} Raison du refus, ou null si la charge est conforme
+ */
+export function validatePayload(event, payload) {
+  if (!(event in EVENT_SCHEMAS)) return `Événement inconnu : ${event}`;
+
+  const schema = EVENT_SCHEMAS[event];
+  if (schema === null) return null;
+  return validate(schema, typeof payload === 'function' ? undefined : payload);
+}
+
+export default EVENT_SCHEMAS;
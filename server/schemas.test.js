@@ -0,0 +1,64 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { EVENT_SCHEMAS, validatePayload } from './schemas.js';
+import { ERROR_LABELS, INVALID_PAYLOAD, errorReply, ackError } from '../src/utils/ErrorCodes.js';
+
+const bob = { roomId: 'salle', to: 'bob' };
+
+describe('validatePayload', () => {
+  test('charge conforme acceptée, champs inconnus tolérés', () => {
+    expect(validatePayload('send-sealed-message', { ...bob, sealedMessage: {}, extra: 1 })).toBeNull();
+    expect(validatePayload('get-trust-roots', () => {})).toBeNull();
+  });
+
+  test('la première violation est nommée par son chemin', () => {
+    expect(validatePayload('send-sealed-message', { roomId: 'salle', sealedMessage: {} })).toBe('payload.to manquant');
+    expect(validatePayload('send-sealed-message', { ...bob, sealedMessage: 'texte' }))
+      .toBe('payload.sealedMessage : object attendu (string reçu)');
+    expect(validatePayload('join-simulation', { roomId: 'salle', username: 'a'.repeat(33) }))
+      .toBe('payload.username trop long (32 caractères au plus)');
+    expect(validatePayload('plaintext-receipt', { ...bob, receiptType: 'vu', messageIds: ['m1'] }))
+      .toBe('payload.receiptType : valeur inconnue vu');
+    expect(validatePayload('join-simulation', { roomId: 'salle', username: 'bob', sealingKey: [1, 256] }))
+      .toBe('payload.sealingKey[1] : 255 au plus');
+  });
+
+  test('un ack passé à la place de la charge est une charge manquante', () => {
+    expect(validatePayload('ack-message', () => {})).toBe('payload manquant');
+  });
+
+  test('plus de champ `from` : l\'expéditeur vient de la session', () => {
+    expect(EVENT_SCHEMAS['send-encrypted-message'].fields).not.toHaveProperty('from');
+  });
+
+  test('événement inconnu refusé', () => {
+    expect(validatePayload('drop-database', {})).toBe('Événement inconnu : drop-database');
+  });
+
+  test('chaque événement écouté par le relais a un schéma', async () => {
+    const source = await readFile(path.resolve(process.cwd(), '..', 'server.js'), 'utf8');
+    // disconnect et error : événements réservés de Socket.IO, sans charge utile client
+    const handled = [...source.matchAll(/socket\.on\('([^']+)'/g)].map(match => match[1])
+      .filter(event => !['disconnect', 'error'].includes(event));
+
+    expect(handled.length).toBeGreaterThan(20);
+    expect(handled.filter(event => !(event in EVENT_SCHEMAS))).toEqual([]);
+  });
+});
+
+describe('ErrorCodes', () => {
+  test('réponse { error, code } et erreur client qui garde le code', () => {
+    const reply = errorReply(INVALID_PAYLOAD, 'payload.to manquant');
+    const error = ackError(reply);
+
+    expect(reply).toEqual({ error: 'payload.to manquant', code: INVALID_PAYLOAD });
+    expect(error.message).toBe('payload.to manquant');
+    expect(error.code).toBe(INVALID_PAYLOAD);
+    expect(ackError({ error: 'sans code' }).code).toBe('INTERNAL_ERROR');
+  });
+
+  test('chaque code a un libellé', () => {
+    expect(Object.keys(ERROR_LABELS)).toHaveLength(10);
+    expect(Object.values(ERROR_LABELS).every(label => typeof label === 'string' && label.length > 0)).toBe(true);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Backend fichier : un journal JSONL par room, en ajout seul
+ *
+ * Chaque ligne est soit l'état de la room (membres, boîtes aux lettres, journal
+ * d'attaques, interrupteur admin), soit un message chiffré. Au chargement on rejoue le
+ * journal : le dernier état gagne, les messages s'accumulent. Le journal est
+ * régulièrement compacté (réécrit dans un fichier temporaire puis renommé) en
+ * appliquant la rétention par âge et par taille.
+ *
+ * Une ligne tronquée par un arrêt brutal est ignorée au rechargement.
+ */
+
+import { mkdir, readdir, readFile, appendFile, writeFile, rename, rm } from 'fs/promises';
+import path from 'path';
+import { pruneMessages, pruneAttacks, isRoomExpired } from './retention.js';
+
+const EXTENSION = '.jsonl';
+const COMPACT_EVERY = 500; // lignes ajoutées avant réécriture du journal
+
+export class FileStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Dossier des journaux (créé au besoin)
+   * @param {Object} options.retention - Voir retention.js
+   */
+  constructor({ directory, retention }) {
+    this.name = 'file';
+    this.directory = directory;
+    this.retention = retention;
+
+    this.appended = new Map(); // roomId -> lignes ajoutées depuis la dernière compaction
+    this.queue = Promise.resolve(); // écritures sérialisées (ordre du journal garanti)
+  }
+
+  async init() {
+    await mkdir(this.directory, { recursive: true });
+    return this;
+  }
+
+  fileFor(roomId) {
+    return path.join(this.directory, encodeURIComponent(roomId) + EXTENSION);
+  }
+
+  enqueue(operation) {
+    this.queue = this.queue.then(operation).catch(error => {
+      console.error('❌ Erreur stockage fichier:', error);
+    });
+    return this.queue;
+  }
+
+  /**
+   * Rejoue le journal d'une room (null si absent ou vide)
+   */
+  async readRoom(roomId) {
+    let content;
+    try {
+      content = await readFile(this.fileFor(roomId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    let state = null;
+    const messages = [];
+    for (const line of content.split('\n')) {
+      if (!line) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        console.warn(`⚠️ Ligne illisible ignorée dans le journal de ${roomId}`);
+        continue;
+      }
+
+      if (entry.type === 'room') state = entry.room;
+      if (entry.type === 'message') messages.push(entry.message);
+    }
+
+    if (!state) return null;
+    return { roomId, ...state, messages };
+  }
+
+  // Réécrit le journal avec le seul état courant (rétention appliquée)
+  async writeRoom(record) {
+    const { roomId, messages, ...state } = record;
+    const lines = [
+      JSON.stringify({ type: 'room', room: state }),
+      ...messages.map(message => JSON.stringify({ type: 'message', message }))
+    ];
+
+    const file = this.fileFor(roomId);
+    const tmp = `${file}.tmp`;
+    await writeFile(tmp, lines.join('\n') + '\n');
+    await rename(tmp, file);
+    this.appended.set(roomId, 0);
+  }
+
+  applyRetention(record, now) {
+    return {
+      ...record,
+      messages: pruneMessages(record.messages, this.retention, now),
+      attacks: pruneAttacks(record.attacks || [], this.retention)
+    };
+  }
+
+  // Compacte une room, ou la supprime si elle a expiré
+  async compactRoom(roomId, now = Date.now()) {
+    const record = await this.readRoom(roomId);
+    if (!record) return null;
+
+    if (isRoomExpired(record, this.retention, now)) {
+      await rm(this.fileFor(roomId), { force: true });
+      this.appended.delete(roomId);
+      return null;
+    }
+
+    const pruned = this.applyRetention(record, now);
+    await this.writeRoom(pruned);
+    return pruned;
+  }
+
+  async append(roomId, entry) {
+    await appendFile(this.fileFor(roomId), JSON.stringify(entry) + '\n');
+
+    const appended = (this.appended.get(roomId) || 0) + 1;
+    this.appended.set(roomId, appended);
+    if (appended >= COMPACT_EVERY) {
+      await this.compactRoom(roomId);
+    }
+  }
+
+  /**
+   * Rooms persistées, compactées et débarrassées des rooms expirées
+   */
+  async loadRooms() {
+    const files = (await readdir(this.directory)).filter(f => f.endsWith(EXTENSION));
+    const rooms = [];
+
+    for (const file of files) {
+      const roomId = decodeURIComponent(file.slice(0, -EXTENSION.length));
+      const record = await this.compactRoom(roomId);
+      if (record) rooms.push(record);
+    }
+
+    return rooms;
+  }
+
+  /**
+   * @param {string} roomId
+   * @param {{createdAt: number, realAttacks: boolean, users: Object[], mailboxes: Object, attacks: Object[]}} snapshot
+   */
+  saveRoom(roomId, snapshot) {
+    return this.enqueue(() => this.append(roomId, { type: 'room', room: snapshot }));
+  }
+
+  appendMessage(roomId, message) {
+    return this.enqueue(() => this.append(roomId, { type: 'message', message }));
+  }
+
+  // Remise à zéro : le journal ne garde que l'état courant, sans aucun message
+  resetRoom(roomId, snapshot) {
+    return this.enqueue(() => this.writeRoom({ roomId, ...snapshot, messages: [] }));
+  }
+
+  deleteRoom(roomId) {
+    return this.enqueue(async () => {
+      await rm(this.fileFor(roomId), { force: true });
+      this.appended.delete(roomId);
+    });
+  }
+
+  prune(now = Date.now()) {
+    return this.enqueue(async () => {
+      const files = (await readdir(this.directory)).filter(f => f.endsWith(EXTENSION));
+      for (const file of files) {
+        await this.compactRoom(decodeURIComponent(file.slice(0, -EXTENSION.length)), now);
+      }
+    });
+  }
+
+  // Attend la fin des écritures en cours (arrêt propre)
+  close() {
+    return this.queue;
+  }
+}
+
+export default FileStorage;
@@ -0,0 +1,82 @@
+import { mkdtemp, rm, appendFile, readdir } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileStorage } from './file.js';
+import { DEFAULT_RETENTION } from './retention.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const snapshot = (overrides = {}) => ({
+  createdAt: Date.now(),
+  realAttacks: false,
+  users: [{ username: 'alice', online: false }],
+  mailboxes: {},
+  attacks: [],
+  ...overrides
+});
+const message = (id, timestamp = Date.now()) => ({ id, timestamp, encryptedData: 'chiffré' });
+
+describe('FileStorage', () => {
+  let directory;
+  // Nouveau backend sur le même dossier : ce que voit le relais après redémarrage
+  const restart = () => new FileStorage({ directory, retention: DEFAULT_RETENTION }).init();
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(os.tmpdir(), 'relay-storage-'));
+  });
+
+  afterEach(() => rm(directory, { recursive: true, force: true }));
+
+  test('rooms, membres et messages survivent au redémarrage, dernier état gagnant', async () => {
+    const storage = await restart();
+    storage.saveRoom('salle 1', snapshot());
+    storage.appendMessage('salle 1', message('m1'));
+    storage.saveRoom('salle 1', snapshot({ users: [{ username: 'alice' }, { username: 'bob' }] }));
+    await storage.close();
+
+    const [room] = await (await restart()).loadRooms();
+    expect(room.roomId).toBe('salle 1');
+    expect(room.users.map(u => u.username)).toEqual(['alice', 'bob']);
+    expect(room.messages.map(m => m.id)).toEqual(['m1']);
+  });
+
+  test('une ligne tronquée par un arrêt brutal est ignorée', async () => {
+    const storage = await restart();
+    storage.saveRoom('salle', snapshot());
+    storage.appendMessage('salle', message('m1'));
+    await storage.close();
+    await appendFile(storage.fileFor('salle'), '{"type":"message","mess');
+
+    const [room] = await (await restart()).loadRooms();
+    expect(room.messages.map(m => m.id)).toEqual(['m1']);
+  });
+
+  test('remise à zéro : état conservé, messages effacés', async () => {
+    const storage = await restart();
+    storage.saveRoom('salle', snapshot());
+    storage.appendMessage('salle', message('m1'));
+    storage.resetRoom('salle', snapshot({ realAttacks: true }));
+    await storage.close();
+
+    const [room] = await (await restart()).loadRooms();
+    expect(room.realAttacks).toBe(true);
+    expect(room.messages).toEqual([]);
+  });
+
+  test('rétention au chargement : vieux messages élagués, room expirée supprimée sauf courrier en attente', async () => {
+    const longAgo = Date.now() - 48 * HOUR;
+    const storage = await restart();
+    storage.saveRoom('active', snapshot());
+    storage.appendMessage('active', message('ancien', Date.now() - DEFAULT_RETENTION.messageMaxAge - HOUR));
+    storage.appendMessage('active', message('récent'));
+    storage.saveRoom('abandonnée', snapshot({ createdAt: longAgo }));
+    storage.saveRoom('en attente', snapshot({ createdAt: longAgo, mailboxes: { bob: { 1: ['m1'] } } }));
+    storage.appendMessage('en attente', message('m1', longAgo));
+    await storage.close();
+
+    const rooms = await (await restart()).loadRooms();
+    expect(rooms.map(r => r.roomId).sort()).toEqual(['active', 'en attente']);
+    expect(rooms.find(r => r.roomId === 'active').messages.map(m => m.id)).toEqual(['récent']);
+    expect(await readdir(directory)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * Couche de stockage du relais (rooms, membres, messages chiffrés, journal d'attaques)
+ *
+ * Le backend est choisi par STORAGE_BACKEND :
+ * - memory (défaut) : tout est perdu au redémarrage
+ * - file : journaux JSONL dans STORAGE_DIR (défaut ./data), rechargés au démarrage
+ *
+ * Tous les backends exposent la même interface asynchrone : init, loadRooms,
+ * saveRoom, appendMessage, resetRoom, deleteRoom, prune, close.
+ */
+
+import { MemoryStorage } from './memory.js';
+import { FileStorage } from './file.js';
+import { retentionFromEnv } from './retention.js';
+
+export { DEFAULT_RETENTION, retentionFromEnv, pruneMessages, pruneAttacks, isRoomExpired } from './retention.js';
+
+export async function createStorage(env = process.env) {
+  const backend = env.STORAGE_BACKEND || 'memory';
+  const retention = retentionFromEnv(env);
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryStorage().init();
+    case 'file':
+      return new FileStorage({ directory: env.STORAGE_DIR || './data', retention }).init();
+    default:
+      throw new Error(`Backend de stockage inconnu : ${backend} (memory ou file)`);
+  }
+}
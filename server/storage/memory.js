@@ -0,0 +1,34 @@
+/**
+ * Backend mémoire : le comportement historique du relais
+ *
+ * Les rooms ne vivent que dans la Map du serveur ; rien n'est écrit, rien ne
+ * survit à un redémarrage. Utile en développement et pour les démos jetables.
+ */
+
+export class MemoryStorage {
+  constructor() {
+    this.name = 'memory';
+  }
+
+  async init() {
+    return this;
+  }
+
+  async loadRooms() {
+    return [];
+  }
+
+  async saveRoom(roomId, snapshot) {}
+
+  async appendMessage(roomId, message) {}
+
+  async resetRoom(roomId, snapshot) {}
+
+  async deleteRoom(roomId) {}
+
+  async prune(now) {}
+
+  async close() {}
+}
+
+export default MemoryStorage;
@@ -0,0 +1,86 @@
+/**
+ * Politique de rétention commune aux backends de stockage
+ *
+ * Le relais ne garde que des chiffrés : on élague quand même par âge et par
+ * taille pour qu'une room de TP très bavarde ne remplisse ni la mémoire ni le disque.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+export const DEFAULT_RETENTION = {
+  maxMessages: 1000,             // messages conservés par room
+  maxBytes: 5 * 1024 * 1024,     // taille JSON cumulée des messages d'une room
+  maxAttacks: 100,               // entrées du journal d'attaques par room
+  messageMaxAge: 7 * 24 * HOUR,  // âge maximal d'un message
+  roomMaxAge: 24 * HOUR          // inactivité avant suppression d'une room
+};
+
+/**
+ * Rétention lue dans l'environnement (STORAGE_MAX_MESSAGES, STORAGE_MAX_BYTES,
+ * STORAGE_MAX_ATTACKS, STORAGE_MESSAGE_MAX_AGE_HOURS, STORAGE_ROOM_MAX_AGE_HOURS)
+ */
+export function retentionFromEnv(env = process.env) {
+  const number = (value, fallback) => {
+    const parsed = Number(value);
+    return value !== undefined && Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+  };
+
+  return {
+    maxMessages: number(env.STORAGE_MAX_MESSAGES, DEFAULT_RETENTION.maxMessages),
+    maxBytes: number(env.STORAGE_MAX_BYTES, DEFAULT_RETENTION.maxBytes),
+    maxAttacks: number(env.STORAGE_MAX_ATTACKS, DEFAULT_RETENTION.maxAttacks),
+    messageMaxAge: number(env.STORAGE_MESSAGE_MAX_AGE_HOURS, DEFAULT_RETENTION.messageMaxAge / HOUR) * HOUR,
+    roomMaxAge: number(env.STORAGE_ROOM_MAX_AGE_HOURS, DEFAULT_RETENTION.roomMaxAge / HOUR) * HOUR
+  };
+}
+
+/**
+ * Garde les messages récents, au plus `maxMessages`, dans la limite de `maxBytes`
+ * (les plus anciens partent en premier)
+ */
+export function pruneMessages(messages, retention, now = Date.now()) {
+  const minTimestamp = now - retention.messageMaxAge;
+  const recent = messages.filter(m => m.timestamp >= minTimestamp).slice(-retention.maxMessages);
+
+  let bytes = 0;
+  let start = recent.length;
+  while (start > 0) {
+    bytes += JSON.stringify(recent[start - 1]).length;
+    if (bytes > retention.maxBytes) break;
+    start--;
+  }
+
+  return start === 0 ? recent : recent.slice(start);
+}
+
+export function pruneAttacks(attacks, retention) {
+  return attacks.length > retention.maxAttacks ? attacks.slice(-retention.maxAttacks) : attacks;
+}
+
+/**
+ * Dernière activité connue d'une room (dernier message, sinon création)
+ */
+export function lastActivity(room) {
+  return room.messages.length > 0
+    ? room.messages[room.messages.length - 1].timestamp
+    : room.createdAt;
+}
+
+// Messages encore en attente : Mailboxes en mémoire, ou sa forme persistée
+// { username: { deviceId: [messageId] } }
+function hasPendingMail(mailboxes) {
+  if (!mailboxes) return false;
+  if (typeof mailboxes.isEmpty === 'function') return !mailboxes.isEmpty();
+  return Object.values(mailboxes).some(devices => Object.values(devices).some(ids => ids.length > 0));
+}
+
+/**
+ * Room à supprimer : inactive depuis `roomMaxAge`, sans membre connecté ni message
+ * en attente de remise. Les boîtes aux lettres sont élaguées après `messageMaxAge` :
+ * une room dont les absents ne reviennent pas finit quand même par expirer.
+ */
+export function isRoomExpired(room, retention, now = Date.now()) {
+  if (room.users?.some(user => user.online)) return false;
+  if (hasPendingMail(room.mailboxes)) return false;
+  return now - lastActivity(room) > retention.roomMaxAge;
+}
@@ -0,0 +1,65 @@
+import { DEFAULT_RETENTION, retentionFromEnv, pruneMessages, pruneAttacks, isRoomExpired } from './retention.js';
+import { Mailboxes } from '../mailbox.js';
+
+const HOUR = 60 * 60 * 1000;
+const now = Date.now();
+
+// Room inactive depuis deux jours, au-delà de roomMaxAge (24 h)
+const idleRoom = (overrides = {}) => ({
+  createdAt: now - 48 * HOUR,
+  messages: [],
+  users: [{ username: 'alice', online: false }],
+  mailboxes: new Mailboxes(),
+  ...overrides
+});
+
+describe('isRoomExpired', () => {
+  test('room inactive, membres absents, rien en attente : expirée', () => {
+    expect(isRoomExpired(idleRoom(), DEFAULT_RETENTION, now)).toBe(true);
+  });
+
+  test('activité récente : conservée', () => {
+    const room = idleRoom({ messages: [{ id: 'm1', timestamp: now - HOUR }] });
+    expect(isRoomExpired(room, DEFAULT_RETENTION, now)).toBe(false);
+  });
+
+  test('un membre encore connecté garde la room', () => {
+    const room = idleRoom({ users: [{ username: 'alice', online: true }] });
+    expect(isRoomExpired(room, DEFAULT_RETENTION, now)).toBe(false);
+  });
+
+  test('un message en attente dans une boîte aux lettres garde la room', () => {
+    const room = idleRoom();
+    room.mailboxes.enqueue({ id: 'm1', timestamp: now - 48 * HOUR }, ['bob']);
+    expect(isRoomExpired(room, DEFAULT_RETENTION, now)).toBe(false);
+  });
+
+  test('même règle sur la forme persistée (compactage du stockage fichier)', () => {
+    const record = { ...idleRoom(), mailboxes: { bob: { 1: ['m1'] } } };
+    expect(isRoomExpired(record, DEFAULT_RETENTION, now)).toBe(false);
+    expect(isRoomExpired({ ...record, mailboxes: { bob: { 1: [] } } }, DEFAULT_RETENTION, now)).toBe(true);
+  });
+});
+
+describe('élagage', () => {
+  test('messages : âge, nombre puis taille, les plus anciens partent en premier', () => {
+    const messages = Array.from({ length: 5 }, (_, i) => ({ id: `m${i}`, timestamp: now - i * HOUR })).reverse();
+    const retention = { ...DEFAULT_RETENTION, messageMaxAge: 3.5 * HOUR, maxMessages: 3 };
+
+    expect(pruneMessages(messages, retention, now).map(m => m.id)).toEqual(['m2', 'm1', 'm0']);
+
+    const oneMessageBytes = JSON.stringify(messages[0]).length;
+    expect(pruneMessages(messages, { ...retention, maxBytes: 2 * oneMessageBytes }, now)).toHaveLength(2);
+  });
+
+  test('journal d\'attaques plafonné', () => {
+    const attacks = Array.from({ length: 5 }, (_, i) => ({ id: i }));
+    expect(pruneAttacks(attacks, { ...DEFAULT_RETENTION, maxAttacks: 2 })).toEqual([{ id: 3 }, { id: 4 }]);
+  });
+
+  test('rétention lue dans l\'environnement, valeurs invalides ignorées', () => {
+    const retention = retentionFromEnv({ STORAGE_MAX_MESSAGES: '50', STORAGE_ROOM_MAX_AGE_HOURS: 'abc' });
+    expect(retention.maxMessages).toBe(50);
+    expect(retention.roomMaxAge).toBe(DEFAULT_RETENTION.roomMaxAge);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Réplication des magasins du serveur entre instances du relais (voir server/broker)
+ *
+ * Comptes, clés CA et CRL doivent être les mêmes partout : un jeton émis par une
+ * instance est vérifié par une autre, et un certificat signé ici est contrôlé avec
+ * les racines publiées là-bas. Clés CA et CRL sont partagées en entier (toJSON /
+ * restore) après chaque sauvegarde, la dernière écriture l'emporte. Les comptes
+ * sont partagés un par un (toRecords / restoreRecords), comme les parties d'une
+ * room : seul le compte modifié circule. Le secret des jetons de session n'y figure
+ * pas, chaque instance le tient de sa configuration (SESSION_SECRET).
+ *
+ * Au démarrage, la version du broker fait foi : une nouvelle instance adopte les
+ * clés et les comptes déjà en service au lieu des siens.
+ */
+
+import { randomUUID } from 'crypto';
+
+export const STORES_CHANNEL = 'relay:stores';
+const STORES_KEY = 'relay:stores'; // nom du magasin -> JSON
+const recordsKey = (name) => `relay:store:${name}`; // identifiant -> JSON d'un enregistrement
+
+const parseValues = (hash) =>
+  Object.fromEntries(Object.entries(hash).map(([field, value]) => [field, JSON.parse(value)]));
+
+export class StoreSync {
+  /**
+   * @param {Object} options
+   * @param {Object} options.broker - Voir server/broker/index.js
+   * @param {string} [options.instanceId] - Identifiant de cette instance
+   */
+  constructor({ broker, instanceId = randomUUID() }) {
+    this.broker = broker;
+    this.instanceId = instanceId;
+    this.stores = new Map(); // nom -> { store, onRestore, byRecord }
+  }
+
+  async start() {
+    await this.broker.subscribe(STORES_CHANNEL, (raw) => {
+      const { origin, name, data, records } = JSON.parse(raw);
+      if (origin === this.instanceId || !this.stores.has(name)) return;
+
+      const { store, onRestore, byRecord } = this.stores.get(name);
+      const restored = byRecord ? store.restoreRecords(records) : store.restore(data);
+      Promise.resolve(restored).then(() => onRestore?.()).catch(error => {
+        console.error(`❌ Magasin ${name} non mis à jour:`, error);
+      });
+    });
+    return this;
+  }
+
+  /**
+   * Branche un magasin (toJSON, restore, onSave) sur le broker
+   *
+   * @param {string} name
+   * @param {Object} store - AccountStore, CaKeystore, RevocationList
+   * @param {Function} [onRestore] - Appelée après une mise à jour venue d'une autre instance
+   */
+  async attach(name, store, onRestore) {
+    this.stores.set(name, { store, onRestore });
+
+    const shared = (await this.broker.readState(STORES_KEY))[name];
+    if (shared) {
+      await store.restore(JSON.parse(shared));
+      console.log(`🔗 ${name} repris des autres instances`);
+    }
+    store.onSave = (data) => this.share(name, data);
+    // Premier démarrage, ou une version que le broker ne connaissait pas
+    if (JSON.stringify(store.toJSON()) !== shared) await this.share(name, store.toJSON());
+  }
+
+  /**
+   * Branche un magasin partagé enregistrement par enregistrement (toRecords,
+   * restoreRecords, onSave avec les seuls enregistrements modifiés)
+   *
+   * @param {string} name
+   * @param {Object} store - AccountStore
+   * @param {Function} [onRestore] - Appelée après une mise à jour venue d'une autre instance
+   */
+  async attachRecords(name, store, onRestore) {
+    this.stores.set(name, { store, onRestore, byRecord: true });
+    // Copie entière d'une version précédente du relais (secret compris) : retirée
+    await this.broker.deleteState(STORES_KEY, name);
+
+    const shared = parseValues(await this.broker.readState(recordsKey(name)));
+    if (Object.keys(shared).length > 0) {
+      await store.restoreRecords(shared);
+      console.log(`🔗 ${name} repris des autres instances`);
+    }
+    store.onSave = (records) => this.shareRecords(name, records);
+    // Enregistrements que le broker ne connaissait pas
+    const missing = Object.entries(store.toRecords()).filter(([id]) => !(id in shared));
+    if (missing.length > 0) await this.shareRecords(name, Object.fromEntries(missing));
+  }
+
+  /**
+   * @param {Object} records - identifiant -> enregistrement (null : supprimé)
+   */
+  shareRecords(name, records) {
+    const writes = Object.entries(records).map(([id, record]) => (record === null
+      ? this.broker.deleteState(recordsKey(name), id)
+      : this.broker.writeState(recordsKey(name), id, JSON.stringify(record))));
+    return Promise.all([
+      this.broker.publish(STORES_CHANNEL, JSON.stringify({ origin: this.instanceId, name, records })),
+      ...writes
+    ]).catch(error => {
+      console.error('❌ Erreur broker:', error);
+    });
+  }
+
+  share(name, data) {
+    const value = JSON.stringify(data);
+    return Promise.all([
+      this.broker.publish(STORES_CHANNEL, JSON.stringify({ origin: this.instanceId, name, data })),
+      this.broker.writeState(STORES_KEY, name, value)
+    ]).catch(error => {
+      console.error('❌ Erreur broker:', error);
+    });
+  }
+}
+
+export default StoreSync;
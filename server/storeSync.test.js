@@ -0,0 +1,135 @@
+import { StoreSync } from './storeSync.js';
+import { RedisBroker } from './broker/redis.js';
+import { FakeRedisServer } from './broker/fakeRedis.js';
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// Magasin minimal : même contrat que AccountStore, CaKeystore et RevocationList
+class FakeStore {
+  constructor(data) {
+    this.data = data;
+    this.onSave = null;
+  }
+
+  set(data) {
+    this.data = data;
+    return this.onSave?.(this.toJSON());
+  }
+
+  toJSON() {
+    return this.data;
+  }
+
+  restore(data) {
+    this.data = data;
+  }
+}
+
+// Magasin partagé par enregistrement : même contrat que AccountStore
+class FakeRecordStore {
+  constructor(records = {}) {
+    this.records = { ...records };
+    this.onSave = null;
+  }
+
+  set(id, record) {
+    this.records[id] = record;
+    return this.onSave?.({ [id]: record });
+  }
+
+  toRecords() {
+    return this.records;
+  }
+
+  restoreRecords(records) {
+    Object.assign(this.records, records);
+  }
+}
+
+describe('StoreSync sur un même FakeRedisServer', () => {
+  let redis;
+  let brokers;
+
+  const startInstance = async (instanceId) => {
+    const broker = await new RedisBroker({ client: redis.connect() }).init();
+    brokers.push(broker);
+    return new StoreSync({ broker, instanceId }).start();
+  };
+
+  beforeEach(() => {
+    redis = new FakeRedisServer();
+    brokers = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(brokers.map(broker => broker.close()));
+  });
+
+  test('une instance qui démarre adopte la version déjà en service', async () => {
+    const a = await startInstance('a');
+    await a.attach('ca-keys', new FakeStore({ keyId: 'cle-a' }));
+
+    const b = await startInstance('b');
+    const storeB = new FakeStore({ keyId: 'cle-b' });
+    await b.attach('ca-keys', storeB);
+
+    expect(storeB.toJSON()).toEqual({ keyId: 'cle-a' });
+  });
+
+  test('chaque sauvegarde est appliquée par les autres instances, pas par elle-même', async () => {
+    const a = await startInstance('a');
+    const b = await startInstance('b');
+    const storeA = new FakeStore({ revoked: [] });
+    const storeB = new FakeStore({ revoked: [] });
+    const restored = [];
+    await a.attach('revocations', storeA, () => restored.push('a'));
+    await b.attach('revocations', storeB, () => restored.push('b'));
+    await flush();
+    restored.length = 0;
+
+    await storeA.set({ revoked: ['alice'] });
+    await flush();
+    await flush();
+
+    expect(storeB.toJSON()).toEqual({ revoked: ['alice'] });
+    expect(restored).toEqual(['b']);
+  });
+
+  test('une instance remplaçante reprend la dernière version après le départ de l\'auteur', async () => {
+    const a = await startInstance('a');
+    const storeA = new FakeStore({ accounts: {} });
+    await a.attach('accounts', storeA);
+    await storeA.set({ accounts: { alice: 'hash' } });
+    await brokers[0].close();
+    brokers.shift();
+
+    const c = await startInstance('c');
+    const storeC = new FakeStore({ accounts: {} });
+    await c.attach('accounts', storeC);
+    expect(storeC.toJSON()).toEqual({ accounts: { alice: 'hash' } });
+  });
+
+  test('par enregistrement : seul l\'enregistrement modifié circule, fusionné par les autres', async () => {
+    const a = await startInstance('a');
+    const b = await startInstance('b');
+    const storeA = new FakeRecordStore({ alice: 'hash-a' });
+    const storeB = new FakeRecordStore({ bob: 'hash-b' });
+    await a.attachRecords('accounts', storeA);
+    await b.attachRecords('accounts', storeB);
+    await flush();
+
+    const published = [];
+    await brokers[1].subscribe('relay:stores', (raw) => published.push(JSON.parse(raw)));
+    await storeB.set('carol', 'hash-c');
+    await flush();
+    await flush();
+
+    expect(published.map(update => update.records)).toEqual([{ carol: 'hash-c' }]);
+    expect(storeA.toRecords()).toEqual({ alice: 'hash-a', bob: 'hash-b', carol: 'hash-c' });
+
+    const c = await startInstance('c');
+    const storeC = new FakeRecordStore();
+    await c.attachRecords('accounts', storeC);
+    expect(storeC.toRecords()).toEqual({ alice: 'hash-a', bob: 'hash-b', carol: 'hash-c' });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Relais TreeKEM : ordre total des commits d'un groupe et vue publique de ses feuilles
+ *
+ * Le relais ne lit aucun secret. Il rejoue seulement les propositions (Add /
+ * Remove / Update) sur un arbre sans clé privée (voir src/crypto/TreeKEM.js) pour
+ * savoir quelles feuilles sont occupées, et par qui. Un commit n'est accepté que
+ * s'il part de l'epoch courante et d'une feuille occupée par le membre qu'il
+ * annonce : une feuille vide, retirée ou usurpée ne fait pas avancer le groupe.
+ * Le fondateur (feuille 0, créée hors relais) se fait connaître par son premier commit.
+ */
+
+import { RatchetTree, applyProposals } from '../src/crypto/TreeKEM.js';
+import { UNAUTHORIZED, CONFLICT, INVALID_PAYLOAD, errorReply } from '../src/utils/ErrorCodes.js';
+
+export const TREEKEM_LOG_MAX = 100;
+
+export class TreeKemGroup {
+  constructor() {
+    this.epoch = 0;
+    this.log = [];
+    this.updatedAt = Date.now();
+    // Epoch 0 : seul le fondateur, encore anonyme
+    this.tree = new RatchetTree(1);
+    this.tree.nodes[0] = { publicKey: null, memberId: null };
+  }
+
+  /**
+   * Arbre public après `commit`, ou le refus à renvoyer au committer
+   *
+   * @returns {{tree: RatchetTree}|{error: string, code: string}}
+   */
+  nextTree(commit) {
+    if (commit.epoch !== this.epoch) {
+      return errorReply(CONFLICT, `Commit refusé : epoch ${commit.epoch} périmée (epoch courante ${this.epoch})`);
+    }
+
+    const leaf = Number.isInteger(commit.committer) ? this.tree.nodes[2 * commit.committer] : null;
+    if (!leaf) {
+      return errorReply(UNAUTHORIZED, `Commit refusé : la feuille ${commit.committer} n'appartient pas au groupe`);
+    }
+    if (leaf.memberId !== null && leaf.memberId !== commit.committerId) {
+      return errorReply(UNAUTHORIZED, `Commit refusé : la feuille ${commit.committer} appartient à ${leaf.memberId}`);
+    }
+
+    const tree = this.tree.clone();
+    try {
+      applyProposals(tree, Array.isArray(commit.proposals) ? commit.proposals : []);
+    } catch (error) {
+      return errorReply(INVALID_PAYLOAD, `Commit refusé : ${error.message}`);
+    }
+    if (!tree.nodes[2 * commit.committer]) {
+      return errorReply(INVALID_PAYLOAD, 'Commit refusé : un membre ne peut pas committer sa propre exclusion');
+    }
+    if (tree.members().some(m => m.memberId === commit.committerId && m.leafIndex !== commit.committer)) {
+      return errorReply(UNAUTHORIZED, `Commit refusé : ${commit.committerId} occupe une autre feuille`);
+    }
+
+    tree.nodes[2 * commit.committer] = { publicKey: commit.path?.leafKey ?? null, memberId: commit.committerId };
+    return { tree };
+  }
+
+  /**
+   * Vérifie puis enregistre un commit ; l'entrée renvoyée est relayée aux abonnés
+   *
+   * @returns {{entry: Object}|{error: string, code: string, epoch: number}}
+   */
+  commit(commit, welcomes = []) {
+    const next = this.nextTree(commit);
+    if (next.error) return { ...next, epoch: this.epoch };
+
+    this.tree = next.tree;
+    this.epoch++;
+    this.updatedAt = Date.now();
+    const entry = { epoch: this.epoch, commit, welcomes, timestamp: Date.now() };
+    this.log.push(entry);
+    if (this.log.length > TREEKEM_LOG_MAX) {
+      this.log = this.log.slice(-TREEKEM_LOG_MAX);
+    }
+    return { entry };
+  }
+}
+
+export default TreeKemGroup;
@@ -0,0 +1,87 @@
+import { TreeKemGroup } from './treekem.js';
+import { TreeKEMMember } from '../src/crypto/TreeKEM.js';
+import { UNAUTHORIZED, CONFLICT, INVALID_PAYLOAD } from '../src/utils/ErrorCodes.js';
+
+// Le relais ne lit que la structure : des commits sans chemin chiffré suffisent
+const keyPackage = (memberId) => ({ memberId, leafKey: { kty: 'EC', x: memberId, y: memberId } });
+const commitFrom = (committer, committerId, epoch, proposals = []) => ({ epoch, committer, committerId, proposals, path: { leafKey: null, nodes: [] } });
+
+// Alice fonde le groupe et ajoute Bob et Carol (feuilles 1 et 2)
+function foundedGroup() {
+  const group = new TreeKemGroup();
+  group.commit(commitFrom(0, 'Alice', 0, [
+    { type: 'add', keyPackage: keyPackage('Bob') },
+    { type: 'add', keyPackage: keyPackage('Carol') }
+  ]));
+  return group;
+}
+
+describe('TreeKemGroup', () => {
+  test('le premier commit nomme le fondateur et place les ajoutés', () => {
+    const group = foundedGroup();
+
+    expect(group.epoch).toBe(1);
+    expect(group.tree.members()).toEqual([
+      { leafIndex: 0, memberId: 'Alice' },
+      { leafIndex: 1, memberId: 'Bob' },
+      { leafIndex: 2, memberId: 'Carol' }
+    ]);
+    expect(group.log.map(entry => entry.epoch)).toEqual([1]);
+  });
+
+  test('un commit d\'une epoch périmée est refusé avec l\'epoch courante', () => {
+    const group = foundedGroup();
+
+    expect(group.commit(commitFrom(1, 'Bob', 0))).toMatchObject({ code: CONFLICT, epoch: 1 });
+    expect(group.epoch).toBe(1);
+  });
+
+  test('feuille vide ou inexistante : refusé', () => {
+    const group = foundedGroup();
+
+    expect(group.commit(commitFrom(3, 'Mallory', 1)).code).toBe(UNAUTHORIZED);
+    expect(group.commit(commitFrom(12, 'Mallory', 1)).code).toBe(UNAUTHORIZED);
+    expect(group.commit(commitFrom('0', 'Alice', 1)).code).toBe(UNAUTHORIZED);
+  });
+
+  test('feuille occupée par un autre membre : refusé', () => {
+    const group = foundedGroup();
+
+    expect(group.commit(commitFrom(1, 'Mallory', 1))).toMatchObject({
+      code: UNAUTHORIZED,
+      error: 'Commit refusé : la feuille 1 appartient à Bob'
+    });
+  });
+
+  test('un membre retiré ne peut plus committer', () => {
+    const group = foundedGroup();
+    expect(group.commit(commitFrom(0, 'Alice', 1, [{ type: 'remove', memberId: 'Carol' }])).entry).toBeDefined();
+
+    expect(group.commit(commitFrom(2, 'Carol', 2)).code).toBe(UNAUTHORIZED);
+    expect(group.commit(commitFrom(1, 'Bob', 2)).entry.epoch).toBe(3);
+  });
+
+  test('propositions incohérentes avec l\'arbre : refusé sans changer l\'epoch', () => {
+    const group = foundedGroup();
+
+    expect(group.commit(commitFrom(1, 'Bob', 1, [{ type: 'remove', memberId: 'Zoé' }])).code).toBe(INVALID_PAYLOAD);
+    expect(group.commit(commitFrom(1, 'Bob', 1, [{ type: 'add', keyPackage: keyPackage('Carol') }])).code).toBe(INVALID_PAYLOAD);
+    expect(group.commit(commitFrom(1, 'Bob', 1, [{ type: 'remove', memberId: 'Bob' }])).code).toBe(INVALID_PAYLOAD);
+    expect(group.epoch).toBe(1);
+  });
+
+  test('de vrais commits TreeKEM sont acceptés dans l\'ordre', async () => {
+    const group = new TreeKemGroup();
+    const alice = await new TreeKEMMember('Alice').createGroup();
+    const bob = new TreeKEMMember('Bob');
+
+    const { commit, welcomes } = await alice.commit([alice.proposeAdd(await bob.createKeyPackage())]);
+    expect(group.commit(commit, welcomes).entry.epoch).toBe(1);
+    await alice.mergePendingCommit();
+    await bob.joinFromWelcome(welcomes[0].welcome);
+
+    const { commit: update } = await bob.commit([]);
+    expect(group.commit(update).entry.epoch).toBe(2);
+    expect(group.commit({ ...update, epoch: 2, committerId: 'Alice' }).code).toBe(UNAUTHORIZED);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Accès non identifié côté relais (jetons de remise)
+ *
+ * Voir src/crypto/UnidentifiedAccess.js. Un envoi scellé avec jeton n'est accepté
+ * que si le jeton est celui enregistré par le destinataire (ou s'il accepte tout
+ * le monde) ; sans jeton, l'envoi est identifié par la socket. La clé d'accès
+ * enregistrée ne quitte jamais le serveur : les fiches diffusées en sont expurgées.
+ */
+
+import { accessKeysMatch, combineAccessKeys } from '../src/crypto/UnidentifiedAccess.js';
+import { INVALID_PAYLOAD, UNAUTHORIZED, errorReply } from '../src/utils/ErrorCodes.js';
+
+/**
+ * Fiche d'un membre telle que diffusée (sans sa clé d'accès)
+ */
+export function publicUserView(user) {
+  if (!user) return user;
+  const view = { ...user };
+  delete view.accessKey;
+  return view;
+}
+
+export function isAccessKey(value) {
+  return typeof value === 'string' && /^[0-9a-f]{32}$/.test(value);
+}
+
+/**
+ * Autorise un envoi scellé vers `recipients`
+ *
+ * @returns {{identified: boolean}|{error: string, code: string}}
+ */
+export function authorizeSealedSend(recipients, accessKey, senderUsername) {
+  if (accessKey == null) {
+    return senderUsername
+      ? { identified: true }
+      : errorReply(UNAUTHORIZED, 'Envoi identifié impossible : rejoignez d\'abord la room');
+  }
+
+  if (!isAccessKey(accessKey)) {
+    return errorReply(INVALID_PAYLOAD, 'Jeton de remise mal formé');
+  }
+
+  // Destinataires ouverts à tous : n'importe quel jeton convient
+  const restricted = recipients.filter(recipient => !recipient.unrestrictedAccess);
+  if (restricted.length === 0) return { identified: false };
+  const unregistered = restricted.find(recipient => !recipient.accessKey);
+  if (unregistered) {
+    return errorReply(UNAUTHORIZED, `${unregistered.username} n'accepte pas les envois non identifiés`);
+  }
+  // Plusieurs destinataires : un seul jeton, XOR des clés de chacun
+  const expected = combineAccessKeys(restricted.map(recipient => recipient.accessKey));
+  if (!accessKeysMatch(expected, accessKey)) {
+    return errorReply(UNAUTHORIZED, recipients.length === 1
+      ? `Jeton de remise refusé par ${recipients[0].username} (clé de profil renouvelée ?)`
+      : 'Jeton de remise combiné refusé pour ce groupe de destinataires');
+  }
+  return { identified: false };
+}
@@ -0,0 +1,50 @@
+import { authorizeSealedSend, publicUserView } from './unidentifiedAccess.js';
+import { generateProfileKey, deriveAccessKey, combineAccessKeys } from '../src/crypto/UnidentifiedAccess.js';
+import { UNAUTHORIZED, INVALID_PAYLOAD } from '../src/utils/ErrorCodes.js';
+
+describe('authorizeSealedSend', () => {
+  let bob;
+  let carol;
+
+  beforeEach(async () => {
+    bob = { username: 'bob', accessKey: await deriveAccessKey(generateProfileKey()) };
+    carol = { username: 'carol', accessKey: await deriveAccessKey(generateProfileKey()) };
+  });
+
+  test('jeton dérivé de la clé de profil du destinataire : envoi non identifié accepté', () => {
+    expect(authorizeSealedSend([bob], bob.accessKey, null)).toEqual({ identified: false });
+  });
+
+  test('sans jeton : envoi identifié pour un membre, refusé pour une socket anonyme', () => {
+    expect(authorizeSealedSend([bob], null, 'alice')).toEqual({ identified: true });
+    expect(authorizeSealedSend([bob], undefined, null).code).toBe(UNAUTHORIZED);
+  });
+
+  test('jeton d\'un autre, mal formé ou destinataire sans clé enregistrée : refusé', () => {
+    expect(authorizeSealedSend([bob], carol.accessKey, null).code).toBe(UNAUTHORIZED);
+    expect(authorizeSealedSend([bob], 'pas-un-jeton', null).code).toBe(INVALID_PAYLOAD);
+    expect(authorizeSealedSend([{ username: 'dave' }], bob.accessKey, null))
+      .toMatchObject({ code: UNAUTHORIZED, error: 'dave n\'accepte pas les envois non identifiés' });
+  });
+
+  test('clé de profil renouvelée : les anciens jetons sont révoqués', async () => {
+    const oldAccessKey = bob.accessKey;
+    bob.accessKey = await deriveAccessKey(generateProfileKey());
+
+    expect(authorizeSealedSend([bob], oldAccessKey, null).code).toBe(UNAUTHORIZED);
+  });
+
+  test('plusieurs destinataires : un seul jeton combiné, sauf pour qui accepte tout le monde', () => {
+    expect(authorizeSealedSend([bob, carol], combineAccessKeys([bob.accessKey, carol.accessKey]), null))
+      .toEqual({ identified: false });
+    expect(authorizeSealedSend([bob, carol], bob.accessKey, null).code).toBe(UNAUTHORIZED);
+
+    const open = { ...carol, unrestrictedAccess: true };
+    expect(authorizeSealedSend([bob, open], bob.accessKey, null)).toEqual({ identified: false });
+  });
+
+  test('la clé d\'accès enregistrée n\'apparaît pas dans la fiche diffusée', () => {
+    expect(publicUserView(bob)).toEqual({ username: 'bob' });
+    expect(bob.accessKey).toBeDefined();
+  });
+});
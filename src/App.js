@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import MultiUserSimulation from './components/MultiUserSimulation';
 import DoubleRatchetDemo from './components/DoubleRatchetDemo';
 import SealedSenderDemo from './components/SealedSenderDemo';
+import GroupKeyComparison from './components/GroupKeyComparison';
 import E2EEDemo from './components/E2EEDemo';
 import BruteForceDemo from './components/BruteForceDemo';
 import NetworkTopology from './components/NetworkTopology';
@@ -52,6 +53,16 @@ function App() {
       component: <SealedSenderDemo />,
       stats: 'Anonymat total'
     },
+    {
+      id: 'group-keys',
+      title: 'Chiffrement de groupe',
+      description: 'Pairwise vs Sender Keys vs TreeKEM',
+      icon: '🌳',
+      gradient: 'from-teal-600 to-green-600',
+      category: 'advanced',
+      component: <GroupKeyComparison />,
+      stats: 'O(log N)'
+    },
 
     // === CHIFFREMENT DE BASE ===
     {
@@ -88,6 +88,7 @@ function DoubleRatchetDemo() {
 
       addLog("🔐 Établissement X3DH...");
       const evaristePublicBundle = await evaristeBundle.exportPublicBundle();
+      addLog("✍️ SPK d'Évariste signée par sa clé d'identité : signature vérifiée avant X3DH");
       
       const ousmaneInitiator = new X3DHInitiator(ousmaneIdentity);
       const { sharedSecret: ousmaneShared, ephemeralPublicKey, usedOPKId } = 
@@ -184,6 +185,40 @@ function DoubleRatchetDemo() {
     }
   };
 
+  // MITM sur la distribution des clés : le serveur substitue la SPK d'Évariste
+  const testForgedSignedPreKey = async () => {
+    addLog("🕵️ MITM : le serveur remplace la SPK d'Évariste par la sienne...", "warning");
+
+    try {
+      const evaristeBundle = await new X3DHKeyBundle().generate(1);
+      const publicBundle = await evaristeBundle.exportPublicBundle();
+
+      const attackerSPK = await crypto.subtle.generateKey(
+        { name: "ECDH", namedCurve: "P-256" },
+        true,
+        ["deriveKey", "deriveBits"]
+      );
+      const forgedBundle = {
+        ...publicBundle,
+        signedPreKey: {
+          ...publicBundle.signedPreKey,
+          publicKey: await crypto.subtle.exportKey("jwk", attackerSPK.publicKey)
+        }
+      };
+
+      const ousmaneIdentity = await crypto.subtle.generateKey(
+        { name: "ECDH", namedCurve: "P-256" },
+        true,
+        ["deriveKey", "deriveBits"]
+      );
+      await new X3DHInitiator(ousmaneIdentity).deriveSharedSecret(forgedBundle);
+
+      addLog("❌ Bundle falsifié accepté : la SPK n'est pas authentifiée !", "error");
+    } catch (error) {
+      addLog(`🛡️ Ousmane refuse le bundle : ${error.message}`, "success");
+    }
+  };
+
   const sendMessage = async (sender, receiver, messageText) => {
     if (!messageText.trim()) return;
 
@@ -461,6 +496,13 @@ function DoubleRatchetDemo() {
               </button>
             </>
           )}
+          <button
+            onClick={testForgedSignedPreKey}
+            className="px-4 py-2 bg-gradient-to-r from-orange-600 to-orange-500 hover:from-orange-500 hover:to-orange-400 rounded-xl font-bold transition-all shadow-lg flex items-center gap-2"
+          >
+            <AlertCircle className="w-4 h-4" />
+            Tester une SPK falsifiée
+          </button>
         </div>
 
         {/* MAIN CHAT INTERFACE - 2 COLONNES */}
@@ -0,0 +1,483 @@
+/**
+ * components/GroupKeyComparison.jsx
+ *
+ * Comparateur des approches de chiffrement de groupe :
+ * - Fan-out pairwise (un Double Ratchet par membre)
+ * - Sender Keys (une chaîne par expéditeur, distribuée en pairwise)
+ * - TreeKEM façon MLS (arbre de clés, commits ordonnés par le relais)
+ *
+ * Les coûts TreeKEM sont mesurés sur de vrais commits ; ceux des Sender Keys
+ * sur de vrais messages de distribution chiffrés par un Double Ratchet.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { io } from 'socket.io-client';
+import { TreeKEMMember } from '../crypto/TreeKEM';
+import { GroupSession } from '../crypto/SenderKeys';
+import { DHRatchet } from '../crypto/DHRatchet';
+import { generateECDHKeyPair } from '../crypto/Primitives';
+import { ackError } from '../utils/ErrorCodes';
+
+const RELAY_URL = 'https://simulation-server-ocek.onrender.com';
+
+const MEMBER_NAMES = [
+  'Alice', 'Bob', 'Carol', 'Dave', 'Eve', 'Frank', 'Grace', 'Heidi',
+  'Ivan', 'Judy', 'Mallory', 'Niaj', 'Olivia', 'Peggy', 'Rupert', 'Sybil'
+];
+
+const SAMPLE_MESSAGE = 'Réunion demain 9h, salle B. Apportez vos notes !';
+
+const byteLength = (value) => new TextEncoder().encode(JSON.stringify(value)).length;
+
+const bufferToBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+
+/**
+ * Taille réelle d'un message pairwise (Double Ratchet) transportant `plaintext`
+ */
+async function measurePairwiseBytes(plaintext) {
+  const sharedSecret = crypto.getRandomValues(new Uint8Array(32)).buffer;
+  const receiverKeyPair = await generateECDHKeyPair();
+  const ratchet = new DHRatchet(sharedSecret, true, { autoSave: false });
+  await ratchet.initialize(await generateECDHKeyPair(), receiverKeyPair.publicKey);
+
+  const encrypted = await ratchet.encrypt(plaintext);
+  ratchet.replayProtection.destroy();
+  return byteLength({
+    ...encrypted,
+    ciphertext: bufferToBase64(encrypted.ciphertext),
+    iv: bufferToBase64(encrypted.iv),
+    mac: bufferToBase64(encrypted.mac),
+    nonce: bufferToBase64(encrypted.nonce)
+  });
+}
+
+function GroupKeyComparison() {
+  const [memberCount, setMemberCount] = useState(8);
+  const [members, setMembers] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [log, setLog] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [relayConnected, setRelayConnected] = useState(false);
+  const [epoch, setEpoch] = useState(null);
+  const [epochConsistent, setEpochConsistent] = useState(null);
+  const [treeLeaves, setTreeLeaves] = useState([]);
+  const [selectedMember, setSelectedMember] = useState('');
+
+  const socketRef = useRef(null);
+  const relayRoomRef = useRef(null);
+  const treeMembersRef = useRef(new Map()); // nom -> TreeKEMMember
+  const costsRef = useRef(null);            // tailles mesurées une fois
+  const nextNameRef = useRef(0);
+
+  useEffect(() => {
+    const socket = io(RELAY_URL, { transports: ['websocket'], reconnectionAttempts: 3 });
+    socket.on('connect', () => setRelayConnected(true));
+    socket.on('disconnect', () => setRelayConnected(false));
+    // Commits d'un autre onglet sur le même groupe : on les affiche seulement
+    socket.on('treekem-commit', ({ epoch: remoteEpoch }) => {
+      addLog(`📡 Commit externe relayé (epoch ${remoteEpoch})`, 'warning');
+    });
+    socketRef.current = socket;
+    return () => socket.close();
+  }, []);
+
+  const addLog = (message, type = 'info') => {
+    setLog(prev => [...prev, { time: new Date().toLocaleTimeString(), message, type }]);
+  };
+
+  const activeMembers = () => Array.from(treeMembersRef.current.values()).filter(m => m.active);
+
+  const nextMemberName = () => {
+    const index = nextNameRef.current++;
+    return MEMBER_NAMES[index] || `Membre-${index + 1}`;
+  };
+
+  /**
+   * Commit TreeKEM : ordonné par le relais si disponible, puis appliqué par tous
+   */
+  const runCommit = async (committer, proposals) => {
+    const { commit, welcomes } = await committer.commit(proposals);
+
+    const socket = socketRef.current;
+    if (socket?.connected && relayRoomRef.current) {
+      const ack = await socket
+        .timeout(5000)
+        .emitWithAck('treekem-commit', { roomId: relayRoomRef.current, commit, welcomes });
+      if (ack.error) {
+        committer.discardPendingCommit();
+        throw ackError(ack);
+      }
+    }
+
+    for (const member of activeMembers()) {
+      if (member === committer) continue;
+      const { removed } = await member.processCommit(commit);
+      if (removed) addLog(`🚪 ${member.memberId} exclu : ne peut plus suivre les epochs`, 'warning');
+    }
+    await committer.mergePendingCommit();
+
+    for (const { memberId, welcome } of welcomes) {
+      await treeMembersRef.current.get(memberId).joinFromWelcome(welcome);
+    }
+
+    return {
+      messages: 1 + welcomes.length,
+      bytes: byteLength(commit) + welcomes.reduce((sum, w) => sum + byteLength(w), 0),
+      ciphertexts: commit.path.nodes.reduce((sum, node) => sum + node.encryptedPathSecrets.length, 0)
+        + welcomes.length
+    };
+  };
+
+  const refreshTreeView = async () => {
+    const current = activeMembers();
+    setMembers(current.map(m => m.memberId));
+    if (current.length === 0) return;
+
+    const fingerprints = await Promise.all(current.map(m => m.epochFingerprint()));
+    setEpoch(current[0].epoch);
+    setEpochConsistent(new Set(fingerprints).size === 1);
+
+    const tree = current[0].tree;
+    setTreeLeaves(Array.from({ length: tree.leafCount }, (_, leaf) => tree.nodes[2 * leaf]?.memberId || null));
+  };
+
+  const addRow = (operation, groupSize, costs) => {
+    setRows(prev => [...prev, { id: prev.length, operation, groupSize, ...costs }]);
+  };
+
+  const withBusy = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+      await refreshTreeView();
+    } catch (error) {
+      addLog(`❌ Erreur: ${error.message}`, 'error');
+      console.error(error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const initializeGroup = () => withBusy(async () => {
+    addLog(`🔄 Création d'un groupe de ${memberCount} membres...`, 'info');
+    treeMembersRef.current = new Map();
+    nextNameRef.current = 0;
+    setRows([]);
+
+    // Tailles de référence (mesurées sur de vrais messages)
+    const senderKeySession = await new GroupSession('mesure').initialize();
+    const distribution = JSON.stringify(senderKeySession.createDistributionMessage());
+    costsRef.current = {
+      pairwiseMessage: await measurePairwiseBytes(SAMPLE_MESSAGE),
+      senderKeyDistribution: await measurePairwiseBytes(distribution),
+      senderKeyMessage: byteLength(await senderKeySession.encrypt(SAMPLE_MESSAGE))
+    };
+
+    // Relais : un groupe neuf par comparaison (epoch 0). Il n'ordonne que les
+    // commits des membres d'une room ; sinon l'ordre reste local
+    relayRoomRef.current = null;
+    const relayRoom = `comparateur-${Math.random().toString(36).substring(2, 8)}`;
+    if (socketRef.current?.connected) {
+      const joined = await socketRef.current.timeout(5000).emitWithAck('treekem-join', { roomId: relayRoom });
+      if (joined.error) {
+        addLog(`⚠️ Relais refusé [${joined.code}] ${joined.error} : commits ordonnés localement`, 'warning');
+      } else {
+        relayRoomRef.current = relayRoom;
+        addLog(`📡 Relais ordonné: groupe ${relayRoom}`, 'success');
+      }
+    } else {
+      addLog('⚠️ Relais injoignable : commits ordonnés localement', 'warning');
+    }
+
+    const creator = new TreeKEMMember(nextMemberName());
+    await creator.createGroup();
+    treeMembersRef.current.set(creator.memberId, creator);
+
+    // Un seul commit ajoute tous les autres membres
+    const proposals = [];
+    for (let i = 1; i < memberCount; i++) {
+      const newcomer = new TreeKEMMember(nextMemberName());
+      treeMembersRef.current.set(newcomer.memberId, newcomer);
+      proposals.push(creator.proposeAdd(await newcomer.createKeyPackage()));
+    }
+    if (proposals.length > 0) await runCommit(creator, proposals);
+
+    addLog(`✅ Groupe TreeKEM prêt (${memberCount} membres)`, 'success');
+  });
+
+  const addMember = () => withBusy(async () => {
+    const current = activeMembers();
+    const n = current.length;
+    const committer = current[0];
+    const newcomer = new TreeKEMMember(nextMemberName());
+    treeMembersRef.current.set(newcomer.memberId, newcomer);
+
+    const treeKem = await runCommit(committer, [committer.proposeAdd(await newcomer.createKeyPackage())]);
+    const { senderKeyDistribution } = costsRef.current;
+
+    addRow(`➕ Ajout de ${newcomer.memberId}`, n + 1, {
+      // Le nouveau venu ouvrira ses sessions X3DH au premier message
+      pairwise: { messages: 0, bytes: 0 },
+      // Chaque membre envoie sa sender key au nouveau, qui envoie la sienne à chacun
+      senderKeys: { messages: 2 * n, bytes: 2 * n * senderKeyDistribution },
+      treeKem
+    });
+    addLog(`➕ ${committer.memberId} ajoute ${newcomer.memberId} (epoch ${committer.epoch})`, 'success');
+  });
+
+  const removeMember = () => withBusy(async () => {
+    const current = activeMembers();
+    const target = current.find(m => m.memberId === selectedMember) || current[current.length - 1];
+    if (current.length < 2) throw new Error('Il faut au moins 2 membres');
+
+    const committer = current.find(m => m !== target);
+    const treeKem = await runCommit(committer, [committer.proposeRemove(target.memberId)]);
+    const remaining = current.length - 1;
+    const { senderKeyDistribution } = costsRef.current;
+
+    addRow(`➖ Retrait de ${target.memberId}`, remaining, {
+      pairwise: { messages: 0, bytes: 0 },
+      // Chaque restant régénère sa sender key et la redistribue aux autres restants
+      senderKeys: {
+        messages: remaining * (remaining - 1),
+        bytes: remaining * (remaining - 1) * senderKeyDistribution
+      },
+      treeKem
+    });
+    setSelectedMember('');
+    addLog(`➖ ${committer.memberId} retire ${target.memberId} (epoch ${committer.epoch})`, 'success');
+  });
+
+  const updateMember = () => withBusy(async () => {
+    const current = activeMembers();
+    const member = current.find(m => m.memberId === selectedMember) || current[0];
+
+    // Commit sans proposition = Update du chemin complet (post-compromise security)
+    const treeKem = await runCommit(member, []);
+    const n = current.length;
+    const { senderKeyDistribution } = costsRef.current;
+
+    addRow(`🔄 Update de ${member.memberId} (PCS)`, n, {
+      // Le Double Ratchet se renouvelle de lui-même au fil des échanges
+      pairwise: { messages: 0, bytes: 0 },
+      senderKeys: { messages: n - 1, bytes: (n - 1) * senderKeyDistribution },
+      treeKem
+    });
+    addLog(`🔄 ${member.memberId} renouvelle son chemin (epoch ${member.epoch})`, 'success');
+  });
+
+  const sendGroupMessage = () => withBusy(async () => {
+    const n = activeMembers().length;
+    const { pairwiseMessage, senderKeyMessage } = costsRef.current;
+
+    addRow('💬 Message de groupe', n, {
+      pairwise: { messages: n - 1, bytes: (n - 1) * pairwiseMessage },
+      senderKeys: { messages: 1, bytes: senderKeyMessage },
+      // Même enveloppe symétrique que les Sender Keys, clé issue du secret d'epoch
+      treeKem: { messages: 1, bytes: senderKeyMessage, ciphertexts: 1 }
+    });
+  });
+
+  const totals = rows.reduce((acc, row) => {
+    for (const key of ['pairwise', 'senderKeys', 'treeKem']) {
+      acc[key].messages += row[key].messages;
+      acc[key].bytes += row[key].bytes;
+    }
+    return acc;
+  }, {
+    pairwise: { messages: 0, bytes: 0 },
+    senderKeys: { messages: 0, bytes: 0 },
+    treeKem: { messages: 0, bytes: 0 }
+  });
+
+  const formatBytes = (bytes) => bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} Ko` : `${bytes} o`;
+
+  const CostCell = ({ cost, color, extra }) => (
+    <td className="px-3 py-2 text-right font-mono">
+      <span className={color}>{cost.messages} msg</span>
+      <span className="text-gray-400"> • {formatBytes(cost.bytes)}</span>
+      {extra && <div className="text-[10px] text-gray-500">{extra}</div>}
+    </td>
+  );
+
+  return (
+    <div className="p-8 bg-gray-900 min-h-screen text-white">
+      <div className="max-w-7xl mx-auto">
+        <h1 className="text-4xl font-bold mb-2">🌳 Chiffrement de groupe : Pairwise vs Sender Keys vs TreeKEM</h1>
+        <p className="text-gray-400 mb-6">
+          Coût d'un changement de membres • Messages émis par les clients (la diffusion par le relais n'est pas comptée)
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6 text-sm">
+          <div className="bg-yellow-900/30 border border-yellow-600/50 rounded-lg p-4">
+            <h3 className="font-bold text-yellow-300 mb-1">📨 Fan-out pairwise</h3>
+            <p className="text-gray-300">Aucune clé de groupe : chaque message est chiffré N-1 fois.</p>
+          </div>
+          <div className="bg-green-900/30 border border-green-600/50 rounded-lg p-4">
+            <h3 className="font-bold text-green-300 mb-1">🔑 Sender Keys</h3>
+            <p className="text-gray-300">1 chiffré par message, mais un départ impose de tout redistribuer : O(N²).</p>
+          </div>
+          <div className="bg-teal-900/30 border border-teal-600/50 rounded-lg p-4">
+            <h3 className="font-bold text-teal-300 mb-1">🌳 TreeKEM (MLS)</h3>
+            <p className="text-gray-300">Un commit renouvelle un chemin de l'arbre : O(log N) chiffrés, PCS incluse.</p>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+          {/* Contrôles */}
+          <div className="space-y-4">
+            <div className="bg-gray-800 rounded-lg p-4">
+              <h3 className="font-bold mb-3 text-lg">⚙️ Groupe</h3>
+              <label className="block text-sm text-gray-300 mb-2">
+                Taille initiale : <strong>{memberCount}</strong> membres
+              </label>
+              <input
+                type="range"
+                min="2"
+                max="16"
+                value={memberCount}
+                onChange={(e) => setMemberCount(Number(e.target.value))}
+                disabled={busy}
+                className="w-full mb-3"
+              />
+              <button
+                onClick={initializeGroup}
+                disabled={busy}
+                className="w-full px-6 py-3 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded-lg font-semibold transition-all"
+              >
+                {busy ? '⏳ Calcul...' : members.length > 0 ? '🔁 Recréer le groupe' : '1️⃣ Créer le groupe'}
+              </button>
+              <p className={`text-xs mt-2 ${relayConnected ? 'text-green-400' : 'text-yellow-400'}`}>
+                {relayConnected ? '📡 Relais ordonné connecté' : '⚠️ Relais hors ligne (ordre local)'}
+              </p>
+            </div>
+
+            {members.length > 0 && (
+              <div className="bg-gray-800 rounded-lg p-4">
+                <h3 className="font-bold mb-3 text-lg">🔀 Changements de membres</h3>
+                <select
+                  value={selectedMember}
+                  onChange={(e) => setSelectedMember(e.target.value)}
+                  className="w-full mb-3 px-3 py-2 bg-gray-700 border border-gray-600 rounded text-sm"
+                >
+                  <option value="">Membre ciblé (par défaut)</option>
+                  {members.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+                <div className="space-y-2">
+                  <button onClick={addMember} disabled={busy}
+                    className="w-full px-4 py-2 bg-green-600 hover:bg-green-700 disabled:opacity-50 rounded-lg font-semibold text-sm">
+                    ➕ Ajouter un membre
+                  </button>
+                  <button onClick={removeMember} disabled={busy || members.length < 2}
+                    className="w-full px-4 py-2 bg-red-600 hover:bg-red-700 disabled:opacity-50 rounded-lg font-semibold text-sm">
+                    ➖ Retirer le membre ciblé
+                  </button>
+                  <button onClick={updateMember} disabled={busy}
+                    className="w-full px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:opacity-50 rounded-lg font-semibold text-sm">
+                    🔄 Update du membre ciblé (PCS)
+                  </button>
+                  <button onClick={sendGroupMessage} disabled={busy}
+                    className="w-full px-4 py-2 bg-gray-600 hover:bg-gray-500 disabled:opacity-50 rounded-lg font-semibold text-sm">
+                    💬 Envoyer un message de groupe
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {epoch !== null && (
+              <div className="bg-gray-800 rounded-lg p-4">
+                <h3 className="font-bold mb-2">🌳 Arbre TreeKEM</h3>
+                <p className="text-sm mb-2">
+                  Epoch <span className="font-mono text-teal-300">{epoch}</span>
+                  {' • '}
+                  {epochConsistent
+                    ? <span className="text-green-400">✓ secret d'epoch commun</span>
+                    : <span className="text-red-400">✕ secrets divergents</span>}
+                </p>
+                <div className="flex flex-wrap gap-1">
+                  {treeLeaves.map((name, leaf) => (
+                    <span
+                      key={leaf}
+                      className={`text-[11px] px-2 py-1 rounded font-mono ${name ? 'bg-teal-700' : 'bg-gray-700 text-gray-500'}`}
+                    >
+                      {leaf}:{name || '∅'}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* Tableau comparatif */}
+          <div className="lg:col-span-2 bg-gray-800 rounded-lg p-6">
+            <h2 className="text-xl font-bold mb-4">📊 Coût par opération</h2>
+            {rows.length === 0 ? (
+              <div className="text-center py-16 text-gray-500">
+                <p className="text-4xl mb-4">🌳</p>
+                <p>Créez un groupe puis ajoutez, retirez ou mettez à jour des membres.</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-gray-400 border-b border-gray-700">
+                      <th className="px-3 py-2 text-left">Opération</th>
+                      <th className="px-3 py-2 text-right">N</th>
+                      <th className="px-3 py-2 text-right text-yellow-300">Pairwise</th>
+                      <th className="px-3 py-2 text-right text-green-300">Sender Keys</th>
+                      <th className="px-3 py-2 text-right text-teal-300">TreeKEM</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map(row => (
+                      <tr key={row.id} className="border-b border-gray-700/50">
+                        <td className="px-3 py-2">{row.operation}</td>
+                        <td className="px-3 py-2 text-right font-mono">{row.groupSize}</td>
+                        <CostCell cost={row.pairwise} color="text-yellow-300" />
+                        <CostCell cost={row.senderKeys} color="text-green-300" />
+                        <CostCell cost={row.treeKem} color="text-teal-300" extra={`${row.treeKem.ciphertexts} chiffré(s) HPKE`} />
+                      </tr>
+                    ))}
+                    <tr className="font-bold">
+                      <td className="px-3 py-2">Total</td>
+                      <td />
+                      <CostCell cost={totals.pairwise} color="text-yellow-300" />
+                      <CostCell cost={totals.senderKeys} color="text-green-300" />
+                      <CostCell cost={totals.treeKem} color="text-teal-300" />
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Logs */}
+        <div className="bg-gray-800 rounded-lg p-6">
+          <h2 className="text-xl font-bold mb-4">📋 Journal</h2>
+          <div className="space-y-1 h-48 overflow-y-auto font-mono text-sm bg-black/30 p-4 rounded">
+            {log.length === 0 ? (
+              <p className="text-gray-500">En attente...</p>
+            ) : (
+              log.slice().reverse().map((entry, i) => (
+                <div
+                  key={i}
+                  className={
+                    entry.type === 'success' ? 'text-green-400' :
+                    entry.type === 'error' ? 'text-red-400' :
+                    entry.type === 'warning' ? 'text-yellow-400' :
+                    'text-gray-300'
+                  }
+                >
+                  <span className="text-gray-500">[{entry.time}]</span> {entry.message}
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default GroupKeyComparison;
@@ -4,8 +4,108 @@ import { EnhancedCrypto } from '../crypto/EnhancedCrypto';
 import { PersistentStorage } from '../utils/PersistentStorage';
 import soundGenerator from '../utils/SoundGenerator';
 import { DHRatchet } from '../crypto/DHRatchet';
-import { generateECDHKeyPair, performECDH, hkdf, importPublicKey } from '../crypto/Primitives';
-import { SealedSenderEncryptor } from '../crypto/SealedSender';
+import { generateECDHKeyPair, importPublicKey } from '../crypto/Primitives';
+import sodium from '../crypto/sodium';
+import { SealedSenderKeyManager } from '../crypto/SealedSenderV2';
+import {
+  SEALED_SENDER_V1,
+  SEALED_SENDER_V2,
+  SUPPORTED_SEALED_VERSIONS,
+  acceptsMultiRecipient,
+  negotiateSealedVersion,
+  sealedEnvelopeSize,
+  sealEnvelope,
+  sealMultiRecipientEnvelope,
+  unsealEnvelope
+} from '../crypto/SealedSenderVersions';
+import { SenderCertificate, findTrustRoot, verifyRevocationList, isCertificateRevoked } from '../crypto/SenderCertificate';
+import { X3DHInitiator, X3DHResponder } from '../crypto/X3DH';
+import { PreKeyManager } from '../crypto/PreKeyManager';
+import { getStorageManager } from '../crypto/Storagemanager';
+import { GroupSession } from '../crypto/SenderKeys';
+import { computeSafetyNumber, verifyScannedPayload } from '../crypto/SafetyNumber';
+import { replayError } from '../crypto/ReplayProtection';
+import { proveIdentity } from '../crypto/IdentityProof';
+import { PROFILE_KEY_LENGTH, generateProfileKey, deriveAccessKey, combineAccessKeys } from '../crypto/UnidentifiedAccess';
+import {
+  CONTENT_RECEIPT,
+  RECEIPT_DELIVERED,
+  RECEIPT_READ,
+  encodeTextContent,
+  encodeReceiptContent,
+  decodeContent
+} from '../crypto/MessageContent';
+import { ackError, ERROR_LABELS } from '../utils/ErrorCodes';
+
+const SERVER_URL = 'https://simulation-server-ocek.onrender.com';
+
+// Renouvellement du certificat expéditeur aux 3/4 de sa durée de vie
+const CERTIFICATE_RENEWAL_RATIO = 0.75;
+
+// Nombre d'OPK publiées au join puis à chaque réapprovisionnement
+const OPK_BATCH_SIZE = 20;
+
+// Cycle de vie des prekeys, raccourci pour être observable pendant une séance
+const SPK_ROTATION_INTERVAL = 30 * 60 * 1000;
+const SPK_GRACE_PERIOD = 2 * 60 * 60 * 1000;
+const PREKEY_MAINTENANCE_INTERVAL = 60 * 1000;
+
+// Tolérance d'horloge sur l'horodatage du relais (comme pour celui du ratchet)
+const RELAY_CLOCK_SKEW = 30 * 1000;
+
+const REPLAY_CHECK_LABELS = {
+  nonce: 'nonce déjà vu',
+  age: 'message trop ancien',
+  future: 'horodatage dans le futur',
+  'message-number': 'numéro de message déjà traité'
+};
+
+const SEALED_VERSION_LABELS = {
+  [SEALED_SENDER_V1]: 'V1 · RSA-OAEP + AES-GCM',
+  [SEALED_SENDER_V2]: 'V2 · X25519 + XChaCha20'
+};
+
+const emptySealedStats = () => ({
+  [SEALED_SENDER_V1]: { sealed: 0, opened: 0, bytes: 0, sealMs: 0, openMs: 0 },
+  [SEALED_SENDER_V2]: { sealed: 0, opened: 0, bytes: 0, sealMs: 0, openMs: 0 }
+});
+
+// Statut d'un message envoyé : un accusé ne fait jamais reculer le statut
+const RECEIPT_STATUS_ORDER = { sent: 0, [RECEIPT_DELIVERED]: 1, [RECEIPT_READ]: 2 };
+const RECEIPT_STATUS_LABELS = {
+  sent: '✓ envoyé',
+  [RECEIPT_DELIVERED]: '✓✓ remis',
+  [RECEIPT_READ]: '✓✓ lu'
+};
+
+// Message scellé pour un seul destinataire (texte ou accusé : indiscernables avant ouverture)
+const isPairwiseSealed = (msg) => msg.sealed && !msg.group && !msg.redacted;
+
+// Rôles dans une room (voir server/roomAccess.js)
+const ROLE_LABELS = {
+  owner: '👑 Propriétaire',
+  instructor: '🎓 Instructeur',
+  member: 'Membre'
+};
+
+const roleIn = (access, name) => {
+  if (!access) return 'member';
+  if (access.owner === name) return 'owner';
+  return access.instructors.includes(name) ? 'instructor' : 'member';
+};
+
+// Refus du serveur : son code typé (voir utils/ErrorCodes) précède le message
+const errorText = (err) => (err.code ? `[${err.code}] ${err.message}` : err.message);
+
+// Lien d'invitation : ?room=<id>&invite=<jeton signé>
+const inviteParams = () => new URLSearchParams(window.location.search);
+
+// Destinataire virtuel "toute la room" (mode groupe Sender Keys)
+const GROUP_TARGET = { id: 'group', username: 'groupe', group: true };
+
+// Compare deux clés publiques EC au format JWK (indépendamment de l'ordre des champs)
+const sameIdentityKey = (a, b) =>
+  !!a && !!b && a.kty === b.kty && a.crv === b.crv && a.x === b.x && a.y === b.y;
 
 // === COMPOSANTS UI ===
 
@@ -70,8 +170,16 @@ function TypingIndicator({ users }) {
 function MultiUserSimulation() {
   const [socket, setSocket] = useState(null);
   const [connected, setConnected] = useState(false);
-  const [roomId, setRoomId] = useState('');
+  const [roomId, setRoomId] = useState(() => inviteParams().get('room') || '');
   const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [createRoom, setCreateRoom] = useState(false); // créer la room plutôt que la rejoindre
+  const [roomPassword, setRoomPassword] = useState('');
+  const [inviteOnly, setInviteOnly] = useState(false);
+  const [inviteToken] = useState(() => inviteParams().get('invite') || '');
+  const [roomAccess, setRoomAccess] = useState(null); // { owner, instructors, locked, banned, ... }
+  const [inviteRole, setInviteRole] = useState('member');
+  const [inviteLink, setInviteLink] = useState('');
   const [joined, setJoined] = useState(false);
   const [users, setUsers] = useState([]);
   const [messages, setMessages] = useState([]);
@@ -96,23 +204,74 @@ function MultiUserSimulation() {
   const [myFingerprint, setMyFingerprint] = useState(null);
   const [serverSigningPublicKey, setServerSigningPublicKey] = useState(null);
   const [myCertificate, setMyCertificate] = useState(null);
-
-  // Identité Double Ratchet (ECDH P-256)
+  const [certificateRevoked, setCertificateRevoked] = useState(false);
+  const [revokeTarget, setRevokeTarget] = useState('');
+  const [contactTrust, setContactTrust] = useState({}); // username -> { verified }
+  const [identityAlerts, setIdentityAlerts] = useState([]);
+  const [safetyNumberView, setSafetyNumberView] = useState(null); // { contact, safetyNumber }
+  const [scannedPayload, setScannedPayload] = useState('');
+  const [realAttacks, setRealAttacks] = useState(false);
+  const [observerBroadcast, setObserverBroadcast] = useState(false);
+  const [adminToken, setAdminToken] = useState('');
+  const [replayTimestampMode, setReplayTimestampMode] = useState('original');
+  const [blockedReplays, setBlockedReplays] = useState({}); // msgId -> vérification
+  const [sealedVersion, setSealedVersion] = useState(SEALED_SENDER_V2); // version préférée à l'envoi
+  const [sealedStats, setSealedStats] = useState(emptySealedStats);
+  const [unrestrictedAccess, setUnrestrictedAccess] = useState(false); // envois non identifiés acceptés sans jeton
+  const [receipts, setReceipts] = useState({}); // id de nos messages -> { to, status }
+  const [receiptMessages, setReceiptMessages] = useState({}); // id d'un accusé reçu -> { from, receiptType, count }
+  const [plaintextReceipts, setPlaintextReceipts] = useState(false); // comparateur : accusés en clair
+
+  // Identité X3DH + Double Ratchet (ECDH P-256)
   const myIdentityKeyPairRef = useRef(null);
   const myIdentityPublicJWKRef = useRef(null);
+  const preKeyManagerRef = useRef(null); // PreKeyManager (bundle X3DH local + rotation)
   const ratchetsRef = useRef(new Map()); // contactUsername -> DHRatchet
+  const pendingX3DHRef = useRef(new Map()); // contactUsername -> en-tête X3DH à joindre tant que le pair n'a pas répondu
+  const acceptedX3DHRef = useRef(new Map()); // contactUsername -> clé éphémère de la session acceptée
+  const joinedRef = useRef(false);
+  const sessionTokenRef = useRef(null); // jeton de session, présenté à chaque (re)connexion
+  const replenishingRef = useRef(false);
+
+  // Groupe (Sender Keys) : notre sender key + celles reçues des autres membres
+  const groupSessionRef = useRef(null);
+  const senderKeyRecipientsRef = useRef(new Set()); // membres ayant reçu notre sender key courante
+
+  // Identités connues des contacts (persistées) et changements non confirmés
+  const contactsRef = useRef(new Map()); // contactUsername -> { identityKey, verified, ... }
+  const identityAlertsRef = useRef(new Map()); // contactUsername -> { previousKey, identityKey, wasVerified }
 
   const toastIdRef = useRef(0);
   const messagesEndRef = useRef(null);
   const typingTimeoutRef = useRef(null);
   const messagesContainerRef = useRef(null);
   const usersRef = useRef([]);
-  const cryptoSessionsReady = useRef(new Set());
   // ✅ Ref pour accéder à myPrivateKey dans les handlers sans closure périmée
   const myPrivateKeyRef = useRef(null);
+  const sealingKeyManagerRef = useRef(null); // SealedSenderKeyManager (clé Curve25519, enveloppes V2)
+  const sealedVersionRef = useRef(SEALED_SENDER_V2);
+  const profileKeyRef = useRef(null); // clé de profil, partagée avec nos contacts (dérive notre jeton de remise)
+  const contactAccessKeysRef = useRef(new Map()); // contactUsername -> jeton de remise (dérivé de sa clé de profil)
+  const serverSigningPublicKeyRef = useRef(null);
+  const trustRootsRef = useRef(null); // { activeKeyId, keys: [{ keyId, publicKey }] }
+  const revocationsRef = useRef(null); // CRL vérifiée { issuedAt, entries }
+  const myCertificateRef = useRef(null);
 
   useEffect(() => { usersRef.current = users; }, [users]);
   useEffect(() => { myPrivateKeyRef.current = myPrivateKey; }, [myPrivateKey]);
+  useEffect(() => { serverSigningPublicKeyRef.current = serverSigningPublicKey; }, [serverSigningPublicKey]);
+  useEffect(() => { myCertificateRef.current = myCertificate; }, [myCertificate]);
+  useEffect(() => { joinedRef.current = joined; }, [joined]);
+
+  // Rejeu en cours contre nous : les messages reçus sont vérifiés dès réception
+  const attacksRef = useRef([]);
+  const handleDecryptRef = useRef(null);
+  const receivePairwiseRef = useRef(null);
+  const applyReceiptRef = useRef(null);
+  const verifyQueueRef = useRef(Promise.resolve());
+  const openedRef = useRef(new Map()); // id -> { senderUsername, content } des messages pairwise ouverts
+  useEffect(() => { attacksRef.current = attacks; }, [attacks]);
+  useEffect(() => { sealedVersionRef.current = sealedVersion; }, [sealedVersion]);
 
   useEffect(() => {
     const init = async () => {
@@ -152,28 +311,326 @@ function MultiUserSimulation() {
     }
   }, [soundEnabled]);
 
-  // ✅ ensureSession : initialise la session côté expéditeur uniquement
-  const ensureSession = useCallback(async (userId, publicKeyStr) => {
-    if (cryptoSessionsReady.current.has(userId)) return true;
+  const publishIdentityAlerts = useCallback(() => {
+    setIdentityAlerts(Array.from(identityAlertsRef.current.values()));
+  }, []);
+
+  // Identités des contacts : confiance au premier contact (TOFU), puis toute
+  // clé différente annoncée par le serveur déclenche une alerte bloquante
+  const checkContactIdentities = useCallback(async (contacts) => {
+    const owner = `${roomId}:${username}`;
+
+    for (const contact of contacts) {
+      if (contact.username === username || !contact.identityKey) continue;
+
+      let known = contactsRef.current.get(contact.username)
+        || await storage.loadContact(owner, contact.username).catch(() => undefined);
+
+      if (!known) {
+        known = {
+          username: contact.username,
+          identityKey: contact.identityKey,
+          verified: false,
+          firstSeenAt: Date.now()
+        };
+        await storage.saveContact(owner, known).catch(console.error);
+      }
+      contactsRef.current.set(contact.username, known);
+
+      const alert = identityAlertsRef.current.get(contact.username);
+      if (sameIdentityKey(known.identityKey, contact.identityKey)) {
+        // Retour à la clé connue (ex: substitution interrompue)
+        if (alert) identityAlertsRef.current.delete(contact.username);
+      } else if (!alert || !sameIdentityKey(alert.identityKey, contact.identityKey)) {
+        identityAlertsRef.current.set(contact.username, {
+          username: contact.username,
+          previousKey: known.identityKey,
+          identityKey: contact.identityKey,
+          wasVerified: known.verified,
+          dismissed: false
+        });
+        console.warn(`⚠️ Clé d'identité de ${contact.username} modifiée`);
+      }
+
+      setContactTrust(prev => ({ ...prev, [contact.username]: { verified: known.verified } }));
+    }
+
+    publishIdentityAlerts();
+  }, [storage, roomId, username, publishIdentityAlerts]);
+
+  // Session X3DH côté initiateur : récupère le bundle du destinataire sur le serveur
+  // (une OPK est consommée) puis initialise le Double Ratchet sur sa SPK.
+  const ensureSession = useCallback(async (contactUsername) => {
+    const existing = ratchetsRef.current.get(contactUsername);
+    if (existing) return existing;
+
+    const myIdentityKeyPair = myIdentityKeyPairRef.current;
+    if (!myIdentityKeyPair) throw new Error('Identité X3DH locale manquante');
+
+    const { bundle, error, code } = await socket
+      .timeout(5000)
+      .emitWithAck('fetch-prekey-bundle', { roomId, username: contactUsername });
+    if (error) throw ackError({ error, code });
+
+    // L'IK du bundle doit être celle de la fiche du contact (certificat, safety number)
+    const contact = usersRef.current.find(u => u.username === contactUsername);
+    const initiator = new X3DHInitiator(myIdentityKeyPair);
+    const { sharedSecret, ephemeralPublicKey, usedOPKId } = await initiator.deriveSharedSecret(bundle, {
+      expectedIdentityKey: contact?.identityKey
+    });
+
+    const ratchet = new DHRatchet(sharedSecret, true);
+    const remoteSignedPreKey = await importPublicKey(bundle.signedPreKey.publicKey);
+    await ratchet.initialize(await generateECDHKeyPair(), remoteSignedPreKey);
+
+    ratchetsRef.current.set(contactUsername, ratchet);
+    pendingX3DHRef.current.set(contactUsername, {
+      identityKey: myIdentityPublicJWKRef.current,
+      ephemeralKey: ephemeralPublicKey,
+      signedPreKeyId: bundle.signedPreKey.id,
+      usedOPKId
+    });
+
+    console.log(`✅ Session X3DH ouverte avec ${contactUsername} (OPK: ${usedOPKId ?? 'aucune'})`);
+    return ratchet;
+  }, [socket, roomId]);
+
+  // Session X3DH côté répondeur : recalcule le secret à partir de l'en-tête reçu
+  const acceptSession = useCallback(async (contactUsername, x3dh) => {
+    const preKeyManager = preKeyManagerRef.current;
+    if (!preKeyManager?.bundle) throw new Error('Bundle X3DH local manquant');
+
+    const keyBundle = preKeyManager.bundle;
+    const signedPreKeyId = x3dh.signedPreKeyId ?? null;
+    const responder = new X3DHResponder(keyBundle);
+    const sharedSecret = await responder.deriveSharedSecret(
+      x3dh.identityKey,
+      x3dh.ephemeralKey,
+      x3dh.usedOPKId ?? null,
+      signedPreKeyId
+    );
+    // L'OPK consommée ne doit pas réapparaître après un rechargement
+    await preKeyManager.save();
+
+    // Le premier ratchet du répondeur repose sur la SPK visée par l'initiateur
+    const ratchet = new DHRatchet(sharedSecret, false);
+    await ratchet.initialize(keyBundle.getSignedPreKeyPair(signedPreKeyId), null);
+
+    // Une nouvelle session entrante remplace toute session en cours avec ce contact
+    ratchetsRef.current.set(contactUsername, ratchet);
+    pendingX3DHRef.current.delete(contactUsername);
+    acceptedX3DHRef.current.set(contactUsername, JSON.stringify(x3dh.ephemeralKey));
+
+    console.log(`✅ Session X3DH acceptée de ${contactUsername}`);
+    return ratchet;
+  }, []);
+
+  // Comparaison V1/V2 : taille de l'enveloppe sur le relais, temps de (de)scellement
+  const recordSealedStat = useCallback((version, measures) => {
+    setSealedStats(prev => {
+      const current = { ...prev[version] };
+      for (const [key, value] of Object.entries(measures)) current[key] += value;
+      return { ...prev, [version]: current };
+    });
+  }, []);
+
+  // Certificat expéditeur à joindre à une enveloppe scellée
+  const usableCertificate = useCallback(() => {
+    const myCertificate = myCertificateRef.current;
+    if (!serverSigningPublicKeyRef.current) {
+      throw new Error('Clé serveur manquante (certificats)');
+    }
+    if (!myCertificate) {
+      throw new Error('Certificat expéditeur non disponible (rejoignez à nouveau la room)');
+    }
+    // Le destinataire refuserait l'enveloppe : inutile de consommer une clé de message
+    const myCertificateInfo = SenderCertificate.decode(myCertificate);
+    if (new Date(myCertificateInfo.validUntil) < new Date()) {
+      throw new Error('Certificat expéditeur expiré : renouvellement en attente');
+    }
+    if (revocationsRef.current && isCertificateRevoked(revocationsRef.current, myCertificateInfo)) {
+      throw new Error('Certificat expéditeur révoqué : rejoignez la room avec de nouvelles clés');
+    }
+    return myCertificate;
+  }, []);
+
+  // Chiffre pour un contact (X3DH + Double Ratchet) puis scelle (expéditeur caché au serveur)
+  const sealForContact = useCallback(async (contact, plaintext) => {
+    const myCertificate = usableCertificate();
+
+    const myIdentityKeyPair = myIdentityKeyPairRef.current;
+    if (!myIdentityKeyPair) throw new Error('Identité ECDH locale manquante');
+
+    if (identityAlertsRef.current.has(contact.username)) {
+      throw new Error(`Identité de ${contact.username} modifiée : confirmez la nouvelle clé avant d'envoyer`);
+    }
+    // Fiche la plus récente (le contact a pu rejoindre à nouveau avec d'autres clés)
+    const recipient = usersRef.current.find(u => u.username === contact.username) || contact;
+
+    // Ratchet: ouverture X3DH si besoin (fonctionne même si le destinataire est hors ligne)
+    const contactId = contact.username;
+    const ratchet = await ensureSession(contactId);
+
+    const encryptedRatchet = await ratchet.encrypt(plaintext);
+    // Sérialiser en tableaux d'octets
+    const toArr = (buf) => Array.from(new Uint8Array(buf));
+    const payload = {
+      ...encryptedRatchet,
+      ciphertext: toArr(encryptedRatchet.ciphertext),
+      iv: toArr(encryptedRatchet.iv),
+      mac: toArr(encryptedRatchet.mac),
+      nonce: toArr(encryptedRatchet.nonce),
+      x3dh: pendingX3DHRef.current.get(contactId),
+      // Le contact pourra nous écrire sans s'identifier auprès du serveur
+      profileKey: Array.from(profileKeyRef.current)
+    };
+    const ratchetBytes = new TextEncoder().encode(JSON.stringify(payload));
+
+    // V2 seulement si le destinataire a annoncé une clé de scellement (sinon ancien client)
+    const version = negotiateSealedVersion(sealedVersionRef.current, recipient);
+    const startedAt = performance.now();
+    const sealed = await sealEnvelope(version, {
+      message: ratchetBytes,
+      certificate: myCertificate,
+      senderIdentityKey: myIdentityKeyPair.publicKey,
+      recipient
+    });
+    recordSealedStat(version, { sealed: 1, bytes: sealedEnvelopeSize(sealed), sealMs: performance.now() - startedAt });
+    return sealed;
+  }, [ensureSession, recordSealedStat, usableCertificate]);
+
+  // Racine CA du keyId d'un certificat ; clé inconnue (rotation récente) : on redemande la liste
+  const resolveTrustRoot = useCallback(async (keyId) => {
+    const known = findTrustRoot(trustRootsRef.current, keyId);
+    if (known || !keyId || !socket) return known;
+
+    trustRootsRef.current = await socket.timeout(5000).emitWithAck('get-trust-roots');
+    return findTrustRoot(trustRootsRef.current, keyId);
+  }, [socket]);
+
+  // CRL publiée par le serveur : adoptée seulement si signée par une racine de confiance
+  // et pas plus ancienne que celle déjà adoptée
+  const adoptRevocations = useCallback(async (crl) => {
     try {
-      const publicKeyObj = typeof publicKeyStr === 'string'
-        ? JSON.parse(publicKeyStr)
-        : publicKeyStr;
-
-      await crypto.initSession(userId, publicKeyObj);
-      cryptoSessionsReady.current.add(userId);
-      console.log(`✅ Session prête (expéditeur): ${userId}`);
-      return true;
+      revocationsRef.current = await verifyRevocationList(crl, resolveTrustRoot, { current: revocationsRef.current });
     } catch (err) {
-      console.error(`❌ Échec session pour ${userId}:`, err);
-      return false;
+      console.error('❌ Liste de révocation rejetée:', err);
+      showToast('Liste de révocation rejetée : ' + err.message, 'error');
+    }
+  }, [resolveTrustRoot, showToast]);
+
+  // Descelle (V1/V2) et vérifie que l'expéditeur certifié est bien le contact connu
+  const unsealFromContact = useCallback(async (sealedMessage) => {
+    const privateKey = myPrivateKeyRef.current;
+    if (!privateKey) {
+      throw new Error('Clé privée non disponible, reconnectez-vous');
+    }
+    if (!serverSigningPublicKeyRef.current) {
+      throw new Error('Clé serveur (vérification certificat) manquante');
+    }
+
+    const startedAt = performance.now();
+    const unsealed = await unsealEnvelope(sealedMessage, {
+      rsaPrivateKey: privateKey,
+      sealingPrivateKey: sealingKeyManagerRef.current?.keyPair?.privateKey,
+      resolveTrustRoot,
+      revocations: revocationsRef.current
+    });
+    // Les tranches multi-destinataires faussent la comparaison enveloppe par enveloppe
+    if (!unsealed.multiRecipient) {
+      recordSealedStat(unsealed.version, { opened: 1, openMs: performance.now() - startedAt });
+    }
+
+    const senderUsername = unsealed.senderId;
+    const sender = usersRef.current.find(u => u.username === senderUsername);
+    if (!sender) {
+      throw new Error('Expéditeur introuvable (a peut-être quitté la room)');
+    }
+    if (identityAlertsRef.current.has(senderUsername)) {
+      throw new Error(`Identité de ${senderUsername} modifiée : message refusé tant que la nouvelle clé n'est pas acceptée`);
+    }
+    // Le serveur est aussi la CA : un certificat valide ne prouve rien s'il
+    // certifie une autre clé que celle épinglée pour ce contact
+    const pinned = contactsRef.current.get(senderUsername);
+    if (pinned && !sameIdentityKey(pinned.identityKey, unsealed.senderCertificate.senderKey)) {
+      throw new Error(`Certificat de ${senderUsername} émis pour une clé inconnue : substitution de clé (MITM) probable`);
     }
-  }, [crypto]);
+
+    return { senderUsername, unsealed };
+  }, [resolveTrustRoot, recordSealedStat]);
+
+  // Descelle puis déchiffre avec la session pairwise de l'expéditeur certifié
+  // (receivedAt : heure de dépôt au relais d'un message remis par la boîte aux lettres)
+  const openSealed = useCallback(async (sealedMessage, { receivedAt } = {}) => {
+    const { senderUsername, unsealed } = await unsealFromContact(sealedMessage);
+    if (unsealed.multiRecipient) {
+      throw new Error('Tranche multi-destinataires hors d\'un message de groupe');
+    }
+
+    const sealedInnerBytes = new Uint8Array(unsealed.message);
+    const encryptedRatchetMsg = JSON.parse(new TextDecoder().decode(sealedInnerBytes));
+
+    // Message initial X3DH : ouvrir la session répondeur (une seule fois par clé éphémère)
+    const contactId = senderUsername;
+    const { x3dh } = encryptedRatchetMsg;
+    if (x3dh && acceptedX3DHRef.current.get(contactId) !== JSON.stringify(x3dh.ephemeralKey)) {
+      // L'identité annoncée dans l'en-tête doit être celle certifiée par le serveur
+      if (!sameIdentityKey(unsealed.senderCertificate.senderKey, x3dh.identityKey)) {
+        throw new Error('Clé d\'identité X3DH différente de celle du certificat');
+      }
+      await acceptSession(contactId, x3dh);
+    }
+
+    const ratchet = ratchetsRef.current.get(contactId);
+    if (!ratchet) {
+      throw new Error(`Aucune session avec ${contactId} (message initial X3DH manquant)`);
+    }
+
+    // Désérialisation des buffers en ArrayBuffer
+    const toBuf = (arr) => new Uint8Array(arr).buffer;
+    const plaintext = await ratchet.decrypt({
+      ...encryptedRatchetMsg,
+      ciphertext: toBuf(encryptedRatchetMsg.ciphertext),
+      iv: toBuf(encryptedRatchetMsg.iv),
+      mac: toBuf(encryptedRatchetMsg.mac),
+      nonce: toBuf(encryptedRatchetMsg.nonce)
+    }, { receivedAt });
+    // Le pair a répondu : inutile de continuer à joindre notre en-tête X3DH
+    if (!x3dh) pendingX3DHRef.current.delete(contactId);
+    // Sa clé de profil (message authentifié) : son jeton de remise pour nos envois
+    if (encryptedRatchetMsg.profileKey?.length === PROFILE_KEY_LENGTH) {
+      contactAccessKeysRef.current.set(contactId, await deriveAccessKey(encryptedRatchetMsg.profileKey));
+    }
+
+    return { senderUsername, plaintext };
+  }, [acceptSession, unsealFromContact]);
+
+  // Message de groupe scellé multi-destinataires : l'expéditeur n'est connu qu'après
+  // descellement, puis le chiffré Sender Keys se déchiffre avec sa chaîne
+  const openSealedGroupMessage = useCallback(async (sealedMessage) => {
+    const { senderUsername, unsealed } = await unsealFromContact(sealedMessage);
+    if (!unsealed.multiRecipient) {
+      throw new Error('Message de groupe scellé sans tranche multi-destinataires');
+    }
+
+    const groupSession = groupSessionRef.current;
+    if (!groupSession) throw new Error('Session de groupe non initialisée');
+
+    const groupMessage = JSON.parse(new TextDecoder().decode(unsealed.message));
+    const plaintext = await groupSession.decrypt(senderUsername, groupMessage);
+    return { senderUsername, plaintext, groupMessage };
+  }, [unsealFromContact]);
+
+  // Accusé de remise : le serveur retire le message de notre boîte aux lettres
+  const acknowledgeDelivery = useCallback((message) => {
+    socket.emit('ack-message', { roomId, messageId: message.id });
+  }, [socket, roomId]);
 
   // Socket.io connection
  useEffect(() => {
-  const newSocket = io('https://simulation-server-ocek.onrender.com', {
+  const newSocket = io(SERVER_URL, {
   transports: ['websocket'],
+  auth: (cb) => cb({ token: sessionTokenRef.current }),
   reconnection: true,
   reconnectionAttempts: 5,
   reconnectionDelay: 1000
@@ -190,52 +647,82 @@ function MultiUserSimulation() {
 
     socket.on('user-joined', async ({ user, users: newUsers }) => {
       setUsers(newUsers);
+      await checkContactIdentities(newUsers);
       // Mise à jour clé serveur + mon certificat si présent dans ma fiche
       if (user?.username === username) {
         if (user.certificate) setMyCertificate(user.certificate);
       }
-      if (user.username !== username && user.publicKey) {
-        const ok = await ensureSession(user.id, user.publicKey);
-        if (ok) showToast(`Session établie avec ${user.username}`, 'success');
-        else showToast(`Erreur session avec ${user.username}`, 'error');
+      if (user.username !== username) {
+        // Nouvel état local chez lui : il devra recevoir à nouveau notre sender key
+        senderKeyRecipientsRef.current.delete(user.username);
+        showToast(`${user.username} a rejoint la room`, 'info');
       }
     });
 
-    socket.on('room-state', async ({ messages: roomMessages, users: roomUsers, serverSigningPublicKey: sspk }) => {
-      setMessages(roomMessages);
+    // Reconnexion : pas de journal (on garde le nôtre), seulement notre boîte aux lettres
+    socket.on('room-state', async ({ messages: roomMessages, pending = [], users: roomUsers, serverSigningPublicKey: sspk, trustRoots, revocations, realAttacks: realAttacksEnabled, observerBroadcast: observersEnabled, access }) => {
+      if (roomMessages) setMessages(roomMessages);
+      if (access) setRoomAccess(access);
+      setRealAttacks(!!realAttacksEnabled);
+      setObserverBroadcast(!!observersEnabled);
       setUsers(roomUsers);
       if (sspk) setServerSigningPublicKey(sspk);
+      if (trustRoots) trustRootsRef.current = trustRoots;
+      if (revocations) await adoptRevocations(revocations);
+      await checkContactIdentities(roomUsers);
 
       const me = roomUsers.find(u => u.username === username);
-      if (me?.certificate) setMyCertificate(me.certificate);
-
-      const results = await Promise.allSettled(
-        roomUsers
-          .filter(u => u.username !== username && u.publicKey)
-          .map(u => ensureSession(u.id, u.publicKey))
-      );
-
-      const count = results.filter(r => r.value === true).length;
-      if (count > 0) showToast(`${count} session(s) prête(s)`, 'success');
+      if (me?.certificate) {
+        setMyCertificate(me.certificate);
+        setCertificateRevoked(false);
+      }
 
-      for (const msg of roomMessages) {
+      for (const msg of roomMessages || []) {
         await storage.saveMessage(roomId, msg).catch(console.error);
       }
+
+      if (pending.length > 0) {
+        setMessages(prev => [...prev, ...pending.filter(msg => !prev.some(known => known.id === msg.id))]);
+        const pairwise = pending.filter(msg => isPairwiseSealed(msg) && msg.to === username);
+        setUnreadCount(prev => prev + pending.length - pairwise.length);
+        for (const msg of pairwise) {
+          verifyQueueRef.current = verifyQueueRef.current.then(() => receivePairwiseRef.current(msg, { fromMailbox: true }));
+        }
+        for (const msg of pending) {
+          await storage.saveMessage(roomId, msg).then(() => acknowledgeDelivery(msg), console.error);
+        }
+        showToast(`📬 ${pending.length} message(s) reçu(s) pendant votre absence`, 'info');
+      }
     });
 
     socket.on('new-message', async (message) => {
       setMessages(prev => [...prev, message]);
 
-      if (message.to === username) {
+      const forMe = message.to === username || (message.group && !message.sealed && message.from !== username);
+      if (forMe && isPairwiseSealed(message)) {
+        // Texte ou accusé : on ne le sait qu'une fois ouvert. Un à la fois (état des ratchets)
+        verifyQueueRef.current = verifyQueueRef.current.then(() => receivePairwiseRef.current(message));
+      } else if (forMe) {
         setUnreadCount(prev => prev + 1);
         playSound('newMessage');
+
+        const underReplay = attacksRef.current.some(a =>
+          a.type === 'replay' && a.target === username && a.status === 'active');
+        if (underReplay) {
+          // Un à la fois : les déchiffrements partagent l'état des ratchets
+          verifyQueueRef.current = verifyQueueRef.current.then(() => handleDecryptRef.current(message));
+        }
       }
 
-      await storage.saveMessage(roomId, message).catch(console.error);
+      // Remis une fois conservé localement : sinon il reste dans notre boîte aux lettres
+      await storage.saveMessage(roomId, message)
+        .then(() => { if (forMe) acknowledgeDelivery(message); }, console.error);
       scrollToBottom();
     });
 
     socket.on('attack-launched', (attack) => {
+      // Les rejeux suivent immédiatement : le ref n'attend pas le prochain rendu
+      attacksRef.current = [...attacksRef.current, attack];
       setAttacks(prev => [...prev, attack]);
       showToast(`Attaque ${attack.type} lancée sur ${attack.target}`, 'warning');
     });
@@ -245,13 +732,185 @@ function MultiUserSimulation() {
       showToast('Attaque arrêtée', 'success');
     });
 
-    socket.on('user-left', ({ username: leftUsername }) => {
-      setUsers(prev => prev.filter(u => u.username !== leftUsername));
-      const departed = usersRef.current.find(u => u.username === leftUsername);
-      if (departed) cryptoSessionsReady.current.delete(departed.id);
-      showToast(`${leftUsername} a quitté la room`, 'info');
+    socket.on('attack-updated', (attack) => {
+      setAttacks(prev => prev.map(a => a.id === attack.id ? { ...a, ...attack } : a));
+    });
+
+    // MITM réel : ce que le relais a réussi à lire
+    socket.on('attack-intercepted', ({ attackId, ...interception }) => {
+      setAttacks(prev => prev.map(a => a.id === attackId
+        ? { ...a, intercepted: [...(a.intercepted || []), interception] }
+        : a));
+      if (interception.from === username || interception.to === username) {
+        showToast(`🕵️ Le relais a lu votre échange avec ${interception.from === username ? interception.to : interception.from}`, 'error');
+      }
+    });
+
+    // Rotation de la clé CA : les certificats déjà reçus restent vérifiables par leur keyId
+    socket.on('trust-roots-changed', ({ trustRoots, serverSigningPublicKey: sspk }) => {
+      trustRootsRef.current = trustRoots;
+      setServerSigningPublicKey(sspk);
+      showToast(`🔐 Nouvelle clé CA ${trustRoots.activeKeyId} (${trustRoots.keys.length} racine(s) de confiance)`, 'info');
+    });
+
+    socket.on('revocations-changed', async ({ revocations, username: revokedUsername }) => {
+      await adoptRevocations(revocations);
+      if (revokedUsername === username) {
+        setMyCertificate(null);
+        setCertificateRevoked(true);
+        showToast('📵 Vos certificats ont été révoqués : rejoignez la room avec de nouvelles clés', 'error');
+      } else {
+        showToast(`📵 Certificats de ${revokedUsername} révoqués (appareil compromis)`, 'warning');
+      }
+    });
+
+    socket.on('certificate-refused', ({ reason }) => {
+      setCertificateRevoked(true);
+      showToast('📵 Certificat refusé : ' + reason, 'error');
+    });
+
+    socket.on('unidentified-access-changed', ({ username: changedUsername, unrestrictedAccess: enabled }) => {
+      setUsers(prev => prev.map(u => u.username === changedUsername ? { ...u, unrestrictedAccess: enabled } : u));
+    });
+
+    socket.on('real-attacks-changed', ({ enabled }) => {
+      setRealAttacks(enabled);
+      showToast(enabled ? '🧪 Attaques réelles activées par l\'admin' : 'Attaques réelles désactivées', 'warning');
+    });
+
+    // Comparateur : accusé relayé en clair par le serveur
+    socket.on('receipt', ({ from, receiptType, messageIds }) => {
+      applyReceiptRef.current(from, receiptType, messageIds);
+    });
+
+    socket.on('observer-broadcast-changed', ({ enabled }) => {
+      setObserverBroadcast(enabled);
+      showToast(enabled ? '👀 Mode observateurs : copies expurgées des messages des autres' : 'Mode observateurs désactivé', 'info');
+    });
+
+    // Limites anti-abus du serveur : événement refusé, ou socket coupée après trop de refus
+    socket.on('abuse-error', ({ code, message, disconnected }) => {
+      if (disconnected) {
+        showToast(`🚫 Déconnecté par le serveur (${message}) : rechargez la page`, 'error');
+      } else {
+        showToast(`⏳ [${code}] ${message}`, 'warning');
+      }
+    });
+
+    // Refus d'un événement émis sans ack (accusés, prekeys…) : sinon il passerait inaperçu
+    socket.on('event-error', ({ event, error, code }) => {
+      console.warn(`⚠️ ${event} refusé [${code}]: ${error}`);
+      showToast(`${ERROR_LABELS[code] ?? 'Erreur'} (${event}) : [${code}] ${error}`, 'error');
+    });
+
+    socket.on('room-access-changed', (access) => {
+      setRoomAccess(access);
+    });
+
+    // Exclu par un instructeur : retour à l'écran d'accueil (le serveur coupe la
+    // socket, le prochain join la rouvre avec le jeton de session)
+    socket.on('kicked', ({ roomId: kickedRoom, by }) => {
+      setJoined(false);
+      setUsers([]);
+      setMessages([]);
+      setAttacks([]);
+      setRoomAccess(null);
+      showToast(`🚪 Vous avez été exclu de ${kickedRoom} par ${by}`, 'error');
+    });
+
+    socket.on('user-kicked', async ({ username: kickedUsername, by }) => {
+      setUsers(prev => prev.filter(u => u.username !== kickedUsername));
+      setSelectedUser(prev => prev?.username === kickedUsername ? null : prev);
+      showToast(`🚪 ${kickedUsername} exclu par ${by}`, 'warning');
+
+      // Comme pour un départ : l'exclu connaît notre chaîne de groupe, on la remplace
+      const groupSession = groupSessionRef.current;
+      if (groupSession) {
+        groupSession.removeSender(kickedUsername);
+        await groupSession.rotate();
+        senderKeyRecipientsRef.current.clear();
+      }
+    });
+
+    // Remise à zéro par l'instructeur : journal, attaques et accusés effacés (sessions conservées)
+    socket.on('room-reset', async ({ by }) => {
+      attacksRef.current = [];
+      setMessages([]);
+      setAttacks([]);
+      setDecryptedMessages({});
+      setReceipts({});
+      setReceiptMessages({});
+      setBlockedReplays({});
+      setUnreadCount(0);
+      await storage.clearMessages(roomId).catch(console.error);
+      showToast(`🧹 Room remise à zéro par ${by}`, 'info');
+    });
+
+    // Un absent reste joignable : son bundle X3DH est conservé par le serveur
+    socket.on('user-left', async ({ username: leftUsername }) => {
+      setUsers(prev => prev.map(u => u.username === leftUsername ? { ...u, online: false } : u));
+      showToast(`${leftUsername} est hors ligne`, 'info');
+
+      // Groupe : le partant connaît notre chaîne, on la remplace (redistribuée au prochain envoi)
+      const groupSession = groupSessionRef.current;
+      if (groupSession) {
+        groupSession.removeSender(leftUsername);
+        await groupSession.rotate();
+        senderKeyRecipientsRef.current.clear();
+      }
+    });
+
+    // Sender key d'un membre, reçue via notre session pairwise avec lui
+    socket.on('sender-key', async ({ sealedMessage }) => {
+      try {
+        const { senderUsername, plaintext } = await openSealed(sealedMessage);
+        if (groupSessionRef.current?.processDistributionMessage(senderUsername, JSON.parse(plaintext))) {
+          showToast(`🔑 Sender key de ${senderUsername} reçue`, 'info');
+        }
+      } catch (error) {
+        console.error('❌ Sender key:', error);
+        showToast('Sender key illisible : ' + error.message, 'error');
+      }
     });
 
+    socket.on('prekeys-low', async ({ remaining }) => {
+      const preKeyManager = preKeyManagerRef.current;
+      if (!preKeyManager?.bundle || replenishingRef.current) return;
+      replenishingRef.current = true;
+      try {
+        const oneTimePreKeys = await preKeyManager.replenishOneTimePreKeys(OPK_BATCH_SIZE);
+        socket.emit('upload-one-time-prekeys', { roomId, oneTimePreKeys });
+        showToast(`Stock d'OPK bas (${remaining}) : ${OPK_BATCH_SIZE} nouvelles clés publiées`, 'info');
+      } finally {
+        replenishingRef.current = false;
+      }
+    });
+
+    // Reconnexion réseau : on réintègre la room avec les clés déjà en mémoire
+    // Le serveur exige la preuve que nous détenons toujours la clé d'identité liée au compte
+    const handleReconnect = async () => {
+      if (!joinedRef.current) return;
+      try {
+        const challengeResponse = await socket.timeout(5000).emitWithAck('rejoin-challenge', {});
+        if (challengeResponse.error) throw ackError(challengeResponse);
+        const { challenge } = challengeResponse;
+
+        const proof = await proveIdentity(myIdentityKeyPairRef.current.privateKey, challenge, { roomId, username });
+        const { error, code } = await socket.timeout(5000).emitWithAck('rejoin-simulation', { roomId, username, proof });
+        if (error) throw ackError({ error, code });
+      } catch (err) {
+        showToast('Reconnexion refusée : ' + errorText(err), 'error');
+      }
+    };
+    socket.on('connect', handleReconnect);
+
+    const handleConnectError = (err) => {
+      if (sessionTokenRef.current) {
+        showToast('Connexion refusée : ' + errorText({ message: err.message, code: err.data?.code }), 'error');
+      }
+    };
+    socket.on('connect_error', handleConnectError);
+
     socket.on('user-typing', ({ username: typingUsername }) => {
       if (typingUsername === username) return;
       setTypingUsers(prev =>
@@ -268,10 +927,81 @@ function MultiUserSimulation() {
       socket.off('new-message');
       socket.off('attack-launched');
       socket.off('attack-stopped');
+      socket.off('attack-updated');
+      socket.off('attack-intercepted');
+      socket.off('real-attacks-changed');
+      socket.off('observer-broadcast-changed');
+      socket.off('abuse-error');
+      socket.off('event-error');
+      socket.off('room-access-changed');
+      socket.off('kicked');
+      socket.off('user-kicked');
+      socket.off('room-reset');
+      socket.off('receipt');
+      socket.off('unidentified-access-changed');
+      socket.off('trust-roots-changed');
+      socket.off('revocations-changed');
+      socket.off('certificate-refused');
       socket.off('user-left');
+      socket.off('sender-key');
+      socket.off('prekeys-low');
+      socket.off('connect', handleReconnect);
+      socket.off('connect_error', handleConnectError);
       socket.off('user-typing');
     };
-  }, [socket, username, roomId, ensureSession, storage, showToast, playSound]);
+  }, [socket, username, roomId, storage, showToast, playSound, openSealed, checkContactIdentities, adoptRevocations, acknowledgeDelivery]);
+
+  // Certificat court : redemandé au serveur avant son expiration
+  useEffect(() => {
+    if (!socket || !joined || !myCertificate) return;
+
+    const { issuedAt: issued, validUntil } = SenderCertificate.decode(myCertificate);
+    const issuedAt = Date.parse(issued);
+    const renewAt = issuedAt + (Date.parse(validUntil) - issuedAt) * CERTIFICATE_RENEWAL_RATIO;
+
+    const renewalTimeout = setTimeout(async () => {
+      try {
+        const { certificate, error, code } = await socket
+          .timeout(5000)
+          .emitWithAck('renew-certificate', { roomId });
+        if (error) throw ackError({ error, code });
+        setMyCertificate(certificate);
+        console.log(`📜 Certificat renouvelé jusqu'au ${SenderCertificate.decode(certificate).validUntil}`);
+      } catch (err) {
+        showToast('Renouvellement du certificat impossible : ' + errorText(err), 'error');
+      }
+    }, Math.max(0, renewAt - Date.now()));
+
+    return () => clearTimeout(renewalTimeout);
+  }, [socket, joined, roomId, myCertificate, showToast]);
+
+  // Maintenance des prekeys : rotation de la SPK, purge, réapprovisionnement des OPK
+  useEffect(() => {
+    if (!socket || !joined) return;
+
+    const maintenanceInterval = setInterval(async () => {
+      const preKeyManager = preKeyManagerRef.current;
+      if (!preKeyManager?.bundle) return;
+
+      try {
+        const { signedPreKey, prunedSignedPreKeyIds, oneTimePreKeys } = await preKeyManager.maintain();
+        if (signedPreKey) {
+          socket.emit('update-signed-prekey', { roomId, signedPreKey });
+          showToast(`🔄 Nouvelle SPK publiée (id ${signedPreKey.id})`, 'info');
+        }
+        if (prunedSignedPreKeyIds.length > 0) {
+          console.log(`🗑️ SPK supprimées (grâce écoulée): ${prunedSignedPreKeyIds.join(', ')}`);
+        }
+        if (oneTimePreKeys.length > 0) {
+          socket.emit('upload-one-time-prekeys', { roomId, oneTimePreKeys });
+        }
+      } catch (error) {
+        console.error('⚠️ Maintenance prekeys:', error);
+      }
+    }, PREKEY_MAINTENANCE_INTERVAL);
+
+    return () => clearInterval(maintenanceInterval);
+  }, [socket, joined, roomId, showToast]);
 
   // Calcul d'empreinte (SHA-256 SPKI -> hex groupé)
   const computePublicKeyFingerprint = async (publicKeyJWK) => {
@@ -322,15 +1052,63 @@ function MultiUserSimulation() {
     const fingerprint = await computePublicKeyFingerprint(publicKeyJWK);
     setMyFingerprint(fingerprint);
 
-    // Identité Double Ratchet (ECDH P-256)
-    const identityKeyPair = await generateECDHKeyPair();
-    myIdentityKeyPairRef.current = identityKeyPair;
-    const identityPublicJWK = await window.crypto.subtle.exportKey('jwk', identityKeyPair.publicKey);
+    // Clé de scellement Curve25519 (enveloppes V2), annoncée au join avec la clé RSA (V1)
+    await sodium.initialize();
+    sealingKeyManagerRef.current?.destroy();
+    const sealingKeyManager = new SealedSenderKeyManager(username);
+    await sealingKeyManager.initialize();
+    sealingKeyManagerRef.current = sealingKeyManager;
+    const sealingKey = Array.from(sealingKeyManager.exportPublicKey().publicKey);
+
+    // Bundle X3DH (persisté) : son identité sert aussi d'identité Double Ratchet / certificat
+    let x3dhStorage = null;
+    try {
+      x3dhStorage = await getStorageManager();
+    } catch (error) {
+      console.error('⚠️ IndexedDB indisponible, bundle X3DH non persisté:', error);
+    }
+    const preKeyManager = new PreKeyManager(`${roomId}:${username}`, {
+      storage: x3dhStorage,
+      rotationInterval: SPK_ROTATION_INTERVAL,
+      gracePeriod: SPK_GRACE_PERIOD,
+      oneTimePreKeyBatch: OPK_BATCH_SIZE
+    });
+    const keyBundle = await preKeyManager.initialize();
+    preKeyManagerRef.current = preKeyManager;
+    myIdentityKeyPairRef.current = keyBundle.identityKeyPair;
+    const identityPublicJWK = await window.crypto.subtle.exportKey('jwk', keyBundle.identityKeyPair.publicKey);
     myIdentityPublicJWKRef.current = identityPublicJWK;
 
+    // Nouveau join : aucune session en mémoire
+    ratchetsRef.current.clear();
+    pendingX3DHRef.current.clear();
+    acceptedX3DHRef.current.clear();
+
+    // Nouvelle sender key de groupe, à distribuer au premier message de groupe
+    groupSessionRef.current = await new GroupSession(username).initialize();
+    senderKeyRecipientsRef.current.clear();
+
+    // Clé de profil : les contacts en dérivent le jeton de remise que vérifie le serveur
+    profileKeyRef.current = generateProfileKey();
+    contactAccessKeysRef.current.clear();
+    const accessKey = await deriveAccessKey(profileKeyRef.current);
+
+    // Identités des contacts rechargées depuis le stockage pour ce compte
+    contactsRef.current.clear();
+    identityAlertsRef.current.clear();
+    setContactTrust({});
+    setIdentityAlerts([]);
+
     console.log('✅ Clés générées avec succès');
 
-    return { publicKeyJWK, fingerprint, identityPublicJWK };
+    return {
+      publicKeyJWK,
+      fingerprint,
+      sealingKey,
+      accessKey,
+      identityPublicJWK,
+      prekeyBundle: await keyBundle.exportPublicBundle()
+    };
   } catch (error) {
     console.error('❌ Erreur génération clés:', error);
     showToast('Erreur génération des clés', 'error');
@@ -338,22 +1116,84 @@ function MultiUserSimulation() {
   }
 };
 
+  // Connexion au compte (créé au premier passage) puis reconnexion de la socket avec le jeton
+  const openSession = async () => {
+    const authenticate = (route) => fetch(`${SERVER_URL}/auth/${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+
+    // Connexion refusée : nom libre → inscription ; nom pris → le refus de connexion reste
+    let response = await authenticate('login');
+    if (response.status === 401) {
+      const registered = await authenticate('register');
+      if (registered.ok) showToast(`Compte ${username} créé`, 'success');
+      if (registered.status !== 409) response = registered;
+    }
+    const { token, error, code } = await response.json();
+    if (!response.ok) throw ackError({ error, code });
+
+    sessionTokenRef.current = token;
+    await new Promise((resolve, reject) => {
+      const onConnect = () => {
+        socket.off('connect_error', onError);
+        resolve();
+      };
+      const onError = (err) => {
+        socket.off('connect', onConnect);
+        reject(err);
+      };
+      socket.once('connect', onConnect);
+      socket.once('connect_error', onError);
+      socket.disconnect().connect();
+    });
+  };
+
   const joinRoom = async () => {
-    if (!socket || !roomId || !username) {
+    if (!socket || !roomId || !username || !password) {
       showToast('Remplissez tous les champs !', 'warning');
       return;
     }
     try {
+      await openSession();
+
+      if (createRoom) {
+        const created = await socket.timeout(10000).emitWithAck('create-room', {
+          roomId,
+          password: roomPassword || undefined,
+          inviteOnly
+        });
+        if (created.error) throw ackError(created);
+        showToast(`Room ${roomId} créée : vous en êtes propriétaire`, 'success');
+      }
+
       const keyInfo = await generateKeys();
       if (!keyInfo) return;
 
-      socket.emit('join-simulation', {
+      // Déjà venu dans cette room : le serveur exige la preuve que nous détenons
+      // toujours la clé d'identité liée au compte (ignorée au premier join)
+      const challengeResponse = await socket.timeout(5000).emitWithAck('rejoin-challenge', {});
+      if (challengeResponse.error) throw ackError(challengeResponse);
+      const proof = await proveIdentity(myIdentityKeyPairRef.current.privateKey, challengeResponse.challenge, { roomId, username });
+
+      const { error, code } = await socket.timeout(10000).emitWithAck('join-simulation', {
         roomId,
         username,
         publicKey: keyInfo.publicKeyJWK,
         publicKeyFingerprint: keyInfo.fingerprint,
-        identityKey: keyInfo.identityPublicJWK
+        sealingKey: keyInfo.sealingKey,
+        sealedVersions: SUPPORTED_SEALED_VERSIONS,
+        accessKey: keyInfo.accessKey,
+        unrestrictedAccess,
+        identityKey: keyInfo.identityPublicJWK,
+        roomPassword: roomPassword || undefined,
+        invite: inviteToken || undefined,
+        proof
       });
+      if (error) throw ackError({ error, code });
+      const published = await socket.timeout(10000).emitWithAck('publish-prekeys', { roomId, bundle: keyInfo.prekeyBundle });
+      if (published.error) throw ackError(published);
       setJoined(true);
       showToast('Connexion à la room...', 'info');
 
@@ -363,9 +1203,100 @@ function MultiUserSimulation() {
       }
     } catch (error) {
       console.error('Erreur rejoindre room:', error);
-      showToast('Erreur lors de la connexion', 'error');
+      showToast('Erreur lors de la connexion : ' + errorText(error), 'error');
+    }
+  };
+
+  // Rejeu bloqué : signalé au panneau d'attaques de la room ; sinon simple erreur
+  const reportDecryptError = (msg, err) => {
+    if (err.replayCheck) {
+      setBlockedReplays(prev => ({ ...prev, [msg.id]: err.replayCheck }));
+      socket.emit('replay-detected', { roomId, messageId: msg.id, check: err.replayCheck });
+      showToast(`🛡️ Rejeu bloqué (${REPLAY_CHECK_LABELS[err.replayCheck]})`, 'warning');
+    } else {
+      showToast('Erreur : ' + err.message, 'error');
+    }
+    playSound('error');
+  };
+
+  // Ouvre un message pairwise une seule fois (le ratchet refuserait une seconde ouverture).
+  // Remis par la boîte aux lettres, son âge se mesure à l'heure de dépôt au relais :
+  // le temps passé hors ligne n'en fait pas un rejeu
+  const openPairwise = async (msg, { fromMailbox = false } = {}) => {
+    if (openedRef.current.has(msg.id)) return openedRef.current.get(msg.id);
+    if (msg.timestamp - Date.now() > RELAY_CLOCK_SKEW) {
+      throw replayError('Horodatage du relais dans le futur', 'future');
     }
+
+    const { senderUsername, plaintext } = await openSealed(msg.sealedMessage, { receivedAt: fromMailbox ? msg.timestamp : undefined });
+    if (msg.identified && msg.from !== senderUsername) {
+      throw new Error(`Envoi identifié par ${msg.from} mais certificat de ${senderUsername}`);
+    }
+    const opened = { senderUsername, content: decodeContent(plaintext) };
+    openedRef.current.set(msg.id, opened);
+    return opened;
+  };
+
+  // Accusé de réception/lecture : message chiffré comme un autre, sauf en mode comparateur
+  const sendReceipt = async (contactUsername, receiptType, messageIds) => {
+    try {
+      if (plaintextReceipts) {
+        socket.emit('plaintext-receipt', { roomId, to: contactUsername, receiptType, messageIds });
+        return;
+      }
+      const contact = usersRef.current.find(u => u.username === contactUsername);
+      if (!contact) throw new Error(`${contactUsername} a quitté la room`);
+
+      const sealedMessage = await sealForContact(contact, encodeReceiptContent(receiptType, messageIds));
+      const { id } = await emitSealed('send-sealed-message', [contact], { roomId, to: contactUsername, sealedMessage });
+      setReceiptMessages(prev => ({
+        ...prev,
+        [id]: { to: contactUsername, receiptType, count: messageIds.length, outgoing: true }
+      }));
+    } catch (err) {
+      console.error('❌ Accusé de réception:', err);
+    }
+  };
+
+  // Accusé reçu : seul le destinataire d'un message peut faire avancer son statut
+  const applyReceipt = (from, receiptType, messageIds) => {
+    setReceipts(prev => {
+      const next = { ...prev };
+      for (const id of messageIds) {
+        const sent = prev[id];
+        if (sent?.to === from && RECEIPT_STATUS_ORDER[receiptType] > RECEIPT_STATUS_ORDER[sent.status]) {
+          next[id] = { ...sent, status: receiptType };
+        }
+      }
+      return next;
+    });
   };
+  applyReceiptRef.current = applyReceipt;
+
+  // Message pairwise reçu : ouvert dès l'arrivée pour traiter les accusés et
+  // confirmer la remise des textes ; le texte reste masqué jusqu'au clic
+  const receivePairwise = async (msg, options) => {
+    try {
+      const { senderUsername, content } = await openPairwise(msg, options);
+      if (content.contentType === CONTENT_RECEIPT) {
+        applyReceipt(senderUsername, content.receiptType, content.messageIds);
+        setReceiptMessages(prev => ({
+          ...prev,
+          [msg.id]: { from: senderUsername, receiptType: content.receiptType, count: content.messageIds.length }
+        }));
+        return;
+      }
+
+      setUnreadCount(prev => prev + 1);
+      playSound('newMessage');
+      await sendReceipt(senderUsername, RECEIPT_DELIVERED, [msg.id]);
+    } catch (err) {
+      console.error('❌ Message reçu illisible:', err);
+      setUnreadCount(prev => prev + 1);
+      reportDecryptError(msg, err);
+    }
+  };
+  receivePairwiseRef.current = receivePairwise;
 
   // ✅ FIX PRINCIPAL : handleDecrypt utilise encryptedSessionKey du message directement
   const handleDecrypt = async (msg) => {
@@ -381,77 +1312,68 @@ function MultiUserSimulation() {
       if (!serverSigningPublicKey) {
         throw new Error('Clé serveur (vérification certificat) manquante');
       }
+      if (msg.timestamp - Date.now() > RELAY_CLOCK_SKEW) {
+        throw replayError('Horodatage du relais dans le futur', 'future');
+      }
 
-      // Mode SEALED + Double Ratchet
-      if (msg.sealed && msg.sealedMessage) {
-        const unsealed = await SealedSenderEncryptor.unseal(
-          msg.sealedMessage,
-          privateKey,
-          serverSigningPublicKey
-        );
-
-        const senderUsername = unsealed.senderId;
-        const sender = usersRef.current.find(u => u.username === senderUsername);
-        if (!sender) {
-          throw new Error('Expéditeur introuvable (a peut-être quitté la room)');
-        }
+      // Mode GROUPE (Sender Keys) : un seul chiffré pour toute la room
+      if (msg.group && msg.groupMessage) {
+        const groupSession = groupSessionRef.current;
+        if (!groupSession) throw new Error('Session de groupe non initialisée');
 
-        // Initialiser/obtenir le ratchet
-        const contactId = senderUsername;
-        let ratchet = ratchetsRef.current.get(contactId);
-        if (!ratchet) {
-          const myIdentityKeyPair = myIdentityKeyPairRef.current;
-          const myIdentityPublic = myIdentityKeyPair?.publicKey;
-          const myIdentityPrivate = myIdentityKeyPair?.privateKey;
-          if (!myIdentityPrivate || !myIdentityPublic) {
-            throw new Error('Identité ECDH locale manquante');
-          }
+        const plaintext = await groupSession.decrypt(msg.from, msg.groupMessage);
 
-          const senderIdentityJWK = sender.identityKey || sender.certificate?.senderKey || unsealed.senderIdentity;
-          if (!senderIdentityJWK) {
-            throw new Error('Clé identité ECDH expéditeur manquante');
+        setDecryptedMessages(prev => ({
+          ...prev,
+          [msg.id]: {
+            plaintext,
+            from: msg.from,
+            to: msg.to,
+            timestamp: msg.timestamp,
+            ciphertext: msg.groupMessage.ciphertext
           }
+        }));
 
-          const senderIdentityPublicKey = await importPublicKey(senderIdentityJWK);
-          const sharedSecret = await performECDH(myIdentityPrivate, senderIdentityPublicKey);
-          const rootKey = await hkdf(
-            sharedSecret,
-            new Uint8Array(32),
-            new TextEncoder().encode('X3DH-session'),
-            32
-          );
-
-          const isInitiator = username.localeCompare(contactId) < 0;
-          ratchet = new DHRatchet(rootKey, isInitiator);
-
-          if (isInitiator) {
-            const dhKeyPair = await generateECDHKeyPair();
-            // Remote = identité du contact (permet d'initialiser la sendingChain)
-            await ratchet.initialize(dhKeyPair, senderIdentityPublicKey);
-          } else {
-            // Non-initiator: utilise notre identité comme première clé privée pour matcher l'initiateur
-            await ratchet.initialize(myIdentityKeyPair, null);
-          }
+        setUnreadCount(prev => Math.max(0, prev - 1));
+        showToast('Message de groupe déchiffré ✓', 'success');
+        return;
+      }
 
-          ratchetsRef.current.set(contactId, ratchet);
+      // Mode GROUPE scellé : notre tranche du message multi-destinataires
+      if (msg.group && msg.sealed && msg.sealedMessage) {
+        const { senderUsername, plaintext, groupMessage } = await openSealedGroupMessage(msg.sealedMessage);
+        if (msg.identified && msg.from !== senderUsername) {
+          throw new Error(`Envoi identifié par ${msg.from} mais certificat de ${senderUsername}`);
         }
 
-        const sealedInnerBytes = new Uint8Array(unsealed.message);
-        const encryptedRatchetMsg = JSON.parse(new TextDecoder().decode(sealedInnerBytes));
-        // Désérialisation des buffers en ArrayBuffer
-        const toBuf = (arr) => new Uint8Array(arr).buffer;
-        const decrypted = await ratchet.decrypt({
-          ...encryptedRatchetMsg,
-          ciphertext: toBuf(encryptedRatchetMsg.ciphertext),
-          iv: toBuf(encryptedRatchetMsg.iv),
-          mac: toBuf(encryptedRatchetMsg.mac),
-          nonce: toBuf(encryptedRatchetMsg.nonce)
-        });
+        setDecryptedMessages(prev => ({
+          ...prev,
+          [msg.id]: {
+            plaintext,
+            from: senderUsername,
+            to: msg.to,
+            timestamp: msg.timestamp,
+            ciphertext: groupMessage.ciphertext
+          }
+        }));
+
+        setUnreadCount(prev => Math.max(0, prev - 1));
+        showToast('Message de groupe SEALED déchiffré ✓', 'success');
+        return;
+      }
+
+      // Mode SEALED + Double Ratchet (déjà ouvert à l'arrivée, sauf historique)
+      if (msg.sealed && msg.sealedMessage) {
+        await verifyQueueRef.current;
+        const { senderUsername, content } = await openPairwise(msg);
+        if (content.contentType === CONTENT_RECEIPT) {
+          throw new Error('Accusé de réception : aucun texte à afficher');
+        }
 
         setDecryptedMessages(prev => ({
           ...prev,
           [msg.id]: {
-            plaintext: decrypted,
+            plaintext: content.body,
             from: senderUsername,
             to: msg.to,
             timestamp: msg.timestamp,
@@ -461,6 +1383,9 @@ function MultiUserSimulation() {
 
         setUnreadCount(prev => Math.max(0, prev - 1));
         showToast('Message SEALED déchiffré ✓', 'success');
+        if (!decryptedMessages[msg.id]) {
+          verifyQueueRef.current = verifyQueueRef.current.then(() => sendReceipt(senderUsername, RECEIPT_READ, [msg.id]));
+        }
         return;
       }
 
@@ -477,123 +1402,359 @@ function MultiUserSimulation() {
         throw new Error('Clé de session manquante dans le message. Mettez à jour EnhancedCrypto.js');
       }
 
-      // ✅ Laisse EnhancedCrypto gérer la (ré)construction de session
-      const plaintext = await crypto.decryptMessage(sender.id, msg.encryptedData, privateKey);
+      // ✅ Laisse EnhancedCrypto gérer la (ré)construction de session
+      const plaintext = await crypto.decryptMessage(sender.id, msg.encryptedData, privateKey);
+
+      if (!plaintext) {
+        throw new Error('Déchiffrement retourné vide');
+      }
+
+      setDecryptedMessages(prev => ({
+        ...prev,
+        [msg.id]: {
+          plaintext,
+          from: msg.from,
+          to: msg.to,
+          timestamp: msg.timestamp,
+          ciphertext: msg.encryptedData.ciphertext
+        }
+      }));
+
+      setUnreadCount(prev => Math.max(0, prev - 1));
+      showToast('Message déchiffré avec succès ✓', 'success');
+    } catch (err) {
+      console.error('❌ handleDecrypt:', err);
+      reportDecryptError(msg, err);
+    } finally {
+      setCurrentDecrypting(null);
+    }
+  };
+  handleDecryptRef.current = handleDecrypt;
+
+  const sendMessage = async () => {
+    if (!messageText.trim() || !selectedUser) {
+      showToast('Sélectionnez un destinataire et écrivez un message !', 'warning');
+      return;
+    }
+    if (selectedUser.group) {
+      await sendGroupMessage();
+      return;
+    }
+    try {
+      // Sealed Sender: sceller le message (expéditeur caché côté serveur)
+      const sealed = await sealForContact(selectedUser, encodeTextContent(messageText));
+
+      const { id, identified } = await emitSealed('send-sealed-message', [selectedUser], {
+        roomId,
+        to: selectedUser.username,
+        sealedMessage: sealed
+      });
+      setReceipts(prev => ({ ...prev, [id]: { to: selectedUser.username, status: 'sent' } }));
+
+      setMessageText('');
+      setIsTyping(false);
+      socket.emit('stop-typing', { roomId, username });
+      showToast(identified
+        ? `Message envoyé à ${selectedUser.username} (identifié : pas encore son jeton de remise)`
+        : `Message envoyé à ${selectedUser.username}`, 'success');
+      playSound('sent');
+    } catch (err) {
+      console.error('❌ sendMessage:', err);
+      showToast('Erreur envoi : ' + errorText(err), 'error');
+      playSound('error');
+    }
+  };
+
+  // Jeton de remise pour `recipients` (XOR si plusieurs), null : envoi identifié.
+  // Les membres ouverts à tous n'en demandent pas.
+  const accessKeyFor = (recipients) => {
+    const restricted = recipients.filter(recipient => !recipient.unrestrictedAccess);
+    if (!restricted.every(recipient => contactAccessKeysRef.current.has(recipient.username))) return null;
+    return combineAccessKeys(restricted.map(recipient => contactAccessKeysRef.current.get(recipient.username)));
+  };
+
+  // Envoi scellé accompagné du jeton de remise ; un refus du serveur devient une erreur
+  const emitSealed = async (event, recipients, payload) => {
+    const accessKey = accessKeyFor(recipients);
+    const response = await socket.timeout(5000).emitWithAck(event, { ...payload, accessKey: accessKey ?? undefined });
+    if (response?.error) {
+      // Jeton périmé (clé de profil renouvelée) : le prochain envoi sera identifié
+      if (accessKey) recipients.forEach(recipient => contactAccessKeysRef.current.delete(recipient.username));
+      throw ackError(response);
+    }
+    return response;
+  };
+
+  // Envoie notre sender key courante aux membres qui ne l'ont pas encore (via les sessions pairwise)
+  const distributeSenderKey = async (members) => {
+    const groupSession = groupSessionRef.current;
+    const distribution = JSON.stringify(groupSession.createDistributionMessage());
+
+    for (const member of members) {
+      if (senderKeyRecipientsRef.current.has(member.username)) continue;
+
+      const sealedMessage = await sealForContact(member, distribution);
+      await emitSealed('send-sender-key', [member], { roomId, to: member.username, sealedMessage });
+      senderKeyRecipientsRef.current.add(member.username);
+    }
+  };
+
+  const sendGroupMessage = async () => {
+    try {
+      const groupSession = groupSessionRef.current;
+      if (!groupSession) throw new Error('Session de groupe non initialisée');
+
+      const members = usersRef.current.filter(u => u.username !== username && u.online !== false);
+      if (members.length === 0) {
+        throw new Error('Aucun autre membre en ligne dans la room');
+      }
+
+      // V2 partout : scellé une seule fois, le relais découpe une tranche par membre
+      // sans voir l'expéditeur. Sinon (ancien client présent) : diffusion non scellée.
+      const sealGroup = sealedVersionRef.current === SEALED_SENDER_V2 && members.every(acceptsMultiRecipient);
+      const certificate = sealGroup ? usableCertificate() : null;
+
+      // La distribution précède le message : elle porte l'itération courante de la chaîne
+      await distributeSenderKey(members);
+      const groupMessage = await groupSession.encrypt(messageText);
+
+      if (sealGroup) {
+        const multiSealed = await sealMultiRecipientEnvelope({
+          message: new TextEncoder().encode(JSON.stringify(groupMessage)),
+          certificate,
+          recipients: members
+        });
+        const { identified } = await emitSealed('send-multi-sealed-message', members, { roomId, multiSealed });
+        showToast(`Message de groupe SEALED envoyé (1 chiffrement, ${members.length} tranche(s), ${sealedEnvelopeSize(multiSealed)} o${identified ? ', identifié' : ''})`, 'success');
+      } else {
+        const sent = await socket.timeout(5000).emitWithAck('send-group-message', { roomId, groupMessage });
+        if (sent.error) throw ackError(sent);
+        showToast(`Message de groupe envoyé (1 chiffré pour ${members.length} membre(s))`, 'success');
+      }
+
+      setMessageText('');
+      setIsTyping(false);
+      socket.emit('stop-typing', { roomId, username });
+      playSound('sent');
+    } catch (err) {
+      console.error('❌ sendGroupMessage:', err);
+      showToast('Erreur envoi groupe : ' + errorText(err), 'error');
+      playSound('error');
+    }
+  };
+
+  // === SAFETY NUMBERS ===
+
+  const saveContactTrust = async (contactUsername, changes) => {
+    const record = { ...contactsRef.current.get(contactUsername), ...changes };
+    contactsRef.current.set(contactUsername, record);
+    setContactTrust(prev => ({ ...prev, [contactUsername]: { verified: record.verified } }));
+    await storage.saveContact(`${roomId}:${username}`, record).catch(console.error);
+  };
+
+  const openSafetyNumber = async (contact) => {
+    if (identityAlertsRef.current.has(contact.username)) {
+      showToast('Acceptez ou refusez d\'abord la nouvelle identité de ce contact', 'warning');
+      return;
+    }
+    try {
+      const safetyNumber = await computeSafetyNumber(
+        { id: username, identityKey: myIdentityPublicJWKRef.current },
+        { id: contact.username, identityKey: contact.identityKey }
+      );
+      setScannedPayload('');
+      setSafetyNumberView({ contact, safetyNumber });
+    } catch (error) {
+      console.error('❌ Safety number:', error);
+      showToast('Safety number indisponible : ' + error.message, 'error');
+    }
+  };
+
+  const compareScannedPayload = async () => {
+    const { contact, safetyNumber } = safetyNumberView;
+    try {
+      if (!verifyScannedPayload(safetyNumber.qrPayload, scannedPayload)) {
+        showToast(`⛔ Le code de ${contact.username} ne correspond pas : clés substituées ?`, 'error');
+        playSound('error');
+        return;
+      }
+      await saveContactTrust(contact.username, { verified: true, verifiedAt: Date.now() });
+      showToast(`✅ ${contact.username} vérifié par QR code`, 'success');
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  const setContactVerified = async (contactUsername, verified) => {
+    await saveContactTrust(contactUsername, { verified, verifiedAt: verified ? Date.now() : null });
+    showToast(
+      verified ? `✅ ${contactUsername} marqué comme vérifié` : `Vérification de ${contactUsername} retirée`,
+      verified ? 'success' : 'info'
+    );
+  };
 
-      // Si on arrive ici, la session est bien valide
-      cryptoSessionsReady.current.add(sender.id);
+  // Nouvelle identité acceptée : non vérifiée, et sessions liées à l'ancienne clé oubliées
+  const acceptIdentityChange = async (alert) => {
+    identityAlertsRef.current.delete(alert.username);
+    publishIdentityAlerts();
+    await saveContactTrust(alert.username, {
+      identityKey: alert.identityKey,
+      verified: false,
+      verifiedAt: null
+    });
 
-      if (!plaintext) {
-        throw new Error('Déchiffrement retourné vide');
-      }
+    ratchetsRef.current.delete(alert.username);
+    pendingX3DHRef.current.delete(alert.username);
+    acceptedX3DHRef.current.delete(alert.username);
+    senderKeyRecipientsRef.current.delete(alert.username);
+    groupSessionRef.current?.removeSender(alert.username);
 
-      setDecryptedMessages(prev => ({
-        ...prev,
-        [msg.id]: {
-          plaintext,
-          from: msg.from,
-          to: msg.to,
-          timestamp: msg.timestamp,
-          ciphertext: msg.encryptedData.ciphertext
-        }
-      }));
+    showToast(`Nouvelle identité de ${alert.username} acceptée (non vérifiée)`, 'warning');
+  };
 
-      setUnreadCount(prev => Math.max(0, prev - 1));
-      showToast('Message déchiffré avec succès ✓', 'success');
+  const setIdentityAlertDismissed = (contactUsername, dismissed) => {
+    const alert = identityAlertsRef.current.get(contactUsername);
+    if (!alert) return;
+    identityAlertsRef.current.set(contactUsername, { ...alert, dismissed });
+    publishIdentityAlerts();
+  };
+
+  // Attaques : réservées au propriétaire et aux instructeurs (refusées par le serveur sinon)
+  const launchAttack = async (attackType, targetUsername, options = {}) => {
+    try {
+      const { error, code } = await socket
+        .timeout(5000)
+        .emitWithAck('launch-attack', { roomId, attackType, target: targetUsername, options });
+      if (error) throw ackError({ error, code });
     } catch (err) {
-      console.error('❌ handleDecrypt:', err);
-      showToast('Erreur : ' + err.message, 'error');
-      playSound('error');
-    } finally {
-      setCurrentDecrypting(null);
+      showToast('Attaque : ' + errorText(err), 'error');
     }
   };
 
-  const sendMessage = async () => {
-    if (!messageText.trim() || !selectedUser) {
-      showToast('Sélectionnez un destinataire et écrivez un message !', 'warning');
-      return;
+  const stopAttack = async (attackId) => {
+    try {
+      const { error, code } = await socket.timeout(5000).emitWithAck('stop-attack', { roomId, attackId });
+      if (error) throw ackError({ error, code });
+    } catch (err) {
+      showToast('Attaque : ' + errorText(err), 'error');
     }
+  };
+
+  // === INSTRUCTEUR ===
+  const instructorAction = async (event, payload, errorLabel) => {
     try {
-      if (!serverSigningPublicKey) {
-        throw new Error('Clé serveur manquante (certificats)');
-      }
-      if (!myCertificate) {
-        throw new Error('Certificat expéditeur non disponible (rejoignez à nouveau la room)');
-      }
+      const response = await socket.timeout(5000).emitWithAck(event, { roomId, ...payload });
+      if (response.error) throw ackError(response);
+      return response;
+    } catch (err) {
+      showToast(`${errorLabel} : ${errorText(err)}`, 'error');
+      return null;
+    }
+  };
 
-      const myIdentityKeyPair = myIdentityKeyPairRef.current;
-      if (!myIdentityKeyPair) throw new Error('Identité ECDH locale manquante');
-
-      // Ratchet: init si besoin
-      const contactId = selectedUser.username;
-      let ratchet = ratchetsRef.current.get(contactId);
-      if (!ratchet) {
-        const recipientIdentityJWK = selectedUser.identityKey || selectedUser.certificate?.senderKey;
-        if (!recipientIdentityJWK) throw new Error('Clé identité ECDH destinataire manquante');
-
-        const recipientIdentityPublicKey = await importPublicKey(recipientIdentityJWK);
-        const sharedSecret = await performECDH(myIdentityKeyPair.privateKey, recipientIdentityPublicKey);
-        const rootKey = await hkdf(
-          sharedSecret,
-          new Uint8Array(32),
-          new TextEncoder().encode('X3DH-session'),
-          32
-        );
-
-        const isInitiator = username.localeCompare(contactId) < 0;
-        ratchet = new DHRatchet(rootKey, isInitiator);
-
-        if (isInitiator) {
-          const dhKeyPair = await generateECDHKeyPair();
-          await ratchet.initialize(dhKeyPair, recipientIdentityPublicKey);
-        } else {
-          await ratchet.initialize(myIdentityKeyPair, null);
-        }
+  const kickUser = async (targetUsername) => {
+    if (!window.confirm(`Exclure ${targetUsername} de la room ? Il ne pourra revenir qu'une fois réadmis.`)) return;
+    await instructorAction('instructor-kick', { username: targetUsername }, 'Exclusion');
+  };
 
-        ratchetsRef.current.set(contactId, ratchet);
-      }
+  const unbanUser = (targetUsername) =>
+    instructorAction('instructor-unban', { username: targetUsername }, 'Réadmission');
 
-      const encryptedRatchet = await ratchet.encrypt(messageText);
-      // Sérialiser en tableaux d'octets
-      const toArr = (buf) => Array.from(new Uint8Array(buf));
-      const payload = {
-        ...encryptedRatchet,
-        ciphertext: toArr(encryptedRatchet.ciphertext),
-        iv: toArr(encryptedRatchet.iv),
-        mac: toArr(encryptedRatchet.mac),
-        nonce: toArr(encryptedRatchet.nonce)
-      };
-      const ratchetBytes = new TextEncoder().encode(JSON.stringify(payload));
+  const toggleRoomLock = () =>
+    instructorAction('instructor-lock', { locked: !roomAccess?.locked }, 'Verrouillage');
 
-      // Sealed Sender: sceller le message (expéditeur caché côté serveur)
-      const sealed = await SealedSenderEncryptor.seal(
-        Array.from(ratchetBytes),
-        myCertificate,
-        myIdentityKeyPair.publicKey,
-        selectedUser.publicKey
-      );
+  const setInstructor = (targetUsername, instructor) =>
+    instructorAction('instructor-set-role', { username: targetUsername, instructor }, 'Rôle');
 
-      socket.emit('send-sealed-message', {
-        roomId,
-        to: selectedUser.username,
-        sealedMessage: sealed
-      });
+  const createInvite = async () => {
+    const invite = await instructorAction('instructor-create-invite', { role: inviteRole }, 'Invitation');
+    if (!invite) return;
 
-      setMessageText('');
-      setIsTyping(false);
-      socket.emit('stop-typing', { roomId, username });
-      showToast(`Message envoyé à ${selectedUser.username}`, 'success');
-      playSound('sent');
+    const link = `${window.location.origin}${window.location.pathname}`
+      + `?room=${encodeURIComponent(roomId)}&invite=${encodeURIComponent(invite.token)}`;
+    setInviteLink(link);
+    try {
+      await navigator.clipboard.writeText(link);
+      showToast('🔗 Lien d\'invitation copié', 'success');
     } catch (err) {
-      console.error('❌ sendMessage:', err);
-      showToast('Erreur envoi : ' + err.message, 'error');
-      playSound('error');
+      console.warn('Presse-papiers indisponible :', err);
+    }
+  };
+
+  const revokeInvites = async () => {
+    if (!await instructorAction('instructor-revoke-invites', {}, 'Invitations')) return;
+    setInviteLink('');
+    showToast('Invitations révoquées', 'success');
+  };
+
+  const resetRoom = async () => {
+    if (!window.confirm('Remettre la room à zéro ? Messages et attaques seront effacés pour tous.')) return;
+    await instructorAction('instructor-reset', {}, 'Remise à zéro');
+  };
+
+  // Appareil compromis : sans nom, nos propres certificats ; sinon ceux d'un autre (admin)
+  const revokeCertificates = async (targetUsername = username) => {
+    const who = targetUsername === username ? 'vos certificats' : `les certificats de ${targetUsername}`;
+    if (!window.confirm(`Révoquer ${who} ? Les messages scellés avec seront refusés.`)) return;
+
+    try {
+      const { error, code } = await socket
+        .timeout(5000)
+        .emitWithAck('revoke-certificates', { roomId, username: targetUsername, adminToken, reason: 'appareil compromis' });
+      if (error) throw ackError({ error, code });
+    } catch (err) {
+      showToast('Révocation : ' + errorText(err), 'error');
+    }
+  };
+
+  // Nouvelle clé de profil : les jetons de remise déjà partagés sont refusés ;
+  // nos prochains messages transmettent la nouvelle clé à nos contacts
+  const rotateProfileKey = async () => {
+    try {
+      const profileKey = generateProfileKey();
+      const { error, code } = await socket
+        .timeout(5000)
+        .emitWithAck('update-unidentified-access', { roomId, accessKey: await deriveAccessKey(profileKey) });
+      if (error) throw ackError({ error, code });
+      profileKeyRef.current = profileKey;
+      showToast('Nouvelle clé de profil : les anciens jetons de remise sont refusés', 'success');
+    } catch (err) {
+      showToast('Clé de profil : ' + errorText(err), 'error');
     }
   };
 
-  const launchAttack = (attackType, targetUsername) => {
-    socket.emit('launch-attack', { roomId, attackType, target: targetUsername });
+  const toggleUnrestrictedAccess = async () => {
+    try {
+      const { error, code, unrestrictedAccess: enabled } = await socket
+        .timeout(5000)
+        .emitWithAck('update-unidentified-access', { roomId, unrestrictedAccess: !unrestrictedAccess });
+      if (error) throw ackError({ error, code });
+      setUnrestrictedAccess(enabled);
+    } catch (err) {
+      showToast('Accès non identifié : ' + errorText(err), 'error');
+    }
+  };
+
+  const toggleRealAttacks = async () => {
+    try {
+      const { error, code } = await socket
+        .timeout(5000)
+        .emitWithAck('admin-set-real-attacks', { roomId, enabled: !realAttacks, adminToken });
+      if (error) throw ackError({ error, code });
+    } catch (err) {
+      showToast('Interrupteur admin : ' + errorText(err), 'error');
+    }
+  };
+
+  const toggleObserverBroadcast = async () => {
+    try {
+      const { error, code } = await socket
+        .timeout(5000)
+        .emitWithAck('admin-set-observer-broadcast', { roomId, enabled: !observerBroadcast, adminToken });
+      if (error) throw ackError({ error, code });
+    } catch (err) {
+      showToast('Interrupteur admin : ' + errorText(err), 'error');
+    }
   };
 
   const handleSelectUser = (user) => {
@@ -673,6 +1834,18 @@ function MultiUserSimulation() {
                 </p>
               </div>
 
+              <div className="grid grid-cols-2 gap-2">
+                {[[false, 'Rejoindre une room'], [true, 'Créer une room']].map(([create, label]) => (
+                  <button
+                    key={label}
+                    onClick={() => setCreateRoom(create)}
+                    className={`px-3 py-2 rounded-lg text-sm font-semibold text-white ${createRoom === create ? 'bg-white/30' : 'bg-white/10 hover:bg-white/20'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
               <div>
                 <label className="block text-white text-sm font-medium mb-2">ID de la Room</label>
                 <input
@@ -683,7 +1856,9 @@ function MultiUserSimulation() {
                   className="w-full px-4 py-3 rounded-lg bg-white/10 border border-white/30 text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-blue-500"
                 />
                 <p className="text-white/60 text-xs mt-1">
-                  💡 Utilisez le même ID dans plusieurs onglets pour collaborer
+                  💡 {createRoom
+                    ? 'Vous en serez propriétaire : attaques, exclusions et invitations'
+                    : 'Une room n\'existe qu\'une fois créée par son propriétaire'}
                 </p>
               </div>
 
@@ -699,12 +1874,58 @@ function MultiUserSimulation() {
                 />
               </div>
 
+              <div>
+                <label className="block text-white text-sm font-medium mb-2">Mot de passe</label>
+                <input
+                  type="password"
+                  placeholder="8 caractères minimum"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  onKeyPress={(e) => e.key === 'Enter' && joinRoom()}
+                  className="w-full px-4 py-3 rounded-lg bg-white/10 border border-white/30 text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <p className="text-white/60 text-xs mt-1">
+                  🔑 Premier passage : le compte est créé. Ensuite, personne ne peut prendre votre pseudo.
+                </p>
+              </div>
+
+              {inviteToken && !createRoom ? (
+                <div className="p-3 rounded-lg bg-green-500/20 border border-green-500/50">
+                  <p className="text-white text-sm">✉️ Invitation détectée : pas besoin du mot de passe de la room</p>
+                </div>
+              ) : (
+                <div>
+                  <label className="block text-white text-sm font-medium mb-2">
+                    Mot de passe de la room {createRoom && '(optionnel)'}
+                  </label>
+                  <input
+                    type="password"
+                    placeholder={createRoom ? 'Vide : room ouverte' : 'Si la room en a un'}
+                    value={roomPassword}
+                    onChange={(e) => setRoomPassword(e.target.value)}
+                    onKeyPress={(e) => e.key === 'Enter' && joinRoom()}
+                    className="w-full px-4 py-3 rounded-lg bg-white/10 border border-white/30 text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  {createRoom && (
+                    <label className="flex items-center gap-2 mt-2 text-xs text-white/80">
+                      <input
+                        type="checkbox"
+                        checked={inviteOnly && !roomPassword}
+                        disabled={!!roomPassword}
+                        onChange={(e) => setInviteOnly(e.target.checked)}
+                      />
+                      Sans mot de passe : entrée sur invitation seulement
+                    </label>
+                  )}
+                </div>
+              )}
+
               <button
                 onClick={joinRoom}
-                disabled={!connected || !roomId || !username}
+                disabled={!connected || !roomId || !username || !password}
                 className="w-full px-6 py-4 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 rounded-lg font-semibold transition-all disabled:opacity-50 disabled:cursor-not-allowed text-white text-lg"
               >
-                Rejoindre la simulation
+                {createRoom ? 'Créer la room' : 'Rejoindre la simulation'}
               </button>
 
               <label className="flex items-center gap-2 cursor-pointer text-sm text-white/60">
@@ -723,10 +1944,120 @@ function MultiUserSimulation() {
     );
   }
 
+  const activeIdentityAlert = identityAlerts.find(alert => !alert.dismissed);
+  const myRole = roleIn(roomAccess, username);
+  const isInstructor = myRole !== 'member';
+  const myCertificateInfo = myCertificate ? SenderCertificate.decode(myCertificate) : null;
+  const shortKey = (jwk) => `${jwk.x.substring(0, 12)}…${jwk.y.substring(0, 12)}`;
+
   return (
     <>
       <ToastContainer toasts={toasts} removeToast={removeToast} />
 
+      {/* Alerte bloquante : clé d'identité différente pour un contact connu */}
+      {activeIdentityAlert && (
+        <div className="fixed inset-0 z-40 bg-black/80 flex items-center justify-center p-4">
+          <div className="bg-gray-900 border-2 border-red-500 rounded-xl p-6 max-w-lg w-full text-white shadow-2xl">
+            <h2 className="text-2xl font-bold text-red-400 mb-3">
+              ⛔ L'identité de {activeIdentityAlert.username} a changé
+            </h2>
+            <p className="text-sm text-gray-300 mb-4">
+              Le serveur annonce une clé d'identité différente de celle connue pour ce contact
+              {activeIdentityAlert.wasVerified && <strong className="text-red-300"> (que vous aviez vérifiée)</strong>}.
+              Il peut avoir réinstallé l'application… ou quelqu'un s'interpose (MITM).
+              Aucun message ne lui sera envoyé ni déchiffré tant que vous n'avez pas tranché.
+            </p>
+            <div className="bg-black/40 rounded-lg p-3 mb-4 font-mono text-xs space-y-1">
+              <p><span className="text-gray-500">Ancienne :</span> {shortKey(activeIdentityAlert.previousKey)}</p>
+              <p><span className="text-gray-500">Nouvelle :</span> <span className="text-red-300">{shortKey(activeIdentityAlert.identityKey)}</span></p>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => acceptIdentityChange(activeIdentityAlert)}
+                className="flex-1 px-4 py-2 bg-yellow-600 hover:bg-yellow-700 rounded-lg font-semibold text-sm"
+              >
+                Accepter la nouvelle clé
+              </button>
+              <button
+                onClick={() => setIdentityAlertDismissed(activeIdentityAlert.username, true)}
+                className="flex-1 px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg font-semibold text-sm"
+              >
+                Garder bloqué
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Safety number : comparaison hors bande des deux clés d'identité */}
+      {safetyNumberView && (
+        <div className="fixed inset-0 z-30 bg-black/70 flex items-center justify-center p-4" onClick={() => setSafetyNumberView(null)}>
+          <div className="bg-gray-800 border border-gray-600 rounded-xl p-6 max-w-lg w-full text-white shadow-2xl" onClick={(e) => e.stopPropagation()}>
+            <div className="flex items-center justify-between mb-3">
+              <h2 className="text-xl font-bold">🔐 Safety number avec {safetyNumberView.contact.username}</h2>
+              <button onClick={() => setSafetyNumberView(null)} className="text-gray-400 hover:text-white text-xl font-bold">✕</button>
+            </div>
+            <p className="text-xs text-gray-400 mb-3">
+              Comparez ces 60 chiffres de vive voix ou par un autre canal : ils sont identiques des deux côtés
+              seulement si personne n'a substitué de clé.
+            </p>
+            <div className="grid grid-cols-4 gap-2 bg-black/40 rounded-lg p-4 mb-4 font-mono text-lg text-center tracking-wider">
+              {safetyNumberView.safetyNumber.groups.map((group, i) => <span key={i}>{group}</span>)}
+            </div>
+
+            <p className="text-sm font-semibold mb-1">📷 Code QR (charge utile)</p>
+            <div className="flex gap-2 mb-2">
+              <code className="flex-1 bg-black/40 rounded p-2 text-[10px] break-all text-gray-300">
+                {safetyNumberView.safetyNumber.qrPayload}
+              </code>
+              <button
+                onClick={() => navigator.clipboard?.writeText(safetyNumberView.safetyNumber.qrPayload)}
+                className="px-3 py-1 bg-gray-600 hover:bg-gray-500 rounded text-xs self-start"
+              >
+                Copier
+              </button>
+            </div>
+            <textarea
+              value={scannedPayload}
+              onChange={(e) => setScannedPayload(e.target.value)}
+              placeholder={`Code scanné chez ${safetyNumberView.contact.username}...`}
+              rows={2}
+              className="w-full px-3 py-2 mb-2 rounded bg-gray-700 border border-gray-600 text-xs font-mono"
+            />
+            <button
+              onClick={compareScannedPayload}
+              disabled={!scannedPayload.trim()}
+              className="w-full px-4 py-2 mb-4 bg-blue-600 hover:bg-blue-700 rounded-lg text-sm font-semibold disabled:opacity-50"
+            >
+              Comparer le code scanné
+            </button>
+
+            <div className="flex items-center justify-between border-t border-gray-700 pt-3">
+              <span className="text-sm">
+                {contactTrust[safetyNumberView.contact.username]?.verified
+                  ? <span className="text-green-400">✅ Vérifié</span>
+                  : <span className="text-gray-400">⚠ Non vérifié</span>}
+              </span>
+              {contactTrust[safetyNumberView.contact.username]?.verified ? (
+                <button
+                  onClick={() => setContactVerified(safetyNumberView.contact.username, false)}
+                  className="px-3 py-1 bg-gray-600 hover:bg-gray-500 rounded text-xs font-semibold"
+                >
+                  Retirer la vérification
+                </button>
+              ) : (
+                <button
+                  onClick={() => setContactVerified(safetyNumberView.contact.username, true)}
+                  className="px-3 py-1 bg-green-600 hover:bg-green-700 rounded text-xs font-semibold"
+                >
+                  Numéros identiques : marquer vérifié
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
       <div className="min-h-screen bg-gray-900 text-white p-4">
         <div className="max-w-7xl mx-auto mb-6">
           <div className="bg-gradient-to-r from-blue-600 to-purple-600 rounded-xl p-6 shadow-xl">
@@ -736,7 +2067,8 @@ function MultiUserSimulation() {
                   🌐 Simulation Collaborative — Room: {roomId}
                 </h1>
                 <p className="text-blue-100">
-                  Connecté en tant que <strong>{username}</strong> • {users.length} participant(s)
+                  Connecté en tant que <strong>{username}</strong> ({ROLE_LABELS[myRole]}) • {users.length} participant(s)
+                  {roomAccess?.locked && ' • 🔒 Room verrouillée'}
                 </p>
               </div>
               <div className="flex items-center gap-4">
@@ -773,10 +2105,43 @@ function MultiUserSimulation() {
               </p>
             </div>
 
+            {isInstructor && (
+              <label className="mb-4 flex items-center justify-between gap-2 text-xs text-gray-300">
+                <span>🔁 Horodatage des rejeux</span>
+                <select
+                  value={replayTimestampMode}
+                  onChange={(e) => setReplayTimestampMode(e.target.value)}
+                  className="px-2 py-1 rounded bg-gray-700 border border-gray-600"
+                >
+                  <option value="original">d'origine</option>
+                  <option value="fresh">rafraîchi (maquillé)</option>
+                  <option value="future">dans le futur</option>
+                </select>
+              </label>
+            )}
+
             <div className="space-y-2">
+              <div
+                onClick={() => handleSelectUser(GROUP_TARGET)}
+                className={`p-4 rounded-lg transition-all cursor-pointer ${
+                  selectedUser?.group
+                    ? 'bg-indigo-600 border-2 border-indigo-400 shadow-lg scale-105'
+                    : 'bg-indigo-900/40 border border-indigo-600/50 hover:bg-indigo-800/50'
+                }`}
+              >
+                <p className="font-semibold text-lg flex items-center gap-2">
+                  {selectedUser?.group && <span>👉</span>}
+                  👥 Toute la room
+                </p>
+                <p className="text-xs text-indigo-200 mt-1">
+                  Sender Keys : 1 chiffré signé pour {users.filter(u => u.username !== username && u.online !== false).length} membre(s) en ligne
+                </p>
+              </div>
+
               {users.map((user) => {
                 const isMe = user.username === username;
                 const isSelected = selectedUser?.id === user.id;
+                const userRole = roleIn(roomAccess, user.username);
                 return (
                   <div
                     key={user.id}
@@ -797,6 +2162,12 @@ function MultiUserSimulation() {
                           {isMe && (
                             <span className="text-xs bg-green-600 px-2 py-0.5 rounded">(Vous)</span>
                           )}
+                          {!isMe && user.online === false && (
+                            <span className="text-xs bg-gray-600 px-2 py-0.5 rounded">hors ligne</span>
+                          )}
+                          {userRole !== 'member' && (
+                            <span className="text-xs bg-yellow-700 px-2 py-0.5 rounded">{ROLE_LABELS[userRole]}</span>
+                          )}
                         </p>
                         <p className="text-xs text-gray-400 mt-1">
                           ID: {user.id.substring(0, 8)}...
@@ -806,22 +2177,92 @@ function MultiUserSimulation() {
                             Empreinte: {user.publicKeyFingerprint}
                           </p>
                         )}
+                        {!isMe && user.identityKey && (
+                          <p className="text-xs mt-1">
+                            {identityAlerts.some(a => a.username === user.username) ? (
+                              <button
+                                onClick={(e) => { e.stopPropagation(); setIdentityAlertDismissed(user.username, false); }}
+                                className="text-red-300 font-semibold hover:underline"
+                              >
+                                ⛔ Identité changée
+                              </button>
+                            ) : contactTrust[user.username]?.verified
+                              ? <span className="text-green-400">✅ Identité vérifiée</span>
+                              : <span className="text-gray-400">⚠ Identité non vérifiée</span>
+                            }
+                          </p>
+                        )}
                         {!isMe && (
                           <p className="text-xs mt-1">
-                            {cryptoSessionsReady.current.has(user.id)
+                            {ratchetsRef.current.has(user.username)
                               ? <span className="text-green-400">🔒 Session active</span>
-                              : <span className="text-yellow-400">⏳ Session en attente</span>
+                              : <span className="text-yellow-400">⏳ Session X3DH au premier message</span>
+                            }
+                          </p>
+                        )}
+                        {!isMe && (
+                          <p className="text-xs mt-1 text-gray-400">
+                            ✉️ Scellé en V{negotiateSealedVersion(sealedVersion, user)}
+                            {negotiateSealedVersion(SEALED_SENDER_V2, user) === SEALED_SENDER_V1 && ' (ancien client)'}
+                          </p>
+                        )}
+                        {!isMe && (
+                          <p className="text-xs mt-1">
+                            {user.unrestrictedAccess
+                              ? <span className="text-gray-400">🎟️ Accepte les envois de tous</span>
+                              : contactAccessKeysRef.current.has(user.username)
+                                ? <span className="text-green-400">🎟️ Jeton de remise connu</span>
+                                : <span className="text-yellow-400">👤 Envoi identifié (pas de jeton)</span>
                             }
                           </p>
                         )}
                       </div>
                       {!isMe && (
-                        <button
-                          onClick={(e) => { e.stopPropagation(); launchAttack('MITM', user.username); }}
-                          className="ml-2 px-3 py-1 bg-red-500 hover:bg-red-600 rounded text-xs font-semibold"
-                        >
-                          ⚠ MITM
-                        </button>
+                        <div className="ml-2 flex flex-col gap-1">
+                          {user.identityKey && (
+                            <button
+                              onClick={(e) => { e.stopPropagation(); openSafetyNumber(user); }}
+                              className="px-3 py-1 bg-gray-600 hover:bg-gray-500 rounded text-xs font-semibold"
+                            >
+                              🔐 Vérifier
+                            </button>
+                          )}
+                          {isInstructor && (
+                            <>
+                              <button
+                                onClick={(e) => { e.stopPropagation(); launchAttack('MITM', user.username); }}
+                                className="px-3 py-1 bg-red-500 hover:bg-red-600 rounded text-xs font-semibold"
+                              >
+                                ⚠ MITM
+                              </button>
+                              <button
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  launchAttack('replay', user.username, { timestampMode: replayTimestampMode });
+                                }}
+                                className="px-3 py-1 bg-orange-500 hover:bg-orange-600 rounded text-xs font-semibold"
+                              >
+                                🔁 Rejeu
+                              </button>
+                            </>
+                          )}
+                          {myRole === 'owner' && (
+                            <button
+                              onClick={(e) => { e.stopPropagation(); setInstructor(user.username, userRole !== 'instructor'); }}
+                              className="px-3 py-1 bg-yellow-700 hover:bg-yellow-800 rounded text-xs font-semibold"
+                            >
+                              {userRole === 'instructor' ? '🎓 Retirer' : '🎓 Nommer'}
+                            </button>
+                          )}
+                          {isInstructor && userRole !== 'owner' && (myRole === 'owner' || userRole === 'member') && (
+                            <button
+                              onClick={(e) => { e.stopPropagation(); kickUser(user.username); }}
+                              className="px-3 py-1 bg-gray-900 hover:bg-black rounded text-xs font-semibold"
+                            >
+                              🚪 Exclure
+                            </button>
+                          )}
+                        </div>
                       )}
                     </div>
                   </div>
@@ -836,6 +2277,251 @@ function MultiUserSimulation() {
                 </p>
               </div>
             )}
+
+            <div className="mt-4 p-3 bg-gray-900/60 border border-gray-700 rounded-lg text-sm">
+              <div className="flex items-center justify-between gap-2">
+                <span className="font-semibold">📜 Mon certificat</span>
+                <button
+                  onClick={() => revokeCertificates()}
+                  disabled={!myCertificate}
+                  className="px-3 py-1 bg-red-700 hover:bg-red-800 rounded text-xs font-semibold disabled:opacity-50"
+                >
+                  📵 Appareil compromis
+                </button>
+              </div>
+              <p className="text-xs mt-2">
+                {certificateRevoked ? (
+                  <span className="text-red-400">Révoqué : rejoignez la room avec de nouvelles clés pour en obtenir un autre</span>
+                ) : myCertificateInfo ? (
+                  <span className="text-gray-400">
+                    Valide jusqu'à {new Date(myCertificateInfo.validUntil).toLocaleTimeString()} (clé CA {myCertificateInfo.keyId}),
+                    renouvelé automatiquement
+                  </span>
+                ) : (
+                  <span className="text-gray-500">Aucun certificat</span>
+                )}
+              </p>
+            </div>
+
+            <div className="mt-4 p-3 bg-gray-900/60 border border-gray-700 rounded-lg text-sm">
+              <div className="flex items-center justify-between gap-2">
+                <span className="font-semibold">✉️ Scellement</span>
+                <div className="flex gap-1">
+                  {SUPPORTED_SEALED_VERSIONS.map(version => (
+                    <button
+                      key={version}
+                      onClick={() => setSealedVersion(version)}
+                      className={`px-2 py-1 rounded text-xs font-semibold ${sealedVersion === version ? 'bg-purple-600' : 'bg-gray-700 hover:bg-gray-600'}`}
+                    >
+                      V{version}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <p className="text-xs text-gray-400 mt-2">
+                {SEALED_VERSION_LABELS[sealedVersion]}
+                {sealedVersion === SEALED_SENDER_V2 && ' (V1 pour les membres sans clé de scellement)'}
+              </p>
+              <table className="w-full mt-2 text-xs">
+                <thead>
+                  <tr className="text-gray-400">
+                    <th className="text-left font-normal"></th>
+                    <th className="text-right font-normal">Envoyés</th>
+                    <th className="text-right font-normal">Taille moy.</th>
+                    <th className="text-right font-normal">Scellement</th>
+                    <th className="text-right font-normal">Ouverture</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {SUPPORTED_SEALED_VERSIONS.map(version => {
+                    const stats = sealedStats[version];
+                    return (
+                      <tr key={version}>
+                        <td>V{version}</td>
+                        <td className="text-right">{stats.sealed}</td>
+                        <td className="text-right">{stats.sealed ? `${Math.round(stats.bytes / stats.sealed)} o` : '—'}</td>
+                        <td className="text-right">{stats.sealed ? `${(stats.sealMs / stats.sealed).toFixed(1)} ms` : '—'}</td>
+                        <td className="text-right">{stats.opened ? `${(stats.openMs / stats.opened).toFixed(1)} ms` : '—'}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <button
+                onClick={() => setSealedStats(emptySealedStats())}
+                className="mt-2 text-xs text-gray-400 hover:text-white"
+              >
+                Réinitialiser les mesures
+              </button>
+            </div>
+
+            <div className="mt-4 p-3 bg-gray-900/60 border border-gray-700 rounded-lg text-sm">
+              <div className="flex items-center justify-between gap-2">
+                <span className="font-semibold">🎟️ Accès non identifié</span>
+                <button
+                  onClick={rotateProfileKey}
+                  className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs font-semibold"
+                >
+                  🔄 Nouvelle clé de profil
+                </button>
+              </div>
+              <p className="text-xs text-gray-400 mt-2">
+                Vos contacts reçoivent votre clé de profil dans vos messages et en dérivent un jeton de remise :
+                le serveur accepte leurs envois scellés sans savoir qui les envoie. Sans jeton, l'envoi est identifié.
+                Une nouvelle clé révoque tous les jetons.
+              </p>
+              <label className="flex items-center gap-2 mt-2 text-xs">
+                <input type="checkbox" checked={unrestrictedAccess} onChange={toggleUnrestrictedAccess} />
+                Accepter les envois non identifiés de tous (sans jeton)
+              </label>
+            </div>
+
+            <div className="mt-4 p-3 bg-gray-900/60 border border-gray-700 rounded-lg text-sm">
+              <span className="font-semibold">🧾 Accusés de réception</span>
+              <p className="text-xs text-gray-400 mt-2">
+                Remis / lu voyagent comme des messages chiffrés du ratchet : le relais ne voit qu'une enveloppe
+                scellée de plus, sans savoir qui a lu quoi.
+              </p>
+              <label className="flex items-center gap-2 mt-2 text-xs">
+                <input type="checkbox" checked={plaintextReceipts} onChange={(e) => setPlaintextReceipts(e.target.checked)} />
+                Comparateur : envoyer mes accusés en clair (visibles dans le journal du serveur)
+              </label>
+            </div>
+
+            {isInstructor && (
+              <div className="mt-4 p-3 bg-gray-900/60 border border-yellow-700/60 rounded-lg text-sm">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-semibold">{ROLE_LABELS[myRole]}</span>
+                  <button
+                    onClick={toggleRoomLock}
+                    className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs font-semibold"
+                  >
+                    {roomAccess?.locked ? '🔓 Déverrouiller' : '🔒 Verrouiller'}
+                  </button>
+                </div>
+                <p className="text-xs text-gray-400 mt-2">
+                  {roomAccess?.passwordProtected
+                    ? 'Entrée avec le mot de passe de la room ou une invitation.'
+                    : roomAccess?.inviteOnly
+                      ? 'Entrée sur invitation seulement.'
+                      : 'Room ouverte : son identifiant suffit pour entrer.'}
+                  {roomAccess?.locked && ' Verrouillée : plus aucun nouveau membre, même invité.'}
+                  {' '}Seuls le propriétaire et les instructeurs lancent les attaques.
+                </p>
+                <div className="flex gap-2 mt-2">
+                  <select
+                    value={inviteRole}
+                    onChange={(e) => setInviteRole(e.target.value)}
+                    disabled={myRole !== 'owner'}
+                    className="flex-1 px-2 py-1 rounded bg-gray-700 border border-gray-600 text-xs"
+                  >
+                    <option value="member">Invitation membre</option>
+                    <option value="instructor">Invitation instructeur</option>
+                  </select>
+                  <button
+                    onClick={createInvite}
+                    className="px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded text-xs font-semibold"
+                  >
+                    ✉️ Lien
+                  </button>
+                  <button
+                    onClick={revokeInvites}
+                    className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs font-semibold"
+                  >
+                    Révoquer
+                  </button>
+                </div>
+                {inviteLink && (
+                  <input
+                    readOnly
+                    value={inviteLink}
+                    onFocus={(e) => e.target.select()}
+                    className="w-full mt-2 px-2 py-1 rounded bg-gray-800 border border-gray-600 text-[11px] font-mono"
+                  />
+                )}
+                {roomAccess?.banned.length > 0 && (
+                  <p className="text-xs mt-2">
+                    <span className="text-gray-400">Exclus :</span>
+                    {roomAccess.banned.map(name => (
+                      <button
+                        key={name}
+                        onClick={() => unbanUser(name)}
+                        className="ml-2 px-2 py-0.5 bg-gray-700 hover:bg-gray-600 rounded"
+                      >
+                        ↩️ {name}
+                      </button>
+                    ))}
+                  </p>
+                )}
+                <button
+                  onClick={resetRoom}
+                  className="mt-3 w-full px-3 py-1 bg-red-700 hover:bg-red-800 rounded text-xs font-semibold"
+                >
+                  🧹 Remettre la room à zéro
+                </button>
+              </div>
+            )}
+
+            <details className="mt-4 p-3 bg-gray-900/60 border border-gray-700 rounded-lg text-sm">
+              <summary className="cursor-pointer font-semibold">
+                🛠️ Admin : attaques réelles {realAttacks
+                  ? <span className="text-red-400">(activées)</span>
+                  : <span className="text-gray-400">(animation seule)</span>}
+              </summary>
+              <p className="text-xs text-gray-400 mt-2 mb-2">
+                Activées, le bouton MITM fait réellement substituer les clés de la cible par le serveur,
+                qui lit puis re-chiffre le trafic. Seules les safety numbers et les clés épinglées le trahissent.
+              </p>
+              <div className="flex gap-2">
+                <input
+                  type="password"
+                  placeholder="Jeton admin"
+                  value={adminToken}
+                  onChange={(e) => setAdminToken(e.target.value)}
+                  className="flex-1 px-3 py-1 rounded bg-gray-700 border border-gray-600 text-xs"
+                />
+                <button
+                  onClick={toggleRealAttacks}
+                  disabled={!adminToken}
+                  className={`px-3 py-1 rounded text-xs font-semibold disabled:opacity-50 ${realAttacks ? 'bg-gray-600 hover:bg-gray-500' : 'bg-red-600 hover:bg-red-700'}`}
+                >
+                  {realAttacks ? 'Désactiver' : 'Activer'}
+                </button>
+              </div>
+              <p className="text-xs text-gray-400 mt-3 mb-2">
+                Chaque message n'est remis qu'à son destinataire. En mode observateurs, les autres membres
+                en reçoivent une copie expurgée : expéditeur, destinataire, heure et taille, comme le voit le relais.
+              </p>
+              <button
+                onClick={toggleObserverBroadcast}
+                disabled={!adminToken}
+                className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs font-semibold disabled:opacity-50"
+              >
+                👀 Mode observateurs : {observerBroadcast ? 'activé' : 'désactivé'}
+              </button>
+              <p className="text-xs text-gray-400 mt-3 mb-2">
+                Appareil compromis : ses certificats sont révoqués et sa clé d'identité ne peut plus être recertifiée.
+              </p>
+              <div className="flex gap-2">
+                <select
+                  value={revokeTarget}
+                  onChange={(e) => setRevokeTarget(e.target.value)}
+                  className="flex-1 px-2 py-1 rounded bg-gray-700 border border-gray-600 text-xs"
+                >
+                  <option value="">Membre à révoquer…</option>
+                  {users.filter(u => u.username !== username).map(u => (
+                    <option key={u.username} value={u.username}>{u.username}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => revokeCertificates(revokeTarget)}
+                  disabled={!adminToken || !revokeTarget}
+                  className="px-3 py-1 bg-red-700 hover:bg-red-800 rounded text-xs font-semibold disabled:opacity-50"
+                >
+                  📵 Révoquer
+                </button>
+              </div>
+            </details>
           </div>
 
           {/* Panneau Messages */}
@@ -871,10 +2557,22 @@ function MultiUserSimulation() {
                 <p className="text-gray-500 text-center py-8">Aucun message...</p>
               ) : (
                 messages.map((msg) => {
-                  const isFromMe = msg.from === username;
-                  const isToMe = msg.to === username;
+                  const receiptMessage = receiptMessages[msg.id];
+                  const isFromMe = msg.from === username || !!receipts[msg.id];
+                  const isToMe = msg.to === username || (msg.group && !msg.sealed && !isFromMe);
                   const isDecrypted = decryptedMessages[msg.id];
 
+                  // Accusé chiffré : pour le relais, une enveloppe scellée comme les autres
+                  if (receiptMessage) {
+                    return (
+                      <p key={msg.id} className="text-xs text-gray-400 text-center">
+                        🧾 Accusé chiffré « {RECEIPT_STATUS_LABELS[receiptMessage.receiptType]} »
+                        {receiptMessage.outgoing ? ` envoyé à ${receiptMessage.to}` : ` de ${receiptMessage.from}`}
+                        {' '}({receiptMessage.count} message(s), {sealedEnvelopeSize(msg.sealedMessage)} o scellés)
+                      </p>
+                    );
+                  }
+
                   return (
                     <div
                       key={msg.id}
@@ -887,15 +2585,24 @@ function MultiUserSimulation() {
                       } ${isDecrypted ? 'ring-2 ring-purple-400' : ''}`}
                     >
                       <div className="flex items-center justify-between mb-2">
-                        <span className="text-xs font-semibold">{msg.from} → {msg.to}</span>
+                        <span className="text-xs font-semibold">{msg.from ?? '???'} → {msg.to}</span>
                         <span className="text-xs text-gray-300">
                           {new Date(msg.timestamp).toLocaleTimeString()}
+                          {receipts[msg.id] && (
+                            <span className={`ml-2 ${receipts[msg.id].status === RECEIPT_READ ? 'text-sky-300' : ''}`}>
+                              {RECEIPT_STATUS_LABELS[receipts[msg.id].status]}
+                            </span>
+                          )}
                         </span>
                       </div>
 
                       <div className="bg-black/30 p-2 rounded font-mono text-xs mb-2 overflow-x-auto">
-                        {msg.sealed
-                          ? '[SEALED] enveloppe chiffrée...'
+                        {msg.redacted
+                          ? `[OBSERVATEUR] ${msg.sealed ? 'enveloppe scellée' : msg.group ? 'message de groupe' : 'message'} de ${msg.size} o (contenu non transmis)`
+                          : msg.sealed
+                          ? `[SEALED v${msg.sealedMessage?.version ?? SEALED_SENDER_V1}${msg.group ? ' · groupe' : ''}${msg.identified ? ' · identifié' : ''}] enveloppe chiffrée (${sealedEnvelopeSize(msg.sealedMessage)} o)...`
+                          : msg.group
+                            ? `[GROUPE] ${msg.groupMessage.ciphertext.substring(0, 50)}...`
                           : msg.encryptedData?.ciphertext
                             ? `${msg.encryptedData.ciphertext.substring(0, 60)}...`
                             : '[message]'}
@@ -913,6 +2620,11 @@ function MultiUserSimulation() {
                           {isDecrypted && (
                             <span className="text-xs text-purple-300">✓ Déchiffré</span>
                           )}
+                          {blockedReplays[msg.id] && (
+                            <span className="text-xs text-orange-200">
+                              🛡️ Rejeu bloqué : {REPLAY_CHECK_LABELS[blockedReplays[msg.id]]}
+                            </span>
+                          )}
                         </div>
                       )}
                     </div>
@@ -956,11 +2668,17 @@ function MultiUserSimulation() {
                   <p className="text-xs text-gray-400">
                     Destinataire : <strong className="text-blue-400">{selectedUser.username}</strong>
                     {' • '}
-                    <span className={cryptoSessionsReady.current.has(selectedUser.id) ? 'text-green-400' : 'text-yellow-400'}>
-                      {cryptoSessionsReady.current.has(selectedUser.id)
-                        ? '🔒 Session AES-256-GCM active'
-                        : '⏳ Session en cours d\'établissement...'}
-                    </span>
+                    {selectedUser.group ? (
+                      <span className="text-indigo-300">
+                        👥 Sender Keys : distribution pairwise une fois par membre, puis 1 chiffré diffusé
+                      </span>
+                    ) : (
+                      <span className={ratchetsRef.current.has(selectedUser.username) ? 'text-green-400' : 'text-yellow-400'}>
+                        {ratchetsRef.current.has(selectedUser.username)
+                          ? '🔒 Session X3DH + Double Ratchet active'
+                          : '⏳ Bundle X3DH récupéré à l\'envoi du premier message'}
+                      </span>
+                    )}
                   </p>
                 </div>
               )
@@ -1048,12 +2766,54 @@ function MultiUserSimulation() {
                     <div className="flex items-center justify-between">
                       <div>
                         <span className="font-semibold">{attack.type}</span>
+                        {attack.real && (
+                          <span className="ml-2 text-xs bg-red-700 px-2 py-0.5 rounded">🧪 réelle</span>
+                        )}
                         <span className="text-gray-400 text-sm ml-2">→ Cible: {attack.target}</span>
                       </div>
-                      <span className={`px-2 py-1 rounded text-xs ${attack.status === 'active' ? 'bg-red-500' : 'bg-gray-500'}`}>
-                        {attack.status}
-                      </span>
+                      <div className="flex items-center gap-2">
+                        {isInstructor && attack.real && attack.status === 'active' && (
+                          <button
+                            onClick={() => stopAttack(attack.id)}
+                            className="px-2 py-1 bg-gray-600 hover:bg-gray-500 rounded text-xs font-semibold"
+                          >
+                            Arrêter
+                          </button>
+                        )}
+                        <span className={`px-2 py-1 rounded text-xs ${attack.status === 'active' ? 'bg-red-500' : 'bg-gray-500'}`}>
+                          {attack.status}
+                        </span>
+                      </div>
                     </div>
+                    {attack.type === 'replay' && attack.detections && (
+                      <div className="mt-2 text-xs">
+                        <p>
+                          🔁 {attack.replayed} message(s) rejoué(s) • 🛡️ {attack.blocked} bloqué(s)
+                          <span className="text-gray-400"> • horodatage {attack.timestampMode}</span>
+                        </p>
+                        <div className="mt-1 flex flex-wrap gap-2">
+                          {Object.entries(attack.detections).map(([check, count]) => (
+                            <span key={check} className={`px-2 py-0.5 rounded ${count > 0 ? 'bg-orange-700' : 'bg-black/30 text-gray-400'}`}>
+                              {REPLAY_CHECK_LABELS[check]} : {count}
+                            </span>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                    {attack.intercepted?.length > 0 && (
+                      <div className="mt-2 space-y-1">
+                        {attack.intercepted.map((interception, i) => (
+                          <p key={i} className="text-xs font-mono bg-black/30 px-2 py-1 rounded break-all">
+                            🕵️ [{interception.kind}] {interception.from} → {interception.to} :{' '}
+                            {interception.plaintext === null
+                              ? <span className="text-gray-400">re-scellé sans pouvoir le lire (session antérieure)</span>
+                              : interception.kind === 'sender-key'
+                                ? <span className="text-yellow-300">sender key volée</span>
+                                : <span className="text-red-300">« {interception.plaintext} »</span>}
+                          </p>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 ))}
               </div>
@@ -11,7 +11,10 @@
 import { useState, useEffect } from 'react';
 import sodium from '../crypto/sodium.js';
 import { SealedSenderV2, SealedSenderKeyManager } from '../crypto/SealedSenderV2.js';
+import { computeKeyId, encodeCertificate, serializeSignedCertificate, signCertificate } from '../crypto/CertificateCodec.js';
 import { RatchetStorage, resetAllStorage } from '../crypto/RatchetStorage.js';
+import { DHRatchet } from '../crypto/DHRatchet';
+import { generateECDHKeyPair } from '../crypto/Primitives';
 
 // Simulateurs de composants crypto (à remplacer par vos implémentations réelles)
 class MockDoubleRatchet {
@@ -62,25 +65,76 @@ class MockDoubleRatchet {
   }
 }
 
+/**
+ * Paire Alice → Bob de vrais Double Ratchets (WebCrypto), pour comparer
+ * ce que le serveur voit avec des en-têtes en clair ou chiffrés
+ */
+async function createRatchetPair(sessionKey, headerEncryption) {
+  const options = { headerEncryption, autoSave: false };
+  const bobRatchetKeyPair = await generateECDHKeyPair();
+
+  const sender = new DHRatchet(sessionKey.slice().buffer, true, options);
+  const receiver = new DHRatchet(sessionKey.slice().buffer, false, options);
+  await receiver.initialize(bobRatchetKeyPair);
+  await sender.initialize(await generateECDHKeyPair(), bobRatchetKeyPair.publicKey);
+
+  return { sender, receiver };
+}
+
+// Ce qu'un relais peut lire dans un message Double Ratchet
+function describeRatchetHeader(encrypted) {
+  if (encrypted.encryptedHeader) {
+    return {
+      encrypted: true,
+      size: encrypted.encryptedHeader.ciphertext.byteLength
+    };
+  }
+
+  return {
+    encrypted: false,
+    fields: [
+      ['N', encrypted.messageNumber],
+      ['PN', encrypted.previousChainLength],
+      ['DH', `${encrypted.dhPublicKey.x.substring(0, 12)}…`],
+      ['seq', encrypted.sequenceNumber],
+      ['ts', new Date(encrypted.timestamp).toLocaleTimeString()]
+    ]
+  };
+}
+
+// CA de démonstration : même encodage binaire canonique que le serveur,
+// signé en ECDSA P-256, avec une clé d'identité Curve25519
 class MockCertificateAuthority {
+  async initialize() {
+    this.signingKey = await crypto.subtle.generateKey(
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      true,
+      ['sign', 'verify']
+    );
+    this.keyId = await computeKeyId(await crypto.subtle.exportKey('jwk', this.signingKey.publicKey));
+    return this;
+  }
+
   async issueCertificate(userId, publicKey) {
-    // Certificat simplifié
-    const certData = {
-      userId,
-      publicKey: sodium.toBase64(publicKey),
-      issuedAt: Date.now(),
-      issuer: 'MockCA'
-    };
-    
-    const certJson = JSON.stringify(certData);
-    return sodium.sodium.from_string(certJson);
+    const issuedAt = Date.now();
+    const encoded = encodeCertificate({
+      senderUuid: crypto.randomUUID(),
+      deviceId: 1,
+      senderName: userId,
+      identityKey: publicKey,
+      issuedAt,
+      expiresAt: issuedAt + 24 * 60 * 60 * 1000,
+      keyId: this.keyId
+    });
+
+    const signature = await signCertificate(encoded, this.signingKey.privateKey);
+    return serializeSignedCertificate(encoded, signature);
   }
 
   async verifyCertificate(certificate) {
     try {
-      const certJson = sodium.sodium.to_string(certificate);
-      const certData = JSON.parse(certJson);
-      return certData.userId;
+      const { senderName } = await SealedSenderV2.verifySenderCertificate(certificate, this.signingKey.publicKey);
+      return senderName;
     } catch {
       return null;
     }
@@ -128,12 +182,13 @@ function SecureMessagingDemo() {
     }]);
   };
 
-  const addServerLog = (from, to, isSealed) => {
+  const addServerLog = (from, to, isSealed, ratchetHeader = null) => {
     setServerView(prev => [...prev, { 
       time: new Date().toLocaleTimeString(),
       from: from || '???',
       to: to,
-      sealed: isSealed
+      sealed: isSealed,
+      ratchetHeader
     }]);
   };
 
@@ -147,7 +202,7 @@ function SecureMessagingDemo() {
 
     try {
       // 1. Certificate Authority
-      const certificateAuthority = new MockCertificateAuthority();
+      const certificateAuthority = await new MockCertificateAuthority().initialize();
       setCa(certificateAuthority);
       addLog('✅ Autorité de certification créée', 'success');
 
@@ -206,6 +261,13 @@ function SecureMessagingDemo() {
 
       addLog('✅ Double Ratchet initialisé', 'success');
 
+      // 5. Vrais ratchets pour la comparaison des en-têtes
+      const ratchetPairs = {
+        clear: await createRatchetPair(sessionKey, false),
+        encrypted: await createRatchetPair(sessionKey, true)
+      };
+      addLog('✅ Ratchets en-têtes clairs / chiffrés prêts', 'success');
+
       // Sauvegarder les acteurs
       setAlice({
         userId: 'Alice',
@@ -214,6 +276,7 @@ function SecureMessagingDemo() {
         sealedKey: aliceSealedKey,
         certificate: aliceCert,
         ratchet: aliceRatchet,
+        ratchetPairs,
         storage: aliceStorage,
         // Clés publiques des autres
         contacts: {
@@ -324,6 +387,39 @@ function SecureMessagingDemo() {
     }
   };
 
+  const sendRatchetMessage = async (headerEncryption) => {
+    if (!alice) return;
+
+    const mode = headerEncryption ? 'en-têtes CHIFFRÉS' : 'en-têtes en clair';
+    addLog(`📤 Alice → Bob (Double Ratchet, ${mode})`, 'info');
+
+    try {
+      const { sender, receiver } = headerEncryption
+        ? alice.ratchetPairs.encrypted
+        : alice.ratchetPairs.clear;
+
+      const encrypted = await sender.encrypt('Bonjour Bob, devine mon compteur !');
+
+      // Le relais ne voit que l'enveloppe : expéditeur visible, en-tête selon le mode
+      const ratchetHeader = describeRatchetHeader(encrypted);
+      addServerLog('Alice', 'Bob', false, ratchetHeader);
+      if (ratchetHeader.encrypted) {
+        addLog(`👁️ Serveur voit: ${ratchetHeader.size} octets d'en-tête opaques`, 'success');
+      } else {
+        addLog(`👁️ Serveur voit: N=${encrypted.messageNumber}, PN=${encrypted.previousChainLength}, clé DH, horodatage`, 'warning');
+      }
+
+      const plaintext = await receiver.decrypt(encrypted);
+      addLog(`✅ Bob reçoit: "${plaintext}"`, 'success');
+
+      setStats(prev => ({ ...prev, normalMessages: prev.normalMessages + 1 }));
+
+    } catch (error) {
+      addLog(`❌ Erreur: ${error.message}`, 'error');
+      console.error(error);
+    }
+  };
+
   const saveSession = async () => {
     if (!alice) return;
 
@@ -457,6 +553,27 @@ function SecureMessagingDemo() {
                   </div>
                 </div>
 
+                <div className="bg-gray-800 rounded-lg p-4">
+                  <h3 className="font-bold mb-3 text-lg">🧾 En-têtes du ratchet</h3>
+                  <div className="space-y-2">
+                    <button
+                      onClick={() => sendRatchetMessage(false)}
+                      className="w-full px-4 py-2 bg-orange-600 hover:bg-orange-700 rounded-lg font-semibold transition-all text-sm"
+                    >
+                      En-têtes en clair ⚠️
+                    </button>
+                    <button
+                      onClick={() => sendRatchetMessage(true)}
+                      className="w-full px-4 py-2 bg-teal-600 hover:bg-teal-700 rounded-lg font-semibold transition-all text-sm"
+                    >
+                      En-têtes chiffrés 🙈
+                    </button>
+                  </div>
+                  <p className="text-xs text-gray-400 mt-2">
+                    N, PN et la clé DH révèlent le rythme de la conversation
+                  </p>
+                </div>
+
                 <div className="bg-gray-800 rounded-lg p-4">
                   <h3 className="font-bold mb-3 text-lg">💾 Persistance</h3>
                   <div className="space-y-2">
@@ -584,6 +701,24 @@ function SecureMessagingDemo() {
                           </div>
                         )}
                       </div>
+                      {entry.ratchetHeader && (
+                        <div className="mt-3 pt-2 border-t border-gray-600 text-xs font-mono">
+                          {entry.ratchetHeader.encrypted ? (
+                            <p className="text-teal-300">
+                              🙈 En-tête ratchet chiffré ({entry.ratchetHeader.size} octets) : N, PN, clé DH masqués
+                            </p>
+                          ) : (
+                            <div className="flex flex-wrap gap-2 text-orange-300">
+                              <span>⚠️ En-tête ratchet en clair :</span>
+                              {entry.ratchetHeader.fields.map(([name, value]) => (
+                                <span key={name} className="bg-orange-900/40 px-2 rounded">
+                                  {name}={value}
+                                </span>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                      )}
                     </div>
                   ))
                 )}
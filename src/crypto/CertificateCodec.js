@@ -0,0 +1,316 @@
+/**
+ * Encodage binaire canonique des certificats expéditeur (version 1)
+ *
+ * JSON.stringify dépend de l'ordre des clés (et de celui des champs JWK) : un
+ * certificat reconstruit autrement ne se vérifie plus. On signe donc des octets
+ * dont la disposition est fixée une fois pour toutes :
+ *
+ *   u8   version (1)
+ *   16   UUID de l'expéditeur
+ *   u32  identifiant d'appareil
+ *   u16  longueur || nom de l'expéditeur (UTF-8)
+ *   u16  longueur || clé d'identité (0x04 || x || y en P-256, 0x05 || clé en Curve25519)
+ *   u64  émission (ms depuis l'epoch)
+ *   u64  expiration (ms depuis l'epoch)
+ *   8    keyId de la clé CA signataire
+ *
+ * Entiers en big-endian. Le décodage refuse toute version inconnue et tout
+ * octet en trop : un certificat n'a qu'un seul encodage possible.
+ *
+ * Signature : ECDSA P-256 / SHA-256 sur ces octets (format IEEE P1363).
+ * Partagé par le serveur (server.js), SenderCertificate.js et SealedSenderV2.
+ *
+ * La liste de révocation (CRL) est signée de la même façon (voir encodeRevocationList).
+ */
+
+import { encodeIdentityKey as encodeP256IdentityKey } from './SafetyNumber.js';
+
+export const CERTIFICATE_VERSION = 1;
+export const REVOCATION_LIST_VERSION = 1;
+
+const KEY_TYPE_P256 = 0x04;       // point non compressé
+const KEY_TYPE_CURVE25519 = 0x05; // même préfixe que Signal
+const KEY_ID_LENGTH = 8;
+const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+const toHex = (bytes) => Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+
+function fromHex(hex, length) {
+  if (typeof hex !== 'string' || !new RegExp(`^[0-9a-f]{${length * 2}}$`).test(hex)) {
+    throw new Error(`Valeur hexadécimale de ${length} octets attendue`);
+  }
+  return Uint8Array.from(hex.match(/.{2}/g), byte => parseInt(byte, 16));
+}
+
+// u64 en deux mots de 32 bits (les dates en ms tiennent dans un entier sûr)
+function setUint64(view, offset, value) {
+  view.setUint32(offset, Math.floor(value / 2 ** 32), false);
+  view.setUint32(offset + 4, value >>> 0, false);
+}
+
+function getUint64(view, offset) {
+  const high = view.getUint32(offset, false);
+  if (high > 0x1fffff) throw new Error('Entier 64 bits hors de la plage sûre'); // > 2^53
+  return high * 2 ** 32 + view.getUint32(offset + 4, false);
+}
+
+const bytesToBase64Url = (bytes) =>
+  btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * Identifiant de clé CA : SHA-256 des composantes publiques, 8 octets en hex
+ *
+ * @param {JsonWebKey} publicKeyJWK
+ * @returns {Promise<string>}
+ */
+export async function computeKeyId(publicKeyJWK) {
+  const { crv, kty, x, y } = publicKeyJWK;
+  const bytes = new TextEncoder().encode(JSON.stringify({ crv, kty, x, y }));
+  const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return toHex(hash.slice(0, KEY_ID_LENGTH));
+}
+
+/**
+ * Clé d'identité -> octets typés
+ *
+ * @param {JsonWebKey|Uint8Array} identityKey - JWK P-256, ou clé Curve25519 brute (32 octets)
+ * @returns {Uint8Array}
+ */
+export function encodeIdentityKey(identityKey) {
+  if (identityKey instanceof Uint8Array) {
+    if (identityKey.length === 32) return new Uint8Array([KEY_TYPE_CURVE25519, ...identityKey]);
+    if (identityKey.length === 33 && identityKey[0] === KEY_TYPE_CURVE25519) return identityKey;
+    throw new Error('Clé Curve25519 de 32 octets attendue');
+  }
+  return encodeP256IdentityKey(identityKey);
+}
+
+/**
+ * Octets typés -> clé d'identité (JWK pour P-256, octets bruts pour Curve25519)
+ */
+export function decodeIdentityKey(bytes) {
+  if (bytes[0] === KEY_TYPE_P256 && bytes.length === 65) {
+    return {
+      kty: 'EC',
+      crv: 'P-256',
+      x: bytesToBase64Url(bytes.slice(1, 33)),
+      y: bytesToBase64Url(bytes.slice(33, 65))
+    };
+  }
+  if (bytes[0] === KEY_TYPE_CURVE25519 && bytes.length === 33) {
+    return bytes.slice(1);
+  }
+  throw new Error('Type de clé d\'identité inconnu dans le certificat');
+}
+
+function uuidToBytes(uuid) {
+  return fromHex(String(uuid).toLowerCase().replace(/-/g, ''), 16);
+}
+
+function bytesToUuid(bytes) {
+  const hex = toHex(bytes);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * @param {Object} fields
+ * @param {string} fields.senderUuid
+ * @param {number} fields.deviceId
+ * @param {string} fields.senderName
+ * @param {JsonWebKey|Uint8Array} fields.identityKey
+ * @param {number} fields.issuedAt - ms depuis l'epoch
+ * @param {number} fields.expiresAt - ms depuis l'epoch
+ * @param {string} fields.keyId - keyId hex de la clé CA signataire
+ * @returns {Uint8Array}
+ */
+export function encodeCertificate({ senderUuid, deviceId, senderName, identityKey, issuedAt, expiresAt, keyId }) {
+  const uuid = uuidToBytes(senderUuid);
+  const name = new TextEncoder().encode(senderName);
+  const key = encodeIdentityKey(identityKey);
+  const keyIdBytes = fromHex(keyId, KEY_ID_LENGTH);
+
+  if (!Number.isInteger(deviceId) || deviceId < 0 || deviceId > 0xffffffff) {
+    throw new Error('Identifiant d\'appareil invalide (entier 32 bits attendu)');
+  }
+  if (name.length > 0xffff) throw new Error('Nom d\'expéditeur trop long');
+  if (!Number.isSafeInteger(issuedAt) || !Number.isSafeInteger(expiresAt) || issuedAt < 0 || expiresAt < 0) {
+    throw new Error('Dates du certificat invalides');
+  }
+
+  const bytes = new Uint8Array(1 + 16 + 4 + 2 + name.length + 2 + key.length + 8 + 8 + KEY_ID_LENGTH);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+
+  view.setUint8(offset, CERTIFICATE_VERSION); offset += 1;
+  bytes.set(uuid, offset); offset += 16;
+  view.setUint32(offset, deviceId, false); offset += 4;
+  view.setUint16(offset, name.length, false); offset += 2;
+  bytes.set(name, offset); offset += name.length;
+  view.setUint16(offset, key.length, false); offset += 2;
+  bytes.set(key, offset); offset += key.length;
+  setUint64(view, offset, issuedAt); offset += 8;
+  setUint64(view, offset, expiresAt); offset += 8;
+  bytes.set(keyIdBytes, offset);
+
+  return bytes;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {{version: number, senderUuid: string, deviceId: number, senderName: string,
+ *   identityKey: JsonWebKey|Uint8Array, issuedAt: number, expiresAt: number, keyId: string}}
+ */
+export function decodeCertificate(bytes) {
+  bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+
+  const ensure = (length) => {
+    if (offset + length > bytes.length) throw new Error('Certificat tronqué');
+  };
+  const take = (length) => {
+    ensure(length);
+    offset += length;
+    return bytes.slice(offset - length, offset);
+  };
+  const readUint = (size) => {
+    ensure(size);
+    const value = size === 2 ? view.getUint16(offset, false)
+      : size === 4 ? view.getUint32(offset, false)
+      : getUint64(view, offset);
+    offset += size;
+    return value;
+  };
+
+  const version = take(1)[0];
+  if (version !== CERTIFICATE_VERSION) {
+    throw new Error(`Version de certificat non prise en charge : ${version}`);
+  }
+
+  const senderUuid = bytesToUuid(take(16));
+  const deviceId = readUint(4);
+  const senderName = new TextDecoder('utf-8', { fatal: true }).decode(take(readUint(2)));
+  const identityKey = decodeIdentityKey(take(readUint(2)));
+  const issuedAt = readUint(8);
+  const expiresAt = readUint(8);
+  const keyId = toHex(take(KEY_ID_LENGTH));
+
+  if (offset !== bytes.length) {
+    throw new Error('Octets en trop après le certificat');
+  }
+
+  return { version, senderUuid, deviceId, senderName, identityKey, issuedAt, expiresAt, keyId };
+}
+
+/**
+ * Certificat signé en un seul bloc (transport binaire, ex. SealedSenderV2)
+ * Format : u16 longueur || certificat || u16 longueur || signature
+ */
+export function serializeSignedCertificate(encoded, signature) {
+  const bytes = new Uint8Array(2 + encoded.length + 2 + signature.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint16(0, encoded.length, false);
+  bytes.set(encoded, 2);
+  view.setUint16(2 + encoded.length, signature.length, false);
+  bytes.set(signature, 4 + encoded.length);
+  return bytes;
+}
+
+export function parseSignedCertificate(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 2) throw new Error('Certificat signé tronqué');
+
+  const encodedLength = view.getUint16(0, false);
+  if (bytes.length < 4 + encodedLength) throw new Error('Certificat signé tronqué');
+
+  const signatureLength = view.getUint16(2 + encodedLength, false);
+  if (bytes.length !== 4 + encodedLength + signatureLength) {
+    throw new Error('Longueur de certificat signé incohérente');
+  }
+
+  return {
+    encoded: bytes.slice(2, 2 + encodedLength),
+    signature: bytes.slice(4 + encodedLength)
+  };
+}
+
+/**
+ * @param {Uint8Array} encoded - Sortie de encodeCertificate
+ * @param {CryptoKey} privateKey - Clé ECDSA P-256 de la CA
+ * @returns {Promise<Uint8Array>}
+ */
+export async function signCertificate(encoded, privateKey) {
+  return new Uint8Array(await crypto.subtle.sign(SIGNATURE_ALGORITHM, privateKey, encoded));
+}
+
+/**
+ * @returns {Promise<boolean>}
+ */
+export async function verifyCertificateSignature(encoded, signature, publicKey) {
+  return crypto.subtle.verify(SIGNATURE_ALGORITHM, publicKey, new Uint8Array(signature), new Uint8Array(encoded));
+}
+
+// Clé d'une entrée de CRL : la JWK doit être l'encodage exact de ses octets, sinon un
+// relais pourrait changer les bits de remplissage du base64url sans casser la signature
+function encodeRevokedKey(senderKey) {
+  if (!senderKey) return new Uint8Array(0);
+  const bytes = encodeIdentityKey(senderKey);
+  const { x, y } = decodeIdentityKey(bytes);
+  if (x !== senderKey.x || y !== senderKey.y) {
+    throw new Error('Clé révoquée : encodage base64url non canonique');
+  }
+  return bytes;
+}
+
+/**
+ * Octets signés d'une liste de révocation (version 1)
+ *
+ *   u8   version (1)
+ *   u64  émission (ms depuis l'epoch)
+ *   u16  nombre d'entrées, puis pour chacune, dans l'ordre publié :
+ *        u16 longueur || userId (UTF-8)
+ *        u16 longueur || clé d'identité révoquée (0 octet : aucune)
+ *        u64 révocation (ms depuis l'epoch)
+ *        u16 longueur || motif (UTF-8)
+ *
+ * @param {{issuedAt: number, entries: Array<{userId: string, senderKey: JsonWebKey|null, revokedAt: number, reason: string}>}} crl
+ * @returns {Uint8Array}
+ */
+export function encodeRevocationList({ issuedAt, entries }) {
+  if (!Array.isArray(entries) || entries.length > 0xffff) throw new Error('Entrées de CRL invalides');
+  if (!Number.isSafeInteger(issuedAt) || issuedAt < 0) throw new Error('Date d\'émission de la CRL invalide');
+
+  const text = (value) => {
+    const bytes = new TextEncoder().encode(String(value ?? ''));
+    if (bytes.length > 0xffff) throw new Error('Champ de CRL trop long');
+    return bytes;
+  };
+  const encodedEntries = entries.map(({ userId, senderKey, revokedAt, reason }) => {
+    if (!Number.isSafeInteger(revokedAt) || revokedAt < 0) throw new Error('Date de révocation invalide');
+    return { userId: text(userId), key: encodeRevokedKey(senderKey), revokedAt, reason: text(reason) };
+  });
+
+  const length = encodedEntries.reduce(
+    (total, entry) => total + 2 + entry.userId.length + 2 + entry.key.length + 8 + 2 + entry.reason.length,
+    1 + 8 + 2
+  );
+  const bytes = new Uint8Array(length);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  const putBytes = (value) => {
+    view.setUint16(offset, value.length, false); offset += 2;
+    bytes.set(value, offset); offset += value.length;
+  };
+
+  view.setUint8(offset, REVOCATION_LIST_VERSION); offset += 1;
+  setUint64(view, offset, issuedAt); offset += 8;
+  view.setUint16(offset, encodedEntries.length, false); offset += 2;
+  for (const entry of encodedEntries) {
+    putBytes(entry.userId);
+    putBytes(entry.key);
+    setUint64(view, offset, entry.revokedAt); offset += 8;
+    putBytes(entry.reason);
+  }
+
+  return bytes;
+}
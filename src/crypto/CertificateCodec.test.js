@@ -0,0 +1,100 @@
+/**
+ * @jest-environment node
+ */
+import {
+  encodeCertificate,
+  decodeCertificate,
+  serializeSignedCertificate,
+  parseSignedCertificate,
+  encodeRevocationList
+} from './CertificateCodec';
+import { CertificateAuthority, SenderCertificate } from './SenderCertificate';
+import { generateECDHKeyPair, exportPublicKey } from './Primitives';
+
+const fields = (overrides = {}) => ({
+  senderUuid: '0f8fad5b-d9cb-469f-a165-70867728950e',
+  deviceId: 1,
+  senderName: 'Zoé',
+  identityKey: new Uint8Array(32).fill(7),
+  issuedAt: 1700000000000,
+  expiresAt: 1700014400000,
+  keyId: '0123456789abcdef',
+  ...overrides
+});
+
+describe('CertificateCodec', () => {
+  test('encodage canonique : décodage fidèle, mêmes octets quel que soit l\'ordre des champs', async () => {
+    const identityKey = await exportPublicKey((await generateECDHKeyPair()).publicKey);
+    const { y, x, crv, kty } = identityKey;
+    const encoded = encodeCertificate(fields({ identityKey }));
+
+    expect(encodeCertificate(fields({ identityKey: { y, x, crv, kty } }))).toEqual(encoded);
+    expect(decodeCertificate(encoded)).toEqual({ version: 1, ...fields({ identityKey: { kty, crv, x, y } }) });
+  });
+
+  test('clé Curve25519 brute conservée telle quelle', () => {
+    expect(decodeCertificate(encodeCertificate(fields())).identityKey).toEqual(new Uint8Array(32).fill(7));
+  });
+
+  test('version inconnue, octets tronqués ou en trop : refusés', () => {
+    const encoded = encodeCertificate(fields());
+
+    expect(() => decodeCertificate(Uint8Array.from([2, ...encoded.slice(1)]))).toThrow('Version de certificat non prise en charge');
+    expect(() => decodeCertificate(encoded.slice(0, -1))).toThrow('Certificat tronqué');
+    expect(() => decodeCertificate(Uint8Array.from([...encoded, 0]))).toThrow('Octets en trop');
+  });
+
+  test('champs hors format refusés à l\'encodage', () => {
+    expect(() => encodeCertificate(fields({ deviceId: -1 }))).toThrow('Identifiant d\'appareil invalide');
+    expect(() => encodeCertificate(fields({ keyId: 'abc' }))).toThrow('hexadécimale');
+    expect(() => encodeCertificate(fields({ expiresAt: 1.5 }))).toThrow('Dates du certificat invalides');
+  });
+
+  test('certificat signé en un bloc : aller-retour et longueur incohérente refusée', () => {
+    const encoded = encodeCertificate(fields());
+    const signature = new Uint8Array(64).fill(1);
+    const serialized = serializeSignedCertificate(encoded, signature);
+
+    expect(parseSignedCertificate(serialized)).toEqual({ encoded, signature });
+    expect(() => parseSignedCertificate(serialized.slice(0, -1))).toThrow('incohérente');
+  });
+
+  test('CRL : mêmes octets quel que soit l\'ordre des champs, toute valeur signée', async () => {
+    const { kty, crv, x, y } = await exportPublicKey((await generateECDHKeyPair()).publicKey);
+    const entry = { userId: 'bob', senderKey: { kty, crv, x, y }, revokedAt: 1700000000000, reason: 'appareil perdu' };
+    const encoded = encodeRevocationList({ issuedAt: 1700000001000, entries: [entry, { ...entry, userId: 'carol', senderKey: null }] });
+
+    const reordered = { reason: entry.reason, revokedAt: entry.revokedAt, senderKey: { y, x, crv, kty }, userId: 'bob' };
+    expect(encodeRevocationList({ entries: [reordered, { ...entry, userId: 'carol', senderKey: null }], issuedAt: 1700000001000 })).toEqual(encoded);
+    expect(encodeRevocationList({ issuedAt: 1700000001000, entries: [entry, { ...entry, userId: 'carol', senderKey: null, reason: '' }] })).not.toEqual(encoded);
+    expect(encodeRevocationList({ issuedAt: 1700000001000, entries: [entry] })).not.toEqual(encoded);
+  });
+
+  test('CRL : clé révoquée en base64url non canonique refusée', async () => {
+    const { kty, crv, x, y } = await exportPublicKey((await generateECDHKeyPair()).publicKey);
+    // Le dernier caractère de x porte 2 bits de remplissage : même clé, autre chaîne
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+    const padded = x.slice(0, -1) + alphabet[alphabet.indexOf(x.at(-1)) ^ 1];
+    const crl = (senderKey) => ({ issuedAt: 1, entries: [{ userId: 'bob', senderKey, revokedAt: 1, reason: '' }] });
+
+    expect(() => encodeRevocationList(crl({ kty, crv, x: padded, y }))).toThrow('non canonique');
+    expect(() => encodeRevocationList(crl({ kty, crv, x: 'ancienne-x', y }))).toThrow();
+  });
+});
+
+describe('SenderCertificate', () => {
+  test('signé par la CA : vérifié ; un seul octet modifié invalide la signature', async () => {
+    const ca = new CertificateAuthority();
+    await ca.initialize();
+    const bob = await generateECDHKeyPair();
+    const certificate = await ca.issueCertificate('bob', bob.publicKey);
+
+    const verified = await SenderCertificate.verify(certificate, ca.signingKey.publicKey);
+    expect(verified.userId).toBe('bob');
+    expect(verified.keyId).toBe(ca.keyId);
+
+    const tampered = { ...certificate, encoded: [...certificate.encoded] };
+    tampered.encoded[tampered.encoded.length - 20] ^= 1;
+    await expect(SenderCertificate.verify(tampered, ca.signingKey.publicKey)).rejects.toThrow('Invalid certificate signature');
+  });
+});
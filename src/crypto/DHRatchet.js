@@ -9,7 +9,8 @@ import {
   computeHMAC,
   verifyHMAC,
   concatBuffers
-} from './Primitives';
+} from './Primitives.js';
+import { replayError } from './ReplayProtection.js';
 
 /**
  * VERSION TOUT-EN-UN
@@ -35,32 +36,36 @@ class ReplayProtection {
     this.startCleanup();
   }
 
-  async validateMessage(nonce, timestamp) {
+  async validateMessage(nonce, timestamp, { record = true, receivedAt = Date.now() } = {}) {
     const nonceStr = this.bufferToHex(nonce);
     
     if (this.receivedNonces.has(nonceStr)) {
       this.stats.messagesRejected++;
       this.stats.replayDetected++;
-      throw new Error(`🚨 REPLAY ATTACK DETECTED! Nonce ${nonceStr.substring(0, 16)}... already used`);
+      throw replayError(`🚨 REPLAY ATTACK DETECTED! Nonce ${nonceStr.substring(0, 16)}... already used`, 'nonce');
     }
     
-    const messageAge = Date.now() - timestamp;
+    const messageAge = receivedAt - timestamp;
     if (messageAge > this.maxNonceAge) {
       this.stats.messagesRejected++;
       this.stats.tooOldDetected++;
-      throw new Error(`⏰ Message too old: ${Math.floor(messageAge / 1000)}s`);
+      throw replayError(`⏰ Message too old: ${Math.floor(messageAge / 1000)}s`, 'age');
     }
     
     if (messageAge < -30000) {
       this.stats.messagesRejected++;
-      throw new Error(`⏰ Message timestamp is in the future`);
+      throw replayError(`⏰ Message timestamp is in the future`, 'future');
     }
     
+    if (record) this.recordMessage(nonce, timestamp);
+    return true;
+  }
+
+  recordMessage(nonce, timestamp) {
+    const nonceStr = this.bufferToHex(nonce);
     this.receivedNonces.add(nonceStr);
     this.nonceTimestamps.set(nonceStr, timestamp);
     this.stats.messagesAccepted++;
-    
-    return true;
   }
 
   cleanupOldNonces() {
@@ -311,6 +316,37 @@ class MessageChain {
 }
 
 // ==================== DH RATCHET ====================
+
+// Identifiant stable d'une clé publique de ratchet (coordonnées du point P-256)
+function ratchetKeyId(jwk) {
+  return `${jwk.x}.${jwk.y}`;
+}
+
+// Clé du cache des clés sautées : (clé publique de ratchet distante, N)
+// En mode en-têtes chiffrés, la chaîne est identifiée par sa clé d'en-tête
+function skippedKeyIndex(remoteKeyId, messageNumber) {
+  return `${remoteKeyId}:${messageNumber}`;
+}
+
+function bufferToHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+function hexToBuffer(hex) {
+  return new Uint8Array(hex.match(/.{2}/g).map(byte => parseInt(byte, 16))).buffer;
+}
+
+async function importHeaderKey(headerKey) {
+  return crypto.subtle.importKey(
+    'raw', headerKey, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']
+  );
+}
+
+const serializeKey = (key) => key ? Array.from(new Uint8Array(key)) : null;
+const deserializeKey = (data) => data ? new Uint8Array(data).buffer : null;
+
 export class DHRatchet {
   constructor(rootKey, isInitiator = false, options = {}) {
     this.rootKey = rootKey;
@@ -318,16 +354,32 @@ export class DHRatchet {
     
     this.dhKeyPair = null;
     this.dhRemotePublicKey = null;
+    this.dhRemotePublicKeyId = null;
     
     this.sendingChain = null;
     this.receivingChain = null;
+    this.previousSendingChainLength = 0; // PN : longueur de la chaîne d'envoi précédente
     
     this.messagesSent = 0;
     this.messagesReceived = 0;
     
+    // Indexés par (clé de ratchet distante, N) : deux époques DH peuvent avoir le même N
     this.receivedMessageNumbers = new Set();
     this.skippedMessageKeys = new Map();
     this.maxSkip = 1000;
+    this.maxSkippedKeys = 2000;
+    // Clés de ratchet distantes des époques passées : un en-tête qui en réutilise une est refusé
+    this.previousRemoteKeyIds = [];
+    this.maxPreviousRemoteKeys = 100;
+    
+    // "Double Ratchet with header encryption" : N, PN, clé DH, séquence,
+    // timestamp et nonce voyagent chiffrés sous une clé d'en-tête (HK) dérivée
+    // avec les clés de chaîne ; le destinataire trouve la bonne clé par essais
+    this.headerEncryption = options.headerEncryption === true;
+    this.headerKeySending = null;           // HKs
+    this.headerKeyReceiving = null;         // HKr
+    this.nextHeaderKeySending = null;       // NHKs
+    this.nextHeaderKeyReceiving = null;     // NHKr
     
     this.replayProtection = options.replayProtection || new ReplayProtection();
     this.sendSequenceNumber = 0;
@@ -342,6 +394,13 @@ export class DHRatchet {
   async initialize(dhKeyPair, dhRemotePublicKey = null) {
     this.dhKeyPair = dhKeyPair;
     this.dhRemotePublicKey = dhRemotePublicKey;
+    this.dhRemotePublicKeyId = dhRemotePublicKey
+      ? ratchetKeyId(await exportPublicKey(dhRemotePublicKey))
+      : null;
+
+    if (this.headerEncryption) {
+      await this.initializeHeaderKeys();
+    }
 
     if (this.isInitiator && this.dhRemotePublicKey) {
       await this.performDHRatchetStep();
@@ -350,6 +409,27 @@ export class DHRatchet {
     if (this.autoSave) await this._autoSave();
   }
 
+  /**
+   * Clés d'en-tête partagées initiales, dérivées du secret X3DH (avant tout pas DH)
+   * 
+   * Alice chiffre ses premiers en-têtes avec HKa et attend ceux de Bob sous NHKb ;
+   * Bob, qui ne peut pas encore émettre, fait l'inverse.
+   */
+  async initializeHeaderKeys() {
+    const encoder = new TextEncoder();
+    const headerKeys = await hkdf(this.rootKey, new Uint8Array(32), encoder.encode('DoubleRatchet-HeaderKeys'), 64);
+    const sharedHeaderKeyA = headerKeys.slice(0, 32);
+    const sharedNextHeaderKeyB = headerKeys.slice(32, 64);
+
+    if (this.isInitiator) {
+      this.headerKeySending = sharedHeaderKeyA;
+      this.nextHeaderKeyReceiving = sharedNextHeaderKeyB;
+    } else {
+      this.nextHeaderKeySending = sharedNextHeaderKeyB;
+      this.nextHeaderKeyReceiving = sharedHeaderKeyA;
+    }
+  }
+
   async performDHRatchetStep() {
     if (!this.dhRemotePublicKey) {
       throw new Error('Clé publique distante manquante');
@@ -360,12 +440,15 @@ export class DHRatchet {
     const salt = this.rootKey;
     const info = encoder.encode('DoubleRatchet-ChainKeys');
     
-    const derivedKeys = await hkdf(dhOutput, salt, info, 64);
+    const derivedKeys = await hkdf(dhOutput, salt, info, this.headerEncryption ? 96 : 64);
     
     this.rootKey = derivedKeys.slice(0, 32);
     const newChainKey = derivedKeys.slice(32, 64);
 
     this.sendingChain = new MessageChain(newChainKey);
+    if (this.headerEncryption) {
+      this.nextHeaderKeySending = derivedKeys.slice(64, 96);
+    }
   }
 
   async encrypt(plaintext) {
@@ -393,9 +476,17 @@ export class DHRatchet {
     const timestamp = Date.now();
     const sequenceNumber = this.sendSequenceNumber++;
     
-    const associatedData = encoder.encode(
-      JSON.stringify({ messageNumber, dhPublicKey, timestamp, sequenceNumber, nonce: Array.from(nonce) })
-    );
+    const previousChainLength = this.previousSendingChainLength;
+    
+    const header = { messageNumber, previousChainLength, dhPublicKey, timestamp, sequenceNumber, nonce: Array.from(nonce) };
+    let associatedData = encoder.encode(JSON.stringify(header));
+
+    // En-tête chiffré : le corps est lié au chiffré de l'en-tête (AD || enc_header)
+    let encryptedHeader = null;
+    if (this.headerEncryption) {
+      encryptedHeader = await this.encryptHeader(associatedData);
+      associatedData = concatBuffers(encryptedHeader.iv, encryptedHeader.ciphertext);
+    }
 
     const { ciphertext, iv } = await encryptAESGCM(encryptionKey, plaintextBytes, associatedData);
 
@@ -409,15 +500,38 @@ export class DHRatchet {
     this.messagesSent++;
     if (this.autoSave) await this._autoSave();
 
-    return { ciphertext, iv, mac, messageNumber, dhPublicKey, nonce: nonce.buffer, timestamp, sequenceNumber };
+    if (encryptedHeader) {
+      return { encryptedHeader, ciphertext, iv, mac };
+    }
+
+    return { ciphertext, iv, mac, messageNumber, previousChainLength, dhPublicKey, nonce: nonce.buffer, timestamp, sequenceNumber };
   }
 
-  async decrypt(encryptedMessage) {
-    const { ciphertext, iv, mac, messageNumber, dhPublicKey, nonce, timestamp, sequenceNumber } = encryptedMessage;
+  // receivedAt : heure de dépôt au relais pour un message remis par la boîte aux
+  // lettres, l'âge ne compte pas le temps passé hors ligne par le destinataire
+  async decrypt(encryptedMessage, { receivedAt } = {}) {
+    const { encryptedHeader } = encryptedMessage;
 
-    if (this.enableReplayProtection && nonce && timestamp) {
+    let header = encryptedMessage;
+    let headerChainId = null;
+    if (encryptedHeader) {
+      if (!this.headerEncryption) {
+        throw new Error('En-tête chiffré reçu mais mode header encryption désactivé');
+      }
+      ({ header, headerChainId } = await this.decryptHeader(encryptedHeader));
+    } else if (this.headerEncryption) {
+      throw new Error('En-tête en clair refusé en mode header encryption');
+    }
+
+    const { messageNumber, previousChainLength, dhPublicKey, timestamp, sequenceNumber } = header;
+    const nonce = encryptedHeader ? new Uint8Array(header.nonce).buffer : header.nonce;
+
+    // Nonce vérifié ici mais enregistré seulement après le MAC : une copie
+    // falsifiée ne doit pas faire refuser le vrai message
+    const checkNonce = this.enableReplayProtection && nonce && timestamp;
+    if (checkNonce) {
       try {
-        await this.replayProtection.validateMessage(nonce, timestamp);
+        await this.replayProtection.validateMessage(nonce, timestamp, { record: false, receivedAt });
       } catch (error) {
         console.error('🚨 Replay protection triggered:', error.message);
         throw error;
@@ -428,19 +542,61 @@ export class DHRatchet {
       console.warn(`⚠️ Out-of-order message: ${sequenceNumber} <= ${this.lastReceivedSequence}`);
     }
 
-    const messageId = `${messageNumber}`;
+    const remoteKeyId = ratchetKeyId(dhPublicKey);
+    const messageId = skippedKeyIndex(remoteKeyId, messageNumber);
     if (this.receivedMessageNumbers.has(messageId)) {
-      throw new Error(`Message ${messageNumber} déjà traité`);
+      throw replayError(`Message ${messageNumber} déjà traité`, 'message-number');
     }
 
-    const receivedDHKey = await importPublicKey(dhPublicKey);
-    const needDHRatchet = await this.needsDHRatchet(receivedDHKey);
+    // Tout ou rien : l'état n'est conservé que si le message s'authentifie,
+    // sinon il revient à cet instantané (clés sautées comprises)
+    const snapshot = this.captureState();
+    const skippedIndex = skippedKeyIndex(headerChainId || remoteKeyId, messageNumber);
+    let plaintext;
+    try {
+      // 1. Message en retard : sa clé a été mise de côté (éventuellement dans une époque DH passée)
+      let messageKey = this.skippedMessageKeys.get(skippedIndex);
+
+      if (!messageKey) {
+        // 2. Nouvelle clé de ratchet : clore l'ancienne chaîne (PN) puis pas DH
+        if (!this.receivingChain || remoteKeyId !== this.dhRemotePublicKeyId) {
+          if (this.previousRemoteKeyIds.includes(remoteKeyId)) {
+            throw new Error('Clé de ratchet d\'une époque passée : pas de nouveau pas DH');
+          }
+          await this.skipMessageKeys(previousChainLength ?? 0);
+          await this.receiveDHRatchet(await importPublicKey(dhPublicKey), remoteKeyId);
+        }
+
+        // 3. Avancer la chaîne courante jusqu'à N
+        messageKey = await this.getMessageKey(messageNumber);
+      }
 
-    if (needDHRatchet || !this.receivingChain) {
-      await this.receiveDHRatchet(receivedDHKey);
+      plaintext = await this.openMessage(messageKey, encryptedMessage, header);
+      this.skippedMessageKeys.delete(skippedIndex);
+    } catch (error) {
+      this.restoreState(snapshot);
+      throw error;
+    }
+
+    if (checkNonce) this.replayProtection.recordMessage(nonce, timestamp);
+    this.receivedMessageNumbers.add(messageId);
+    this.messagesReceived++;
+    
+    if (sequenceNumber !== undefined) {
+      this.lastReceivedSequence = sequenceNumber;
     }
 
-    const messageKey = await this.getMessageKey(messageNumber);
+    if (this.autoSave) await this._autoSave();
+    return plaintext;
+  }
+
+  /**
+   * Vérifie le MAC puis déchiffre le corps avec la clé de message
+   */
+  async openMessage(messageKey, { ciphertext, iv, mac, encryptedHeader }, header) {
+    const { messageNumber, previousChainLength, dhPublicKey, timestamp, sequenceNumber } = header;
+    const nonce = encryptedHeader ? new Uint8Array(header.nonce).buffer : header.nonce;
+
     const encoder = new TextEncoder();
     const salt = new Uint8Array(32);
     const info = encoder.encode(`MessageKeys-${messageNumber}`);
@@ -449,9 +605,11 @@ export class DHRatchet {
     const encryptionKeyBytes = derivedKeys.slice(0, 32);
     const authKeyBytes = derivedKeys.slice(32, 64);
 
-    const associatedData = encoder.encode(
-      JSON.stringify({ messageNumber, dhPublicKey, timestamp, sequenceNumber, nonce: Array.from(new Uint8Array(nonce)) })
-    );
+    const associatedData = encryptedHeader
+      ? concatBuffers(encryptedHeader.iv, encryptedHeader.ciphertext)
+      : encoder.encode(
+        JSON.stringify({ messageNumber, previousChainLength, dhPublicKey, timestamp, sequenceNumber, nonce: Array.from(new Uint8Array(nonce)) })
+      );
 
     const authKey = await crypto.subtle.importKey(
       'raw', authKeyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['verify']
@@ -467,71 +625,161 @@ export class DHRatchet {
     );
 
     const plaintextBytes = await decryptAESGCM(encryptionKey, ciphertext, iv, associatedData);
+    return new TextDecoder().decode(plaintextBytes);
+  }
+
+  // État que decrypt() peut faire avancer (les clés sont des ArrayBuffer jamais modifiés en place)
+  captureState() {
+    const copyChain = (chain) => chain && new MessageChain(chain.chainKey, chain.messageNumber);
+    return {
+      rootKey: this.rootKey,
+      dhKeyPair: this.dhKeyPair,
+      dhRemotePublicKey: this.dhRemotePublicKey,
+      dhRemotePublicKeyId: this.dhRemotePublicKeyId,
+      sendingChain: copyChain(this.sendingChain),
+      receivingChain: copyChain(this.receivingChain),
+      previousSendingChainLength: this.previousSendingChainLength,
+      headerKeySending: this.headerKeySending,
+      headerKeyReceiving: this.headerKeyReceiving,
+      nextHeaderKeySending: this.nextHeaderKeySending,
+      nextHeaderKeyReceiving: this.nextHeaderKeyReceiving,
+      skippedMessageKeys: new Map(this.skippedMessageKeys),
+      previousRemoteKeyIds: [...this.previousRemoteKeyIds]
+    };
+  }
+
+  restoreState(snapshot) {
+    Object.assign(this, snapshot);
+  }
+
+  async encryptHeader(headerBytes) {
+    if (!this.headerKeySending) {
+      throw new Error('Clé d\'en-tête d\'envoi non initialisée');
+    }
+
+    const headerKey = await importHeaderKey(this.headerKeySending);
+    return encryptAESGCM(headerKey, headerBytes);
+  }
+
+  /**
+   * Déchiffrement d'en-tête par essais successifs (spec Signal, section 4)
+   * 
+   * Ordre : clés d'en-tête des chaînes ayant des clés sautées, HKr (chaîne
+   * courante), puis NHKr (le pair a fait un pas DH).
+   * 
+   * @returns {Promise<{header: Object, headerChainId: string}>}
+   */
+  async decryptHeader(encryptedHeader) {
+    const candidates = [];
+    const skippedChains = new Set(
+      Array.from(this.skippedMessageKeys.keys(), index => index.slice(0, index.lastIndexOf(':')))
+    );
+    skippedChains.forEach(chainId => candidates.push({ chainId, skipped: true }));
+    if (this.headerKeyReceiving) candidates.push({ chainId: bufferToHex(this.headerKeyReceiving) });
+    if (this.nextHeaderKeyReceiving) candidates.push({ chainId: bufferToHex(this.nextHeaderKeyReceiving) });
+
     const decoder = new TextDecoder();
-    const plaintext = decoder.decode(plaintextBytes);
+    for (const { chainId, skipped } of candidates) {
+      let header;
+      try {
+        const headerKey = await importHeaderKey(hexToBuffer(chainId));
+        const headerBytes = await decryptAESGCM(headerKey, encryptedHeader.ciphertext, encryptedHeader.iv);
+        header = JSON.parse(decoder.decode(headerBytes));
+      } catch {
+        continue;
+      }
 
-    this.receivedMessageNumbers.add(messageId);
-    this.messagesReceived++;
-    
-    if (sequenceNumber !== undefined) {
-      this.lastReceivedSequence = sequenceNumber;
+      // Bonne chaîne mais message non sauté : c'est la chaîne courante qui le traitera
+      if (skipped && !this.skippedMessageKeys.has(skippedKeyIndex(chainId, header.messageNumber))) {
+        continue;
+      }
+
+      return { header, headerChainId: chainId };
     }
 
-    if (this.autoSave) await this._autoSave();
-    return plaintext;
+    throw new Error('En-tête indéchiffrable : aucune clé d\'en-tête ne correspond');
+  }
+
+  // Identifiant de la chaîne de réception courante dans le cache des clés sautées
+  receivingChainId() {
+    return this.headerEncryption
+      ? bufferToHex(this.headerKeyReceiving)
+      : this.dhRemotePublicKeyId;
   }
 
   async needsDHRatchet(receivedDHKey) {
     if (!this.dhRemotePublicKey) return true;
-    const currentKey = await exportPublicKey(this.dhRemotePublicKey);
     const newKey = await exportPublicKey(receivedDHKey);
-    return JSON.stringify(currentKey) !== JSON.stringify(newKey);
-  }
-
-  async receiveDHRatchet(newRemotePublicKey) {
-    if (!this.receivingChain) {
-      const dhOutput = await performECDH(this.dhKeyPair.privateKey, newRemotePublicKey);
-      const encoder = new TextEncoder();
-      const derivedKeys = await hkdf(dhOutput, this.rootKey, encoder.encode('DoubleRatchet-ChainKeys'), 64);
-      
-      this.rootKey = derivedKeys.slice(0, 32);
-      this.receivingChain = new MessageChain(derivedKeys.slice(32, 64));
-      this.dhRemotePublicKey = newRemotePublicKey;
-      this.dhKeyPair = await generateECDHKeyPair();
-      await this.performDHRatchetStep();
-      return;
+    return ratchetKeyId(newKey) !== this.dhRemotePublicKeyId;
+  }
+
+  /**
+   * Pas DH à la réception d'une nouvelle clé de ratchet distante
+   * 
+   * Les clés restantes de l'ancienne chaîne de réception doivent avoir été
+   * mises de côté (skipMessageKeys(PN)) avant l'appel.
+   */
+  async receiveDHRatchet(newRemotePublicKey, remoteKeyId = null) {
+    this.previousSendingChainLength = this.sendingChain
+      ? this.sendingChain.getCurrentMessageNumber()
+      : 0;
+
+    if (this.dhRemotePublicKeyId) {
+      this.previousRemoteKeyIds.push(this.dhRemotePublicKeyId);
+      this.previousRemoteKeyIds.splice(0, this.previousRemoteKeyIds.length - this.maxPreviousRemoteKeys);
     }
-    
     this.dhRemotePublicKey = newRemotePublicKey;
+    this.dhRemotePublicKeyId = remoteKeyId || ratchetKeyId(await exportPublicKey(newRemotePublicKey));
+
+    if (this.headerEncryption) {
+      this.headerKeySending = this.nextHeaderKeySending;
+      this.headerKeyReceiving = this.nextHeaderKeyReceiving;
+    }
+
     const dhOutput = await performECDH(this.dhKeyPair.privateKey, this.dhRemotePublicKey);
     const encoder = new TextEncoder();
-    const derivedKeys = await hkdf(dhOutput, this.rootKey, encoder.encode('DoubleRatchet-ChainKeys'), 64);
+    const derivedKeys = await hkdf(dhOutput, this.rootKey, encoder.encode('DoubleRatchet-ChainKeys'), this.headerEncryption ? 96 : 64);
     
     this.rootKey = derivedKeys.slice(0, 32);
     this.receivingChain = new MessageChain(derivedKeys.slice(32, 64));
+    if (this.headerEncryption) {
+      this.nextHeaderKeyReceiving = derivedKeys.slice(64, 96);
+    }
     this.dhKeyPair = await generateECDHKeyPair();
     await this.performDHRatchetStep();
   }
 
-  async getMessageKey(messageNumber) {
-    if (!this.receivingChain) throw new Error('Receiving chain non initialisée');
+  /**
+   * Met de côté les clés de la chaîne de réception courante jusqu'à `until` (exclu)
+   */
+  async skipMessageKeys(until) {
+    if (!this.receivingChain) return;
+
     const currentNumber = this.receivingChain.getCurrentMessageNumber();
+    if (until - currentNumber > this.maxSkip) {
+      throw new Error(`Trop de messages sautés: ${until - currentNumber}`);
+    }
+
+    while (this.receivingChain.getCurrentMessageNumber() < until) {
+      const { messageKey, messageNumber } = await this.receivingChain.ratchetForward();
+      this.skippedMessageKeys.set(skippedKeyIndex(this.receivingChainId(), messageNumber), messageKey);
+    }
 
-    if (messageNumber < currentNumber) {
-      const cached = this.skippedMessageKeys.get(`${messageNumber}`);
-      if (!cached) throw new Error(`Message ${messageNumber} trop ancien`);
-      this.skippedMessageKeys.delete(`${messageNumber}`);
-      return cached;
+    // Borne mémoire : on oublie les clés sautées les plus anciennes
+    while (this.skippedMessageKeys.size > this.maxSkippedKeys) {
+      const oldest = this.skippedMessageKeys.keys().next().value;
+      this.skippedMessageKeys.delete(oldest);
     }
+  }
 
-    const skip = messageNumber - currentNumber;
-    if (skip > this.maxSkip) throw new Error(`Trop de messages sautés: ${skip}`);
+  async getMessageKey(messageNumber) {
+    if (!this.receivingChain) throw new Error('Receiving chain non initialisée');
 
-    for (let i = 0; i < skip; i++) {
-      const { messageKey, messageNumber: skippedNum } = await this.receivingChain.ratchetForward();
-      this.skippedMessageKeys.set(`${skippedNum}`, messageKey);
+    if (messageNumber < this.receivingChain.getCurrentMessageNumber()) {
+      throw replayError(`Message ${messageNumber} trop ancien`, 'message-number');
     }
 
+    await this.skipMessageKeys(messageNumber);
     const { messageKey } = await this.receivingChain.ratchetForward();
     return messageKey;
   }
@@ -581,12 +829,21 @@ export class DHRatchet {
       dhRemotePublicKey: this.dhRemotePublicKey ? await exportPublicKey(this.dhRemotePublicKey) : null,
       sendingChain: this.sendingChain ? this.sendingChain.export() : null,
       receivingChain: this.receivingChain ? this.receivingChain.export() : null,
+      previousSendingChainLength: this.previousSendingChainLength,
+      headerEncryption: this.headerEncryption,
+      headerKeys: this.headerEncryption ? {
+        sending: serializeKey(this.headerKeySending),
+        receiving: serializeKey(this.headerKeyReceiving),
+        nextSending: serializeKey(this.nextHeaderKeySending),
+        nextReceiving: serializeKey(this.nextHeaderKeyReceiving)
+      } : null,
       messagesSent: this.messagesSent,
       messagesReceived: this.messagesReceived,
       receivedMessageNumbers: Array.from(this.receivedMessageNumbers),
       skippedMessageKeys: Array.from(this.skippedMessageKeys.entries()).map(
         ([key, value]) => [key, Array.from(new Uint8Array(value))]
       ),
+      previousRemoteKeyIds: this.previousRemoteKeyIds,
       sendSequenceNumber: this.sendSequenceNumber,
       lastReceivedSequence: this.lastReceivedSequence
     };
@@ -594,7 +851,7 @@ export class DHRatchet {
 
   static async import(data) {
     const rootKey = new Uint8Array(data.rootKey).buffer;
-    const ratchet = new DHRatchet(rootKey, data.isInitiator);
+    const ratchet = new DHRatchet(rootKey, data.isInitiator, { headerEncryption: data.headerEncryption === true });
 
     if (data.dhKeyPair) {
       const publicKey = await importPublicKey(data.dhKeyPair.publicKey);
@@ -606,6 +863,7 @@ export class DHRatchet {
 
     if (data.dhRemotePublicKey) {
       ratchet.dhRemotePublicKey = await importPublicKey(data.dhRemotePublicKey);
+      ratchet.dhRemotePublicKeyId = ratchetKeyId(data.dhRemotePublicKey);
     }
 
     if (data.sendingChain) ratchet.sendingChain = MessageChain.import(data.sendingChain);
@@ -618,6 +876,15 @@ export class DHRatchet {
       data.skippedMessageKeys.map(([key, value]) => [key, new Uint8Array(value).buffer])
     );
 
+    if (data.headerKeys) {
+      ratchet.headerKeySending = deserializeKey(data.headerKeys.sending);
+      ratchet.headerKeyReceiving = deserializeKey(data.headerKeys.receiving);
+      ratchet.nextHeaderKeySending = deserializeKey(data.headerKeys.nextSending);
+      ratchet.nextHeaderKeyReceiving = deserializeKey(data.headerKeys.nextReceiving);
+    }
+
+    if (data.previousRemoteKeyIds) ratchet.previousRemoteKeyIds = [...data.previousRemoteKeyIds];
+    if (data.previousSendingChainLength !== undefined) ratchet.previousSendingChainLength = data.previousSendingChainLength;
     if (data.sendSequenceNumber !== undefined) ratchet.sendSequenceNumber = data.sendSequenceNumber;
     if (data.lastReceivedSequence !== undefined) ratchet.lastReceivedSequence = data.lastReceivedSequence;
 
@@ -0,0 +1,138 @@
+/**
+ * @jest-environment node
+ */
+import { DHRatchet } from './DHRatchet';
+import { generateECDHKeyPair } from './Primitives';
+
+const ratchets = [];
+
+async function createSession(options = {}) {
+  const sharedSecret = crypto.getRandomValues(new Uint8Array(32)).buffer;
+  const bobKeyPair = await generateECDHKeyPair();
+  const alice = new DHRatchet(sharedSecret.slice(0), true, { autoSave: false, ...options });
+  const bob = new DHRatchet(sharedSecret.slice(0), false, { autoSave: false, ...options });
+  await alice.initialize(await generateECDHKeyPair(), bobKeyPair.publicKey);
+  await bob.initialize(bobKeyPair, null);
+  ratchets.push(alice, bob);
+  return { alice, bob };
+}
+
+// Même en-tête, corps altéré : ce que peut fabriquer un relais sans les clés
+function forge(message) {
+  const ciphertext = new Uint8Array(message.ciphertext).slice();
+  ciphertext[0] ^= 0xff;
+  return { ...message, ciphertext: ciphertext.buffer };
+}
+
+const rootKeyHex = (ratchet) => Buffer.from(ratchet.rootKey).toString('hex');
+
+afterEach(() => {
+  ratchets.splice(0).forEach(ratchet => ratchet.replayProtection.destroy());
+});
+
+describe('DHRatchet', () => {
+  test('déchiffre les messages en retard, y compris d\'une époque DH passée', async () => {
+    const { alice, bob } = await createSession();
+    const a0 = await alice.encrypt('a0');
+    const a1 = await alice.encrypt('a1');
+    const a2 = await alice.encrypt('a2');
+
+    expect(await bob.decrypt(a2)).toBe('a2');
+    expect(await alice.decrypt(await bob.encrypt('b0'))).toBe('b0');
+    const a3 = await alice.encrypt('a3'); // nouvelle clé de ratchet
+    expect(await bob.decrypt(a3)).toBe('a3');
+
+    expect(await bob.decrypt(a0)).toBe('a0');
+    expect(await bob.decrypt(a1)).toBe('a1');
+    expect(bob.skippedMessageKeys.size).toBe(0);
+  });
+
+  test('refuse un message déjà déchiffré', async () => {
+    const { alice, bob } = await createSession();
+    const message = await alice.encrypt('une fois');
+    await bob.decrypt(message);
+
+    await expect(bob.decrypt(message)).rejects.toMatchObject({ replayCheck: 'nonce' });
+  });
+
+  test('remis par la boîte aux lettres 10 min après le dépôt : âge mesuré au dépôt, rejeu toujours refusé', async () => {
+    const { alice, bob } = await createSession();
+    const queuedAt = Date.now() - 10 * 60 * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(queuedAt);
+    const queued = await alice.encrypt('pendant votre absence');
+    Date.now.mockRestore();
+
+    await expect(bob.decrypt(queued)).rejects.toMatchObject({ replayCheck: 'age' });
+    expect(await bob.decrypt(queued, { receivedAt: queuedAt })).toBe('pendant votre absence');
+    await expect(bob.decrypt(queued, { receivedAt: queuedAt })).rejects.toMatchObject({ replayCheck: 'nonce' });
+  });
+
+  test('une copie falsifiée d\'un message en retard ne consomme pas sa clé sautée', async () => {
+    const { alice, bob } = await createSession();
+    const late = await alice.encrypt('en retard');
+    await bob.decrypt(await alice.encrypt('à l\'heure'));
+
+    await expect(bob.decrypt(forge(late))).rejects.toThrow('HMAC');
+    expect(await bob.decrypt(late)).toBe('en retard');
+
+    // La session continue dans les deux sens
+    expect(await alice.decrypt(await bob.encrypt('retour'))).toBe('retour');
+    expect(await bob.decrypt(await alice.encrypt('encore'))).toBe('encore');
+  });
+
+  test('un message falsifié ne fait avancer ni les chaînes ni la clé racine', async () => {
+    const { alice, bob } = await createSession();
+    await bob.decrypt(await alice.encrypt('premier'));
+    const before = rootKeyHex(bob);
+
+    const fakeRatchetKey = await crypto.subtle.exportKey('jwk', (await generateECDHKeyPair()).publicKey);
+    const genuine = await alice.encrypt('suivant');
+    await expect(bob.decrypt(forge({ ...genuine, dhPublicKey: fakeRatchetKey }))).rejects.toThrow('HMAC');
+    await expect(bob.decrypt(forge(genuine))).rejects.toThrow('HMAC');
+
+    expect(rootKeyHex(bob)).toBe(before);
+    expect(await bob.decrypt(genuine)).toBe('suivant');
+  });
+
+  test('refuse une clé de ratchet d\'une époque passée au lieu de refaire un pas DH', async () => {
+    const { alice, bob } = await createSession();
+    const old = await alice.encrypt('ancienne époque');
+    await bob.decrypt(old);
+    await alice.decrypt(await bob.encrypt('pas DH'));
+    await bob.decrypt(await alice.encrypt('nouvelle époque'));
+    const before = rootKeyHex(bob);
+
+    const replayed = await alice.encrypt('x');
+    await expect(bob.decrypt({ ...replayed, dhPublicKey: old.dhPublicKey, messageNumber: 5 }))
+      .rejects.toThrow('époque passée');
+    expect(rootKeyHex(bob)).toBe(before);
+    expect(await bob.decrypt(replayed)).toBe('x');
+  });
+
+  test('en-têtes chiffrés : même garantie tout ou rien', async () => {
+    const { alice, bob } = await createSession({ headerEncryption: true });
+    const late = await alice.encrypt('en retard');
+    await bob.decrypt(await alice.encrypt('à l\'heure'));
+
+    await expect(bob.decrypt(forge(late))).rejects.toThrow('HMAC');
+    expect(await bob.decrypt(late)).toBe('en retard');
+    expect(await alice.decrypt(await bob.encrypt('retour'))).toBe('retour');
+  });
+
+  test('en-têtes chiffrés : ni clé DH ni compteurs visibles par le relais, à travers les pas DH', async () => {
+    const { alice, bob } = await createSession({ headerEncryption: true });
+    const first = await alice.encrypt('un');
+
+    expect(Object.keys(first).sort()).toEqual(['ciphertext', 'encryptedHeader', 'iv', 'mac']);
+    expect(await bob.decrypt(first)).toBe('un');
+    expect(await alice.decrypt(await bob.encrypt('deux'))).toBe('deux');
+    expect(await bob.decrypt(await alice.encrypt('trois'))).toBe('trois');
+  });
+
+  test('en-têtes chiffrés : un message à en-tête clair est refusé', async () => {
+    const { bob } = await createSession({ headerEncryption: true });
+    const { alice: plainAlice } = await createSession();
+
+    await expect(bob.decrypt(await plainAlice.encrypt('clair'))).rejects.toThrow('En-tête en clair refusé');
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Preuve de possession de la clé d'identité (reconnexion au relais)
+ *
+ * La clé d'identité est une clé ECDH P-256 : elle ne signe pas, on prouve
+ * donc sa possession par un échange Diffie-Hellman.
+ * - le serveur tire une clé éphémère et un nonce (défi à usage unique)
+ * - le client calcule ECDH(identité, éphémère du serveur) et renvoie
+ *   HMAC(secret dérivé, contexte || room || nom || nonce)
+ * - le serveur refait ECDH(éphémère, identité liée au compte) et compare
+ *
+ * Le défi est lié à la room et au nom : une preuve ne se rejoue nulle part ailleurs.
+ * Partagé par le serveur (server.js) et MultiUserSimulation.
+ */
+
+import {
+  generateECDHKeyPair,
+  performECDH,
+  exportPublicKey,
+  importPublicKey,
+  deriveHMACKey,
+  computeHMAC,
+  verifyHMAC,
+  randomBytes
+} from './Primitives.js';
+
+const PROOF_CONTEXT = 'SecureChat-identity-proof-v1';
+const NONCE_LENGTH = 32;
+
+const toHex = (bytes) => Array.from(new Uint8Array(bytes)).map(b => b.toString(16).padStart(2, '0')).join('');
+
+function proofInput({ nonce, roomId, username }) {
+  return new TextEncoder().encode(`${PROOF_CONTEXT}|${roomId}|${username}|${nonce}`);
+}
+
+async function proofKey(privateKey, publicKey) {
+  return deriveHMACKey(await performECDH(privateKey, publicKey), PROOF_CONTEXT);
+}
+
+/**
+ * Nouveau défi (côté serveur)
+ *
+ * @returns {Promise<{challenge: {nonce: string, serverKey: JsonWebKey}, ephemeralPrivateKey: CryptoKey}>}
+ */
+export async function createIdentityChallenge() {
+  const keyPair = await generateECDHKeyPair();
+  return {
+    challenge: {
+      nonce: toHex(randomBytes(NONCE_LENGTH)),
+      serverKey: await exportPublicKey(keyPair.publicKey)
+    },
+    ephemeralPrivateKey: keyPair.privateKey
+  };
+}
+
+/**
+ * Réponse au défi (côté client)
+ *
+ * @param {CryptoKey} identityPrivateKey - Clé d'identité ECDH
+ * @param {Object} challenge - { nonce, serverKey }
+ * @param {Object} binding - { roomId, username }
+ * @returns {Promise<string>} Preuve en hex
+ */
+export async function proveIdentity(identityPrivateKey, challenge, { roomId, username }) {
+  const key = await proofKey(identityPrivateKey, await importPublicKey(challenge.serverKey));
+  return toHex(await computeHMAC(key, proofInput({ nonce: challenge.nonce, roomId, username })));
+}
+
+/**
+ * Vérification (côté serveur)
+ *
+ * @param {CryptoKey} ephemeralPrivateKey - Clé éphémère du défi
+ * @param {JsonWebKey} identityKey - Clé d'identité liée au compte
+ * @param {Object} challenge - Défi émis
+ * @param {Object} binding - { roomId, username }
+ * @param {string} proof - Preuve reçue (hex)
+ * @returns {Promise<boolean>}
+ */
+export async function verifyIdentityProof(ephemeralPrivateKey, identityKey, challenge, { roomId, username }, proof) {
+  if (typeof proof !== 'string' || !/^[0-9a-f]{64}$/.test(proof)) return false;
+
+  const key = await proofKey(ephemeralPrivateKey, await importPublicKey(identityKey));
+  const mac = Uint8Array.from(proof.match(/.{2}/g), byte => parseInt(byte, 16));
+  return verifyHMAC(key, proofInput({ nonce: challenge.nonce, roomId, username }), mac);
+}
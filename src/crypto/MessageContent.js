@@ -0,0 +1,66 @@
+/**
+ * Contenu des messages pairwise (chiffré par le Double Ratchet, puis scellé)
+ *
+ * Le type de contenu voyage DANS le chiffré : pour le relais, un accusé de
+ * réception est une enveloppe scellée comme une autre. Il ne sait ni qui a lu
+ * quoi, ni même qu'il s'agit d'un accusé.
+ *
+ * - texte : { contentType: 'text', body }
+ * - accusé : { contentType: 'receipt', receiptType: 'delivered' | 'read', messageIds }
+ *
+ * Un clair qui n'est pas un contenu typé (ancien client) est lu comme du texte.
+ */
+
+export const CONTENT_TEXT = 'text';
+export const CONTENT_RECEIPT = 'receipt';
+
+export const RECEIPT_DELIVERED = 'delivered';
+export const RECEIPT_READ = 'read';
+export const RECEIPT_TYPES = [RECEIPT_DELIVERED, RECEIPT_READ];
+
+const MAX_RECEIPT_IDS = 100;
+
+export function encodeTextContent(body) {
+  return JSON.stringify({ contentType: CONTENT_TEXT, body });
+}
+
+/**
+ * @param {string} receiptType - RECEIPT_DELIVERED ou RECEIPT_READ
+ * @param {string[]} messageIds - Identifiants (relais) des messages concernés
+ * @returns {string}
+ */
+export function encodeReceiptContent(receiptType, messageIds) {
+  if (!RECEIPT_TYPES.includes(receiptType)) {
+    throw new Error(`Type d'accusé inconnu : ${receiptType}`);
+  }
+  if (!Array.isArray(messageIds) || messageIds.length === 0 || messageIds.length > MAX_RECEIPT_IDS) {
+    throw new Error(`Accusé : entre 1 et ${MAX_RECEIPT_IDS} messages attendus`);
+  }
+  return JSON.stringify({ contentType: CONTENT_RECEIPT, receiptType, messageIds });
+}
+
+/**
+ * @param {string} plaintext - Clair sorti du ratchet
+ * @returns {{contentType: string, body?: string, receiptType?: string, messageIds?: string[]}}
+ */
+export function decodeContent(plaintext) {
+  let content;
+  try {
+    content = JSON.parse(plaintext);
+  } catch (error) {
+    return { contentType: CONTENT_TEXT, body: plaintext };
+  }
+
+  if (content?.contentType === CONTENT_TEXT && typeof content.body === 'string') {
+    return { contentType: CONTENT_TEXT, body: content.body };
+  }
+  if (content?.contentType === CONTENT_RECEIPT) {
+    const { receiptType, messageIds } = content;
+    if (!RECEIPT_TYPES.includes(receiptType) || !Array.isArray(messageIds)
+      || !messageIds.every(id => typeof id === 'string')) {
+      throw new Error('Accusé de réception mal formé');
+    }
+    return { contentType: CONTENT_RECEIPT, receiptType, messageIds: messageIds.slice(0, MAX_RECEIPT_IDS) };
+  }
+  return { contentType: CONTENT_TEXT, body: plaintext };
+}
@@ -0,0 +1,38 @@
+/**
+ * @jest-environment node
+ */
+import {
+  CONTENT_TEXT,
+  CONTENT_RECEIPT,
+  RECEIPT_READ,
+  encodeTextContent,
+  encodeReceiptContent,
+  decodeContent
+} from './MessageContent';
+
+describe('MessageContent', () => {
+  test('texte et accusés : aller-retour typé', () => {
+    expect(decodeContent(encodeTextContent('bonjour'))).toEqual({ contentType: CONTENT_TEXT, body: 'bonjour' });
+    expect(decodeContent(encodeReceiptContent(RECEIPT_READ, ['m1', 'm2'])))
+      .toEqual({ contentType: CONTENT_RECEIPT, receiptType: RECEIPT_READ, messageIds: ['m1', 'm2'] });
+  });
+
+  test('un clair d\'ancien client est lu comme du texte, même s\'il ressemble à du JSON', () => {
+    expect(decodeContent('salut')).toEqual({ contentType: CONTENT_TEXT, body: 'salut' });
+    expect(decodeContent('{"a":1}')).toEqual({ contentType: CONTENT_TEXT, body: '{"a":1}' });
+  });
+
+  test('accusés mal formés refusés, à l\'envoi comme à la réception', () => {
+    expect(() => encodeReceiptContent('vu', ['m1'])).toThrow('Type d\'accusé inconnu');
+    expect(() => encodeReceiptContent(RECEIPT_READ, [])).toThrow('entre 1 et 100');
+    expect(() => decodeContent(JSON.stringify({ contentType: CONTENT_RECEIPT, receiptType: RECEIPT_READ, messageIds: [1] })))
+      .toThrow('Accusé de réception mal formé');
+  });
+
+  test('accusé reçu : au plus 100 identifiants retenus', () => {
+    const messageIds = Array.from({ length: 150 }, (_, i) => `m${i}`);
+    const decoded = decodeContent(JSON.stringify({ contentType: CONTENT_RECEIPT, receiptType: RECEIPT_READ, messageIds }));
+
+    expect(decoded.messageIds).toHaveLength(100);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Cycle de vie des prekeys X3DH
+ *
+ * Un bundle généré une fois pour toutes s'épuise : sans OPK, X3DH retombe
+ * sur 3 DH seulement (forward secrecy plus faible pour le message initial),
+ * et une SPK jamais renouvelée expose toutes les sessions futures si elle fuit.
+ *
+ * Ce gestionnaire applique la politique recommandée par Signal:
+ * - Rotation de la SPK à intervalle régulier
+ * - Fenêtre de grâce : l'ancienne SPK privée reste utilisable pour les
+ *   messages initiaux calculés avant la rotation, puis est supprimée
+ * - Réapprovisionnement des OPK sous un seuil, avec des IDs jamais réutilisés
+ * - Persistance dans le store IndexedDB `x3dhBundles` (StorageManager)
+ */
+
+import { X3DHKeyBundle } from './X3DH.js';
+
+const DEFAULT_OPTIONS = {
+  rotationInterval: 7 * 24 * 60 * 60 * 1000, // Nouvelle SPK chaque semaine
+  gracePeriod: 14 * 24 * 60 * 60 * 1000,     // Ancienne SPK conservée 2 semaines
+  minOneTimePreKeys: 10,                      // Seuil de réapprovisionnement
+  oneTimePreKeyBatch: 20                      // Taille d'un lot d'OPK
+};
+
+export class PreKeyManager {
+  /**
+   * @param {string} userId - Identifiant du propriétaire (clé du store x3dhBundles)
+   * @param {Object} options - Politique de rotation (voir DEFAULT_OPTIONS)
+   * @param {StorageManager|null} options.storage - Stockage IndexedDB (optionnel)
+   */
+  constructor(userId, options = {}) {
+    this.userId = userId;
+    this.storage = options.storage || null;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.bundle = null;
+  }
+
+  /**
+   * Charge le bundle persisté ou en génère un nouveau
+   *
+   * @returns {Promise<X3DHKeyBundle>}
+   */
+  async initialize() {
+    if (this.storage) {
+      try {
+        const saved = await this.storage.loadX3DHBundle(this.userId);
+        if (saved) {
+          this.bundle = await X3DHKeyBundle.import(saved);
+        }
+      } catch (error) {
+        console.error('⚠️ Bundle X3DH persisté illisible, régénération:', error);
+      }
+    }
+
+    if (!this.bundle) {
+      this.bundle = await new X3DHKeyBundle().generate(this.options.oneTimePreKeyBatch);
+      await this.save();
+    }
+
+    return this.bundle;
+  }
+
+  /**
+   * Indique si la SPK courante a dépassé son intervalle de rotation
+   */
+  needsRotation(now = Date.now()) {
+    return now - this.bundle.signedPreKeyCreatedAt >= this.options.rotationInterval;
+  }
+
+  /**
+   * Passe de maintenance : rotation, purge des SPK expirées, réapprovisionnement
+   *
+   * @returns {Promise<{signedPreKey: Object|null, prunedSignedPreKeyIds: number[], oneTimePreKeys: Array}>}
+   *          Éléments publics à (re)publier sur le serveur
+   */
+  async maintain(now = Date.now()) {
+    this.ensureInitialized();
+
+    const signedPreKey = this.needsRotation(now)
+      ? await this.bundle.rotateSignedPreKey()
+      : null;
+
+    const prunedSignedPreKeyIds = this.bundle.pruneSignedPreKeys(this.options.gracePeriod, now);
+
+    const oneTimePreKeys = this.bundle.oneTimePreKeys.length < this.options.minOneTimePreKeys
+      ? await this.bundle.generateOneTimePreKeys(this.options.oneTimePreKeyBatch)
+      : [];
+
+    if (signedPreKey || prunedSignedPreKeyIds.length > 0 || oneTimePreKeys.length > 0) {
+      await this.save();
+    }
+
+    return { signedPreKey, prunedSignedPreKeyIds, oneTimePreKeys };
+  }
+
+  /**
+   * Ajoute un lot d'OPK (ex: alerte "stock bas" du serveur)
+   *
+   * @param {number} count - Nombre d'OPK (défaut: taille de lot configurée)
+   * @returns {Promise<Array<{id: number, publicKey: Object}>>}
+   */
+  async replenishOneTimePreKeys(count = this.options.oneTimePreKeyBatch) {
+    this.ensureInitialized();
+
+    const oneTimePreKeys = await this.bundle.generateOneTimePreKeys(count);
+    await this.save();
+    return oneTimePreKeys;
+  }
+
+  /**
+   * Persiste l'état courant (à appeler aussi après consommation d'une OPK)
+   */
+  async save() {
+    if (!this.storage || !this.bundle) return;
+
+    try {
+      await this.storage.saveX3DHBundle(this.userId, await this.bundle.export());
+    } catch (error) {
+      console.error('⚠️ Erreur sauvegarde bundle X3DH:', error);
+    }
+  }
+
+  ensureInitialized() {
+    if (!this.bundle) {
+      throw new Error('PreKeyManager pas initialisé');
+    }
+  }
+}
+
+export default PreKeyManager;
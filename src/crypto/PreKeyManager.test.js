@@ -0,0 +1,66 @@
+/**
+ * @jest-environment node
+ */
+import { PreKeyManager } from './PreKeyManager';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Store x3dhBundles en mémoire, même interface que StorageManager
+class MemoryBundleStorage {
+  constructor() {
+    this.bundles = new Map();
+  }
+
+  async loadX3DHBundle(userId) {
+    return this.bundles.get(userId) ?? null;
+  }
+
+  async saveX3DHBundle(userId, data) {
+    this.bundles.set(userId, data);
+  }
+}
+
+describe('PreKeyManager', () => {
+  test('rotation de la SPK après l\'intervalle, ancienne SPK purgée après la grâce', async () => {
+    const manager = new PreKeyManager('bob', { rotationInterval: 7 * DAY, gracePeriod: 14 * DAY, oneTimePreKeyBatch: 0, minOneTimePreKeys: 0 });
+    const bundle = await manager.initialize();
+    const firstId = bundle.signedPreKeyId;
+    const createdAt = bundle.signedPreKeyCreatedAt;
+
+    expect((await manager.maintain(createdAt + DAY)).signedPreKey).toBeNull();
+
+    const { signedPreKey } = await manager.maintain(createdAt + 7 * DAY);
+    expect(signedPreKey.id).not.toBe(firstId);
+    expect(bundle.getSignedPreKeyPair(firstId)).not.toBeNull();
+
+    const retiredAt = bundle.previousSignedPreKeys[0].retiredAt;
+    const { prunedSignedPreKeyIds } = await manager.maintain(retiredAt + 14 * DAY + 1);
+    expect(prunedSignedPreKeyIds).toEqual([firstId]);
+  });
+
+  test('réapprovisionnement des OPK sous le seuil, sans réutiliser d\'identifiant', async () => {
+    const manager = new PreKeyManager('bob', { minOneTimePreKeys: 3, oneTimePreKeyBatch: 4 });
+    const bundle = await manager.initialize();
+    const firstIds = bundle.oneTimePreKeys.map(opk => opk.id);
+
+    firstIds.slice(0, 2).forEach(id => bundle.consumeOneTimePreKey(id));
+    const { oneTimePreKeys } = await manager.maintain();
+
+    expect(oneTimePreKeys).toHaveLength(4);
+    expect(oneTimePreKeys.some(opk => firstIds.includes(opk.id))).toBe(false);
+    expect((await manager.maintain()).oneTimePreKeys).toEqual([]);
+  });
+
+  test('le bundle persisté est rechargé au lieu d\'être régénéré', async () => {
+    const storage = new MemoryBundleStorage();
+    const first = await new PreKeyManager('bob', { storage, oneTimePreKeyBatch: 2 }).initialize();
+    const restored = await new PreKeyManager('bob', { storage }).initialize();
+
+    expect(restored.signedPreKeyId).toBe(first.signedPreKeyId);
+    expect(restored.oneTimePreKeys.map(opk => opk.id)).toEqual(first.oneTimePreKeys.map(opk => opk.id));
+  });
+
+  test('maintenance avant initialisation : erreur explicite', async () => {
+    await expect(new PreKeyManager('bob').maintain()).rejects.toThrow('pas initialisé');
+  });
+});
@@ -1,4 +1,22 @@
 
+/**
+ * Vérifications anti-rejeu, dans l'ordre où elles sont appliquées
+ */
+export const REPLAY_CHECKS = ['nonce', 'age', 'future', 'message-number'];
+
+/**
+ * Erreur de rejeu typée : `replayCheck` indique la vérification qui a bloqué
+ * le message (une des REPLAY_CHECKS), pour pouvoir la signaler
+ *
+ * @param {string} message
+ * @param {string} replayCheck
+ * @returns {Error}
+ */
+export function replayError(message, replayCheck) {
+  const error = new Error(message);
+  error.replayCheck = replayCheck;
+  return error;
+}
 
 export class ReplayProtection {
   /**
@@ -33,9 +51,14 @@ export class ReplayProtection {
    * 
    * @param {ArrayBuffer} nonce - Nonce unique du message
    * @param {number} timestamp - Timestamp du message
+   * @param {Object} [options]
+   * @param {boolean} [options.record=true] - false : vérifier seulement, le nonce sera
+   *   enregistré par recordMessage() une fois le message authentifié
+   * @param {number} [options.receivedAt=Date.now()] - Instant de réception servant à mesurer
+   *   l'âge ; pour un message remis par la boîte aux lettres, l'heure de dépôt au relais
    * @throws {Error} Si rejeu détecté ou message trop ancien
    */
-  async validateMessage(nonce, timestamp) {
+  async validateMessage(nonce, timestamp, { record = true, receivedAt = Date.now() } = {}) {
     // Convertir le nonce en string pour le Set
     const nonceStr = this.bufferToHex(nonce);
     
@@ -43,35 +66,46 @@ export class ReplayProtection {
     if (this.receivedNonces.has(nonceStr)) {
       this.stats.messagesRejected++;
       this.stats.replayDetected++;
-      throw new Error(
-        `🚨 REPLAY ATTACK DETECTED! Nonce ${nonceStr.substring(0, 16)}... already used`
+      throw replayError(
+        `🚨 REPLAY ATTACK DETECTED! Nonce ${nonceStr.substring(0, 16)}... already used`,
+        'nonce'
       );
     }
     
     // 2. Vérifier la fraîcheur du message
-    const messageAge = Date.now() - timestamp;
+    const messageAge = receivedAt - timestamp;
     if (messageAge > this.maxNonceAge) {
       this.stats.messagesRejected++;
       this.stats.tooOldDetected++;
-      throw new Error(
-        `⏰ Message too old: ${Math.floor(messageAge / 1000)}s (max: ${Math.floor(this.maxNonceAge / 1000)}s)`
+      throw replayError(
+        `⏰ Message too old: ${Math.floor(messageAge / 1000)}s (max: ${Math.floor(this.maxNonceAge / 1000)}s)`,
+        'age'
       );
     }
     
     // 3. Vérifier que le timestamp n'est pas dans le futur
     if (messageAge < -30000) { // Tolérance de 30s pour décalage d'horloge
       this.stats.messagesRejected++;
-      throw new Error(
-        `⏰ Message timestamp is in the future (clock skew?)`
+      throw replayError(
+        `⏰ Message timestamp is in the future (clock skew?)`,
+        'future'
       );
     }
     
     // 4. Enregistrer le nonce
+    if (record) this.recordMessage(nonce, timestamp);
+    
+    return true;
+  }
+
+  /**
+   * Enregistre le nonce d'un message accepté
+   */
+  recordMessage(nonce, timestamp) {
+    const nonceStr = this.bufferToHex(nonce);
     this.receivedNonces.add(nonceStr);
     this.nonceTimestamps.set(nonceStr, timestamp);
     this.stats.messagesAccepted++;
-    
-    return true;
   }
 
   /**
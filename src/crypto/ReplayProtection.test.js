@@ -0,0 +1,61 @@
+/**
+ * @jest-environment node
+ */
+import { ReplayProtection } from './ReplayProtection';
+
+const nonce = () => crypto.getRandomValues(new Uint8Array(16)).buffer;
+
+// Vérification qui a bloqué le message, telle que signalée au relais
+async function blockedBy(protection, ...args) {
+  try {
+    await protection.validateMessage(...args);
+    return null;
+  } catch (error) {
+    return error.replayCheck;
+  }
+}
+
+describe('ReplayProtection', () => {
+  let protection;
+
+  beforeEach(() => {
+    protection = new ReplayProtection(5 * 60 * 1000);
+  });
+
+  afterEach(() => protection.destroy());
+
+  test('un message réinjecté par le relais est bloqué par son nonce', async () => {
+    const replayed = nonce();
+
+    expect(await blockedBy(protection, replayed, Date.now())).toBeNull();
+    expect(await blockedBy(protection, replayed, Date.now())).toBe('nonce');
+    expect(protection.getStats()).toMatchObject({ messagesAccepted: 1, replayDetected: 1 });
+  });
+
+  test('messages trop anciens ou datés du futur : vérification nommée', async () => {
+    expect(await blockedBy(protection, nonce(), Date.now() - 6 * 60 * 1000)).toBe('age');
+    expect(await blockedBy(protection, nonce(), Date.now() + 60 * 1000)).toBe('future');
+  });
+
+  test('sans enregistrement, le nonce reste libre jusqu\'à recordMessage', async () => {
+    const pending = nonce();
+    const timestamp = Date.now();
+
+    await protection.validateMessage(pending, timestamp, { record: false });
+    expect(await blockedBy(protection, pending, timestamp, { record: false })).toBeNull();
+
+    protection.recordMessage(pending, timestamp);
+    expect(await blockedBy(protection, pending, timestamp)).toBe('nonce');
+  });
+
+  test('le nettoyage oublie les nonces expirés seulement', async () => {
+    const old = nonce();
+    const recent = nonce();
+    protection.recordMessage(old, Date.now() - 10 * 60 * 1000);
+    protection.recordMessage(recent, Date.now());
+
+    protection.cleanupOldNonces();
+    expect(protection.getStats().activeNonces).toBe(1);
+    expect(await blockedBy(protection, recent, Date.now())).toBe('nonce');
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Safety numbers - Vérification hors bande des identités (modèle Signal)
+ *
+ * Le serveur distribue les clés d'identité : rien n'empêche un serveur
+ * malveillant de substituer la sienne. Les deux correspondants calculent donc
+ * un numéro dérivé de LEURS DEUX clés d'identité et le comparent par un canal
+ * indépendant (à voix haute, ou en scannant le QR code de l'autre).
+ *
+ * - Empreinte d'un membre : SHA-512 itéré 5200 fois sur (version, clé, identifiant)
+ * - Numéro affiché : 30 chiffres par membre, concaténés dans l'ordre croissant
+ *   (les deux côtés voient le même numéro de 60 chiffres)
+ * - Charge utile QR : nos deux empreintes de 32 octets, vue locale puis distante
+ */
+
+import { constantTimeEqual } from './Primitives.js';
+
+const FINGERPRINT_VERSION = 0;
+const FINGERPRINT_ITERATIONS = 5200;
+const QR_PAYLOAD_PREFIX = 'SAFETY-NUMBER:v1:';
+
+function base64UrlToBytes(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+const bytesToBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+
+/**
+ * Encodage canonique d'une clé d'identité P-256 (point non compressé 0x04 || x || y)
+ *
+ * @param {JsonWebKey} identityKey
+ * @returns {Uint8Array}
+ */
+export function encodeIdentityKey(identityKey) {
+  if (identityKey?.kty !== 'EC' || identityKey.crv !== 'P-256' || !identityKey.x || !identityKey.y) {
+    throw new Error('Clé d\'identité invalide (P-256 JWK attendue)');
+  }
+
+  const x = base64UrlToBytes(identityKey.x);
+  const y = base64UrlToBytes(identityKey.y);
+  const encoded = new Uint8Array(1 + x.length + y.length);
+  encoded[0] = 0x04;
+  encoded.set(x, 1);
+  encoded.set(y, 1 + x.length);
+  return encoded;
+}
+
+/**
+ * Empreinte itérée d'un membre (coûteuse à dessein : une collision partielle
+ * sur les 30 chiffres affichés demande autant de calculs par essai)
+ */
+async function computeFingerprint(identityKey, stableId) {
+  const key = encodeIdentityKey(identityKey);
+  const id = new TextEncoder().encode(stableId);
+
+  let hash = new Uint8Array(2 + key.length + id.length);
+  hash[1] = FINGERPRINT_VERSION;
+  hash.set(key, 2);
+  hash.set(id, 2 + key.length);
+
+  for (let i = 0; i < FINGERPRINT_ITERATIONS; i++) {
+    const input = new Uint8Array(hash.length + key.length);
+    input.set(hash, 0);
+    input.set(key, hash.length);
+    hash = new Uint8Array(await crypto.subtle.digest('SHA-512', input));
+  }
+
+  return hash.slice(0, 32);
+}
+
+/**
+ * 30 chiffres : 6 blocs de 5 octets, chacun réduit modulo 100000
+ */
+function fingerprintDigits(fingerprint) {
+  let digits = '';
+  for (let offset = 0; offset < 30; offset += 5) {
+    let chunk = 0;
+    for (let i = 0; i < 5; i++) {
+      chunk = chunk * 256 + fingerprint[offset + i];
+    }
+    digits += String(chunk % 100000).padStart(5, '0');
+  }
+  return digits;
+}
+
+/**
+ * Safety number entre nous et un contact
+ *
+ * @param {{id: string, identityKey: JsonWebKey}} local
+ * @param {{id: string, identityKey: JsonWebKey}} remote
+ * @returns {Promise<{digits: string, groups: string[], qrPayload: string}>}
+ */
+export async function computeSafetyNumber(local, remote) {
+  const localFingerprint = await computeFingerprint(local.identityKey, local.id);
+  const remoteFingerprint = await computeFingerprint(remote.identityKey, remote.id);
+
+  const localDigits = fingerprintDigits(localFingerprint);
+  const remoteDigits = fingerprintDigits(remoteFingerprint);
+  const digits = localDigits < remoteDigits
+    ? localDigits + remoteDigits
+    : remoteDigits + localDigits;
+
+  return {
+    digits,
+    groups: digits.match(/.{5}/g),
+    qrPayload: QR_PAYLOAD_PREFIX + bytesToBase64(localFingerprint) + ':' + bytesToBase64(remoteFingerprint)
+  };
+}
+
+/**
+ * Compare la charge utile QR scannée chez le contact avec la nôtre
+ *
+ * Sa vue locale doit être notre vue distante, et inversement.
+ *
+ * @param {string} ownPayload - Notre qrPayload
+ * @param {string} scannedPayload - qrPayload affiché par le contact
+ * @returns {boolean}
+ */
+export function verifyScannedPayload(ownPayload, scannedPayload) {
+  const parse = (payload) => {
+    const trimmed = payload.trim();
+    if (!trimmed.startsWith(QR_PAYLOAD_PREFIX)) {
+      throw new Error('QR code de safety number invalide ou d\'une autre version');
+    }
+    const parts = trimmed.slice(QR_PAYLOAD_PREFIX.length).split(':');
+    if (parts.length !== 2) {
+      throw new Error('QR code de safety number invalide');
+    }
+    return parts.map(part => Uint8Array.from(atob(part), c => c.charCodeAt(0)));
+  };
+
+  const [ownLocal, ownRemote] = parse(ownPayload);
+  const [scannedLocal, scannedRemote] = parse(scannedPayload);
+
+  const localMatches = constantTimeEqual(ownLocal.buffer, scannedRemote.buffer);
+  const remoteMatches = constantTimeEqual(ownRemote.buffer, scannedLocal.buffer);
+  return localMatches && remoteMatches;
+}
@@ -0,0 +1,49 @@
+/**
+ * @jest-environment node
+ */
+import { computeSafetyNumber, verifyScannedPayload, encodeIdentityKey } from './SafetyNumber';
+import { generateECDHKeyPair, exportPublicKey } from './Primitives';
+
+const identity = async (id) => ({ id, identityKey: await exportPublicKey((await generateECDHKeyPair()).publicKey) });
+
+describe('Safety numbers', () => {
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    alice = await identity('alice');
+    bob = await identity('bob');
+  });
+
+  test('les deux côtés affichent le même numéro de 60 chiffres', async () => {
+    const seenByAlice = await computeSafetyNumber(alice, bob);
+    const seenByBob = await computeSafetyNumber(bob, alice);
+
+    expect(seenByAlice.digits).toMatch(/^\d{60}$/);
+    expect(seenByAlice.groups).toHaveLength(12);
+    expect(seenByBob.digits).toBe(seenByAlice.digits);
+  });
+
+  test('une clé substituée par le relais change le numéro', async () => {
+    const substituted = { id: 'bob', identityKey: (await identity('relais')).identityKey };
+
+    expect((await computeSafetyNumber(alice, substituted)).digits)
+      .not.toBe((await computeSafetyNumber(alice, bob)).digits);
+  });
+
+  test('le QR scanné chez le contact correspond, celui d\'une autre paire non', async () => {
+    const seenByAlice = await computeSafetyNumber(alice, bob);
+    const seenByBob = await computeSafetyNumber(bob, alice);
+    const seenByMallory = await computeSafetyNumber(await identity('mallory'), alice);
+
+    expect(verifyScannedPayload(seenByAlice.qrPayload, seenByBob.qrPayload)).toBe(true);
+    expect(verifyScannedPayload(seenByAlice.qrPayload, seenByAlice.qrPayload)).toBe(false);
+    expect(verifyScannedPayload(seenByAlice.qrPayload, seenByMallory.qrPayload)).toBe(false);
+    expect(() => verifyScannedPayload(seenByAlice.qrPayload, 'bonjour')).toThrow('QR code');
+  });
+
+  test('seule une clé P-256 est acceptée', () => {
+    expect(() => encodeIdentityKey({ kty: 'OKP', crv: 'Ed25519', x: 'AA' })).toThrow('P-256');
+    expect(encodeIdentityKey(alice.identityKey)[0]).toBe(0x04);
+  });
+});
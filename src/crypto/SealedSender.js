@@ -1,4 +1,4 @@
-import { SenderCertificate } from './SenderCertificate';
+import { SenderCertificate } from './SenderCertificate.js';
 
 /**
  * Sealed Sender - Masque l'identité de l'expéditeur
@@ -9,60 +9,33 @@ export class SealedSenderEncryptor {
    * Scelle un message avec chiffrement hybride
    */
   static async seal(message, senderCertificate, senderIdentityKey, recipientPublicKey) {
-  console.log("🔍 DEBUG seal() - Début");
-  console.log("  message:", message);
-  console.log("  senderCertificate:", senderCertificate);
-  console.log("  senderIdentityKey:", senderIdentityKey);
-  console.log("  senderIdentityKey type:", typeof senderIdentityKey);
-  console.log("  recipientPublicKey:", recipientPublicKey);
-
-  try {
     // 1. Créer l'enveloppe avec toutes les métadonnées
-    console.log("📝 Étape 1: Création enveloppe...");
-    
-    console.log("  Export de senderIdentityKey...");
     const exportedKey = await crypto.subtle.exportKey("jwk", senderIdentityKey);
-    console.log("  ✅ Export réussi");
-    
     const envelope = {
       version: 1,
       certificate: senderCertificate,
       senderIdentity: exportedKey,
       message: message
     };
-
-    console.log("📝 Étape 2: JSON.stringify...");
-    const envelopeJson = JSON.stringify(envelope);
-    console.log("  Taille JSON:", envelopeJson.length, "bytes");
-    
-    const envelopeBytes = new TextEncoder().encode(envelopeJson);
+    const envelopeBytes = new TextEncoder().encode(JSON.stringify(envelope));
 
     // 2. Générer une clé AES-256 aléatoire
-    console.log("🔑 Étape 3: Génération clé AES...");
     const aesKey = await crypto.subtle.generateKey(
       { name: "AES-GCM", length: 256 },
       true,
       ["encrypt", "decrypt"]
     );
-    console.log("  ✅ Clé AES générée");
 
     // 3. Chiffrer l'enveloppe avec AES-GCM
-    console.log("🔒 Étape 4: Chiffrement AES...");
     const iv = crypto.getRandomValues(new Uint8Array(12));
     const encryptedEnvelope = await crypto.subtle.encrypt(
       { name: "AES-GCM", iv },
       aesKey,
       envelopeBytes
     );
-    console.log("  ✅ Enveloppe chiffrée");
 
-    // 4. Exporter la clé AES en raw bytes
-    console.log("📤 Étape 5: Export clé AES...");
+    // 4. Chiffrer la clé AES avec la clé RSA-OAEP du destinataire
     const aesKeyRaw = await crypto.subtle.exportKey("raw", aesKey);
-    console.log("  ✅ Clé AES exportée");
-
-    // 5. Chiffrer la clé AES avec RSA-OAEP
-    console.log("🔐 Étape 6: Import clé RSA destinataire...");
     const recipientKey = await crypto.subtle.importKey(
       "jwk",
       recipientPublicKey,
@@ -70,18 +43,13 @@ export class SealedSenderEncryptor {
       true,
       ["encrypt"]
     );
-    console.log("  ✅ Clé RSA importée");
-
-    console.log("🔒 Étape 7: Chiffrement RSA de la clé AES...");
     const encryptedAESKey = await crypto.subtle.encrypt(
       { name: "RSA-OAEP" },
       recipientKey,
       aesKeyRaw
     );
-    console.log("  ✅ Clé AES chiffrée avec RSA");
 
-    // 6. Retourner le message scellé
-    console.log("✅ seal() terminé avec succès");
+    // 5. Retourner le message scellé
     return {
       version: 1,
       recipientId: extractRecipientId(recipientPublicKey),
@@ -89,19 +57,19 @@ export class SealedSenderEncryptor {
       iv: Array.from(iv),
       encryptedEnvelope: Array.from(new Uint8Array(encryptedEnvelope))
     };
-    
-  } catch (error) {
-    console.error("❌❌❌ ERREUR dans seal():", error);
-    console.error("  Message:", error.message);
-    console.error("  Stack:", error.stack);
-    throw error;
   }
-}
 
   /**
    * Descelle un message
+   *
+   * @param {Object} sealedMessage
+   * @param {CryptoKey} recipientPrivateKey - Clé RSA-OAEP du destinataire
+   * @param {JsonWebKey|Function} serverPublicKey - Clé de la CA, ou résolveur
+   *   async (keyId du certificat) => JWK de la racine correspondante
+   * @param {Object} [options]
+   * @param {Object} [options.revocations] - CRL vérifiée : certificats révoqués refusés
    */
-  static async unseal(sealedMessage, recipientPrivateKey, serverPublicKey) {
+  static async unseal(sealedMessage, recipientPrivateKey, serverPublicKey, { revocations = null } = {}) {
     // 1. Déchiffrer la clé AES avec RSA-OAEP
     const aesKeyRaw = await crypto.subtle.decrypt(
       { name: "RSA-OAEP" },
@@ -128,21 +96,30 @@ export class SealedSenderEncryptor {
     const envelopeJson = new TextDecoder().decode(envelopeBytes);
     const envelope = JSON.parse(envelopeJson);
 
-    // 4. Vérifier le certificat de l'expéditeur
+    // 4. Vérifier le certificat de l'expéditeur (avec la racine de son keyId)
+    const { keyId } = SenderCertificate.decode(envelope.certificate);
+    const serverKeyJWK = typeof serverPublicKey === "function"
+      ? await serverPublicKey(keyId)
+      : serverPublicKey;
+    if (!serverKeyJWK) {
+      throw new Error(`Certificat signé par une clé CA inconnue (keyId ${keyId})`);
+    }
+
     const serverPubKey = await crypto.subtle.importKey(
       "jwk",
-      serverPublicKey,
+      serverKeyJWK,
       { name: "ECDSA", namedCurve: "P-256" },
       true,
       ["verify"]
     );
 
-    await SenderCertificate.verify(envelope.certificate, serverPubKey);
+    const senderCertificate = await SenderCertificate.verify(envelope.certificate, serverPubKey, revocations);
 
-    // 5. Retourner le message et l'identité révélée
+    // 5. Retourner le message et l'identité révélée (champs lus dans les octets signés)
     return {
-      senderId: envelope.certificate.userId,
+      senderId: senderCertificate.userId,
       senderIdentity: envelope.senderIdentity,
+      senderCertificate,
       message: envelope.message
     };
   }
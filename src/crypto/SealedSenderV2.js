@@ -23,6 +23,7 @@
  */
 
 import sodium from './sodium.js';
+import { decodeCertificate, parseSignedCertificate, verifyCertificateSignature } from './CertificateCodec.js';
 
 /**
  * Enveloppe scellée contenant l'identité de l'expéditeur
@@ -75,6 +76,28 @@ class SealedEnvelope {
   }
 }
 
+const EPHEMERAL_KEY_SIZE = 32;
+const NONCE_SIZE = 24;                          // XChaCha20-Poly1305
+const WRAPPED_KEY_SIZE = NONCE_SIZE + 32 + 16;  // nonce || clé de message || tag
+
+/**
+ * Clé d'enveloppement d'un destinataire (multi-destinataires) : liée à la clé
+ * éphémère et à la clé du destinataire, une tranche ne peut pas être rejouée
+ * pour un autre membre
+ */
+function deriveWrappingKey(privateKey, publicKey, ephemeralPublicKey, recipientPublicKey) {
+  const sharedSecret = sodium.deriveSharedSecret(privateKey, publicKey);
+  const info = new Uint8Array([
+    ...sodium.sodium.from_string('SealedSender-v2-multi-recipient'),
+    ...ephemeralPublicKey,
+    ...recipientPublicKey
+  ]);
+  // hkdf() tronque `info` à 8 octets (contexte crypto_kdf) : on veut tout le lien
+  const wrappingKey = sodium.hkdfManual(sharedSecret, new Uint8Array(32), info, 32);
+  sodium.secureZero(sharedSecret);
+  return wrappingKey;
+}
+
 /**
  * Gestionnaire de Sealed Sender moderne
  */
@@ -221,6 +244,156 @@ export class SealedSenderV2 {
     }
   }
 
+  /**
+   * Vérifie le certificat révélé par unseal (encodage canonique + signature CA,
+   * voir CertificateCodec.js : serializeSignedCertificate)
+   *
+   * @param {Uint8Array} senderCertificate - Certificat signé sérialisé
+   * @param {CryptoKey} serverPublicKey - Clé ECDSA P-256 de la CA
+   * @returns {Promise<Object>} Champs du certificat (senderUuid, deviceId, senderName, identityKey...)
+   */
+  static async verifySenderCertificate(senderCertificate, serverPublicKey) {
+    const { encoded, signature } = parseSignedCertificate(senderCertificate);
+    const fields = decodeCertificate(encoded);
+
+    if (fields.expiresAt < Date.now()) {
+      throw new Error('Certificat expéditeur expiré');
+    }
+    if (!await verifyCertificateSignature(encoded, signature, serverPublicKey)) {
+      throw new Error('Signature du certificat expéditeur invalide');
+    }
+
+    return fields;
+  }
+
+  /**
+   * Scelle UN message pour plusieurs destinataires (fan-out de groupe)
+   *
+   * L'enveloppe n'est chiffrée qu'une fois, avec une clé de message aléatoire.
+   * Seule cette clé (32 octets) est enveloppée pour chaque destinataire, avec
+   * une clé dérivée de ECDH(éphémère, destinataire). Le relais découpe ensuite
+   * une tranche par destinataire (sliceMultiRecipient) sans apprendre
+   * l'expéditeur, comme les messages multi-destinataires de Signal.
+   *
+   * @param {Uint8Array} senderCertificate - Certificat de l'expéditeur
+   * @param {Uint8Array} encryptedMessage - Message déjà chiffré (ex. Sender Keys)
+   * @param {Array<{id: string, publicKey: Uint8Array}>} recipients - Clés Curve25519 des destinataires
+   * @returns {Promise<{ephemeralPublicKey: Uint8Array, payload: Uint8Array,
+   *   recipients: Array<{id: string, wrappedKey: Uint8Array}>}>}
+   *
+   * Formats:
+   * - payload: [nonce(24) || XChaCha20(enveloppe, clé_message, AD = ephemeral_pk)]
+   * - wrappedKey: [nonce(24) || XChaCha20(clé_message, clé_dérivée, AD = ephemeral_pk || recipient_pk)]
+   */
+  static async sealMultiRecipient(senderCertificate, encryptedMessage, recipients) {
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      throw new Error('Au moins un destinataire requis');
+    }
+    for (const { publicKey } of recipients) {
+      if (!(publicKey instanceof Uint8Array) || publicKey.length !== 32) {
+        throw new Error('Clé publique destinataire invalide');
+      }
+    }
+
+    const ephemeralKeyPair = sodium.generateKeyPairCurve25519();
+    const messageKey = sodium.randomBytes(32);
+
+    try {
+      const envelopeBytes = new SealedEnvelope(senderCertificate, encryptedMessage).serialize();
+      const { ciphertext, nonce } = sodium.encrypt(envelopeBytes, messageKey, ephemeralKeyPair.publicKey);
+
+      const wrapped = recipients.map(({ id, publicKey }) => {
+        const wrappingKey = deriveWrappingKey(ephemeralKeyPair.privateKey, publicKey, ephemeralKeyPair.publicKey, publicKey);
+        const ad = new Uint8Array([...ephemeralKeyPair.publicKey, ...publicKey]);
+        const { ciphertext: wrappedKey, nonce: wrapNonce } = sodium.encrypt(messageKey, wrappingKey, ad);
+        sodium.secureZero(wrappingKey);
+        return { id, wrappedKey: new Uint8Array([...wrapNonce, ...wrappedKey]) };
+      });
+
+      return {
+        ephemeralPublicKey: ephemeralKeyPair.publicKey,
+        payload: new Uint8Array([...nonce, ...ciphertext]),
+        recipients: wrapped
+      };
+    } catch (error) {
+      throw new Error(`Échec scellement multi-destinataires: ${error.message}`);
+    } finally {
+      sodium.secureZero(ephemeralKeyPair.privateKey);
+      sodium.secureZero(messageKey);
+    }
+  }
+
+  /**
+   * Tranche d'un message multi-destinataires remise à un seul destinataire
+   * (côté relais : simple concaténation, aucune clé nécessaire)
+   *
+   * Format: [ephemeral_pk(32) || wrappedKey(72) || payload]
+   */
+  static sliceMultiRecipient(ephemeralPublicKey, wrappedKey, payload) {
+    if (ephemeralPublicKey.length !== EPHEMERAL_KEY_SIZE || wrappedKey.length !== WRAPPED_KEY_SIZE) {
+      throw new Error('Message multi-destinataires corrompu');
+    }
+    return new Uint8Array([...ephemeralPublicKey, ...wrappedKey, ...payload]);
+  }
+
+  /**
+   * Descelle une tranche produite par sliceMultiRecipient
+   *
+   * @param {Uint8Array} slice
+   * @param {Uint8Array} recipientPrivateKey - Clé privée Curve25519 du destinataire
+   * @returns {Promise<{envelope: SealedEnvelope, senderCertificate: Uint8Array, encryptedMessage: Uint8Array}>}
+   */
+  static async unsealMultiRecipient(slice, recipientPrivateKey) {
+    try {
+      if (!(recipientPrivateKey instanceof Uint8Array) || recipientPrivateKey.length !== 32) {
+        throw new Error('Clé privée destinataire invalide');
+      }
+      if (slice.length < EPHEMERAL_KEY_SIZE + WRAPPED_KEY_SIZE + NONCE_SIZE) {
+        throw new Error('Message scellé trop court');
+      }
+
+      const ephemeralPublicKey = slice.slice(0, EPHEMERAL_KEY_SIZE);
+      const wrappedKey = slice.slice(EPHEMERAL_KEY_SIZE, EPHEMERAL_KEY_SIZE + WRAPPED_KEY_SIZE);
+      const payload = slice.slice(EPHEMERAL_KEY_SIZE + WRAPPED_KEY_SIZE);
+      const recipientPublicKey = sodium.sodium.crypto_scalarmult_base(recipientPrivateKey);
+
+      // 1. Récupérer la clé de message enveloppée pour nous
+      const wrappingKey = deriveWrappingKey(recipientPrivateKey, ephemeralPublicKey, ephemeralPublicKey, recipientPublicKey);
+      let messageKey;
+      try {
+        messageKey = sodium.decrypt(
+          wrappedKey.slice(NONCE_SIZE),
+          wrappedKey.slice(0, NONCE_SIZE),
+          wrappingKey,
+          new Uint8Array([...ephemeralPublicKey, ...recipientPublicKey])
+        );
+      } catch (error) {
+        throw new Error('Échec déchiffrement: tranche destinée à une autre clé');
+      } finally {
+        sodium.secureZero(wrappingKey);
+      }
+
+      // 2. Déchiffrer l'enveloppe commune
+      let envelopeBytes;
+      try {
+        envelopeBytes = sodium.decrypt(payload.slice(NONCE_SIZE), payload.slice(0, NONCE_SIZE), messageKey, ephemeralPublicKey);
+      } catch (error) {
+        throw new Error('Échec déchiffrement: MAC invalide ou clé incorrecte');
+      } finally {
+        sodium.secureZero(messageKey);
+      }
+
+      const envelope = SealedEnvelope.deserialize(envelopeBytes);
+      return {
+        envelope,
+        senderCertificate: envelope.senderCertificate,
+        encryptedMessage: envelope.encryptedMessage
+      };
+    } catch (error) {
+      throw new Error(`Échec descellement: ${error.message}`);
+    }
+  }
+
   /**
    * Calcule la taille overhead du scellement
    * 
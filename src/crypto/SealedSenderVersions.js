@@ -0,0 +1,195 @@
+/**
+ * Versions de Sealed Sender utilisées dans la room
+ *
+ * - V1 : hybride RSA-OAEP + AES-GCM (SealedSender.js), enveloppe JSON
+ * - V2 : Curve25519 éphémère + HKDF + XChaCha20-Poly1305 (SealedSenderV2.js),
+ *   enveloppe binaire { version: 2, sealed: number[] }
+ *
+ * Multi-destinataires (groupe, V2 seulement) : l'enveloppe est chiffrée une
+ * fois et le relais en découpe une tranche par membre,
+ * { version: 2, multiRecipient: true, sealed: number[] }.
+ *
+ * Négociation : chaque membre annonce au join les versions qu'il sait ouvrir
+ * (`sealedVersions`) et, pour la V2, sa clé publique de scellement Curve25519
+ * (`sealingKey`). Un client qui n'annonce rien est un ancien client : il ne
+ * reçoit que du V1. Le relais ne voit que le numéro de version, jamais
+ * l'expéditeur.
+ *
+ * Partagé par MultiUserSimulation et le relais MITM (server/mitm.js).
+ */
+
+import sodium from './sodium.js';
+import { SealedSenderEncryptor } from './SealedSender.js';
+import { SealedSenderV2 } from './SealedSenderV2.js';
+import { SenderCertificate } from './SenderCertificate.js';
+import { serializeSignedCertificate, parseSignedCertificate } from './CertificateCodec.js';
+
+export const SEALED_SENDER_V1 = 1;
+export const SEALED_SENDER_V2 = 2;
+export const SUPPORTED_SEALED_VERSIONS = [SEALED_SENDER_V1, SEALED_SENDER_V2];
+
+/**
+ * Version à utiliser pour `recipient` compte tenu de la préférence locale
+ *
+ * @param {number} preferred - Version choisie par l'expéditeur
+ * @param {Object} recipient - Fiche du destinataire (sealedVersions, sealingKey)
+ * @returns {number}
+ */
+export function negotiateSealedVersion(preferred, recipient) {
+  const acceptsV2 = Array.isArray(recipient?.sealedVersions)
+    && recipient.sealedVersions.includes(SEALED_SENDER_V2)
+    && recipient.sealingKey?.length === 32;
+  return preferred === SEALED_SENDER_V2 && acceptsV2 ? SEALED_SENDER_V2 : SEALED_SENDER_V1;
+}
+
+/**
+ * Le destinataire peut-il recevoir une tranche multi-destinataires ?
+ */
+export function acceptsMultiRecipient(recipient) {
+  return negotiateSealedVersion(SEALED_SENDER_V2, recipient) === SEALED_SENDER_V2;
+}
+
+/**
+ * Taille de l'enveloppe telle qu'elle transite par le relais (JSON)
+ */
+export function sealedEnvelopeSize(sealedMessage) {
+  return new TextEncoder().encode(JSON.stringify(sealedMessage)).length;
+}
+
+/**
+ * Scelle `message` pour `recipient` dans la version demandée
+ *
+ * @param {number} version
+ * @param {Object} params
+ * @param {Uint8Array|number[]} params.message - Message déjà chiffré (Double Ratchet)
+ * @param {Object} params.certificate - Certificat transporté ({ version, encoded, signature })
+ * @param {CryptoKey} params.senderIdentityKey - Clé d'identité publique (V1 uniquement)
+ * @param {Object} params.recipient - Fiche du destinataire (publicKey RSA, sealingKey)
+ * @returns {Promise<Object>} Enveloppe scellée, champ `version` compris
+ */
+export async function sealEnvelope(version, { message, certificate, senderIdentityKey, recipient }) {
+  if (version === SEALED_SENDER_V1) {
+    return SealedSenderEncryptor.seal(Array.from(message), certificate, senderIdentityKey, recipient.publicKey);
+  }
+  if (version !== SEALED_SENDER_V2) {
+    throw new Error(`Version de Sealed Sender non prise en charge : ${version}`);
+  }
+
+  await sodium.initialize();
+  const sealed = await SealedSenderV2.seal(
+    serializeSignedCertificate(new Uint8Array(certificate.encoded), new Uint8Array(certificate.signature)),
+    new Uint8Array(message),
+    new Uint8Array(recipient.sealingKey)
+  );
+  return { version: SEALED_SENDER_V2, sealed: Array.from(sealed) };
+}
+
+/**
+ * Scelle `message` une seule fois pour tous les `recipients` (V2)
+ *
+ * @param {Object} params
+ * @param {Uint8Array|number[]} params.message - Message déjà chiffré (ex. Sender Keys)
+ * @param {Object} params.certificate - Certificat transporté ({ version, encoded, signature })
+ * @param {Array<Object>} params.recipients - Fiches des destinataires (username, sealingKey)
+ * @returns {Promise<Object>} { version, ephemeralKey, payload, recipients: [{ to, wrappedKey }] }
+ */
+export async function sealMultiRecipientEnvelope({ message, certificate, recipients }) {
+  const unsupported = recipients.filter(recipient => !acceptsMultiRecipient(recipient));
+  if (unsupported.length > 0) {
+    throw new Error(`Scellement multi-destinataires non pris en charge par : ${unsupported.map(r => r.username).join(', ')}`);
+  }
+
+  await sodium.initialize();
+  const sealed = await SealedSenderV2.sealMultiRecipient(
+    serializeSignedCertificate(new Uint8Array(certificate.encoded), new Uint8Array(certificate.signature)),
+    new Uint8Array(message),
+    recipients.map(recipient => ({ id: recipient.username, publicKey: new Uint8Array(recipient.sealingKey) }))
+  );
+  return {
+    version: SEALED_SENDER_V2,
+    ephemeralKey: Array.from(sealed.ephemeralPublicKey),
+    payload: Array.from(sealed.payload),
+    recipients: sealed.recipients.map(({ id, wrappedKey }) => ({ to: id, wrappedKey: Array.from(wrappedKey) }))
+  };
+}
+
+/**
+ * Tranche du message multi-destinataires remise à `to` (côté relais)
+ *
+ * @returns {Object} Enveloppe ouvrable par unsealEnvelope
+ */
+export function sliceMultiRecipientEnvelope(multiSealed, to) {
+  if (multiSealed?.version !== SEALED_SENDER_V2) {
+    throw new Error(`Version multi-destinataires non prise en charge : ${multiSealed?.version}`);
+  }
+  const entry = multiSealed.recipients?.find(recipient => recipient.to === to);
+  if (!entry) throw new Error(`Aucune clé enveloppée pour ${to}`);
+
+  const sealed = SealedSenderV2.sliceMultiRecipient(
+    new Uint8Array(multiSealed.ephemeralKey),
+    new Uint8Array(entry.wrappedKey),
+    new Uint8Array(multiSealed.payload)
+  );
+  return { version: SEALED_SENDER_V2, multiRecipient: true, sealed: Array.from(sealed) };
+}
+
+/**
+ * Ouvre une enveloppe V1 ou V2 et vérifie le certificat révélé
+ *
+ * @param {Object} sealedMessage
+ * @param {Object} keys
+ * @param {CryptoKey} [keys.rsaPrivateKey] - Clé RSA-OAEP (V1)
+ * @param {Uint8Array} [keys.sealingPrivateKey] - Clé Curve25519 (V2)
+ * @param {Function} keys.resolveTrustRoot - async keyId => JWK de la racine CA
+ * @param {Object} [keys.revocations] - CRL vérifiée
+ * @returns {Promise<{version: number, multiRecipient: boolean, senderId: string, senderCertificate: Object, message: Uint8Array}>}
+ */
+export async function unsealEnvelope(sealedMessage, { rsaPrivateKey, sealingPrivateKey, resolveTrustRoot, revocations = null }) {
+  const version = sealedMessage?.version ?? SEALED_SENDER_V1;
+
+  if (version === SEALED_SENDER_V1) {
+    if (!rsaPrivateKey) throw new Error('Clé RSA de descellement (V1) manquante');
+    const unsealed = await SealedSenderEncryptor.unseal(sealedMessage, rsaPrivateKey, resolveTrustRoot, { revocations });
+    return {
+      version,
+      multiRecipient: false,
+      senderId: unsealed.senderId,
+      senderCertificate: unsealed.senderCertificate,
+      message: new Uint8Array(unsealed.message)
+    };
+  }
+  if (version !== SEALED_SENDER_V2) {
+    throw new Error(`Version de Sealed Sender non prise en charge : ${version}`);
+  }
+  if (!sealingPrivateKey) throw new Error('Clé Curve25519 de descellement (V2) manquante');
+
+  await sodium.initialize();
+  const unsealed = sealedMessage.multiRecipient
+    ? await SealedSenderV2.unsealMultiRecipient(new Uint8Array(sealedMessage.sealed), sealingPrivateKey)
+    : await SealedSenderV2.unseal(new Uint8Array(sealedMessage.sealed), sealingPrivateKey);
+
+  // Même vérification qu'en V1 : racine du keyId, expiration, révocation, signature
+  const { encoded, signature } = parseSignedCertificate(unsealed.senderCertificate);
+  const certificate = SenderCertificate.wrap(encoded, signature);
+  const { keyId } = SenderCertificate.decode(certificate);
+  const serverKeyJWK = await resolveTrustRoot(keyId);
+  if (!serverKeyJWK) {
+    throw new Error(`Certificat signé par une clé CA inconnue (keyId ${keyId})`);
+  }
+  const serverPublicKey = await crypto.subtle.importKey(
+    'jwk',
+    serverKeyJWK,
+    { name: 'ECDSA', namedCurve: 'P-256' },
+    true,
+    ['verify']
+  );
+  const senderCertificate = await SenderCertificate.verify(certificate, serverPublicKey, revocations);
+
+  return {
+    version,
+    multiRecipient: !!sealedMessage.multiRecipient,
+    senderId: senderCertificate.userId,
+    senderCertificate,
+    message: unsealed.encryptedMessage
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * @jest-environment node
+ */
+import {
+  SEALED_SENDER_V1,
+  SEALED_SENDER_V2,
+  negotiateSealedVersion,
+  sealEnvelope,
+  unsealEnvelope,
+  sealMultiRecipientEnvelope,
+  sliceMultiRecipientEnvelope
+} from './SealedSenderVersions';
+import { CertificateAuthority } from './SenderCertificate';
+import { generateECDHKeyPair } from './Primitives';
+import sodium from './sodium';
+
+const message = new Uint8Array([1, 2, 3, 4]);
+
+describe('Sealed Sender V1 / V2', () => {
+  let ca;
+  let alice;
+  let certificate;
+  let bob;
+  const resolveTrustRoot = async (keyId) => (keyId === ca.keyId ? ca.getPublicKey() : null);
+
+  beforeAll(async () => {
+    await sodium.initialize();
+    ca = new CertificateAuthority();
+    await ca.initialize();
+    alice = await generateECDHKeyPair();
+    certificate = await ca.issueCertificate('alice', alice.publicKey);
+
+    const rsa = await crypto.subtle.generateKey(
+      { name: 'RSA-OAEP', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+      true,
+      ['encrypt', 'decrypt']
+    );
+    const sealing = sodium.generateKeyPairCurve25519();
+    bob = {
+      card: {
+        username: 'bob',
+        publicKey: await crypto.subtle.exportKey('jwk', rsa.publicKey),
+        sealingKey: Array.from(sealing.publicKey),
+        sealedVersions: [SEALED_SENDER_V1, SEALED_SENDER_V2]
+      },
+      keys: { rsaPrivateKey: rsa.privateKey, sealingPrivateKey: sealing.privateKey, resolveTrustRoot }
+    };
+  });
+
+  test('négociation : V2 seulement si le destinataire l\'annonce avec une clé de scellement', () => {
+    expect(negotiateSealedVersion(SEALED_SENDER_V2, bob.card)).toBe(SEALED_SENDER_V2);
+    expect(negotiateSealedVersion(SEALED_SENDER_V1, bob.card)).toBe(SEALED_SENDER_V1);
+    expect(negotiateSealedVersion(SEALED_SENDER_V2, { ...bob.card, sealedVersions: undefined })).toBe(SEALED_SENDER_V1);
+    expect(negotiateSealedVersion(SEALED_SENDER_V2, { ...bob.card, sealingKey: null })).toBe(SEALED_SENDER_V1);
+  });
+
+  test.each([SEALED_SENDER_V1, SEALED_SENDER_V2])('V%i : le relais ne voit que la version, le destinataire retrouve l\'expéditeur', async (version) => {
+    const sealed = await sealEnvelope(version, { message, certificate, senderIdentityKey: alice.publicKey, recipient: bob.card });
+
+    expect(sealed.version).toBe(version);
+    expect(JSON.stringify(sealed)).not.toContain('alice');
+
+    const unsealed = await unsealEnvelope(sealed, bob.keys);
+    expect(unsealed.senderId).toBe('alice');
+    expect(Array.from(unsealed.message)).toEqual(Array.from(message));
+  });
+
+  test('V2 : enveloppe altérée ou certificat d\'une CA inconnue refusés', async () => {
+    const sealed = await sealEnvelope(SEALED_SENDER_V2, { message, certificate, recipient: bob.card });
+    const tampered = { ...sealed, sealed: [...sealed.sealed] };
+    tampered.sealed[tampered.sealed.length - 1] ^= 1;
+
+    await expect(unsealEnvelope(tampered, bob.keys)).rejects.toThrow();
+    await expect(unsealEnvelope(sealed, { ...bob.keys, resolveTrustRoot: async () => null }))
+      .rejects.toThrow('clé CA inconnue');
+  });
+
+  test('version inconnue refusée', async () => {
+    await expect(sealEnvelope(3, { message, certificate, recipient: bob.card })).rejects.toThrow('non prise en charge');
+    await expect(unsealEnvelope({ version: 3 }, bob.keys)).rejects.toThrow('non prise en charge');
+  });
+
+  describe('multi-destinataires', () => {
+    let carol;
+
+    beforeAll(() => {
+      const sealing = sodium.generateKeyPairCurve25519();
+      carol = {
+        card: { username: 'carol', sealingKey: Array.from(sealing.publicKey), sealedVersions: [SEALED_SENDER_V1, SEALED_SENDER_V2] },
+        keys: { sealingPrivateKey: sealing.privateKey, resolveTrustRoot }
+      };
+    });
+
+    test('un seul chiffré, une tranche par membre découpée par le relais', async () => {
+      const multiSealed = await sealMultiRecipientEnvelope({ message, certificate, recipients: [bob.card, carol.card] });
+
+      expect(multiSealed.recipients.map(r => r.to)).toEqual(['bob', 'carol']);
+      for (const member of [bob, carol]) {
+        const unsealed = await unsealEnvelope(sliceMultiRecipientEnvelope(multiSealed, member.card.username), member.keys);
+        expect(unsealed).toMatchObject({ multiRecipient: true, senderId: 'alice' });
+        expect(Array.from(unsealed.message)).toEqual(Array.from(message));
+      }
+    });
+
+    test('la tranche d\'un membre ne s\'ouvre pas avec la clé d\'un autre', async () => {
+      const multiSealed = await sealMultiRecipientEnvelope({ message, certificate, recipients: [bob.card, carol.card] });
+
+      await expect(unsealEnvelope(sliceMultiRecipientEnvelope(multiSealed, 'bob'), carol.keys)).rejects.toThrow();
+      expect(() => sliceMultiRecipientEnvelope(multiSealed, 'mallory')).toThrow('Aucune clé enveloppée pour mallory');
+    });
+
+    test('un membre resté en V1 empêche le scellement groupé', async () => {
+      const legacy = { ...carol.card, sealedVersions: undefined };
+
+      await expect(sealMultiRecipientEnvelope({ message, certificate, recipients: [bob.card, legacy] }))
+        .rejects.toThrow('non pris en charge par : carol');
+    });
+  });
+});
@@ -1,13 +1,32 @@
 /**
  * Gestion des certificats expéditeur pour Sealed Sender
  * Un certificat prouve qu'un utilisateur est légitime sans révéler son identité
+ *
+ * Sur le fil : { version, encoded, signature }, où `encoded` est l'encodage
+ * canonique de CertificateCodec.js et `signature` la signature CA de ces octets.
+ * Les champs ne se lisent qu'en décodant `encoded` : rien d'autre n'est signé.
  */
 
+import {
+  CERTIFICATE_VERSION,
+  computeKeyId,
+  encodeCertificate,
+  decodeCertificate,
+  signCertificate,
+  verifyCertificateSignature,
+  encodeRevocationList
+} from './CertificateCodec.js';
+
+const DEFAULT_DEVICE_ID = 1;
+
 export class SenderCertificate {
-  constructor(userId, senderKey, serverSigningKey) {
+  constructor(userId, senderKey, serverSigningKey, { senderUuid = crypto.randomUUID(), deviceId = DEFAULT_DEVICE_ID, keyId } = {}) {
     this.userId = userId;
     this.senderKey = senderKey; // Clé publique de l'expéditeur
     this.serverSigningKey = serverSigningKey;
+    this.senderUuid = senderUuid;
+    this.deviceId = deviceId;
+    this.keyId = keyId;
     this.signature = null;
     this.validUntil = null;
   }
@@ -16,67 +35,160 @@ export class SenderCertificate {
    * Génère un certificat signé par le serveur
    */
   async generate(validityDays = 7) {
-    // Date d'expiration
-    this.validUntil = new Date();
-    this.validUntil.setDate(this.validUntil.getDate() + validityDays);
-
-    // Données du certificat
-    const certData = {
-      userId: this.userId,
-      senderKey: await crypto.subtle.exportKey("jwk", this.senderKey),
-      validUntil: this.validUntil.toISOString()
-    };
-
-    const certBytes = new TextEncoder().encode(JSON.stringify(certData));
+    const issuedAt = Date.now();
+    this.validUntil = new Date(issuedAt + validityDays * 24 * 60 * 60 * 1000);
+
+    const encoded = encodeCertificate({
+      senderUuid: this.senderUuid,
+      deviceId: this.deviceId,
+      senderName: this.userId,
+      identityKey: await crypto.subtle.exportKey("jwk", this.senderKey),
+      issuedAt,
+      expiresAt: this.validUntil.getTime(),
+      keyId: this.keyId
+    });
 
     // Signature par le serveur
-    this.signature = await crypto.subtle.sign(
-      { name: "ECDSA", hash: "SHA-256" },
-      this.serverSigningKey.privateKey,
-      certBytes
-    );
+    this.signature = await signCertificate(encoded, this.serverSigningKey.privateKey);
+    return SenderCertificate.wrap(encoded, this.signature);
+  }
 
+  /**
+   * Forme transportée (JSON) d'un certificat encodé et signé
+   */
+  static wrap(encoded, signature) {
     return {
-      ...certData,
-      signature: Array.from(new Uint8Array(this.signature))
+      version: CERTIFICATE_VERSION,
+      encoded: Array.from(encoded),
+      signature: Array.from(signature)
     };
   }
 
   /**
-   * Vérifie la validité d'un certificat
+   * Champs d'un certificat, SANS vérification (affichage, choix de la racine)
+   *
+   * @returns {{version: number, senderUuid: string, deviceId: number, userId: string,
+   *   senderKey: JsonWebKey, issuedAt: string, validUntil: string, keyId: string}}
    */
-  static async verify(certificate, serverPublicKey) {
-    // Vérifier l'expiration
-    const validUntil = new Date(certificate.validUntil);
-    if (validUntil < new Date()) {
-      throw new Error("Certificate expired");
+  static decode(certificate) {
+    if (!certificate?.encoded) {
+      throw new Error("Certificate format not supported");
     }
 
-    // Reconstituer les données originales
-    const certData = {
-      userId: certificate.userId,
-      senderKey: certificate.senderKey,
-      validUntil: certificate.validUntil
+    const fields = decodeCertificate(new Uint8Array(certificate.encoded));
+    return {
+      version: fields.version,
+      senderUuid: fields.senderUuid,
+      deviceId: fields.deviceId,
+      userId: fields.senderName,
+      senderKey: fields.identityKey,
+      issuedAt: new Date(fields.issuedAt).toISOString(),
+      validUntil: new Date(fields.expiresAt).toISOString(),
+      keyId: fields.keyId
     };
+  }
+
+  /**
+   * Vérifie la validité d'un certificat
+   *
+   * @param {Object} certificate
+   * @param {CryptoKey} serverPublicKey
+   * @param {Object|null} revocations - CRL déjà vérifiée (voir verifyRevocationList)
+   * @returns {Promise<Object>} champs vérifiés (voir decode)
+   */
+  static async verify(certificate, serverPublicKey, revocations = null) {
+    const fields = SenderCertificate.decode(certificate);
 
-    const certBytes = new TextEncoder().encode(JSON.stringify(certData));
+    // Vérifier l'expiration (y compris un certificat gardé en cache par l'expéditeur)
+    if (new Date(fields.validUntil) < new Date()) {
+      throw new Error("Certificate expired");
+    }
 
-    // Vérifier la signature
-    const isValid = await crypto.subtle.verify(
-      { name: "ECDSA", hash: "SHA-256" },
-      serverPublicKey,
-      new Uint8Array(certificate.signature),
-      certBytes
-    );
+    if (revocations && isCertificateRevoked(revocations, fields)) {
+      throw new Error("Certificate revoked");
+    }
 
+    // Vérifier la signature des octets canoniques
+    const isValid = await verifyCertificateSignature(certificate.encoded, certificate.signature, serverPublicKey);
     if (!isValid) {
       throw new Error("Invalid certificate signature");
     }
 
-    return true;
+    return fields;
   }
 }
 
+/**
+ * Clé publique (JWK) de la racine de confiance qui a signé un certificat
+ *
+ * @param {{activeKeyId: string, keys: Array<{keyId: string, publicKey: JsonWebKey}>}} trustRoots
+ * @param {string} keyId - keyId porté par le certificat
+ * @returns {JsonWebKey|null}
+ */
+export function findTrustRoot(trustRoots, keyId) {
+  if (!keyId) return null;
+  return trustRoots?.keys?.find(key => key.keyId === keyId)?.publicKey || null;
+}
+
+/**
+ * Vérifie la signature d'une liste de révocation publiée par la CA
+ *
+ * Une liste signée mais plus ancienne que celle déjà adoptée est refusée : le
+ * relais ne peut pas rejouer une CRL d'avant une révocation.
+ *
+ * @param {{issuedAt: number, entries: Object[], keyId: string, signature: number[]}} crl
+ * @param {Function} resolveKey - async keyId => JWK de la racine de confiance
+ * @param {Object} [options]
+ * @param {Object} [options.current] - CRL vérifiée déjà adoptée
+ * @returns {Promise<Object>} la CRL, une fois vérifiée
+ */
+export async function verifyRevocationList(crl, resolveKey, { current = null } = {}) {
+  const keyJWK = await resolveKey(crl.keyId);
+  if (!keyJWK) {
+    throw new Error(`Revocation list signed by an unknown CA key (${crl.keyId})`);
+  }
+
+  const key = await crypto.subtle.importKey(
+    "jwk",
+    keyJWK,
+    { name: "ECDSA", namedCurve: "P-256" },
+    true,
+    ["verify"]
+  );
+  const crlBytes = encodeRevocationList(crl);
+  const isValid = await crypto.subtle.verify(
+    { name: "ECDSA", hash: "SHA-256" },
+    key,
+    new Uint8Array(crl.signature),
+    crlBytes
+  );
+
+  if (!isValid) {
+    throw new Error("Invalid revocation list signature");
+  }
+  if (current && crl.issuedAt < current.issuedAt) {
+    throw new Error("Revocation list older than the one already adopted (rollback)");
+  }
+  return crl;
+}
+
+/**
+ * Certificat visé par une entrée de la CRL : clé d'identité déclarée compromise,
+ * ou émis avant la révocation
+ *
+ * @param {Object} revocations - CRL vérifiée
+ * @param {Object} certificate - Champs décodés (SenderCertificate.decode)
+ */
+export function isCertificateRevoked(revocations, certificate) {
+  const issuedAt = Date.parse(certificate.issuedAt);
+  return revocations.entries.some(entry =>
+    entry.userId === certificate.userId && (
+      (entry.senderKey && entry.senderKey.x === certificate.senderKey?.x && entry.senderKey.y === certificate.senderKey?.y) ||
+      issuedAt <= entry.revokedAt
+    )
+  );
+}
+
 /**
  * Autorité de Certification (serveur)
  * Délivre et gère les certificats
@@ -84,6 +196,8 @@ export class SenderCertificate {
 export class CertificateAuthority {
   constructor() {
     this.signingKey = null;
+    this.keyId = null;
+    this.senderUuids = new Map(); // userId -> UUID stable
     this.certificates = new Map(); // userId -> certificate
   }
 
@@ -97,14 +211,23 @@ export class CertificateAuthority {
       ["sign", "verify"]
     );
 
-    return await crypto.subtle.exportKey("jwk", this.signingKey.publicKey);
+    const publicKey = await crypto.subtle.exportKey("jwk", this.signingKey.publicKey);
+    this.keyId = await computeKeyId(publicKey);
+    return publicKey;
   }
 
   /**
    * Délivre un certificat à un utilisateur
    */
   async issueCertificate(userId, userPublicKey) {
-    const cert = new SenderCertificate(userId, userPublicKey, this.signingKey);
+    if (!this.senderUuids.has(userId)) {
+      this.senderUuids.set(userId, crypto.randomUUID());
+    }
+
+    const cert = new SenderCertificate(userId, userPublicKey, this.signingKey, {
+      senderUuid: this.senderUuids.get(userId),
+      keyId: this.keyId
+    });
     const certificateData = await cert.generate();
     
     this.certificates.set(userId, certificateData);
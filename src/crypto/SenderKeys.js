@@ -0,0 +1,279 @@
+/**
+ * Sender Keys - Messagerie de groupe (modèle Signal)
+ *
+ * En pairwise, un message à N membres coûte N chiffrements Double Ratchet.
+ * Avec les Sender Keys, chaque membre possède pour le groupe :
+ * - une chaîne symétrique (clé de chaîne + itération) qui avance à chaque message
+ * - une paire de signature Ed25519
+ *
+ * Il distribue cet état une seule fois à chaque membre via les sessions
+ * pairwise existantes ; ensuite un message de groupe = UN chiffré, relayé
+ * tel quel à toute la room.
+ *
+ * Propriétés:
+ * - Forward secrecy : les clés de message passées ne sont pas recalculables
+ * - Authentification de l'expéditeur : la clé de chaîne est partagée par tout
+ *   le groupe, seul un membre détenant la clé privée de signature peut émettre
+ * - Départ d'un membre : chacun régénère sa sender key et la redistribue
+ *   aux restants (le partant ne peut plus lire la suite)
+ */
+
+import {
+  hkdf,
+  encryptAESGCM,
+  decryptAESGCM
+} from './Primitives.js';
+import sodium from './sodium.js';
+import { replayError } from './ReplayProtection.js';
+
+const ZERO_SALT = new Uint8Array(32);
+
+function randomSenderKeyId() {
+  return crypto.getRandomValues(new Uint32Array(1))[0];
+}
+
+// Octets signés / authentifiés d'un message de groupe
+function encodeMessageHeader(keyId, iteration) {
+  return new TextEncoder().encode(`SenderKey:${keyId}:${iteration}`);
+}
+
+function encodeSignedContent(keyId, iteration, iv, ciphertext) {
+  const header = encodeMessageHeader(keyId, iteration);
+  const content = new Uint8Array(header.length + iv.length + ciphertext.length);
+  content.set(header, 0);
+  content.set(iv, header.length);
+  content.set(ciphertext, header.length + iv.length);
+  return content;
+}
+
+async function importMessageKey(messageKey, usage) {
+  return crypto.subtle.importKey(
+    'raw', messageKey, { name: 'AES-GCM', length: 256 }, false, [usage]
+  );
+}
+
+/**
+ * Chaîne symétrique d'une sender key
+ */
+class SenderKeyChain {
+  constructor(chainKey, iteration = 0) {
+    this.chainKey = chainKey;
+    this.iteration = iteration;
+  }
+
+  /**
+   * Clé de message de l'itération courante, puis avance la chaîne
+   */
+  async nextMessageKey() {
+    const encoder = new TextEncoder();
+    const messageKey = await hkdf(this.chainKey, ZERO_SALT, encoder.encode('SenderKey-MessageKey'), 32);
+    const iteration = this.iteration;
+
+    this.chainKey = await hkdf(this.chainKey, ZERO_SALT, encoder.encode('SenderKey-ChainKey'), 32);
+    this.iteration++;
+
+    return { messageKey, iteration };
+  }
+}
+
+export class GroupSession {
+  /**
+   * @param {string} ownerId - Membre local
+   * @param {Object} options
+   * @param {number} options.maxSkip - Itérations sautées max par message
+   */
+  constructor(ownerId, options = {}) {
+    this.ownerId = ownerId;
+    this.maxSkip = options.maxSkip || 1000;
+
+    this.ownSenderKey = null;       // { keyId, chain, signingKeyPair }
+    this.senderStates = new Map();  // senderId -> { keyId, chain, signingKey, skippedKeys }
+  }
+
+  async initialize() {
+    await sodium.initialize();
+    await this.rotate();
+    return this;
+  }
+
+  /**
+   * Nouvelle sender key locale (à redistribuer à tous les membres restants)
+   *
+   * @returns {Promise<number>} ID de la nouvelle sender key
+   */
+  async rotate() {
+    this.ownSenderKey = {
+      keyId: randomSenderKeyId(),
+      chain: new SenderKeyChain(crypto.getRandomValues(new Uint8Array(32)).buffer),
+      signingKeyPair: sodium.generateKeyPairEd25519()
+    };
+
+    console.log(`🔄 Nouvelle sender key ${this.ownSenderKey.keyId} pour ${this.ownerId}`);
+    return this.ownSenderKey.keyId;
+  }
+
+  /**
+   * Message de distribution (état courant de la chaîne + clé publique de signature)
+   *
+   * ⚠️ Contient la clé de chaîne : à n'envoyer QUE via une session pairwise chiffrée
+   */
+  createDistributionMessage() {
+    this.ensureInitialized();
+
+    const { keyId, chain, signingKeyPair } = this.ownSenderKey;
+    return {
+      keyId,
+      iteration: chain.iteration,
+      chainKey: sodium.toBase64(new Uint8Array(chain.chainKey)),
+      signingKey: sodium.toBase64(signingKeyPair.publicKey)
+    };
+  }
+
+  /**
+   * Enregistre la sender key d'un autre membre
+   *
+   * @param {string} senderId - Expéditeur authentifié par la session pairwise
+   * @param {Object} distribution - Résultat de createDistributionMessage()
+   */
+  processDistributionMessage(senderId, distribution) {
+    const { keyId, iteration, chainKey, signingKey } = distribution;
+    if (keyId === undefined || iteration === undefined || !chainKey || !signingKey) {
+      throw new Error('Message de distribution de sender key invalide');
+    }
+
+    const existing = this.senderStates.get(senderId);
+    if (existing && existing.keyId === keyId && existing.chain.iteration >= iteration) {
+      return false; // Redistribution d'une clé déjà connue : on garde notre avance
+    }
+
+    this.senderStates.set(senderId, {
+      keyId,
+      chain: new SenderKeyChain(sodium.fromBase64(chainKey), iteration),
+      signingKey: sodium.fromBase64(signingKey),
+      skippedKeys: new Map()
+    });
+
+    console.log(`🔑 Sender key ${keyId} de ${senderId} enregistrée (itération ${iteration})`);
+    return true;
+  }
+
+  hasSenderKey(senderId) {
+    return this.senderStates.has(senderId);
+  }
+
+  /**
+   * Oublie la sender key d'un membre parti
+   */
+  removeSender(senderId) {
+    return this.senderStates.delete(senderId);
+  }
+
+  /**
+   * Chiffre un message pour tout le groupe
+   *
+   * @param {string} plaintext
+   * @returns {Promise<{keyId: number, iteration: number, ciphertext: string, iv: string, signature: string}>}
+   */
+  async encrypt(plaintext) {
+    this.ensureInitialized();
+
+    const { keyId, chain, signingKeyPair } = this.ownSenderKey;
+    const { messageKey, iteration } = await chain.nextMessageKey();
+
+    const key = await importMessageKey(messageKey, 'encrypt');
+    const { ciphertext, iv } = await encryptAESGCM(
+      key,
+      new TextEncoder().encode(plaintext),
+      encodeMessageHeader(keyId, iteration)
+    );
+
+    const ciphertextBytes = new Uint8Array(ciphertext);
+    const ivBytes = new Uint8Array(iv);
+    const signature = sodium.sign(
+      encodeSignedContent(keyId, iteration, ivBytes, ciphertextBytes),
+      signingKeyPair.privateKey
+    );
+
+    return {
+      keyId,
+      iteration,
+      ciphertext: sodium.toBase64(ciphertextBytes),
+      iv: sodium.toBase64(ivBytes),
+      signature: sodium.toBase64(signature)
+    };
+  }
+
+  /**
+   * Déchiffre un message de groupe
+   *
+   * @param {string} senderId - Expéditeur annoncé
+   * @param {Object} message - Résultat de encrypt()
+   * @returns {Promise<string>}
+   */
+  async decrypt(senderId, message) {
+    const state = this.senderStates.get(senderId);
+    if (!state) {
+      throw new Error(`Sender key de ${senderId} inconnue (distribution non reçue)`);
+    }
+
+    const { keyId, iteration } = message;
+    if (state.keyId !== keyId) {
+      throw new Error(`Sender key ${keyId} de ${senderId} périmée ou pas encore reçue`);
+    }
+
+    const ciphertext = sodium.fromBase64(message.ciphertext);
+    const iv = sodium.fromBase64(message.iv);
+
+    // Signature vérifiée avant de toucher à la chaîne
+    const isValid = sodium.verify(
+      sodium.fromBase64(message.signature),
+      encodeSignedContent(keyId, iteration, iv, ciphertext),
+      state.signingKey
+    );
+    if (!isValid) {
+      throw new Error(`Signature du message de groupe invalide (expéditeur annoncé: ${senderId})`);
+    }
+
+    const messageKey = await this.getMessageKey(state, iteration);
+    const key = await importMessageKey(messageKey, 'decrypt');
+    const plaintextBytes = await decryptAESGCM(
+      key,
+      ciphertext,
+      iv,
+      encodeMessageHeader(keyId, iteration)
+    );
+
+    return new TextDecoder().decode(plaintextBytes);
+  }
+
+  async getMessageKey(state, iteration) {
+    if (iteration < state.chain.iteration) {
+      const skipped = state.skippedKeys.get(iteration);
+      if (!skipped) {
+        throw replayError(`Message de groupe ${iteration} déjà traité ou trop ancien`, 'message-number');
+      }
+      state.skippedKeys.delete(iteration);
+      return skipped;
+    }
+
+    if (iteration - state.chain.iteration > this.maxSkip) {
+      throw new Error(`Trop de messages de groupe sautés: ${iteration - state.chain.iteration}`);
+    }
+
+    while (state.chain.iteration < iteration) {
+      const { messageKey, iteration: skippedIteration } = await state.chain.nextMessageKey();
+      state.skippedKeys.set(skippedIteration, messageKey);
+    }
+
+    const { messageKey } = await state.chain.nextMessageKey();
+    return messageKey;
+  }
+
+  ensureInitialized() {
+    if (!this.ownSenderKey) {
+      throw new Error('GroupSession pas initialisée');
+    }
+  }
+}
+
+export default GroupSession;
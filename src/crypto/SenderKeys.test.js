@@ -0,0 +1,67 @@
+/**
+ * @jest-environment node
+ */
+import { GroupSession } from './SenderKeys';
+
+// Chaque membre reçoit la sender key des autres (via pairwise dans l'app)
+async function createGroup(names) {
+  const sessions = await Promise.all(names.map(name => new GroupSession(name).initialize()));
+  for (const sender of sessions) {
+    for (const receiver of sessions) {
+      if (receiver !== sender) receiver.processDistributionMessage(sender.ownerId, sender.createDistributionMessage());
+    }
+  }
+  return sessions;
+}
+
+describe('Sender Keys', () => {
+  test('un seul chiffré lisible par tous les membres', async () => {
+    const [alice, bob, carol] = await createGroup(['Alice', 'Bob', 'Carol']);
+    const message = await alice.encrypt('bonjour le groupe');
+
+    expect(await bob.decrypt('Alice', message)).toBe('bonjour le groupe');
+    expect(await carol.decrypt('Alice', message)).toBe('bonjour le groupe');
+  });
+
+  test('messages en retard déchiffrés une seule fois', async () => {
+    const [alice, bob] = await createGroup(['Alice', 'Bob']);
+    const first = await alice.encrypt('un');
+    const second = await alice.encrypt('deux');
+
+    expect(await bob.decrypt('Alice', second)).toBe('deux');
+    expect(await bob.decrypt('Alice', first)).toBe('un');
+    await expect(bob.decrypt('Alice', first)).rejects.toThrow('déjà traité');
+  });
+
+  test('un membre qui signe au nom d\'un autre est refusé, sans avancer la chaîne', async () => {
+    const [alice, bob, mallory] = await createGroup(['Alice', 'Bob', 'Mallory']);
+    const forged = await mallory.encrypt('je suis Alice');
+    const aliceIteration = bob.senderStates.get('Alice').chain.iteration;
+
+    await expect(bob.decrypt('Alice', { ...forged, keyId: alice.ownSenderKey.keyId })).rejects.toThrow('Signature');
+    expect(bob.senderStates.get('Alice').chain.iteration).toBe(aliceIteration);
+    expect(await bob.decrypt('Alice', await alice.encrypt('vraiment Alice'))).toBe('vraiment Alice');
+  });
+
+  test('après départ et rotation, l\'ancien membre ne lit plus la suite', async () => {
+    const [alice, bob, carol] = await createGroup(['Alice', 'Bob', 'Carol']);
+
+    await alice.rotate();
+    bob.removeSender('Carol');
+    bob.processDistributionMessage('Alice', alice.createDistributionMessage());
+    const message = await alice.encrypt('sans Carol');
+
+    expect(await bob.decrypt('Alice', message)).toBe('sans Carol');
+    await expect(carol.decrypt('Alice', message)).rejects.toThrow('périmée');
+  });
+
+  test('redistribution d\'une clé déjà connue : l\'avance du destinataire est conservée', async () => {
+    const [alice, bob] = await createGroup(['Alice', 'Bob']);
+    const stale = alice.createDistributionMessage();
+    const message = await alice.encrypt('un');
+    await bob.decrypt('Alice', message);
+
+    expect(bob.processDistributionMessage('Alice', stale)).toBe(false);
+    await expect(bob.decrypt('Alice', message)).rejects.toThrow('déjà traité');
+  });
+});
@@ -0,0 +1,626 @@
+/**
+ * TreeKEM - Accord de clé de groupe façon MLS (RFC 9420), version pédagogique
+ *
+ * Les membres sont les feuilles d'un arbre binaire ; chaque nœud interne porte
+ * une paire ECDH P-256 connue de tous les membres de son sous-arbre.
+ * Un commit (Add / Remove / Update) renouvelle les clés du chemin direct du
+ * committer et chiffre chaque nouveau secret de chemin pour la RÉSOLUTION du
+ * nœud de copath correspondant : O(log N) chiffrés au lieu de O(N).
+ *
+ * - Epoch : chaque commit fait avancer l'epoch ; le secret d'epoch dérive du
+ *   commit secret (sommet du chemin) et de l'init secret de l'epoch précédente
+ * - Post-compromise security : un Update remplace toutes les clés connues
+ *   d'un membre compromis, l'attaquant perd l'accès aux epochs suivantes
+ * - Welcome : un membre ajouté reçoit l'arbre public, le joiner secret et le
+ *   secret de chemin de l'ancêtre commun avec le committer
+ *
+ * Simplifications : arbre de largeur 2^k (jamais tronqué), pas de signatures
+ * ni de tree hash, la clé de feuille du KeyPackage sert aussi d'init key.
+ */
+
+import {
+  generateECDHKeyPair,
+  performECDH,
+  exportPublicKey,
+  importPublicKey,
+  hkdf,
+  encryptAESGCM,
+  decryptAESGCM
+} from './Primitives.js';
+
+const ZERO_SALT = new Uint8Array(32);
+
+// En-tête DER PKCS#8 d'une clé privée P-256 sans clé publique (le navigateur la recalcule)
+const P256_PKCS8_PREFIX = new Uint8Array([
+  0x30, 0x41, 0x02, 0x01, 0x00, 0x30, 0x13, 0x06, 0x07, 0x2a, 0x86, 0x48,
+  0xce, 0x3d, 0x02, 0x01, 0x06, 0x08, 0x2a, 0x86, 0x48, 0xce, 0x3d, 0x03,
+  0x01, 0x07, 0x04, 0x27, 0x30, 0x25, 0x02, 0x01, 0x01, 0x04, 0x20
+]);
+
+// ==================== ARITHMÉTIQUE D'ARBRE (RFC 9420, annexe C) ====================
+// Feuilles aux indices pairs (feuille i = nœud 2i), nœuds internes aux indices impairs
+
+function level(x) {
+  let k = 0;
+  while (((x >> k) & 1) === 1) k++;
+  return k;
+}
+
+function leftChild(x) {
+  return x ^ (1 << (level(x) - 1));
+}
+
+function rightChild(x) {
+  return x ^ (3 << (level(x) - 1));
+}
+
+function parentOf(x) {
+  const k = level(x);
+  const b = (x >> (k + 1)) & 1;
+  return (x | (1 << k)) ^ (b << (k + 1));
+}
+
+function siblingOf(x) {
+  const p = parentOf(x);
+  return x < p ? rightChild(p) : leftChild(p);
+}
+
+// ==================== UTILITAIRES ====================
+
+function bufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.byteLength; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+function base64ToBuffer(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+// JWK public minimal (sans key_ops / ext) : c'est ce qui circule dans les commits
+function publicJWK({ kty, crv, x, y }) {
+  return { kty, crv, x, y };
+}
+
+function samePublicKey(a, b) {
+  return !!a && !!b && a.x === b.x && a.y === b.y;
+}
+
+async function deriveSecret(secret, label) {
+  return hkdf(secret, ZERO_SALT, new TextEncoder().encode(`TreeKEM-${label}`), 32);
+}
+
+/**
+ * Paire de nœud déterministe à partir d'un secret de chemin
+ * (tous les membres qui connaissent le secret retrouvent la même clé)
+ */
+async function deriveNodeKeyPair(pathSecret) {
+  const nodeSecret = new Uint8Array(await deriveSecret(pathSecret, 'node'));
+  nodeSecret[0] &= 0x7F; // Scalaire < ordre de P-256
+
+  const pkcs8 = new Uint8Array(P256_PKCS8_PREFIX.length + nodeSecret.length);
+  pkcs8.set(P256_PKCS8_PREFIX, 0);
+  pkcs8.set(nodeSecret, P256_PKCS8_PREFIX.length);
+
+  const privateKey = await crypto.subtle.importKey(
+    'pkcs8', pkcs8, { name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveKey', 'deriveBits']
+  );
+  const publicKey = publicJWK(await crypto.subtle.exportKey('jwk', privateKey));
+
+  return { privateKey, publicKey };
+}
+
+async function importSecretKey(secret, usage) {
+  return crypto.subtle.importKey('raw', secret, { name: 'AES-GCM', length: 256 }, false, [usage]);
+}
+
+/**
+ * Chiffrement vers la clé publique d'un nœud (ECDH éphémère + HKDF + AES-GCM, façon HPKE)
+ */
+async function encryptToNode(publicKey, plaintext, context) {
+  const encoder = new TextEncoder();
+  const ephemeral = await generateECDHKeyPair();
+  const sharedSecret = await performECDH(ephemeral.privateKey, await importPublicKey(publicKey));
+  const key = await importSecretKey(
+    await hkdf(sharedSecret, ZERO_SALT, encoder.encode(`TreeKEM-HPKE-${context}`), 32),
+    'encrypt'
+  );
+  const { ciphertext, iv } = await encryptAESGCM(key, plaintext, encoder.encode(context));
+
+  return {
+    ephemeralKey: publicJWK(await exportPublicKey(ephemeral.publicKey)),
+    ciphertext: bufferToBase64(ciphertext),
+    iv: bufferToBase64(iv)
+  };
+}
+
+async function decryptFromNode(privateKey, encrypted, context) {
+  const encoder = new TextEncoder();
+  const sharedSecret = await performECDH(privateKey, await importPublicKey(encrypted.ephemeralKey));
+  const key = await importSecretKey(
+    await hkdf(sharedSecret, ZERO_SALT, encoder.encode(`TreeKEM-HPKE-${context}`), 32),
+    'decrypt'
+  );
+  return decryptAESGCM(key, base64ToBuffer(encrypted.ciphertext), base64ToBuffer(encrypted.iv), encoder.encode(context));
+}
+
+// ==================== RATCHET TREE ====================
+
+/**
+ * Arbre public partagé par tous les membres
+ * Feuille : { publicKey, memberId } • Nœud interne : { publicKey, unmergedLeaves } • Blanc : null
+ */
+export class RatchetTree {
+  constructor(leafCount = 1, nodes = null) {
+    this.leafCount = leafCount;
+    this.nodes = nodes || new Array(2 * leafCount - 1).fill(null);
+  }
+
+  get root() {
+    return this.leafCount - 1;
+  }
+
+  clone() {
+    return RatchetTree.import(JSON.parse(JSON.stringify(this.export())));
+  }
+
+  directPath(x) {
+    const path = [];
+    while (x !== this.root) {
+      x = parentOf(x);
+      path.push(x);
+    }
+    return path;
+  }
+
+  copath(x) {
+    return [x, ...this.directPath(x)].slice(0, -1).map(siblingOf);
+  }
+
+  /**
+   * Ensemble minimal de nœuds non blancs couvrant le sous-arbre de x
+   */
+  resolution(x) {
+    const node = this.nodes[x];
+    if (node) {
+      return [x, ...(node.unmergedLeaves || []).map(leaf => 2 * leaf)];
+    }
+    if (x % 2 === 0) return [];
+    return [...this.resolution(leftChild(x)), ...this.resolution(rightChild(x))];
+  }
+
+  members() {
+    const members = [];
+    for (let leaf = 0; leaf < this.leafCount; leaf++) {
+      const node = this.nodes[2 * leaf];
+      if (node) members.push({ leafIndex: leaf, memberId: node.memberId });
+    }
+    return members;
+  }
+
+  findLeaf(memberId) {
+    const member = this.members().find(m => m.memberId === memberId);
+    return member ? member.leafIndex : -1;
+  }
+
+  blankPath(leafIndex) {
+    const leafNode = 2 * leafIndex;
+    this.nodes[leafNode] = null;
+    this.directPath(leafNode).forEach(x => { this.nodes[x] = null; });
+  }
+
+  /**
+   * Place un membre dans la première feuille libre (l'arbre double si besoin)
+   */
+  addLeaf(memberId, publicKey) {
+    let leafIndex = Array.from({ length: this.leafCount }, (_, i) => i).find(i => !this.nodes[2 * i]);
+
+    // Arbre plein : l'ancienne racine devient le fils gauche d'une nouvelle racine
+    if (leafIndex === undefined) {
+      leafIndex = this.leafCount;
+      this.leafCount *= 2;
+      while (this.nodes.length < 2 * this.leafCount - 1) this.nodes.push(null);
+    }
+
+    const leafNode = 2 * leafIndex;
+    this.nodes[leafNode] = { publicKey, memberId };
+    // Les ancêtres existants ne couvrent pas encore cette feuille
+    this.directPath(leafNode).forEach(x => {
+      if (this.nodes[x]) this.nodes[x].unmergedLeaves.push(leafIndex);
+    });
+
+    return leafIndex;
+  }
+
+  export() {
+    return { leafCount: this.leafCount, nodes: this.nodes };
+  }
+
+  static import(data) {
+    return new RatchetTree(data.leafCount, data.nodes);
+  }
+}
+
+/**
+ * Applique les propositions dans l'ordre canonique (update, remove, add),
+ * identique chez tous les membres (et dans la vue publique du relais)
+ *
+ * @returns {{added: Array<{keyPackage: Object, leafIndex: number}>}}
+ */
+export function applyProposals(tree, proposals) {
+  const byType = (type) => proposals.filter(p => p.type === type);
+
+  for (const { memberId, leafKey } of byType('update')) {
+    const leafIndex = tree.findLeaf(memberId);
+    if (leafIndex === -1) throw new Error(`Update d'un membre inconnu: ${memberId}`);
+    tree.blankPath(leafIndex);
+    tree.nodes[2 * leafIndex] = { publicKey: leafKey, memberId };
+  }
+
+  for (const { memberId } of byType('remove')) {
+    const leafIndex = tree.findLeaf(memberId);
+    if (leafIndex === -1) throw new Error(`Remove d'un membre inconnu: ${memberId}`);
+    tree.blankPath(leafIndex);
+  }
+
+  const added = byType('add').map(({ keyPackage }) => {
+    if (tree.findLeaf(keyPackage.memberId) !== -1) {
+      throw new Error(`${keyPackage.memberId} est déjà membre du groupe`);
+    }
+    return { keyPackage, leafIndex: tree.addLeaf(keyPackage.memberId, keyPackage.leafKey) };
+  });
+
+  return { added };
+}
+
+// ==================== MEMBRE ====================
+
+export class TreeKEMMember {
+  constructor(memberId) {
+    this.memberId = memberId;
+    this.leafIndex = null;
+    this.tree = null;
+    this.privateKeys = new Map(); // nodeIndex -> CryptoKey (chemin direct connu)
+
+    this.epoch = 0;
+    this.epochSecret = null;
+    this.initSecret = null;
+    this.applicationSecret = null;
+
+    this.leafKeyPair = null;      // Clé du KeyPackage (avant d'être membre)
+    this.pendingUpdate = null;    // Clé de feuille proposée via Update
+    this.pendingCommit = null;    // Commit émis, en attente de l'ordre du relais
+    this.active = false;
+  }
+
+  /**
+   * KeyPackage : clé de feuille publiée pour pouvoir être ajouté au groupe
+   */
+  async createKeyPackage() {
+    this.leafKeyPair = await generateECDHKeyPair();
+    return {
+      memberId: this.memberId,
+      leafKey: publicJWK(await exportPublicKey(this.leafKeyPair.publicKey))
+    };
+  }
+
+  async createGroup() {
+    const { leafKey } = await this.createKeyPackage();
+    this.tree = new RatchetTree(1);
+    this.tree.nodes[0] = { publicKey: leafKey, memberId: this.memberId };
+    this.leafIndex = 0;
+    this.privateKeys = new Map([[0, this.leafKeyPair.privateKey]]);
+    this.initSecret = crypto.getRandomValues(new Uint8Array(32)).buffer;
+    await this.enterEpoch(0, crypto.getRandomValues(new Uint8Array(32)).buffer);
+    this.active = true;
+    return this;
+  }
+
+  // ---------- Propositions ----------
+
+  proposeAdd(keyPackage) {
+    return { type: 'add', keyPackage };
+  }
+
+  proposeRemove(memberId) {
+    return { type: 'remove', memberId };
+  }
+
+  async proposeUpdate() {
+    this.ensureActive();
+    this.pendingUpdate = await generateECDHKeyPair();
+    return {
+      type: 'update',
+      memberId: this.memberId,
+      leafKey: publicJWK(await exportPublicKey(this.pendingUpdate.publicKey))
+    };
+  }
+
+  // ---------- Commit ----------
+
+  /**
+   * Crée un commit (propositions + chemin renouvelé) et les Welcome des ajoutés
+   *
+   * Le commit n'est appliqué localement qu'après acceptation par le relais
+   * (mergePendingCommit) : deux commits concurrents sur la même epoch ne
+   * peuvent pas être acceptés tous les deux.
+   *
+   * @param {Array} proposals - Propositions Add / Remove / Update
+   * @returns {Promise<{commit: Object, welcomes: Array<{memberId: string, welcome: Object}>}>}
+   */
+  async commit(proposals = []) {
+    this.ensureActive();
+    if (proposals.some(p => p.type === 'remove' && p.memberId === this.memberId)) {
+      throw new Error('Un membre ne peut pas committer sa propre exclusion');
+    }
+    // Le chemin du committer remplace de toute façon sa feuille
+    proposals = proposals.filter(p => !(p.type === 'update' && p.memberId === this.memberId));
+
+    const tree = this.tree.clone();
+    const { added } = applyProposals(tree, proposals);
+    const context = `commit:${this.epoch}:${this.leafIndex}`;
+
+    // Nouvelle feuille + secrets de chemin : s(i+1) = HKDF(s(i), "path")
+    const leafNode = 2 * this.leafIndex;
+    let pathSecret = crypto.getRandomValues(new Uint8Array(32)).buffer;
+    const leafKeys = await deriveNodeKeyPair(pathSecret);
+    tree.nodes[leafNode] = { publicKey: leafKeys.publicKey, memberId: this.memberId };
+
+    const privateKeys = new Map([[leafNode, leafKeys.privateKey]]);
+    const pathSecrets = new Map();
+    const directPath = tree.directPath(leafNode);
+    for (const x of directPath) {
+      pathSecret = await deriveSecret(pathSecret, 'path');
+      const nodeKeys = await deriveNodeKeyPair(pathSecret);
+      tree.nodes[x] = { publicKey: nodeKeys.publicKey, unmergedLeaves: [] };
+      privateKeys.set(x, nodeKeys.privateKey);
+      pathSecrets.set(x, pathSecret);
+    }
+    const commitSecret = await deriveSecret(pathSecret, 'path');
+
+    // Chaque secret est chiffré pour la résolution du copath (les ajoutés passent par le Welcome)
+    const addedNodes = new Set(added.map(({ leafIndex }) => 2 * leafIndex));
+    const copath = tree.copath(leafNode);
+    const pathNodes = [];
+    for (let i = 0; i < directPath.length; i++) {
+      const recipients = tree.resolution(copath[i]).filter(x => !addedNodes.has(x));
+      const encryptedPathSecrets = [];
+      for (const recipient of recipients) {
+        encryptedPathSecrets.push(
+          await encryptToNode(tree.nodes[recipient].publicKey, pathSecrets.get(directPath[i]), context)
+        );
+      }
+      pathNodes.push({ publicKey: tree.nodes[directPath[i]].publicKey, encryptedPathSecrets });
+    }
+
+    const commit = {
+      epoch: this.epoch,
+      committer: this.leafIndex,
+      committerId: this.memberId,
+      proposals,
+      path: { leafKey: leafKeys.publicKey, nodes: pathNodes }
+    };
+
+    const joinerSecret = await hkdf(commitSecret, this.initSecret, new TextEncoder().encode('TreeKEM-joiner'), 32);
+
+    const welcomes = [];
+    for (const { keyPackage, leafIndex } of added) {
+      const newcomerPath = tree.directPath(2 * leafIndex);
+      const commonAncestor = directPath.find(x => newcomerPath.includes(x));
+      const groupSecrets = new TextEncoder().encode(JSON.stringify({
+        epoch: this.epoch + 1,
+        leafIndex,
+        joinerSecret: bufferToBase64(joinerSecret),
+        commonAncestor,
+        pathSecret: bufferToBase64(pathSecrets.get(commonAncestor)),
+        tree: tree.export()
+      }));
+      welcomes.push({
+        memberId: keyPackage.memberId,
+        welcome: {
+          epoch: this.epoch + 1,
+          ...(await encryptToNode(keyPackage.leafKey, groupSecrets, `welcome:${this.epoch + 1}`))
+        }
+      });
+    }
+
+    this.pendingCommit = { epoch: this.epoch, tree, privateKeys, joinerSecret };
+    return { commit, welcomes };
+  }
+
+  /**
+   * Le relais a accepté notre commit : passage à l'epoch suivante
+   */
+  async mergePendingCommit() {
+    if (!this.pendingCommit || this.pendingCommit.epoch !== this.epoch) {
+      throw new Error('Aucun commit en attente pour cette epoch');
+    }
+
+    const { tree, privateKeys, joinerSecret } = this.pendingCommit;
+    this.tree = tree;
+    this.privateKeys = privateKeys;
+    this.pendingCommit = null;
+    await this.enterEpoch(this.epoch + 1, joinerSecret);
+  }
+
+  discardPendingCommit() {
+    this.pendingCommit = null;
+  }
+
+  /**
+   * Traite le commit d'un autre membre
+   *
+   * @returns {Promise<{removed: boolean}>}
+   */
+  async processCommit(commit) {
+    this.ensureActive();
+    if (commit.epoch !== this.epoch) {
+      throw new Error(`Commit pour l'epoch ${commit.epoch}, epoch locale ${this.epoch}`);
+    }
+    if (commit.committer === this.leafIndex) {
+      throw new Error('Commit local : utiliser mergePendingCommit()');
+    }
+
+    const tree = this.tree.clone();
+    const committerNode = tree.nodes[2 * commit.committer];
+    if (!committerNode) throw new Error(`Committer inconnu (feuille ${commit.committer})`);
+    if (committerNode.memberId !== commit.committerId) {
+      throw new Error(`Feuille ${commit.committer} occupée par ${committerNode.memberId}, pas par ${commit.committerId}`);
+    }
+
+    const { added } = applyProposals(tree, commit.proposals);
+
+    // Exclu du groupe : plus aucune clé de l'epoch suivante ne nous est destinée
+    if (!tree.nodes[2 * this.leafIndex]) {
+      this.leave();
+      return { removed: true };
+    }
+
+    // Notre Update a été retenu : la nouvelle clé de feuille devient effective
+    const privateKeys = new Map(this.privateKeys);
+    const ownUpdate = commit.proposals.some(p => p.type === 'update' && p.memberId === this.memberId);
+    if (ownUpdate) {
+      if (!this.pendingUpdate) throw new Error('Update inattendu pour ce membre');
+      privateKeys.set(2 * this.leafIndex, this.pendingUpdate.privateKey);
+      this.pendingUpdate = null;
+    }
+    for (const x of privateKeys.keys()) {
+      if (!tree.nodes[x]) privateKeys.delete(x);
+    }
+
+    const leafNode = 2 * commit.committer;
+    tree.nodes[leafNode] = { publicKey: commit.path.leafKey, memberId: committerNode.memberId };
+    const directPath = tree.directPath(leafNode);
+    const copath = tree.copath(leafNode);
+    if (commit.path.nodes.length !== directPath.length) {
+      throw new Error('Chemin du commit incohérent avec l\'arbre');
+    }
+
+    // Premier nœud du chemin dont la résolution du copath nous contient
+    const context = `commit:${commit.epoch}:${commit.committer}`;
+    const addedNodes = new Set(added.map(({ leafIndex }) => 2 * leafIndex));
+    let pathSecret = null;
+    let start = -1;
+    for (let i = 0; i < directPath.length && start === -1; i++) {
+      const recipients = tree.resolution(copath[i]).filter(x => !addedNodes.has(x));
+      const position = recipients.findIndex(x => privateKeys.has(x));
+      if (position !== -1) {
+        pathSecret = await decryptFromNode(
+          privateKeys.get(recipients[position]),
+          commit.path.nodes[i].encryptedPathSecrets[position],
+          context
+        );
+        start = i;
+      }
+    }
+    if (start === -1) {
+      throw new Error('Aucun secret de chemin déchiffrable dans ce commit');
+    }
+
+    for (let i = 0; i < directPath.length; i++) {
+      const { publicKey } = commit.path.nodes[i];
+      tree.nodes[directPath[i]] = { publicKey, unmergedLeaves: [] };
+      privateKeys.delete(directPath[i]);
+
+      if (i < start) continue;
+      if (i > start) pathSecret = await deriveSecret(pathSecret, 'path');
+
+      const nodeKeys = await deriveNodeKeyPair(pathSecret);
+      if (!samePublicKey(nodeKeys.publicKey, publicKey)) {
+        throw new Error(`Clé publique du nœud ${directPath[i]} incohérente avec le secret de chemin`);
+      }
+      privateKeys.set(directPath[i], nodeKeys.privateKey);
+    }
+    const commitSecret = await deriveSecret(pathSecret, 'path');
+    const joinerSecret = await hkdf(commitSecret, this.initSecret, new TextEncoder().encode('TreeKEM-joiner'), 32);
+
+    this.tree = tree;
+    this.privateKeys = privateKeys;
+    await this.enterEpoch(this.epoch + 1, joinerSecret);
+    return { removed: false };
+  }
+
+  /**
+   * Rejoint le groupe à partir d'un Welcome (clé de KeyPackage requise)
+   */
+  async joinFromWelcome(welcome) {
+    if (!this.leafKeyPair) throw new Error('KeyPackage local manquant');
+
+    let groupSecrets;
+    try {
+      const decrypted = await decryptFromNode(this.leafKeyPair.privateKey, welcome, `welcome:${welcome.epoch}`);
+      groupSecrets = JSON.parse(new TextDecoder().decode(decrypted));
+    } catch {
+      throw new Error('Welcome illisible (destiné à un autre KeyPackage ?)');
+    }
+
+    const tree = RatchetTree.import(groupSecrets.tree);
+    const leafNode = 2 * groupSecrets.leafIndex;
+    const ownLeafKey = publicJWK(await exportPublicKey(this.leafKeyPair.publicKey));
+    if (!samePublicKey(tree.nodes[leafNode]?.publicKey, ownLeafKey)) {
+      throw new Error('Welcome incohérent : la feuille ne porte pas notre clé');
+    }
+
+    const privateKeys = new Map([[leafNode, this.leafKeyPair.privateKey]]);
+    const directPath = tree.directPath(leafNode);
+    let pathSecret = base64ToBuffer(groupSecrets.pathSecret);
+    for (let i = directPath.indexOf(groupSecrets.commonAncestor); i < directPath.length; i++) {
+      if (directPath[i] !== groupSecrets.commonAncestor) pathSecret = await deriveSecret(pathSecret, 'path');
+      const nodeKeys = await deriveNodeKeyPair(pathSecret);
+      if (!samePublicKey(nodeKeys.publicKey, tree.nodes[directPath[i]]?.publicKey)) {
+        throw new Error(`Welcome incohérent au nœud ${directPath[i]}`);
+      }
+      privateKeys.set(directPath[i], nodeKeys.privateKey);
+    }
+
+    this.tree = tree;
+    this.leafIndex = groupSecrets.leafIndex;
+    this.privateKeys = privateKeys;
+    await this.enterEpoch(groupSecrets.epoch, base64ToBuffer(groupSecrets.joinerSecret));
+    this.active = true;
+  }
+
+  // ---------- Epochs ----------
+
+  async enterEpoch(epoch, joinerSecret) {
+    this.epoch = epoch;
+    this.epochSecret = await hkdf(joinerSecret, ZERO_SALT, new TextEncoder().encode(`TreeKEM-epoch-${epoch}`), 32);
+    this.initSecret = await deriveSecret(this.epochSecret, 'init');
+    this.applicationSecret = await deriveSecret(this.epochSecret, 'application');
+  }
+
+  /**
+   * Empreinte courte du secret d'epoch (égale chez tous les membres à jour)
+   */
+  async epochFingerprint() {
+    const hash = await crypto.subtle.digest('SHA-256', this.epochSecret);
+    return Array.from(new Uint8Array(hash).slice(0, 4))
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  leave() {
+    this.active = false;
+    this.tree = null;
+    this.privateKeys.clear();
+    this.epochSecret = null;
+    this.initSecret = null;
+    this.applicationSecret = null;
+  }
+
+  ensureActive() {
+    if (!this.active) {
+      throw new Error(`${this.memberId} n'est pas membre du groupe`);
+    }
+  }
+}
+
+export default TreeKEMMember;
@@ -0,0 +1,95 @@
+/**
+ * @jest-environment node
+ */
+import { TreeKEMMember } from './TreeKEM';
+
+// Groupe fondé par le premier membre, les autres ajoutés par un seul commit
+async function createGroup(names) {
+  const [creator, ...newcomers] = names.map(name => new TreeKEMMember(name));
+  await creator.createGroup();
+  const proposals = [];
+  for (const newcomer of newcomers) proposals.push(creator.proposeAdd(await newcomer.createKeyPackage()));
+
+  const { welcomes } = await creator.commit(proposals);
+  await creator.mergePendingCommit();
+  for (const { memberId, welcome } of welcomes) {
+    await newcomers.find(m => m.memberId === memberId).joinFromWelcome(welcome);
+  }
+  return [creator, ...newcomers];
+}
+
+// Commit de `committer` appliqué par tous les autres membres actifs
+async function commitAll(committer, members, proposals = []) {
+  const { commit, welcomes } = await committer.commit(proposals);
+  for (const member of members) {
+    if (member !== committer && member.active) await member.processCommit(commit);
+  }
+  await committer.mergePendingCommit();
+  return { commit, welcomes };
+}
+
+const fingerprints = (members) => Promise.all(members.filter(m => m.active).map(m => m.epochFingerprint()));
+
+describe('TreeKEM', () => {
+  test('tous les membres partagent le même secret d\'epoch après l\'ajout', async () => {
+    const members = await createGroup(['Alice', 'Bob', 'Carol', 'Dave']);
+
+    expect(members.map(m => m.epoch)).toEqual([1, 1, 1, 1]);
+    expect(new Set(await fingerprints(members)).size).toBe(1);
+  });
+
+  test('un commit chiffre moins de secrets qu\'un envoi à chaque autre membre', async () => {
+    const members = await createGroup(['Alice', 'Bob', 'Carol', 'Dave', 'Eve', 'Frank', 'Grace', 'Heidi']);
+    const { commit } = await commitAll(members[3], members);
+
+    const ciphertexts = commit.path.nodes.reduce((sum, node) => sum + node.encryptedPathSecrets.length, 0);
+    expect(ciphertexts).toBeLessThan(members.length - 1);
+    expect(new Set(await fingerprints(members)).size).toBe(1);
+  });
+
+  test('un membre retiré ne suit plus les epochs suivantes', async () => {
+    const members = await createGroup(['Alice', 'Bob', 'Carol']);
+    const [alice, bob, carol] = members;
+    const { commit } = await alice.commit([alice.proposeRemove('Carol')]);
+
+    expect(await carol.processCommit(commit)).toEqual({ removed: true });
+    await bob.processCommit(commit);
+    await alice.mergePendingCommit();
+
+    expect(carol.active).toBe(false);
+    expect(alice.tree.findLeaf('Carol')).toBe(-1);
+    expect(await alice.epochFingerprint()).toBe(await bob.epochFingerprint());
+  });
+
+  test('Update : nouvelle epoch inconnue de qui détenait les anciennes clés (post-compromise)', async () => {
+    const members = await createGroup(['Alice', 'Bob', 'Carol']);
+    const [alice, bob] = members;
+    const stolenKeys = new Map(bob.privateKeys);
+    const before = await bob.epochFingerprint();
+
+    await commitAll(alice, members, [await bob.proposeUpdate()]);
+    await commitAll(bob, members);
+
+    expect(await bob.epochFingerprint()).not.toBe(before);
+    for (const [node, key] of bob.privateKeys) expect(stolenKeys.get(node)).not.toBe(key);
+    expect(new Set(await fingerprints(members)).size).toBe(1);
+  });
+
+  test('un commit qui usurpe le nom d\'un autre membre est refusé', async () => {
+    const [alice, bob, carol] = await createGroup(['Alice', 'Bob', 'Carol']);
+    const { commit } = await carol.commit([]);
+
+    await expect(bob.processCommit({ ...commit, committerId: 'Alice' })).rejects.toThrow(/occupée par Carol/);
+    await expect(alice.processCommit({ ...commit, committer: 7 })).rejects.toThrow(/Committer inconnu/);
+  });
+
+  test('un commit d\'une epoch passée est refusé', async () => {
+    const members = await createGroup(['Alice', 'Bob']);
+    const [alice, bob] = members;
+    const { commit: stale } = await bob.commit([]);
+    bob.discardPendingCommit();
+    await commitAll(alice, members);
+
+    await expect(alice.processCommit(stale)).rejects.toThrow(/epoch/);
+  });
+});
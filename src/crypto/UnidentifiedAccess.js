@@ -0,0 +1,92 @@
+/**
+ * Accès non identifié (jetons de remise) pour Sealed Sender
+ *
+ * Sans contrôle, le relais accepte un message scellé de n'importe qui pour
+ * n'importe qui, sans savoir qui l'envoie : spam illimité. Comme Signal :
+ * - chaque membre tire une clé de profil (32 octets) et en dérive une clé
+ *   d'accès (16 octets), qu'il enregistre auprès du serveur
+ * - la clé de profil n'est partagée qu'avec ses contacts, dans les messages
+ *   chiffrés de bout en bout : eux seuls peuvent dériver le jeton
+ * - l'expéditeur joint le jeton du destinataire à l'envoi scellé ; le serveur
+ *   le compare à celui enregistré. Tous les contacts présentent le même jeton :
+ *   le serveur sait que l'envoi est autorisé, pas par qui
+ * - sans jeton, l'envoi est "identifié" : le serveur voit l'expéditeur
+ *
+ * Renouveler sa clé de profil révoque les jetons de tous ses contacts.
+ * Partagé par le serveur (server.js) et MultiUserSimulation.
+ */
+
+export const PROFILE_KEY_LENGTH = 32;
+export const ACCESS_KEY_LENGTH = 16;
+
+const ACCESS_KEY_INFO = 'SealedSender-unidentified-access-key';
+
+const toHex = (bytes) => Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+
+function accessKeyBytes(hex) {
+  if (typeof hex !== 'string' || !new RegExp(`^[0-9a-f]{${ACCESS_KEY_LENGTH * 2}}$`).test(hex)) {
+    throw new Error('Jeton de remise invalide');
+  }
+  return Uint8Array.from(hex.match(/.{2}/g), byte => parseInt(byte, 16));
+}
+
+/**
+ * Nouvelle clé de profil aléatoire
+ *
+ * @returns {Uint8Array}
+ */
+export function generateProfileKey() {
+  return crypto.getRandomValues(new Uint8Array(PROFILE_KEY_LENGTH));
+}
+
+/**
+ * Clé d'accès non identifié : HMAC-SHA256(clé de profil, contexte), 16 octets en hex
+ *
+ * @param {Uint8Array|number[]} profileKey
+ * @returns {Promise<string>}
+ */
+export async function deriveAccessKey(profileKey) {
+  const keyBytes = new Uint8Array(profileKey);
+  if (keyBytes.length !== PROFILE_KEY_LENGTH) {
+    throw new Error(`Clé de profil de ${PROFILE_KEY_LENGTH} octets attendue`);
+  }
+
+  const hmacKey = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const mac = await crypto.subtle.sign('HMAC', hmacKey, new TextEncoder().encode(ACCESS_KEY_INFO));
+  return toHex(new Uint8Array(mac).slice(0, ACCESS_KEY_LENGTH));
+}
+
+/**
+ * Jeton d'un envoi multi-destinataires : XOR des clés d'accès de chaque membre
+ * (un seul jeton présenté, le serveur recalcule le même XOR)
+ *
+ * @param {string[]} accessKeys
+ * @returns {string}
+ */
+export function combineAccessKeys(accessKeys) {
+  const combined = new Uint8Array(ACCESS_KEY_LENGTH);
+  for (const accessKey of accessKeys) {
+    accessKeyBytes(accessKey).forEach((byte, i) => { combined[i] ^= byte; });
+  }
+  return toHex(combined);
+}
+
+/**
+ * Comparaison en temps constant (côté serveur)
+ *
+ * @returns {boolean}
+ */
+export function accessKeysMatch(expected, presented) {
+  let a;
+  let b;
+  try {
+    a = accessKeyBytes(expected);
+    b = accessKeyBytes(presented);
+  } catch (error) {
+    return false;
+  }
+
+  let difference = 0;
+  for (let i = 0; i < ACCESS_KEY_LENGTH; i++) difference |= a[i] ^ b[i];
+  return difference === 0;
+}
@@ -7,7 +7,7 @@
  * Améliorations par rapport à la version originale:
  * - Utilisation de HKDF conforme au standard
  * - Protection contre les attaques de rejeu
- * - Authentification des bundles de clés
+ * - Authentification des bundles de clés (SPK signée par la clé d'identité)
  * - Gestion robuste des erreurs
  */
 
@@ -19,20 +19,131 @@ import {
   hkdf,
   concatBuffers
 } from './Primitives.js';
+import sodium from './sodium.js';
+
+// IDs de prekeys sur 24 bits, comme dans Signal
+const PREKEY_ID_MAX = 0xFFFFFF;
+
+const SIGNING_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGNATURE_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+function randomPreKeyId() {
+  return 1 + (crypto.getRandomValues(new Uint32Array(1))[0] % PREKEY_ID_MAX);
+}
+
+function nextPreKeyId(id) {
+  return (id % PREKEY_ID_MAX) + 1;
+}
+
+const sameIdentityKey = (a, b) =>
+  a.kty === b.kty && a.crv === b.crv && a.x === b.x && a.y === b.y;
+
+async function exportKeyPair(keyPair) {
+  return {
+    publicKey: await exportPublicKey(keyPair.publicKey),
+    privateKey: await crypto.subtle.exportKey('jwk', keyPair.privateKey)
+  };
+}
+
+async function importKeyPair(exported) {
+  return {
+    publicKey: await importPublicKey(exported.publicKey),
+    privateKey: await crypto.subtle.importKey(
+      'jwk',
+      exported.privateKey,
+      { name: 'ECDH', namedCurve: 'P-256' },
+      true,
+      ['deriveKey', 'deriveBits']
+    )
+  };
+}
+
+/**
+ * Octets signés pour une SPK : point P-256 non compressé (65 bytes)
+ * 
+ * @param {Object} signedPreKeyJWK - Clé publique SPK au format JWK
+ * @returns {Promise<Uint8Array>}
+ */
+async function encodeSignedPreKey(signedPreKeyJWK) {
+  const publicKey = await importPublicKey(signedPreKeyJWK);
+  return new Uint8Array(await crypto.subtle.exportKey('raw', publicKey));
+}
+
+/**
+ * La clé d'identité signe elle-même (même scalaire P-256 en ECDSA, comme XEdDSA
+ * le fait pour X25519) : pas de seconde clé à authentifier à côté de l'IK
+ */
+async function importIdentitySigningKey(identityPrivateKey) {
+  const { kty, crv, x, y, d } = await crypto.subtle.exportKey('jwk', identityPrivateKey);
+  return crypto.subtle.importKey('jwk', { kty, crv, x, y, d }, SIGNING_ALGORITHM, false, ['sign']);
+}
+
+async function importIdentityVerifyingKey(identityKeyJWK) {
+  const { kty, crv, x, y } = identityKeyJWK;
+  return crypto.subtle.importKey('jwk', { kty, crv, x, y }, SIGNING_ALGORITHM, false, ['verify']);
+}
+
+async function signPreKey(identityPrivateKey, signedPreKeyPair) {
+  const message = await encodeSignedPreKey(await exportPublicKey(signedPreKeyPair.publicKey));
+  const signingKey = await importIdentitySigningKey(identityPrivateKey);
+  return new Uint8Array(await crypto.subtle.sign(SIGNATURE_PARAMS, signingKey, message));
+}
+
+/**
+ * Vérifie la signature de la SPK d'un bundle public
+ * 
+ * La signature est produite par la clé d'identité du bundle, celle que couvrent
+ * le certificat expéditeur et le safety number. Un serveur (ou un MITM) qui
+ * remplace la SPK doit donc aussi remplacer l'IK, ce que la comparaison des
+ * safety numbers révèle.
+ * 
+ * @param {Object} publicBundle - Bundle public (identityKey + signedPreKey)
+ * @returns {Promise<boolean>} true si la signature est valide
+ */
+export async function verifySignedPreKey(publicBundle) {
+  const { identityKey, signedPreKey } = publicBundle || {};
+  if (!identityKey || !signedPreKey?.signature) {
+    return false;
+  }
+
+  await sodium.initialize();
+
+  try {
+    const message = await encodeSignedPreKey(signedPreKey.publicKey);
+    const verifyingKey = await importIdentityVerifyingKey(identityKey);
+    return await crypto.subtle.verify(
+      SIGNATURE_PARAMS,
+      verifyingKey,
+      sodium.fromBase64(signedPreKey.signature),
+      message
+    );
+  } catch (error) {
+    return false;
+  }
+}
 
 /**
  * Bundle de clés X3DH
  * 
  * Contient toutes les clés publiques qu'un utilisateur publie sur le serveur:
- * - Identity Key (IK): Clé d'identité long-terme
+ * - Identity Key (IK): Clé d'identité long-terme, qui signe aussi la SPK
  * - Signed PreKey (SPK): Clé pré-partagée signée
  * - One-Time PreKeys (OPK): Clés à usage unique
+ * 
+ * Après rotation, les anciennes SPK privées restent disponibles (voir
+ * previousSignedPreKeys) pour les messages initiaux encore en transit.
  */
 export class X3DHKeyBundle {
   constructor() {
     this.identityKeyPair = null;
     this.signedPreKeyPair = null;
+    this.signedPreKeyId = null;
+    this.signedPreKeySignature = null;
+    this.signedPreKeyCreatedAt = null;
+    this.previousSignedPreKeys = [];
     this.oneTimePreKeys = [];
+    this.nextSignedPreKeyId = randomPreKeyId();
+    this.nextOneTimePreKeyId = randomPreKeyId();
     this.createdAt = null;
   }
 
@@ -47,22 +158,118 @@ export class X3DHKeyBundle {
     // 1. Générer la paire de clés d'identité (long-terme)
     this.identityKeyPair = await generateECDHKeyPair();
     
-    // 2. Générer la paire de clés pré-partagée signée
-    this.signedPreKeyPair = await generateECDHKeyPair();
+    // 2. Générer la paire de clés pré-partagée et la signer
+    this.previousSignedPreKeys = [];
+    await this.generateSignedPreKey();
     
     // 3. Générer les clés à usage unique
     this.oneTimePreKeys = [];
-    for (let i = 0; i < oneTimePreKeyCount; i++) {
-      const opk = await generateECDHKeyPair();
-      this.oneTimePreKeys.push({
-        id: i,
-        keyPair: opk
-      });
-    }
+    await this.generateOneTimePreKeys(oneTimePreKeyCount);
     
     return this;
   }
 
+  /**
+   * Génère et signe une nouvelle SPK courante
+   */
+  async generateSignedPreKey() {
+    this.signedPreKeyPair = await generateECDHKeyPair();
+    this.signedPreKeyId = this.nextSignedPreKeyId;
+    this.nextSignedPreKeyId = nextPreKeyId(this.nextSignedPreKeyId);
+    this.signedPreKeyCreatedAt = Date.now();
+    this.signedPreKeySignature = await signPreKey(this.identityKeyPair.privateKey, this.signedPreKeyPair);
+  }
+
+  /**
+   * Remplace la SPK courante par une nouvelle
+   * 
+   * L'ancienne SPK est conservée (avec sa date de retrait) pour déchiffrer
+   * les messages initiaux calculés sur l'ancien bundle.
+   * 
+   * @returns {Promise<Object>} Nouvelle SPK publique à publier
+   */
+  async rotateSignedPreKey() {
+    if (!this.signedPreKeyPair) {
+      throw new Error('Bundle non généré');
+    }
+
+    this.previousSignedPreKeys.push({
+      id: this.signedPreKeyId,
+      keyPair: this.signedPreKeyPair,
+      signature: this.signedPreKeySignature,
+      createdAt: this.signedPreKeyCreatedAt,
+      retiredAt: Date.now()
+    });
+
+    await this.generateSignedPreKey();
+    return this.exportSignedPreKey();
+  }
+
+  /**
+   * Supprime les anciennes SPK dont la fenêtre de grâce est écoulée
+   * 
+   * @param {number} gracePeriod - Durée de conservation après retrait (ms)
+   * @returns {number[]} IDs des SPK supprimées
+   */
+  pruneSignedPreKeys(gracePeriod, now = Date.now()) {
+    const expired = this.previousSignedPreKeys.filter(spk => now - spk.retiredAt > gracePeriod);
+    this.previousSignedPreKeys = this.previousSignedPreKeys.filter(spk => now - spk.retiredAt <= gracePeriod);
+    return expired.map(spk => spk.id);
+  }
+
+  /**
+   * Retrouve la SPK privée désignée par un message initial
+   * 
+   * @param {number|null} id - ID de la SPK (null = SPK courante)
+   * @returns {CryptoKeyPair|null}
+   */
+  getSignedPreKeyPair(id = null) {
+    if (id === null || id === undefined || id === this.signedPreKeyId) {
+      return this.signedPreKeyPair;
+    }
+    const previous = this.previousSignedPreKeys.find(spk => spk.id === id);
+    return previous ? previous.keyPair : null;
+  }
+
+  /**
+   * Génère un lot supplémentaire de clés OPK (réapprovisionnement)
+   * 
+   * Les IDs partent d'une valeur aléatoire puis sont incrémentés : ils ne
+   * réutilisent jamais l'ID d'une clé déjà publiée sur le serveur.
+   * 
+   * @param {number} count - Nombre de clés OPK à ajouter
+   * @returns {Promise<Array<{id: number, publicKey: Object}>>} Clés publiques à publier
+   */
+  async generateOneTimePreKeys(count) {
+    const published = [];
+    for (let i = 0; i < count; i++) {
+      const opk = {
+        id: this.nextOneTimePreKeyId,
+        keyPair: await generateECDHKeyPair()
+      };
+      this.nextOneTimePreKeyId = nextPreKeyId(this.nextOneTimePreKeyId);
+      this.oneTimePreKeys.push(opk);
+      published.push({
+        id: opk.id,
+        publicKey: await exportPublicKey(opk.keyPair.publicKey)
+      });
+    }
+    return published;
+  }
+
+  /**
+   * Exporte la SPK courante (publique + signature)
+   */
+  async exportSignedPreKey() {
+    await sodium.initialize();
+    return {
+      id: this.signedPreKeyId,
+      publicKey: await exportPublicKey(this.signedPreKeyPair.publicKey),
+      signature: sodium.toBase64(this.signedPreKeySignature),
+      timestamp: this.signedPreKeyCreatedAt
+    };
+  }
+
   /**
    * Exporte le bundle public pour publication sur le serveur
    * 
@@ -75,13 +282,7 @@ export class X3DHKeyBundle {
 
     return {
       identityKey: await exportPublicKey(this.identityKeyPair.publicKey),
-      signedPreKey: {
-        id: 0,
-        publicKey: await exportPublicKey(this.signedPreKeyPair.publicKey),
-        // Dans une implémentation réelle, SPK serait signé avec une clé de signature
-        // Pour simplification pédagogique, on inclut juste un timestamp
-        timestamp: this.createdAt
-      },
+      signedPreKey: await this.exportSignedPreKey(),
       oneTimePreKeys: await Promise.all(
         this.oneTimePreKeys.map(async (opk) => ({
           id: opk.id,
@@ -103,6 +304,86 @@ export class X3DHKeyBundle {
     const [opk] = this.oneTimePreKeys.splice(index, 1);
     return opk.keyPair;
   }
+
+  /**
+   * Exporte l'état complet (clés PRIVÉES incluses) pour persistance locale
+   */
+  async export() {
+    if (!this.identityKeyPair || !this.signedPreKeyPair) {
+      throw new Error('Bundle non généré');
+    }
+
+    await sodium.initialize();
+    return {
+      version: 2,
+      createdAt: this.createdAt,
+      identityKeyPair: await exportKeyPair(this.identityKeyPair),
+      signedPreKey: {
+        id: this.signedPreKeyId,
+        keyPair: await exportKeyPair(this.signedPreKeyPair),
+        signature: sodium.toBase64(this.signedPreKeySignature),
+        createdAt: this.signedPreKeyCreatedAt
+      },
+      previousSignedPreKeys: await Promise.all(
+        this.previousSignedPreKeys.map(async (spk) => ({
+          ...spk,
+          keyPair: await exportKeyPair(spk.keyPair),
+          signature: sodium.toBase64(spk.signature)
+        }))
+      ),
+      oneTimePreKeys: await Promise.all(
+        this.oneTimePreKeys.map(async (opk) => ({
+          id: opk.id,
+          keyPair: await exportKeyPair(opk.keyPair)
+        }))
+      ),
+      nextSignedPreKeyId: this.nextSignedPreKeyId,
+      nextOneTimePreKeyId: this.nextOneTimePreKeyId
+    };
+  }
+
+  /**
+   * Restaure un bundle exporté par export()
+   */
+  static async import(data) {
+    await sodium.initialize();
+
+    const bundle = new X3DHKeyBundle();
+    bundle.createdAt = data.createdAt;
+    bundle.identityKeyPair = await importKeyPair(data.identityKeyPair);
+
+    bundle.signedPreKeyId = data.signedPreKey.id;
+    bundle.signedPreKeyPair = await importKeyPair(data.signedPreKey.keyPair);
+    bundle.signedPreKeySignature = sodium.fromBase64(data.signedPreKey.signature);
+    bundle.signedPreKeyCreatedAt = data.signedPreKey.createdAt;
+
+    bundle.previousSignedPreKeys = await Promise.all(
+      data.previousSignedPreKeys.map(async (spk) => ({
+        ...spk,
+        keyPair: await importKeyPair(spk.keyPair),
+        signature: sodium.fromBase64(spk.signature)
+      }))
+    );
+    bundle.oneTimePreKeys = await Promise.all(
+      data.oneTimePreKeys.map(async (opk) => ({
+        id: opk.id,
+        keyPair: await importKeyPair(opk.keyPair)
+      }))
+    );
+
+    bundle.nextSignedPreKeyId = data.nextSignedPreKeyId;
+    bundle.nextOneTimePreKeyId = data.nextOneTimePreKeyId;
+
+    // Version 1 : SPK signée par une clé Ed25519 distincte, re-signée par l'IK
+    if (data.version < 2) {
+      bundle.signedPreKeySignature = await signPreKey(bundle.identityKeyPair.privateKey, bundle.signedPreKeyPair);
+      for (const spk of bundle.previousSignedPreKeys) {
+        spk.signature = await signPreKey(bundle.identityKeyPair.privateKey, spk.keyPair);
+      }
+    }
+
+    return bundle;
+  }
 }
 
 /**
@@ -127,9 +408,21 @@ export class X3DHInitiator {
    * SK = KDF(DH1 || DH2 || DH3 || DH4)
    * 
    * @param {Object} bobPublicBundle - Bundle public de Bob
+   * @param {Object} [options]
+   * @param {Object} [options.expectedIdentityKey] - IK de Bob déjà connue (certificat,
+   *   safety number) : le bundle doit porter la même
    * @returns {Promise<{sharedSecret: ArrayBuffer, ephemeralPublicKey: Object, usedOPKId: number|null}>}
+   * @throws {Error} Si la signature de la SPK est absente ou invalide
    */
-  async deriveSharedSecret(bobPublicBundle) {
+  async deriveSharedSecret(bobPublicBundle, { expectedIdentityKey = null } = {}) {
+    // Refuser toute SPK qui n'est pas signée par la clé d'identité de Bob
+    if (!(await verifySignedPreKey(bobPublicBundle))) {
+      throw new Error('Signature de la SPK invalide : bundle rejeté (possible MITM)');
+    }
+    if (expectedIdentityKey && !sameIdentityKey(expectedIdentityKey, bobPublicBundle.identityKey)) {
+      throw new Error('Clé d\'identité du bundle différente de celle du contact : bundle rejeté (possible MITM)');
+    }
+
     // Importer les clés publiques de Bob
     const bobIK = await importPublicKey(bobPublicBundle.identityKey);
     const bobSPK = await importPublicKey(bobPublicBundle.signedPreKey.publicKey);
@@ -194,22 +487,30 @@ export class X3DHResponder {
    * @param {Object} aliceIdentityKeyJWK - Clé d'identité publique d'Alice
    * @param {Object} aliceEphemeralKeyJWK - Clé éphémère publique d'Alice
    * @param {number|null} usedOPKId - ID de la OPK utilisée par Alice
+   * @param {number|null} signedPreKeyId - ID de la SPK utilisée par Alice (null = SPK courante)
    * @returns {Promise<ArrayBuffer>} Secret partagé
+   * @throws {Error} Si la SPK a été supprimée (fenêtre de grâce dépassée)
    */
-  async deriveSharedSecret(aliceIdentityKeyJWK, aliceEphemeralKeyJWK, usedOPKId = null) {
+  async deriveSharedSecret(aliceIdentityKeyJWK, aliceEphemeralKeyJWK, usedOPKId = null, signedPreKeyId = null) {
+    // Retrouver la SPK visée : courante ou ancienne encore dans sa fenêtre de grâce
+    const signedPreKeyPair = this.keyBundle.getSignedPreKeyPair(signedPreKeyId);
+    if (!signedPreKeyPair) {
+      throw new Error(`SPK ${signedPreKeyId} inconnue ou expirée`);
+    }
+
     // Importer les clés publiques d'Alice
     const aliceIK = await importPublicKey(aliceIdentityKeyJWK);
     const aliceEK = await importPublicKey(aliceEphemeralKeyJWK);
     
     // Effectuer les mêmes échanges DH (dans le même ordre!)
     // DH1 = DH(SPK_B, IK_A)
-    const dh1 = await performECDH(this.keyBundle.signedPreKeyPair.privateKey, aliceIK);
+    const dh1 = await performECDH(signedPreKeyPair.privateKey, aliceIK);
     
     // DH2 = DH(IK_B, EK_A)
     const dh2 = await performECDH(this.keyBundle.identityKeyPair.privateKey, aliceEK);
     
     // DH3 = DH(SPK_B, EK_A)
-    const dh3 = await performECDH(this.keyBundle.signedPreKeyPair.privateKey, aliceEK);
+    const dh3 = await performECDH(signedPreKeyPair.privateKey, aliceEK);
     
     let dh4 = null;
     
@@ -0,0 +1,75 @@
+/**
+ * @jest-environment node
+ */
+import { X3DHKeyBundle, X3DHInitiator, X3DHResponder, verifySignedPreKey } from './X3DH';
+import { generateECDHKeyPair, exportPublicKey } from './Primitives';
+
+const hex = (buffer) => Buffer.from(buffer).toString('hex');
+
+describe('X3DH', () => {
+  let bob;
+  let bobBundle;
+  let alice;
+
+  beforeAll(async () => {
+    bob = await new X3DHKeyBundle().generate(2);
+    bobBundle = await bob.exportPublicBundle();
+    alice = await generateECDHKeyPair();
+  });
+
+  test('les deux côtés dérivent le même secret, OPK consommée', async () => {
+    const { sharedSecret, ephemeralPublicKey, usedOPKId } = await new X3DHInitiator(alice)
+      .deriveSharedSecret(bobBundle, { expectedIdentityKey: bobBundle.identityKey });
+    const responderSecret = await new X3DHResponder(bob).deriveSharedSecret(
+      await exportPublicKey(alice.publicKey), ephemeralPublicKey, usedOPKId, bobBundle.signedPreKey.id
+    );
+
+    expect(hex(responderSecret)).toBe(hex(sharedSecret));
+    expect(usedOPKId).toBe(bobBundle.oneTimePreKeys[0].id);
+    expect(bob.consumeOneTimePreKey(usedOPKId)).toBeNull();
+  });
+
+  test('la SPK est signée par la clé d\'identité du bundle', async () => {
+    expect(await verifySignedPreKey(bobBundle)).toBe(true);
+    expect(bobBundle).not.toHaveProperty('identitySigningKey');
+  });
+
+  test('un relais qui remplace tout le bundle sauf la vraie IK est rejeté', async () => {
+    const relayBundle = await (await new X3DHKeyBundle().generate(1)).exportPublicBundle();
+    const forged = { ...relayBundle, identityKey: bobBundle.identityKey };
+
+    expect(await verifySignedPreKey(forged)).toBe(false);
+    await expect(new X3DHInitiator(alice).deriveSharedSecret(forged)).rejects.toThrow('Signature de la SPK invalide');
+  });
+
+  test('un relais qui remplace aussi l\'IK est rejeté face à l\'IK connue du contact', async () => {
+    const relayBundle = await (await new X3DHKeyBundle().generate(1)).exportPublicBundle();
+
+    expect(await verifySignedPreKey(relayBundle)).toBe(true); // bundle cohérent, mais pas celui de Bob
+    await expect(new X3DHInitiator(alice).deriveSharedSecret(relayBundle, { expectedIdentityKey: bobBundle.identityKey }))
+      .rejects.toThrow('Clé d\'identité du bundle différente');
+  });
+
+  test('après rotation, l\'ancienne SPK reste utilisable pendant la fenêtre de grâce', async () => {
+    const bundle = await new X3DHKeyBundle().generate(0);
+    const before = await bundle.exportPublicBundle();
+    const { ephemeralPublicKey } = await new X3DHInitiator(alice).deriveSharedSecret(before);
+    const rotated = await bundle.rotateSignedPreKey();
+
+    expect(rotated.id).not.toBe(before.signedPreKey.id);
+    expect(await verifySignedPreKey({ ...before, signedPreKey: rotated })).toBe(true);
+    await expect(new X3DHResponder(bundle).deriveSharedSecret(
+      await exportPublicKey(alice.publicKey), ephemeralPublicKey, null, before.signedPreKey.id
+    )).resolves.toBeDefined();
+
+    bundle.pruneSignedPreKeys(0, Date.now() + 1);
+    await expect(new X3DHResponder(bundle).deriveSharedSecret(
+      await exportPublicKey(alice.publicKey), ephemeralPublicKey, null, before.signedPreKey.id
+    )).rejects.toThrow('inconnue ou expirée');
+  });
+
+  test('export / import conserve un bundle vérifiable', async () => {
+    const restored = await X3DHKeyBundle.import(await bob.export());
+    expect(await verifySignedPreKey(await restored.exportPublicBundle())).toBe(true);
+  });
+});
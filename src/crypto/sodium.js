@@ -410,6 +410,7 @@ class SodiumCrypto {
   }
 }
 
-// Export singleton
-const sodium = new SodiumCrypto();
+// Export singleton (aussi nommé : un module ESM du relais qui importe ce fichier
+// chargé en CommonJS, sous Jest notamment, ne reçoit pas l'export par défaut tel quel)
+export const sodium = new SodiumCrypto();
 export default sodium;
\ No newline at end of file
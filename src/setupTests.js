@@ -0,0 +1,15 @@
+// jest-dom adds custom jest matchers for asserting on DOM nodes.
+// allows you to do things like:
+// expect(element).toHaveTextContent(/react/i)
+// learn more: https://github.com/testing-library/jest-dom
+import '@testing-library/jest-dom';
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+
+// WebCrypto et TextEncoder de Node : les environnements de test de Jest 27 ne les exposent pas
+if (!global.crypto?.subtle) {
+  Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+}
+if (!global.TextEncoder) {
+  Object.assign(global, { TextEncoder, TextDecoder });
+}
@@ -0,0 +1,54 @@
+/**
+ * Codes d'erreur typés du relais
+ *
+ * Toute réponse d'erreur du serveur a la forme { error, code } : `error` est le
+ * message lisible, `code` l'une des constantes ci-dessous. Elle arrive par l'ack
+ * Socket.IO de l'événement, ou par `event-error` quand le client n'en attend pas.
+ * Partagé par le serveur (server.js) et MultiUserSimulation.
+ */
+
+export const INVALID_PAYLOAD = 'INVALID_PAYLOAD';
+export const UNAUTHORIZED = 'UNAUTHORIZED';
+export const ROOM_NOT_FOUND = 'ROOM_NOT_FOUND';
+export const USER_NOT_FOUND = 'USER_NOT_FOUND';
+export const USER_OFFLINE = 'USER_OFFLINE';
+export const CONFLICT = 'CONFLICT';
+export const RATE_LIMITED = 'RATE_LIMITED';
+export const PAYLOAD_TOO_LARGE = 'PAYLOAD_TOO_LARGE';
+export const ROOM_LIMIT = 'ROOM_LIMIT';
+export const INTERNAL_ERROR = 'INTERNAL_ERROR';
+
+export const ERROR_LABELS = {
+  [INVALID_PAYLOAD]: 'Requête invalide',
+  [UNAUTHORIZED]: 'Non autorisé',
+  [ROOM_NOT_FOUND]: 'Room introuvable',
+  [USER_NOT_FOUND]: 'Membre introuvable',
+  [USER_OFFLINE]: 'Membre hors ligne',
+  [CONFLICT]: 'Conflit',
+  [RATE_LIMITED]: 'Trop de requêtes',
+  [PAYLOAD_TOO_LARGE]: 'Message trop volumineux',
+  [ROOM_LIMIT]: 'Limite de rooms atteinte',
+  [INTERNAL_ERROR]: 'Erreur du serveur'
+};
+
+/**
+ * Réponse d'erreur du serveur
+ *
+ * @param {string} code - Une des constantes ci-dessus
+ * @param {string} message - Message lisible (français)
+ * @returns {{error: string, code: string}}
+ */
+export function errorReply(code, message) {
+  return { error: message, code };
+}
+
+/**
+ * Erreur levée côté client à partir d'une réponse { error, code }
+ *
+ * @returns {Error} Erreur portant `code`
+ */
+export function ackError({ error, code }) {
+  const ackFailure = new Error(error);
+  ackFailure.code = code || INTERNAL_ERROR;
+  return ackFailure;
+}
@@ -3,11 +3,12 @@
  */
 
 const DB_NAME = 'SecureChatDB';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 const STORES = {
   KEYS: 'keys',
   SESSIONS: 'sessions',
-  MESSAGES: 'messages'
+  MESSAGES: 'messages',
+  CONTACTS: 'contacts'
 };
 
 export class PersistentStorage {
@@ -50,6 +51,11 @@ export class PersistentStorage {
           messagesStore.createIndex('roomId', 'roomId', { unique: false });
           messagesStore.createIndex('timestamp', 'timestamp', { unique: false });
         }
+
+        // Store pour les identités des contacts (TOFU + vérification safety number)
+        if (!db.objectStoreNames.contains(STORES.CONTACTS)) {
+          db.createObjectStore(STORES.CONTACTS, { keyPath: 'id' });
+        }
       };
     });
   }
@@ -89,6 +95,44 @@ export class PersistentStorage {
     });
   }
 
+  /**
+   * Sauvegarde l'identité connue d'un contact et son état de vérification
+   *
+   * @param {string} owner - Compte local (room:pseudo)
+   * @param {{username: string, identityKey: JsonWebKey, verified: boolean}} contact
+   */
+  async saveContact(owner, contact) {
+    const transaction = this.db.transaction([STORES.CONTACTS], 'readwrite');
+    const store = transaction.objectStore(STORES.CONTACTS);
+
+    return new Promise((resolve, reject) => {
+      const request = store.put({
+        ...contact,
+        id: `${owner}:${contact.username}`,
+        owner,
+        updatedAt: Date.now()
+      });
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Charge l'identité connue d'un contact (undefined si jamais vu)
+   */
+  async loadContact(owner, username) {
+    const transaction = this.db.transaction([STORES.CONTACTS], 'readonly');
+    const store = transaction.objectStore(STORES.CONTACTS);
+
+    return new Promise((resolve, reject) => {
+      const request = store.get(`${owner}:${username}`);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   /**
    * Sauvegarde un message
    */
@@ -127,6 +171,32 @@ export class PersistentStorage {
     });
   }
 
+  /**
+   * Supprime les messages d'une room (remise à zéro par l'instructeur)
+   */
+  async clearMessages(roomId) {
+    const transaction = this.db.transaction([STORES.MESSAGES], 'readwrite');
+    const store = transaction.objectStore(STORES.MESSAGES);
+    const index = store.index('roomId');
+
+    return new Promise((resolve, reject) => {
+      const request = index.openCursor(IDBKeyRange.only(roomId));
+      let deleted = 0;
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          cursor.delete();
+          deleted++;
+          cursor.continue();
+        } else {
+          resolve(deleted);
+        }
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   /**
    * Nettoie les vieux messages (> 7 jours)
    */